@@ -0,0 +1,72 @@
+/**
+ * Migrate Embedded Bookings Script
+ *
+ * Bookings used to be stored as an array inside each Trip document.
+ * This moves them into the standalone `bookings` collection and removes
+ * the embedded array. Safe to run more than once - bookings that already
+ * exist in the collection are skipped.
+ *
+ * Usage:
+ *   node scripts/migrateEmbeddedBookings.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Booking = require('../src/models/Booking');
+
+const migrateEmbeddedBookings = async () => {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    // Read raw documents - `bookings` is no longer part of the Trip schema
+    const trips = mongoose.connection.collection('trips');
+    const cursor = trips.find({ 'bookings.0': { $exists: true } });
+
+    let migrated = 0;
+    let skipped = 0;
+
+    for await (const trip of cursor) {
+      for (const embedded of trip.bookings) {
+        const exists = await Booking.exists({ _id: embedded._id });
+        if (exists) {
+          skipped += 1;
+          continue;
+        }
+
+        await Booking.collection.insertOne({
+          ...embedded,
+          trip: trip._id,
+          organiser: trip.organiser,
+          statusHistory: [{
+            from: null,
+            to: embedded.bookingStatus || 'pending',
+            actorRole: 'system',
+            reason: 'Migrated from embedded trip booking',
+            changedAt: embedded.createdAt || embedded.bookingDate || new Date()
+          }]
+        });
+
+        await mongoose.connection.collection('users').updateOne(
+          { _id: embedded.user },
+          { $addToSet: { 'touristProfile.bookingHistory': embedded._id } }
+        );
+
+        migrated += 1;
+      }
+
+      await trips.updateOne({ _id: trip._id }, { $unset: { bookings: '' } });
+      console.log(`  📦 ${trip.title}: ${trip.bookings.length} booking(s)`);
+    }
+
+    console.log(`\n✅ Migrated ${migrated} booking(s), skipped ${skipped} already migrated`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateEmbeddedBookings();
@@ -0,0 +1,75 @@
+/**
+ * Migrate Verification Status Script
+ *
+ * Guide/organiser profiles used two names for the same thing: admins set
+ * `approved` while requireVerified checked for `verified`. This renames
+ * `approved` to `verified`, brings isVerified in line with the status, and
+ * opens a verification review for every profile already under review so it
+ * shows up in the review queue. Safe to run more than once.
+ *
+ * Usage:
+ *   node scripts/migrateVerificationStatus.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../src/models/User');
+const VerificationReview = require('../src/models/VerificationReview');
+const { findOpenReview } = require('../src/services/verificationReviewService');
+
+const PROFILES = {
+  guide: 'guideProfile',
+  organiser: 'organiserProfile'
+};
+
+const migrateVerificationStatus = async () => {
+  try {
+    console.log('🔄 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    // Raw collection - `approved` is no longer a valid enum value
+    const users = mongoose.connection.collection('users');
+
+    for (const [role, profile] of Object.entries(PROFILES)) {
+      const renamed = await users.updateMany(
+        { role, [`${profile}.verificationStatus`]: 'approved' },
+        { $set: { [`${profile}.verificationStatus`]: 'verified' } }
+      );
+      const synced = await users.updateMany(
+        { role, [`${profile}.verificationStatus`]: { $ne: 'verified' }, [`${profile}.isVerified`]: true },
+        { $set: { [`${profile}.isVerified`]: false } }
+      );
+      const flagged = await users.updateMany(
+        { role, [`${profile}.verificationStatus`]: 'verified', [`${profile}.isVerified`]: { $ne: true } },
+        { $set: { [`${profile}.isVerified`]: true } }
+      );
+
+      console.log(`  👤 ${role}: ${renamed.modifiedCount} approved -> verified, ` +
+        `${synced.modifiedCount + flagged.modifiedCount} isVerified flag(s) fixed`);
+    }
+
+    let opened = 0;
+    const underReview = User.find({
+      $or: Object.entries(PROFILES).map(([role, profile]) => ({
+        role,
+        [`${profile}.verificationStatus`]: 'under_review'
+      }))
+    }).cursor();
+
+    for await (const user of underReview) {
+      if (await VerificationReview.exists({ applicant: user._id, isOpen: true })) continue;
+      await findOpenReview(user);
+      opened += 1;
+    }
+
+    console.log(`\n✅ Opened ${opened} review(s) for profiles already under review`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateVerificationStatus();
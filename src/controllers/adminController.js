@@ -1,5 +1,46 @@
 const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
 const { AppError } = require('../middleware/errorHandler');
+const { revokeAllSessions } = require('../services/sessionService');
+const { unlockAccount } = require('../services/loginProtectionService');
+const { getAdminAccess, validateRoleIds } = require('../services/adminAccessService');
+const { userScopeFilter, isUserInScope } = require('../utils/permissions');
+const { listDocuments } = require('../services/verificationDocumentService');
+const { findOpenReview, decideReview } = require('../services/verificationReviewService');
+
+// ===================
+// DISTRICT SCOPE
+// ===================
+
+// Route middleware for /users/:id and /verify/*/:id - district admins can
+// only reach users in their assigned districts
+const scopeUser = async (req, res, next) => {
+  try {
+    const { districts } = await getAdminAccess(req);
+    if (!districts) return next();
+
+    const user = await User.findById(req.params.id)
+      .select('role address.city guideProfile.operatingDistricts organiserProfile.businessAddress.city');
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (!isUserInScope(user, districts)) {
+      return next(new AppError('This user is outside your assigned districts', 403));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add the admin's district scope to a user query
+const withUserScope = async (req, query) => {
+  const { districts } = await getAdminAccess(req);
+  return districts ? { ...query, $and: [...(query.$and || []), userScopeFilter(districts)] } : query;
+};
 
 // ===================
 // USER MANAGEMENT
@@ -46,6 +87,13 @@ const getAllUsers = async (req, res, next) => {
       query.isBanned = req.query.isBanned === 'true';
     }
 
+    // Filter by login lockout
+    if (req.query.isLocked !== undefined && req.query.isLocked !== '') {
+      query['loginSecurity.lockedUntil'] = req.query.isLocked === 'true'
+        ? { $gt: new Date() }
+        : { $not: { $gt: new Date() } };
+    }
+
     // Filter by city
     if (req.query.city) {
       query['address.city'] = new RegExp(req.query.city, 'i');
@@ -96,13 +144,15 @@ const getAllUsers = async (req, res, next) => {
       }
     }
 
-    const users = await User.find(query)
+    const scopedQuery = await withUserScope(req, query);
+
+    const users = await User.find(scopedQuery)
       .select('-password -passwordResetToken -emailVerificationToken -phoneVerificationOTP')
       .skip(skip)
       .limit(limit)
       .sort(sortOption);
 
-    const total = await User.countDocuments(query);
+    const total = await User.countDocuments(scopedQuery);
 
     // Format users for frontend
     const formattedUsers = users.map(user => ({
@@ -118,6 +168,9 @@ const getAllUsers = async (req, res, next) => {
       isActive: user.isActive,
       isBanned: user.isBanned,
       banReason: user.banReason,
+      isLocked: user.isLocked,
+      lockedUntil: user.isLocked ? user.loginSecurity.lockedUntil : null,
+      failedLoginAttempts: user.loginSecurity?.failedAttempts || 0,
       isEmailVerified: user.isEmailVerified,
       isPhoneVerified: user.isPhoneVerified,
       createdAt: user.createdAt,
@@ -146,7 +199,9 @@ const getAllUsers = async (req, res, next) => {
       ...(user.role === 'admin' && {
         adminProfile: {
           department: user.adminProfile?.department,
-          permissions: user.adminProfile?.permissions
+          permissions: user.adminProfile?.permissions,
+          roles: user.adminProfile?.roles,
+          assignedDistricts: user.adminProfile?.assignedDistricts
         }
       }),
       ...(user.role === 'tourist' && {
@@ -255,6 +310,10 @@ const updateUser = async (req, res, next) => {
   try {
     const { role, isActive, isBanned, banReason } = req.body;
 
+    if (role === 'admin' && !(await getAdminAccess(req)).isSuperAdmin) {
+      return next(new AppError('Only super admins can make a user an admin', 403));
+    }
+
     const updates = {};
     if (role) updates.role = role;
     if (isActive !== undefined) updates.isActive = isActive;
@@ -273,6 +332,10 @@ const updateUser = async (req, res, next) => {
       return next(new AppError('User not found', 404));
     }
 
+    if (isActive === false || isBanned === true) {
+      await revokeAllSessions(user._id, isBanned ? 'Account banned' : 'Account deactivated');
+    }
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -304,6 +367,8 @@ const deleteUser = async (req, res, next) => {
     user.email = `deleted_${Date.now()}_${user.email}`;
     await user.save({ validateBeforeSave: false });
 
+    await revokeAllSessions(user._id, 'Account deleted');
+
     res.status(200).json({
       success: true,
       message: 'User deleted successfully'
@@ -334,6 +399,10 @@ const banUser = async (req, res, next) => {
     user.banReason = isBanned ? reason : null;
     await user.save({ validateBeforeSave: false });
 
+    if (isBanned) {
+      await revokeAllSessions(user._id, 'Account banned');
+    }
+
     res.status(200).json({
       success: true,
       message: isBanned ? 'User banned successfully' : 'User unbanned successfully',
@@ -347,6 +416,26 @@ const banUser = async (req, res, next) => {
   }
 };
 
+// @desc    Lift a login lockout
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private (Admin)
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await unlockAccount(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: {
+        isLocked: user.isLocked,
+        lockCount: user.loginSecurity?.lockCount || 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ===================
 // VERIFICATION MANAGEMENT
 // ===================
@@ -380,6 +469,8 @@ const getPendingVerifications = async (req, res, next) => {
       });
     }
 
+    query = await withUserScope(req, query);
+
     const users = await User.find(query)
       .select('firstName lastName email phone role guideProfile organiserProfile createdAt')
       .skip(skip)
@@ -388,10 +479,16 @@ const getPendingVerifications = async (req, res, next) => {
 
     const total = await User.countDocuments(query);
 
+    // Documents are private - reviewers get short-lived signed links
+    const verifications = await Promise.all(users.map(async (user) => ({
+      ...user.toObject(),
+      documents: await listDocuments(user)
+    })));
+
     res.status(200).json({
       success: true,
       data: {
-        verifications: users,
+        verifications,
         pagination: {
           page,
           limit,
@@ -405,45 +502,39 @@ const getPendingVerifications = async (req, res, next) => {
   }
 };
 
-// @desc    Verify guide
-// @route   PUT /api/admin/verify/guide/:id
-// @access  Private (Admin)
-const verifyGuide = async (req, res, next) => {
+// Single-step approve/reject, kept for existing clients. Goes through the
+// applicant's open review, so the same checklist rules apply as for
+// PUT /api/admin/verification-reviews/:reviewId/decision.
+const decideVerification = async (req, res, next, role, label) => {
   try {
     const { action, rejectionReason } = req.body; // action: 'approve' or 'reject'
 
-    const guide = await User.findOne({ _id: req.params.id, role: 'guide' });
+    const applicant = await User.findOne({ _id: req.params.id, role });
 
-    if (!guide) {
-      return next(new AppError('Guide not found', 404));
+    if (!applicant) {
+      return next(new AppError(`${label} not found`, 404));
     }
 
-    if (guide.guideProfile.verificationStatus !== 'under_review') {
-      return next(new AppError('This guide is not pending verification', 400));
+    const decision = { approve: 'verified', reject: 'rejected' }[action];
+    if (!decision) {
+      return next(new AppError('Invalid action. Use "approve" or "reject"', 400));
     }
 
-    if (action === 'approve') {
-      guide.guideProfile.isVerified = true;
-      guide.guideProfile.verificationStatus = 'approved';
-      guide.guideProfile.verifiedAt = Date.now();
-      guide.guideProfile.verifiedBy = req.user.id;
-      guide.guideProfile.rejectionReason = null;
-    } else if (action === 'reject') {
-      guide.guideProfile.isVerified = false;
-      guide.guideProfile.verificationStatus = 'rejected';
-      guide.guideProfile.rejectionReason = rejectionReason;
-    } else {
-      return next(new AppError('Invalid action. Use "approve" or "reject"', 400));
+    const review = await findOpenReview(applicant);
+    if (!review) {
+      return next(new AppError(`This ${role} is not pending verification`, 400));
     }
 
-    await guide.save();
+    const { applicant: updated } = await decideReview(review, { decision, reason: rejectionReason }, req.user);
+    const profile = role === 'guide' ? updated.guideProfile : updated.organiserProfile;
 
     res.status(200).json({
       success: true,
-      message: action === 'approve' ? 'Guide verified successfully' : 'Guide verification rejected',
+      message: decision === 'verified' ? `${label} verified successfully` : `${label} verification rejected`,
       data: {
-        verificationStatus: guide.guideProfile.verificationStatus,
-        isVerified: guide.guideProfile.isVerified
+        verificationStatus: profile.verificationStatus,
+        isVerified: profile.isVerified,
+        reviewId: review._id
       }
     });
   } catch (error) {
@@ -451,51 +542,15 @@ const verifyGuide = async (req, res, next) => {
   }
 };
 
+// @desc    Verify guide
+// @route   PUT /api/admin/verify/guide/:id
+// @access  Private (Admin)
+const verifyGuide = (req, res, next) => decideVerification(req, res, next, 'guide', 'Guide');
+
 // @desc    Verify organiser
 // @route   PUT /api/admin/verify/organiser/:id
 // @access  Private (Admin)
-const verifyOrganiser = async (req, res, next) => {
-  try {
-    const { action, rejectionReason } = req.body;
-
-    const organiser = await User.findOne({ _id: req.params.id, role: 'organiser' });
-
-    if (!organiser) {
-      return next(new AppError('Organiser not found', 404));
-    }
-
-    if (organiser.organiserProfile.verificationStatus !== 'under_review') {
-      return next(new AppError('This organiser is not pending verification', 400));
-    }
-
-    if (action === 'approve') {
-      organiser.organiserProfile.isVerified = true;
-      organiser.organiserProfile.verificationStatus = 'approved';
-      organiser.organiserProfile.verifiedAt = Date.now();
-      organiser.organiserProfile.verifiedBy = req.user.id;
-      organiser.organiserProfile.rejectionReason = null;
-    } else if (action === 'reject') {
-      organiser.organiserProfile.isVerified = false;
-      organiser.organiserProfile.verificationStatus = 'rejected';
-      organiser.organiserProfile.rejectionReason = rejectionReason;
-    } else {
-      return next(new AppError('Invalid action. Use "approve" or "reject"', 400));
-    }
-
-    await organiser.save();
-
-    res.status(200).json({
-      success: true,
-      message: action === 'approve' ? 'Organiser verified successfully' : 'Organiser verification rejected',
-      data: {
-        verificationStatus: organiser.organiserProfile.verificationStatus,
-        isVerified: organiser.organiserProfile.isVerified
-      }
-    });
-  } catch (error) {
-    next(error);
-  }
-};
+const verifyOrganiser = (req, res, next) => decideVerification(req, res, next, 'organiser', 'Organiser');
 
 // ===================
 // DASHBOARD & ANALYTICS
@@ -908,7 +963,7 @@ const searchUsers = async (req, res, next) => {
 
     const searchRegex = new RegExp(q, 'i');
 
-    const users = await User.find({
+    const query = await withUserScope(req, {
       $or: [
         { firstName: searchRegex },
         { lastName: searchRegex },
@@ -916,7 +971,9 @@ const searchUsers = async (req, res, next) => {
         { phone: searchRegex },
         { 'organiserProfile.companyName': searchRegex }
       ]
-    })
+    });
+
+    const users = await User.find(query)
     .select('firstName lastName email phone role profilePicture isActive isBanned createdAt')
     .limit(20)
     .sort({ createdAt: -1 });
@@ -953,7 +1010,7 @@ const exportUsers = async (req, res, next) => {
       query.role = role;
     }
 
-    const users = await User.find(query)
+    const users = await User.find(await withUserScope(req, query))
       .select('-password -passwordResetToken -emailVerificationToken -phoneVerificationOTP')
       .sort({ createdAt: -1 });
 
@@ -995,15 +1052,76 @@ const exportUsers = async (req, res, next) => {
   }
 };
 
+// @desc    Get security policy
+// @route   GET /api/admin/security/policy
+// @access  Private (Super Admin)
+const getSecurityPolicy = async (req, res, next) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update two-factor requirements
+// @route   PUT /api/admin/security/policy
+// @access  Private (Super Admin)
+const updateSecurityPolicy = async (req, res, next) => {
+  try {
+    const { requiredRoles, stepUpPermissions, recentMinutes } = req.body.twoFactor || {};
+    const permissionOptions = User.schema.path('adminProfile').schema.path('permissions').caster.enumValues;
+
+    const updates = {};
+    if (requiredRoles !== undefined) {
+      updates['twoFactor.requiredRoles'] = requiredRoles;
+    }
+    if (stepUpPermissions !== undefined) {
+      const unknown = [].concat(stepUpPermissions).filter(p => !permissionOptions.includes(p));
+      if (unknown.length > 0) {
+        return next(new AppError(`Unknown permission(s): ${unknown.join(', ')}`, 400));
+      }
+      updates['twoFactor.stepUpPermissions'] = stepUpPermissions;
+    }
+    if (recentMinutes !== undefined) {
+      updates['twoFactor.recentMinutes'] = recentMinutes;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return next(new AppError('Nothing to update', 400));
+    }
+
+    await SecurityPolicy.getPolicy();
+    const policy = await SecurityPolicy.findOneAndUpdate(
+      {},
+      { $set: { ...updates, updatedBy: req.user.id } },
+      { new: true, runValidators: true }
+    );
+    SecurityPolicy.clearCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Security policy updated',
+      data: policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Create admin user
 // @route   POST /api/admin/create-admin
 // @access  Private (Super Admin)
 const createAdmin = async (req, res, next) => {
   try {
-    const { email, password, phone, firstName, lastName, department, permissions } = req.body;
+    const { email, password, phone, firstName, lastName, department, permissions, roles, assignedDistricts } = req.body;
 
-    // Check if requester has full_access
-    if (!req.user.adminProfile?.permissions?.includes('full_access')) {
+    // Check if requester has full_access (directly or through a role)
+    if (!(await getAdminAccess(req)).isSuperAdmin) {
       return next(new AppError('Only super admins can create new admins', 403));
     }
 
@@ -1021,7 +1139,10 @@ const createAdmin = async (req, res, next) => {
       role: 'admin',
       adminProfile: {
         department,
-        permissions: permissions || ['view_analytics']
+        // With roles given, no direct permissions unless asked for
+        permissions: permissions || (roles ? [] : ['view_analytics']),
+        roles: await validateRoleIds(roles),
+        assignedDistricts
       }
     });
 
@@ -1038,11 +1159,13 @@ const createAdmin = async (req, res, next) => {
 };
 
 module.exports = {
+  scopeUser,
   getAllUsers,
   getUserById,
   updateUser,
   deleteUser,
   banUser,
+  unlockUser,
   getPendingVerifications,
   verifyGuide,
   verifyOrganiser,
@@ -1052,5 +1175,7 @@ module.exports = {
   getRecentActivity,
   searchUsers,
   exportUsers,
+  getSecurityPolicy,
+  updateSecurityPolicy,
   createAdmin
 };
\ No newline at end of file
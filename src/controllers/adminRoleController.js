@@ -0,0 +1,205 @@
+const AdminRole = require('../models/AdminRole');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { resolveAdminAccess, validateRoleIds } = require('../services/adminAccessService');
+const { ADMIN_PERMISSIONS, ADMIN_DISTRICTS } = require('../utils/permissions');
+
+// ===================
+// ROLES
+// ===================
+
+// @desc    List admin roles (with how many admins hold each)
+// @route   GET /api/admin/roles
+// @access  Private (Super Admin)
+const getRoles = async (req, res, next) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      AdminRole.find().sort({ name: 1 }).lean(),
+      User.aggregate([
+        { $match: { role: 'admin', 'adminProfile.roles.0': { $exists: true } } },
+        { $unwind: '$adminProfile.roles' },
+        { $group: { _id: '$adminProfile.roles', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByRole = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({ ...role, adminCount: countByRole.get(role._id.toString()) || 0 })),
+        permissions: ADMIN_PERMISSIONS,
+        districts: ADMIN_DISTRICTS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create admin role
+// @route   POST /api/admin/roles
+// @access  Private (Super Admin)
+const createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const existing = await AdminRole.findOne({ name: String(name || '').toLowerCase().trim() });
+    if (existing) {
+      return next(new AppError('A role with this name already exists', 400));
+    }
+
+    const role = await AdminRole.create({
+      name,
+      description,
+      permissions,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update admin role (name, description, permissions)
+// @route   PUT /api/admin/roles/:id
+// @access  Private (Super Admin)
+const updateRole = async (req, res, next) => {
+  try {
+    const role = await AdminRole.findById(req.params.id);
+
+    if (!role) {
+      return next(new AppError('Role not found', 404));
+    }
+
+    ['name', 'description', 'permissions'].forEach(field => {
+      if (req.body[field] !== undefined) role[field] = req.body[field];
+    });
+    role.updatedBy = req.user.id;
+
+    await role.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete admin role (revoked from every admin holding it)
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (Super Admin)
+const deleteRole = async (req, res, next) => {
+  try {
+    const role = await AdminRole.findById(req.params.id);
+
+    if (!role) {
+      return next(new AppError('Role not found', 404));
+    }
+
+    const { modifiedCount } = await User.updateMany(
+      { 'adminProfile.roles': role._id },
+      { $pull: { 'adminProfile.roles': role._id } }
+    );
+    await role.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: `Role deleted and revoked from ${modifiedCount} admin(s)`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===================
+// ADMIN ACCESS
+// ===================
+
+// @desc    Get an admin's roles, permissions and districts
+// @route   GET /api/admin/users/:id/access
+// @access  Private (Super Admin)
+const getAdminAccessById = async (req, res, next) => {
+  try {
+    const admin = await User.findOne({ _id: req.params.id, role: 'admin' });
+
+    if (!admin) {
+      return next(new AppError('Admin not found', 404));
+    }
+
+    const access = await resolveAdminAccess(admin);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles: admin.adminProfile?.roles || [],
+        directPermissions: admin.adminProfile?.permissions || [],
+        assignedDistricts: admin.adminProfile?.assignedDistricts || [],
+        effective: access
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Assign or revoke roles, direct permissions and districts of an admin
+// @route   PUT /api/admin/users/:id/access
+// @access  Private (Super Admin)
+const updateAdminAccess = async (req, res, next) => {
+  try {
+    const { roles, permissions, assignedDistricts } = req.body;
+
+    const admin = await User.findOne({ _id: req.params.id, role: 'admin' });
+
+    if (!admin) {
+      return next(new AppError('Admin not found', 404));
+    }
+
+    if (admin._id.toString() === req.user.id) {
+      return next(new AppError('You cannot change your own access', 400));
+    }
+
+    if (roles !== undefined) {
+      admin.set('adminProfile.roles', await validateRoleIds(roles));
+    }
+    if (permissions !== undefined) {
+      admin.set('adminProfile.permissions', permissions);
+    }
+    if (assignedDistricts !== undefined) {
+      admin.set('adminProfile.assignedDistricts', assignedDistricts);
+    }
+
+    await admin.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin access updated successfully',
+      data: {
+        roles: admin.adminProfile.roles,
+        directPermissions: admin.adminProfile.permissions,
+        assignedDistricts: admin.adminProfile.assignedDistricts,
+        effective: await resolveAdminAccess(admin)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getAdminAccessById,
+  updateAdminAccess
+};
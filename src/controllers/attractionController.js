@@ -1,6 +1,41 @@
+const mongoose = require('mongoose');
 const Attraction = require('../models/Attraction');
 const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
+const { getAdminAccess } = require('../services/adminAccessService');
+const { attractionScopeFilter, isDistrictInScope } = require('../utils/permissions');
+const { storeImage, storeImages, toImageFields, attachAssets, deleteAsset } = require('../services/imageService');
+const attractionReviews = require('../services/attractionReviewService');
+
+// District in a create/update body, whichever way it was sent
+const districtFromBody = (body) => body['location.district'] || body.location?.district;
+
+// =============================================
+// DISTRICT SCOPE
+// =============================================
+
+// Param handler for :id on admin routes - district admins can only reach
+// attractions in their assigned districts
+const scopeAttraction = async (req, res, next, id) => {
+  try {
+    const { districts } = await getAdminAccess(req);
+    if (!districts) return next();
+
+    const attraction = await Attraction.findById(id).select('location.district');
+
+    if (!attraction) {
+      return next(new AppError('Attraction not found', 404));
+    }
+
+    if (!isDistrictInScope(attraction.location?.district, districts)) {
+      return next(new AppError('This attraction is outside your assigned districts', 403));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
 // =============================================
 // ADMIN CRUD OPERATIONS
@@ -11,6 +46,11 @@ const { AppError } = require('../middleware/errorHandler');
 // @access  Private (Admin)
 const createAttraction = async (req, res, next) => {
   try {
+    const { districts } = await getAdminAccess(req);
+    if (!isDistrictInScope(districtFromBody(req.body), districts)) {
+      return next(new AppError('You can only add attractions in your assigned districts', 403));
+    }
+
     const attractionData = {
       ...req.body,
       createdBy: req.user.id
@@ -37,8 +77,9 @@ const getAllAttractions = async (req, res, next) => {
     const limit = parseInt(req.query.limit, 10) || 20;
     const skip = (page - 1) * limit;
 
-    // Build query
-    const query = {};
+    // Build query (limited to the admin's districts)
+    const { districts } = await getAdminAccess(req);
+    const query = { ...attractionScopeFilter(districts) };
 
     // Filter by city
     if (req.query.city) {
@@ -47,6 +88,9 @@ const getAllAttractions = async (req, res, next) => {
 
     // Filter by district
     if (req.query.district) {
+      if (!isDistrictInScope(req.query.district, districts)) {
+        return next(new AppError('This district is outside your assigned districts', 403));
+      }
       query['location.district'] = req.query.district;
     }
 
@@ -191,6 +235,13 @@ const updateAttraction = async (req, res, next) => {
       return next(new AppError('Attraction not found', 404));
     }
 
+    // Moving it to another district needs that district in scope too
+    const { districts } = await getAdminAccess(req);
+    const newDistrict = districtFromBody(req.body);
+    if (newDistrict && !isDistrictInScope(newDistrict, districts)) {
+      return next(new AppError('You can only move attractions to your assigned districts', 403));
+    }
+
     // Update with new data
     const updatedData = {
       ...req.body,
@@ -356,22 +407,44 @@ const verifyAttraction = async (req, res, next) => {
 // MEDIA MANAGEMENT
 // =============================================
 
-// @desc    Add images to attraction
+// @desc    Add images to attraction - upload files (multipart field "images",
+//          with optional caption/altText/category for all of them) or send
+//          { images: [{ url, ... }] } for pre-hosted images
 // @route   POST /api/admin/attractions/:id/images
 // @access  Private (Admin)
 const addImages = async (req, res, next) => {
-  try {
-    const { images } = req.body; // Array of image objects
+  let assets = [];
+  let saved = false;
 
+  try {
     const attraction = await Attraction.findById(req.params.id);
 
     if (!attraction) {
       return next(new AppError('Attraction not found', 404));
     }
 
+    let images = req.body.images;
+
+    if (req.files?.length) {
+      const { caption, altText, category } = req.body;
+
+      assets = await storeImages(req.files, {
+        ownerType: 'Attraction',
+        owner: attraction._id,
+        uploadedBy: req.user.id
+      });
+      images = assets.map(asset => ({ ...toImageFields(asset), caption, altText, category }));
+    }
+
+    if (!Array.isArray(images) || !images.length) {
+      return next(new AppError('Upload at least one image or provide an images array', 400));
+    }
+
     attraction.images.push(...images);
     attraction.updatedBy = req.user.id;
     await attraction.save();
+    saved = true;
+    await attachAssets(assets);
 
     res.status(200).json({
       success: true,
@@ -379,11 +452,12 @@ const addImages = async (req, res, next) => {
       data: attraction.images
     });
   } catch (error) {
+    if (!saved) await Promise.all(assets.map(deleteAsset));
     next(error);
   }
 };
 
-// @desc    Remove image from attraction
+// @desc    Remove image from attraction (uploaded files are deleted too)
 // @route   DELETE /api/admin/attractions/:id/images/:imageIndex
 // @access  Private (Admin)
 const removeImage = async (req, res, next) => {
@@ -400,10 +474,14 @@ const removeImage = async (req, res, next) => {
       return next(new AppError('Image not found', 404));
     }
 
-    attraction.images.splice(imageIndex, 1);
+    const [removed] = attraction.images.splice(imageIndex, 1);
     attraction.updatedBy = req.user.id;
     await attraction.save();
 
+    if (removed?.asset) {
+      await deleteAsset(removed.asset);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Image removed successfully'
@@ -413,10 +491,13 @@ const removeImage = async (req, res, next) => {
   }
 };
 
-// @desc    Update thumbnail
+// @desc    Update thumbnail - upload a file (multipart field "image") or send { url }
 // @route   PUT /api/admin/attractions/:id/thumbnail
 // @access  Private (Admin)
 const updateThumbnail = async (req, res, next) => {
+  let asset;
+  let saved = false;
+
   try {
     const { url, altText } = req.body;
 
@@ -426,9 +507,29 @@ const updateThumbnail = async (req, res, next) => {
       return next(new AppError('Attraction not found', 404));
     }
 
-    attraction.thumbnail = { url, altText };
+    if (!req.file && !url) {
+      return next(new AppError('Upload an image or provide a url', 400));
+    }
+
+    const previousAsset = attraction.thumbnail?.asset;
+
+    if (req.file) {
+      asset = await storeImage(req.file, {
+        ownerType: 'Attraction',
+        owner: attraction._id,
+        uploadedBy: req.user.id
+      });
+      // Listings show the thumbnail, so it points at the card-sized variant
+      attraction.thumbnail = { ...toImageFields(asset), url: asset.variants.card.url, altText };
+    } else {
+      attraction.thumbnail = { url, altText };
+    }
     attraction.updatedBy = req.user.id;
     await attraction.save();
+    saved = true;
+
+    if (asset) await attachAssets([asset]);
+    if (previousAsset) await deleteAsset(previousAsset);
 
     res.status(200).json({
       success: true,
@@ -436,6 +537,7 @@ const updateThumbnail = async (req, res, next) => {
       data: attraction.thumbnail
     });
   } catch (error) {
+    if (asset && !saved) await deleteAsset(asset);
     next(error);
   }
 };
@@ -577,6 +679,176 @@ const removeEvent = async (req, res, next) => {
   }
 };
 
+// =============================================
+// REVIEW MODERATION
+// =============================================
+
+// Queue filters on the unwound reviews
+const MODERATION_QUEUES = {
+  held: { 'reviews.status': 'held' },
+  hidden: { 'reviews.status': 'hidden' },
+  reported: { 'reviews.status': { $ne: 'hidden' }, 'reviews.reports': { $elemMatch: { resolved: false } } }
+};
+
+// @desc    Review moderation queue across attractions (oldest first)
+// @route   GET /api/admin/attractions/reviews/moderation
+// @access  Private (Admin)
+// Query: queue (held|reported|hidden, default held), attraction
+const getReviewModerationQueue = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const queue = req.query.queue || 'held';
+    const filter = MODERATION_QUEUES[queue];
+    if (!filter) {
+      return next(new AppError(`Queue must be one of: ${Object.keys(MODERATION_QUEUES).join(', ')}`, 400));
+    }
+
+    const { districts } = await getAdminAccess(req);
+    const match = { ...attractionScopeFilter(districts) };
+    if (req.query.attraction) {
+      if (!mongoose.isValidObjectId(req.query.attraction)) {
+        return next(new AppError('Invalid attraction ID', 400));
+      }
+      match._id = new mongoose.Types.ObjectId(req.query.attraction);
+    }
+
+    const [result] = await Attraction.aggregate([
+      { $match: match },
+      { $unwind: '$reviews' },
+      { $match: filter },
+      { $sort: { 'reviews.createdAt': 1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                attraction: { _id: '$_id', name: '$name', slug: '$slug', district: '$location.district' },
+                review: '$reviews'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const items = await Attraction.populate(result.items, [
+      { path: 'review.user', model: 'User', select: 'firstName lastName email' },
+      { path: 'review.reports.user', model: 'User', select: 'firstName lastName email' },
+      { path: 'review.moderation.moderatedBy', model: 'User', select: 'firstName lastName' }
+    ]);
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        queue,
+        reviews: items.map(({ attraction, review }) => ({
+          attraction,
+          review: {
+            ...review,
+            helpfulVotes: undefined,
+            openReports: (review.reports || []).filter(report => !report.resolved).length
+          }
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Hide (reason required) or restore a review
+// @route   PUT /api/admin/attractions/:id/reviews/:reviewId/moderate
+// @access  Private (Admin)
+const moderateReview = async (req, res, next) => {
+  try {
+    const { action, reason } = req.body; // action: 'hide' or 'restore'
+
+    const attraction = await Attraction.findById(req.params.id);
+
+    if (!attraction) {
+      return next(new AppError('Attraction not found', 404));
+    }
+
+    const review = await attractionReviews.moderateReview(attraction, req.params.reviewId, { action, reason }, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: action === 'hide' ? 'Review hidden' : 'Review restored',
+      data: {
+        review,
+        ratings: attraction.ratings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Correct a review's aspect scores (null clears one)
+// @route   PUT /api/admin/attractions/:id/reviews/:reviewId/aspects
+// @access  Private (Admin)
+const updateReviewAspects = async (req, res, next) => {
+  try {
+    const attraction = await Attraction.findById(req.params.id);
+
+    if (!attraction) {
+      return next(new AppError('Attraction not found', 404));
+    }
+
+    const review = await attractionReviews.updateAspectScores(attraction, req.params.reviewId, req.body.aspects);
+
+    res.status(200).json({
+      success: true,
+      message: 'Aspect scores updated successfully',
+      data: {
+        aspects: review.aspects,
+        ratings: attraction.ratings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a review (reason required - sent to the author)
+// @route   DELETE /api/admin/attractions/:id/reviews/:reviewId
+// @access  Private (Admin)
+const deleteReview = async (req, res, next) => {
+  try {
+    const attraction = await Attraction.findById(req.params.id);
+
+    if (!attraction) {
+      return next(new AppError('Attraction not found', 404));
+    }
+
+    await attractionReviews.deleteReview(attraction, req.params.reviewId, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+      data: {
+        ratings: attraction.ratings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // =============================================
 // STATISTICS & ANALYTICS
 // =============================================
@@ -586,7 +858,10 @@ const removeEvent = async (req, res, next) => {
 // @access  Private (Admin)
 const getAttractionStats = async (req, res, next) => {
   try {
+    const { districts } = await getAdminAccess(req);
+
     const stats = await Attraction.aggregate([
+      { $match: attractionScopeFilter(districts) },
       {
         $facet: {
           total: [{ $count: 'count' }],
@@ -697,8 +972,10 @@ const getAttractionStats = async (req, res, next) => {
 // @access  Private (Admin)
 const getCitySummary = async (req, res, next) => {
   try {
+    const { districts } = await getAdminAccess(req);
+
     const cities = await Attraction.aggregate([
-      { $match: { isActive: true } },
+      { $match: { isActive: true, ...attractionScopeFilter(districts) } },
       {
         $group: {
           _id: '$location.city',
@@ -763,8 +1040,11 @@ const bulkUpdate = async (req, res, next) => {
 
     updateData.updatedBy = req.user.id;
 
+    // Attractions outside the admin's districts are left alone
+    const { districts } = await getAdminAccess(req);
+
     const result = await Attraction.updateMany(
-      { _id: { $in: ids } },
+      { _id: { $in: ids }, ...attractionScopeFilter(districts) },
       updateData
     );
 
@@ -788,7 +1068,10 @@ const bulkDelete = async (req, res, next) => {
       return next(new AppError('Please provide attraction IDs', 400));
     }
 
-    const result = await Attraction.deleteMany({ _id: { $in: ids } });
+    // Attractions outside the admin's districts are left alone
+    const { districts } = await getAdminAccess(req);
+
+    const result = await Attraction.deleteMany({ _id: { $in: ids }, ...attractionScopeFilter(districts) });
 
     res.status(200).json({
       success: true,
@@ -833,6 +1116,8 @@ const getPublicAttractions = async (req, res, next) => {
     if (req.query.freeEntry === 'true') {
       query.isFreeEntry = true;
     }
+    // Aspect scores (minCleanliness, minAccessibility, ...)
+    Object.assign(query, Attraction.aspectFilters(req.query));
 
     // Search
     if (req.query.search) {
@@ -845,10 +1130,12 @@ const getPublicAttractions = async (req, res, next) => {
       sortOption = { 'ratings.overall': -1 };
     } else if (req.query.sortBy === 'name') {
       sortOption = { name: 1 };
+    } else if (Attraction.aspectSort(req.query.sortBy)) {
+      sortOption = Attraction.aspectSort(req.query.sortBy);
     }
 
     const attractions = await Attraction.find(query)
-      .select('name slug shortDescription thumbnail location category ratings.overall recommendedDuration isFreeEntry isUNESCOSite tags')
+      .select('name slug shortDescription thumbnail location category ratings.overall ratings.aspects recommendedDuration isFreeEntry isUNESCOSite tags')
       .skip(skip)
       .limit(limit)
       .sort(sortOption);
@@ -882,6 +1169,7 @@ const getAttractionBySlug = async (req, res, next) => {
       isActive: true
     })
     .populate('nearbyAttractions.attraction', 'name slug thumbnail location.city ratings.overall')
+    .populate('reviews.user', 'firstName lastName profilePicture')
     .select('-adminNotes -createdBy -updatedBy -verifiedBy');
 
     if (!attraction) {
@@ -892,9 +1180,13 @@ const getAttractionBySlug = async (req, res, next) => {
     attraction.analytics.viewCount += 1;
     await attraction.save();
 
+    // Held/hidden reviews, votes and reports are not public
+    const data = attraction.toJSON();
+    data.reviews = attraction.reviews.filter(attractionReviews.isVisible).map(review => attractionReviews.toPublicReview(review));
+
     res.status(200).json({
       success: true,
-      data: attraction
+      data
     });
   } catch (error) {
     next(error);
@@ -1049,6 +1341,8 @@ const getCategories = async (req, res, next) => {
 };
 
 module.exports = {
+  // District scope
+  scopeAttraction,
   // Admin CRUD
   createAttraction,
   getAllAttractions,
@@ -1073,6 +1367,12 @@ module.exports = {
   addEvent,
   removeEvent,
   
+  // Review Moderation
+  getReviewModerationQueue,
+  moderateReview,
+  updateReviewAspects,
+  deleteReview,
+  
   // Statistics
   getAttractionStats,
   getCitySummary,
@@ -0,0 +1,118 @@
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middleware/errorHandler');
+const { buildAuditFilter } = require('../services/auditService');
+
+// Exports are capped so a wide date range can't exhaust memory
+const MAX_EXPORT_ROWS = 10000;
+
+// @desc    Query the audit log
+// @route   GET /api/admin/audit-logs
+// @access  Private (view_audit_logs)
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const filter = buildAuditFilter(req.query);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'firstName lastName email role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get one audit log entry
+// @route   GET /api/admin/audit-logs/:id
+// @access  Private (view_audit_logs)
+const getAuditLogById = async (req, res, next) => {
+  try {
+    const log = await AuditLog.findById(req.params.id)
+      .populate('actor', 'firstName lastName email role');
+
+    if (!log) {
+      return next(new AppError('Audit log entry not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export the audit log (same filters as the query)
+// @route   GET /api/admin/audit-logs/export
+// @access  Private (Super Admin)
+const exportAuditLogs = async (req, res, next) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    const logs = await AuditLog.find(buildAuditFilter(req.query))
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    if (format === 'csv') {
+      const csvValue = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+      const headers = ['createdAt', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId', 'changedFields', 'method', 'path', 'ip', 'requestId'];
+      const rows = logs.map(log => [
+        log.createdAt.toISOString(),
+        log.actorEmail,
+        log.actorRole,
+        log.action,
+        log.targetType,
+        log.targetId,
+        log.changes.flatMap(change => change.diff.map(d => `${change.targetType}.${d.path}`)).join(' '),
+        log.method,
+        log.path,
+        log.ip,
+        log.requestId
+      ].map(csvValue).join(','));
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=audit_log_export.csv');
+      return res.send(`${headers.join(',')}\n${rows.join('\n')}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: logs,
+      count: logs.length,
+      truncated: logs.length === MAX_EXPORT_ROWS,
+      exportedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getAuditLogById,
+  exportAuditLogs
+};
@@ -1,5 +1,28 @@
 const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
+const { notify } = require('../services/notifications');
+const {
+  sendEmailVerification,
+  confirmEmailVerification,
+  sendPhoneOTP,
+  confirmPhoneOTP
+} = require('../services/verificationService');
+const Session = require('../models/Session');
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessionService');
+const { isTwoFactorRequired, createChallenge } = require('../services/twoFactorService');
+const {
+  assertIpAllowed,
+  assertAccountAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockWithToken
+} = require('../services/loginProtectionService');
+const { getClientIp } = require('../utils/helpers');
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -62,8 +85,13 @@ const register = async (req, res, next) => {
     // Create user
     const user = await User.create(userData);
 
-    // Generate token
-    const token = user.generateAuthToken();
+    // Send the verification link straight away - failures are retried via /verify-email/request
+    sendEmailVerification(user._id).catch(err => {
+      console.error(`❌ Verification email for ${user.email} failed: ${err.message}`);
+    });
+
+    // Start a session
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     // Remove password from response
     user.password = undefined;
@@ -81,7 +109,8 @@ const register = async (req, res, next) => {
       message,
       data: {
         user,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -95,32 +124,58 @@ const register = async (req, res, next) => {
 const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
+    const ip = getClientIp(req);
+
+    await assertIpAllowed(ip);
 
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await recordFailedLogin(null, ip);
       return next(new AppError('Invalid email or password', 401));
     }
 
+    // Locked, or retrying faster than the progressive delay allows
+    assertAccountAllowed(user);
+
     // Check if account is active
     if (!user.isActive) {
       return next(new AppError('Your account has been deactivated. Please contact support.', 401));
     }
 
+    if (user.isBanned) {
+      return next(new AppError('Your account has been suspended. Please contact support.', 403));
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+      await recordFailedLogin(user, ip);
       return next(new AppError('Invalid email or password', 401));
     }
 
+    // With 2FA on, the session is only created (and failures cleared) once the code is checked (POST /2fa/login)
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createChallenge(user)
+        }
+      });
+    }
+
+    await recordSuccessfulLogin(user);
+
     // Update last login
     user.lastLogin = Date.now();
     await user.save({ validateBeforeSave: false });
 
-    // Generate token
-    const token = user.generateAuthToken();
+    // Start a session
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     // Remove password from response
     user.password = undefined;
@@ -130,7 +185,10 @@ const login = async (req, res, next) => {
       message: 'Login successful',
       data: {
         user,
-        token
+        token,
+        refreshToken,
+        // Policy requires 2FA but the user hasn't set it up - only /2fa routes work until they do
+        twoFactorSetupRequired: await isTwoFactorRequired(user)
       }
     });
   } catch (error) {
@@ -185,6 +243,12 @@ const updateProfile = async (req, res, next) => {
       }
     }
 
+    // A new number has to be verified again
+    if (updates.phone && updates.phone !== req.user.phone) {
+      updates.isPhoneVerified = false;
+      updates.$unset = { phoneVerificationOTP: '', phoneVerificationExpire: '', phoneVerificationSentAt: '' };
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       updates,
@@ -221,13 +285,14 @@ const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
-    // Generate new token
-    const token = user.generateAuthToken();
+    // Sign out every device, then start a fresh session for this one
+    await revokeAllSessions(user._id, 'Password changed');
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully',
-      data: { token }
+      message: 'Password changed successfully. Other devices have been signed out.',
+      data: { token, refreshToken }
     });
   } catch (error) {
     next(error);
@@ -243,21 +308,29 @@ const forgotPassword = async (req, res, next) => {
 
     const user = await User.findOne({ email });
 
-    if (!user) {
-      return next(new AppError('No user found with that email', 404));
+    // Same answer whether or not the email is registered, so it can't be used to probe for accounts
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, password reset instructions have been sent'
+    };
+
+    if (!user || !user.isActive || user.isBanned) {
+      return res.status(200).json(response);
     }
 
     // Generate reset token
     const resetToken = user.generatePasswordResetToken();
     await user.save({ validateBeforeSave: false });
 
-    // In production, send email with reset link
-    // For now, just return the token (development only)
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
 
+    await notify(user, 'password_reset', {
+      resetUrl,
+      expiresInMinutes: Math.round((user.passwordResetExpire - Date.now()) / 60000)
+    });
+
     res.status(200).json({
-      success: true,
-      message: 'Password reset instructions sent to email',
+      ...response,
       // Remove this in production - only for development
       ...(process.env.NODE_ENV === 'development' && { resetUrl, resetToken })
     });
@@ -295,13 +368,115 @@ const resetPassword = async (req, res, next) => {
     user.passwordResetExpire = undefined;
     await user.save();
 
-    // Generate new token
-    const token = user.generateAuthToken();
+    // Whoever had the old password is signed out
+    await revokeAllSessions(user._id, 'Password reset');
+
+    // A reset link must not skip the second factor - log in normally instead
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Password reset successful. Please log in.'
+      });
+    }
+
+    const { accessToken: token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Password reset successful',
-      data: { token }
+      data: { token, refreshToken }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock an account with the link from the lockout email
+// @route   POST /api/auth/unlock/:token
+// @access  Public
+const unlockAccount = async (req, res, next) => {
+  try {
+    await unlockWithToken(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can log in again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send email verification link
+// @route   POST /api/auth/verify-email/request
+// @access  Private
+const requestEmailVerification = async (req, res, next) => {
+  try {
+    const { token, verifyUrl } = await sendEmailVerification(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification link sent to ${req.user.email}`,
+      // Remove this in production - only for development
+      ...(process.env.NODE_ENV === 'development' && { verifyUrl, token })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm email verification link
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await confirmEmailVerification(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { isEmailVerified: user.isEmailVerified }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send phone verification code
+// @route   POST /api/auth/verify-phone/request
+// @access  Private
+const requestPhoneVerification = async (req, res, next) => {
+  try {
+    const { otp } = await sendPhoneOTP(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification code sent to ******${req.user.phone.slice(-4)}`,
+      // Remove this in production - only for development
+      ...(process.env.NODE_ENV === 'development' && { otp })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm phone verification code
+// @route   POST /api/auth/verify-phone/confirm
+// @access  Private
+const verifyPhone = async (req, res, next) => {
+  try {
+    const { otp } = req.body;
+
+    if (!otp) {
+      return next(new AppError('Verification code is required', 400));
+    }
+
+    const user = await confirmPhoneOTP(req.user.id, otp);
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified successfully',
+      data: { isPhoneVerified: user.isPhoneVerified }
     });
   } catch (error) {
     next(error);
@@ -329,6 +504,8 @@ const deleteAccount = async (req, res, next) => {
     user.email = `deleted_${Date.now()}_${user.email}`;
     await user.save({ validateBeforeSave: false });
 
+    await revokeAllSessions(user._id, 'Account deleted');
+
     res.status(200).json({
       success: true,
       message: 'Account deleted successfully'
@@ -338,13 +515,13 @@ const deleteAccount = async (req, res, next) => {
   }
 };
 
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res, next) => {
   try {
-    // In a more complex setup, you might want to blacklist the token
-    // For now, just send success response (client should delete token)
+    await revokeSession(req.user.id, req.sessionId, 'Logged out');
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -354,6 +531,85 @@ const logout = async (req, res, next) => {
   }
 };
 
+// @desc    Get a new access token with a refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshAccessToken = async (req, res, next) => {
+  try {
+    if (!req.body.refreshToken) {
+      return next(new AppError('Refresh token is required', 400));
+    }
+
+    const { accessToken, refreshToken } = await refreshSession(req.body.refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List my signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find(Session.activeFilter(req.user.id))
+      .select('device userAgent ip lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeMySession = async (req, res, next) => {
+  try {
+    await revokeSession(req.user.id, req.params.id, 'Revoked by user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign out all other devices (or every device with ?includeCurrent=true)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeMySessions = async (req, res, next) => {
+  try {
+    const keep = req.query.includeCurrent === 'true' ? undefined : req.sessionId;
+    const revoked = await revokeAllSessions(req.user.id, 'Revoked by user', keep);
+
+    res.status(200).json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -362,6 +618,15 @@ module.exports = {
   changePassword,
   forgotPassword,
   resetPassword,
+  unlockAccount,
+  requestEmailVerification,
+  verifyEmail,
+  requestPhoneVerification,
+  verifyPhone,
   deleteAccount,
-  logout
+  logout,
+  refreshAccessToken,
+  getSessions,
+  revokeMySession,
+  revokeMySessions
 };
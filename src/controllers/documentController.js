@@ -0,0 +1,135 @@
+const path = require('path');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { DOCUMENT_TYPES } = require('../middleware/upload');
+const { getStorage, verifyDownloadUrl } = require('../services/storage');
+const documentService = require('../services/verificationDocumentService');
+const { reviewDocument: reviewDocumentDecision } = require('../services/verificationReviewService');
+
+const CONTENT_TYPES = Object.fromEntries(
+  Object.entries(DOCUMENT_TYPES).map(([mimeType, { extension }]) => [extension, mimeType])
+);
+
+// ===================
+// OWN DOCUMENTS (Guide / Organiser)
+// ===================
+
+// @desc    List my verification documents
+// @route   GET /api/guide/me/documents, GET /api/organiser/me/documents
+// @access  Private (Guide, Organiser)
+const getMyDocuments = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: await documentService.listDocuments(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload (or replace) a verification document - multipart field "file"
+// @route   POST /api/guide/me/documents/:type, POST /api/organiser/me/documents/:type
+// @access  Private (Guide, Organiser)
+const uploadMyDocument = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const document = await documentService.uploadDocument(user, req.params.type, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: document
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a verification document
+// @route   DELETE /api/guide/me/documents/:type, DELETE /api/organiser/me/documents/:type
+// @access  Private (Guide, Organiser)
+const deleteMyDocument = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    await documentService.removeDocument(user, req.params.type);
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===================
+// REVIEW (Admin)
+// ===================
+
+// @desc    Mark one document of a guide/organiser as verified or rejected
+// @route   PUT /api/admin/users/:id/documents/:type/review
+// @access  Private (Admin - verify_users)
+const reviewDocument = async (req, res, next) => {
+  try {
+    const { status, rejectionReason } = req.body;
+
+    // Also ticks the document off on the applicant's open review checklist
+    const { document } = await reviewDocumentDecision(
+      req.params.id,
+      req.params.type,
+      { status, rejectionReason },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Document ${status}`,
+      data: document
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===================
+// DOWNLOAD
+// ===================
+
+// @desc    Stream a privately stored file from a signed, time-limited link
+// @route   GET /api/files/download?key&expires&name&signature
+// @access  Signed link
+const downloadFile = async (req, res, next) => {
+  try {
+    const { key, filename } = verifyDownloadUrl(req.query);
+    const stream = await getStorage().getStream(key);
+
+    const extension = path.extname(key).slice(1).toLowerCase();
+    const downloadName = (filename || path.basename(key)).replace(/[^\w.-]/g, '_');
+
+    res.set({
+      'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${downloadName}"`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    stream.on('error', (error) => {
+      if (!res.headersSent) return next(new AppError('File could not be read', 500));
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyDocuments,
+  uploadMyDocument,
+  deleteMyDocument,
+  reviewDocument,
+  downloadFile
+};
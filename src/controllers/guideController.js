@@ -1,6 +1,9 @@
 const User = require('../models/User');
 const Trip = require('../models/Trip');
+const Departure = require('../models/Departure');
 const { AppError } = require('../middleware/errorHandler');
+const { notify } = require('../services/notifications');
+const { submitForReview } = require('../services/verificationReviewService');
 
 // @desc    Get guide profile
 // @route   GET /api/guide/profile
@@ -69,15 +72,6 @@ const updateGuideProfile = async (req, res, next) => {
 const submitForVerification = async (req, res, next) => {
   try {
     const guide = await User.findById(req.user.id);
-    
-    // Check if already verified or under review
-    if (guide.guideProfile.isVerified) {
-      return next(new AppError('Your profile is already verified', 400));
-    }
-    
-    if (guide.guideProfile.verificationStatus === 'under_review') {
-      return next(new AppError('Your profile is already under review', 400));
-    }
 
     // Validate required fields
     const { guideProfile } = guide;
@@ -91,14 +85,15 @@ const submitForVerification = async (req, res, next) => {
       return next(new AppError('At least one operating district is required', 400));
     }
 
-    guide.guideProfile.verificationStatus = 'under_review';
-    await guide.save();
+    const review = await submitForReview(guide, { comment: req.body.comment });
 
     res.status(200).json({
       success: true,
       message: 'Profile submitted for verification. You will be notified once reviewed.',
       data: {
-        verificationStatus: guide.guideProfile.verificationStatus
+        verificationStatus: guide.guideProfile.verificationStatus,
+        reviewId: review._id,
+        submission: review.submission
       }
     });
   } catch (error) {
@@ -286,7 +281,7 @@ const getMyAssignedTrips = async (req, res, next) => {
       endDate: trip.endDate,
       guideStatus: trip.guideStatus,
       assignedAt: trip.guideAssignedAt,
-      totalBookings: trip.bookings?.length || 0,
+      totalBookings: trip.analytics?.bookingsCount || 0,
       status: trip.status
     }));
 
@@ -313,34 +308,117 @@ const respondToAssignment = async (req, res, next) => {
 
     const trip = await Trip.findOne({
       _id: req.params.id,
-      assignedGuide: req.user.id,
-      guideStatus: 'pending'
+      guide: req.user.id,
+      'guideAssignment.status': 'pending'
     });
 
     if (!trip) {
       return next(new AppError('Trip assignment not found or already responded', 404));
     }
 
+    await trip.respondToGuideAssignment(action === 'accept', reason || 'No reason provided');
+
     if (action === 'accept') {
-      trip.guideStatus = 'accepted';
-      
       // Update guide's total tours count
       await User.findByIdAndUpdate(req.user.id, {
         $inc: { 'guideProfile.totalTours': 1 }
       });
-    } else {
-      trip.guideStatus = 'rejected';
-      trip.guideRejectionReason = reason || 'No reason provided';
     }
 
-    await trip.save();
+    notify(trip.organiser, `guide_assignment_${trip.guideAssignment.status}`, {
+      tripTitle: trip.title,
+      startDate: trip.startDate,
+      guideName: req.user.fullName,
+      reason,
+      refs: { trip: trip._id }
+    });
 
     res.status(200).json({
       success: true,
       message: action === 'accept' ? 'Trip assignment accepted' : 'Trip assignment rejected',
       data: {
         tripId: trip._id,
-        guideStatus: trip.guideStatus
+        guideStatus: trip.guideAssignment.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get departures of recurring trips assigned to guide
+// @route   GET /api/guide/me/departures
+// @access  Private (Guide)
+const getMyAssignedDepartures = async (req, res, next) => {
+  try {
+    const query = { guide: req.user.id };
+
+    if (req.query.status) {
+      query['guideAssignment.status'] = req.query.status;
+    }
+    if (req.query.upcoming === 'true') {
+      query.startDate = { $gt: new Date() };
+    }
+
+    const departures = await Departure.find(query)
+      .populate('trip', 'title slug duration startLocation')
+      .populate('organiser', 'firstName lastName organiserProfile.companyName')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: departures,
+      count: departures.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept or reject a departure assignment
+// @route   PUT /api/guide/departures/:id/respond
+// @access  Private (Guide)
+const respondToDepartureAssignment = async (req, res, next) => {
+  try {
+    const { action, reason } = req.body; // action: 'accept' or 'reject'
+
+    if (!['accept', 'reject'].includes(action)) {
+      return next(new AppError('Invalid action. Use "accept" or "reject"', 400));
+    }
+
+    const departure = await Departure.findOne({
+      _id: req.params.id,
+      guide: req.user.id,
+      'guideAssignment.status': 'pending'
+    });
+
+    if (!departure) {
+      return next(new AppError('Departure assignment not found or already responded', 404));
+    }
+
+    await departure.respondToGuideAssignment(action === 'accept', reason || 'No reason provided');
+
+    if (action === 'accept') {
+      await User.findByIdAndUpdate(req.user.id, {
+        $inc: { 'guideProfile.totalTours': 1 }
+      });
+    }
+
+    const trip = await Trip.findById(departure.trip).select('title');
+    notify(departure.organiser, `guide_assignment_${departure.guideAssignment.status}`, {
+      tripTitle: trip?.title,
+      startDate: departure.startDate,
+      guideName: req.user.fullName,
+      reason,
+      refs: { trip: departure.trip, departure: departure._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: action === 'accept' ? 'Departure assignment accepted' : 'Departure assignment rejected',
+      data: {
+        departureId: departure._id,
+        guideStatus: departure.guideAssignment.status
       }
     });
   } catch (error) {
@@ -358,5 +436,7 @@ module.exports = {
   updateAvailability,
   getGuideDashboard,
   getMyAssignedTrips,
-  respondToAssignment
+  respondToAssignment,
+  getMyAssignedDepartures,
+  respondToDepartureAssignment
 };
\ No newline at end of file
@@ -0,0 +1,265 @@
+const User = require('../models/User');
+const GuideReview = require('../models/GuideReview');
+const { AppError } = require('../middleware/errorHandler');
+const { getAdminAccess } = require('../services/adminAccessService');
+const reviewService = require('../services/guideReviewService');
+const { userScopeFilter, isUserInScope } = require('../utils/permissions');
+
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 }
+};
+
+// Loaded inside the handler so audited changes diff correctly
+const findReview = async (id) => {
+  const review = await GuideReview.findById(id);
+
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+
+  return review;
+};
+
+// ===================
+// PUBLIC
+// ===================
+
+// @desc    Published reviews of a guide with the rating summary
+// @route   GET /api/guide/:id/reviews
+// @access  Public
+// Query: page, limit, rating, sort (recent|rating_high|rating_low)
+const getGuideReviews = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+    const skip = (page - 1) * limit;
+
+    const guide = await User.exists({ _id: req.params.id, role: 'guide', isActive: true });
+    if (!guide) {
+      return next(new AppError('Guide not found', 404));
+    }
+
+    const query = { guide: req.params.id, status: 'published' };
+    if (req.query.rating) {
+      query.rating = parseInt(req.query.rating, 10);
+    }
+
+    const [reviews, total, summary] = await Promise.all([
+      GuideReview.find(query)
+        .populate('tourist', 'firstName lastName profilePicture')
+        .populate('trip', 'title slug')
+        .select('-moderation -booking')
+        .sort(REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.recent)
+        .skip(skip)
+        .limit(limit),
+      GuideReview.countDocuments(query),
+      GuideReview.summarize(req.params.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        summary,
+        reviews,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===================
+// TOURIST
+// ===================
+
+// @desc    Completed bookings with this guide that can still be reviewed
+// @route   GET /api/guide/:id/reviews/eligibility
+// @access  Private (Tourist)
+const getReviewEligibility = async (req, res, next) => {
+  try {
+    const bookings = await reviewService.findReviewableBookings(req.user._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        canReview: bookings.length > 0,
+        bookings: bookings.map(booking => ({
+          _id: booking._id,
+          trip: { _id: booking.trip._id, title: booking.trip.title, slug: booking.trip.slug },
+          startDate: booking.departure?.startDate,
+          completedAt: booking.completedAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rate and review the guide of a completed trip
+// @route   POST /api/guide/:id/reviews
+// @access  Private (Tourist)
+const addGuideReview = async (req, res, next) => {
+  try {
+    const { bookingId, rating, title, comment } = req.body;
+
+    const review = await reviewService.createReview(req.user, req.params.id, { bookingId, rating, title, comment });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===================
+// GUIDE
+// ===================
+
+// @desc    Reply to a review (replaces an earlier reply)
+// @route   PUT /api/guide/me/reviews/:reviewId/reply
+// @access  Private (Guide)
+const replyToReview = async (req, res, next) => {
+  try {
+    const review = await reviewService.replyToReview(
+      await findReview(req.params.reviewId),
+      req.user._id,
+      req.body.comment
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply saved',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===================
+// MODERATION (Admin)
+// ===================
+
+// Param handler for :guideReviewId - district admins can only moderate
+// reviews of guides in their assigned districts
+const scopeGuideReview = async (req, res, next, id) => {
+  try {
+    const { districts } = await getAdminAccess(req);
+    if (!districts) return next();
+
+    const review = await GuideReview.findById(id).select('guide');
+    if (!review) {
+      return next(new AppError('Review not found', 404));
+    }
+
+    const guide = await User.findById(review.guide).select('role address.city guideProfile.operatingDistricts');
+
+    if (!guide || !isUserInScope(guide, districts)) {
+      return next(new AppError('This guide is outside your assigned districts', 403));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Guide reviews for moderation, newest first
+// @route   GET /api/admin/guide-reviews
+// @access  Private (Admin - manage_guides, manage_content)
+// Query: status (published|hidden), guide, maxRating
+const getGuideReviewsForModeration = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const { status, guide, maxRating } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (maxRating) query.rating = { $lte: parseInt(maxRating, 10) };
+
+    const { districts } = await getAdminAccess(req);
+    if (districts) {
+      const inScope = await User.find({ ...userScopeFilter(districts), role: 'guide' }).distinct('_id');
+      query.guide = guide
+        ? { $in: inScope.filter(id => id.toString() === guide) }
+        : { $in: inScope };
+    } else if (guide) {
+      query.guide = guide;
+    }
+
+    const [reviews, total] = await Promise.all([
+      GuideReview.find(query)
+        .populate('guide', 'firstName lastName email')
+        .populate('tourist', 'firstName lastName email')
+        .populate('trip', 'title slug')
+        .populate('moderation.moderatedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      GuideReview.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Hide (with a reason) or restore a guide review
+// @route   PUT /api/admin/guide-reviews/:guideReviewId/moderate
+// @access  Private (Admin - manage_guides, manage_content)
+const moderateGuideReview = async (req, res, next) => {
+  try {
+    const { action, reason } = req.body; // action: 'hide' or 'restore'
+
+    const review = await reviewService.moderateReview(
+      await findReview(req.params.guideReviewId),
+      { action, reason },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: action === 'hide' ? 'Review hidden' : 'Review restored',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getGuideReviews,
+  getReviewEligibility,
+  addGuideReview,
+  replyToReview,
+  scopeGuideReview,
+  getGuideReviewsForModeration,
+  moderateGuideReview
+};
@@ -0,0 +1,443 @@
+const Hotel = require('../models/Hotel');
+const RoomInventory = require('../models/RoomInventory');
+const { AppError } = require('../middleware/errorHandler');
+const { findRoomType, getAvailability, setNightlyRooms } = require('../services/hotelService');
+const { storeImages, toImageFields, attachAssets, deleteAsset } = require('../services/imageService');
+
+// Fields owners can set on a hotel and on a room type
+const HOTEL_FIELDS = ['name', 'description', 'hotelType', 'starRating', 'location', 'contact', 'checkInTime', 'checkOutTime', 'amenities'];
+const ROOM_TYPE_FIELDS = ['name', 'description', 'capacity', 'pricePerNight', 'totalRooms', 'amenities', 'isActive'];
+
+// Longest date range the inventory endpoints work on
+const INVENTORY_MAX_NIGHTS = 366;
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Load a hotel the current user manages (owner or admin). Loaded inside the
+// handler so audited changes diff correctly.
+const findManagedHotel = async (req) => {
+  const hotel = await Hotel.findById(req.params.id);
+
+  if (!hotel) {
+    throw new AppError('Hotel not found', 404);
+  }
+  if (!hotel.isManagedBy(req.user)) {
+    throw new AppError('Not authorized to manage this hotel', 403);
+  }
+
+  return hotel;
+};
+
+// Nights of a ?from=&to= range (check-out date exclusive)
+const parseNights = ({ from, to }) => {
+  const checkIn = from ? new Date(from) : new Date();
+  const checkOut = to ? new Date(to) : new Date(checkIn.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(checkIn.getTime()) || Number.isNaN(checkOut.getTime())) {
+    throw new AppError('from and to must be valid dates', 400);
+  }
+
+  const nights = RoomInventory.nightsBetween(checkIn, checkOut);
+  if (!nights.length) {
+    throw new AppError('to must be after from', 400);
+  }
+  if (nights.length > INVENTORY_MAX_NIGHTS) {
+    throw new AppError(`Date range cannot exceed ${INVENTORY_MAX_NIGHTS} nights`, 400);
+  }
+
+  return nights;
+};
+
+// Lowering a room type's rooms must leave enough for what is already allocated
+// on upcoming nights that use the room type's number
+const assertRoomsCoverAllocations = async (hotel, roomType, totalRooms) => {
+  const oversold = await RoomInventory.findOne({
+    hotel: hotel._id,
+    roomType: roomType._id,
+    date: { $gte: RoomInventory.toNight(new Date()) },
+    totalRooms: { $exists: false },
+    allocated: { $gt: totalRooms }
+  }).sort({ date: 1 });
+
+  if (oversold) {
+    throw new AppError(
+      `${oversold.allocated} ${roomType.name} rooms are already allocated on ${oversold.date.toISOString().slice(0, 10)}`,
+      400
+    );
+  }
+};
+
+// ===================
+// HOTELS
+// ===================
+
+// @desc    Hotels to pick trip hotel options from
+// @route   GET /api/hotels
+// @access  Private (Organiser, Admin)
+// Query: mine, city, district, hotelType, search, page, limit.
+// Organisers see every active hotel plus their own inactive ones.
+const getHotels = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const { mine, city, district, hotelType, search } = req.query;
+    const query = {};
+
+    if (mine === 'true') {
+      query.owner = req.user._id;
+    } else if (req.user.role !== 'admin') {
+      query.$or = [{ isActive: true }, { owner: req.user._id }];
+    }
+
+    if (city) query['location.city'] = new RegExp(city, 'i');
+    if (district) query['location.district'] = district.toLowerCase();
+    if (hotelType) query.hotelType = hotelType;
+    if (search) query.$text = { $search: search };
+
+    const [hotels, total] = await Promise.all([
+      Hotel.find(query)
+        .populate('owner', 'firstName lastName organiserProfile.companyName')
+        .sort({ isActive: -1, name: 1 })
+        .skip(skip)
+        .limit(limit),
+      Hotel.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hotels,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Single hotel
+// @route   GET /api/hotels/:id
+// @access  Private (Organiser, Admin)
+const getHotelById = async (req, res, next) => {
+  try {
+    const hotel = await Hotel.findById(req.params.id)
+      .populate('owner', 'firstName lastName organiserProfile.companyName');
+
+    if (!hotel || (!hotel.isActive && !hotel.isManagedBy(req.user))) {
+      return next(new AppError('Hotel not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: hotel
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Register a hotel (with its room types)
+// @route   POST /api/hotels
+// @access  Private (Organiser, Admin)
+const createHotel = async (req, res, next) => {
+  try {
+    const roomTypes = (req.body.roomTypes || []).map(roomType => pick(roomType, ROOM_TYPE_FIELDS));
+
+    const hotel = await Hotel.create({
+      ...pick(req.body, HOTEL_FIELDS),
+      images: (req.body.images || []).map(image => (typeof image === 'string' ? { url: image } : pick(image, ['url', 'caption']))),
+      roomTypes,
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Hotel registered successfully',
+      data: hotel
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update hotel details
+// @route   PUT /api/hotels/:id
+// @access  Private (Hotel owner, Admin)
+const updateHotel = async (req, res, next) => {
+  try {
+    const hotel = await findManagedHotel(req);
+
+    hotel.set(pick(req.body, [...HOTEL_FIELDS, 'isActive']));
+    await hotel.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Hotel updated successfully',
+      data: hotel
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate a hotel - it can no longer be added to trips or
+//          confirmed for bookings; existing room allocations are kept
+// @route   DELETE /api/hotels/:id
+// @access  Private (Hotel owner, Admin)
+const deactivateHotel = async (req, res, next) => {
+  try {
+    const hotel = await findManagedHotel(req);
+
+    hotel.isActive = false;
+    await hotel.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Hotel deactivated'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===================
+// ROOM TYPES
+// ===================
+
+// @desc    Add a room type
+// @route   POST /api/hotels/:id/room-types
+// @access  Private (Hotel owner, Admin)
+const addRoomType = async (req, res, next) => {
+  try {
+    const hotel = await findManagedHotel(req);
+
+    hotel.roomTypes.push(pick(req.body, ROOM_TYPE_FIELDS));
+    await hotel.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Room type added',
+      data: hotel.roomTypes[hotel.roomTypes.length - 1]
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a room type
+// @route   PUT /api/hotels/:id/room-types/:roomTypeId
+// @access  Private (Hotel owner, Admin)
+const updateRoomType = async (req, res, next) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    const roomType = hotel.roomTypes.id(req.params.roomTypeId);
+
+    if (!roomType) {
+      return next(new AppError('Room type not found', 404));
+    }
+
+    const updates = pick(req.body, ROOM_TYPE_FIELDS);
+    if (updates.totalRooms !== undefined && updates.totalRooms < roomType.totalRooms) {
+      await assertRoomsCoverAllocations(hotel, roomType, updates.totalRooms);
+    }
+
+    roomType.set(updates);
+    await hotel.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Room type updated',
+      data: roomType
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Retire a room type. It stays on the hotel (trip options and
+//          allocations point at it) but can no longer be offered or allocated.
+// @route   DELETE /api/hotels/:id/room-types/:roomTypeId
+// @access  Private (Hotel owner, Admin)
+const removeRoomType = async (req, res, next) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    const roomType = findRoomType(hotel, req.params.roomTypeId);
+
+    roomType.isActive = false;
+    await hotel.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Room type removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===================
+// IMAGES
+// ===================
+
+// @desc    Upload hotel images (multipart "images") or add image URLs
+// @route   POST /api/hotels/:id/images
+// @access  Private (Hotel owner, Admin)
+const addHotelImages = async (req, res, next) => {
+  let assets = [];
+  let saved = false;
+
+  try {
+    const hotel = await findManagedHotel(req);
+
+    let images = req.body.images;
+
+    if (req.files?.length) {
+      assets = await storeImages(req.files, {
+        ownerType: 'Hotel',
+        owner: hotel._id,
+        uploadedBy: req.user._id
+      });
+      images = assets.map(asset => ({ ...toImageFields(asset), caption: req.body.caption }));
+    }
+
+    if (!Array.isArray(images) || images.length === 0) {
+      return next(new AppError('Upload at least one image or provide an images array', 400));
+    }
+
+    const hasMain = hotel.images.some(image => image.isMain);
+    images.forEach((image, i) => {
+      hotel.images.push({
+        ...(typeof image === 'string' ? { url: image } : image),
+        isMain: !hasMain && i === 0
+      });
+    });
+
+    await hotel.save();
+    saved = true;
+    await attachAssets(assets);
+
+    res.status(200).json({
+      success: true,
+      message: 'Images added successfully',
+      data: hotel.images
+    });
+  } catch (error) {
+    if (!saved) await Promise.all(assets.map(deleteAsset));
+    next(error);
+  }
+};
+
+// @desc    Remove a hotel image (uploaded files are deleted with it)
+// @route   DELETE /api/hotels/:id/images/:imageId
+// @access  Private (Hotel owner, Admin)
+const removeHotelImage = async (req, res, next) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    const image = hotel.images.id(req.params.imageId);
+
+    if (!image) {
+      return next(new AppError('Image not found', 404));
+    }
+
+    const { asset } = image;
+    image.deleteOne();
+    if (!hotel.images.some(candidate => candidate.isMain) && hotel.images.length) {
+      hotel.images[0].isMain = true;
+    }
+    await hotel.save();
+
+    if (asset) await deleteAsset(asset);
+
+    res.status(200).json({
+      success: true,
+      message: 'Image removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===================
+// ROOM INVENTORY
+// ===================
+
+// @desc    Nightly rooms for sale, allocated and free per room type
+// @route   GET /api/hotels/:id/inventory
+// @access  Private (Hotel owner, Admin)
+// Query: from, to (check-out, exclusive; default 30 nights), roomType
+const getHotelInventory = async (req, res, next) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    const nights = parseNights(req.query);
+
+    const inventory = await getAvailability(hotel, nights, { roomType: req.query.roomType });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hotel: { _id: hotel._id, name: hotel.name },
+        from: nights[0],
+        nights: nights.length,
+        inventory
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set the rooms of a type for sale on a range of nights
+//          ({ from, to, totalRooms }; totalRooms null resets to the room type's number)
+// @route   PUT /api/hotels/:id/room-types/:roomTypeId/inventory
+// @access  Private (Hotel owner, Admin)
+const updateRoomInventory = async (req, res, next) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    const { from, to, totalRooms } = req.body;
+
+    if (!from || !to) {
+      return next(new AppError('from and to are required', 400));
+    }
+    if (totalRooms !== null && !(Number.isInteger(totalRooms) && totalRooms >= 0)) {
+      return next(new AppError('totalRooms must be a whole number of rooms, or null', 400));
+    }
+
+    const nights = parseNights({ from, to });
+    const { updated, conflicts } = await setNightlyRooms(hotel, req.params.roomTypeId, nights, totalRooms);
+
+    res.status(200).json({
+      success: true,
+      message: conflicts.length
+        ? `Updated ${updated} nights; ${conflicts.length} nights already have more rooms allocated`
+        : `Updated ${updated} nights`,
+      data: { updated, conflicts }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getHotels,
+  getHotelById,
+  createHotel,
+  updateHotel,
+  deactivateHotel,
+  addRoomType,
+  updateRoomType,
+  removeRoomType,
+  addHotelImages,
+  removeHotelImage,
+  getHotelInventory,
+  updateRoomInventory
+};
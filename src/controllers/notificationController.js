@@ -0,0 +1,165 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+
+// =============================================
+// PROTECTED: Get my notifications
+// =============================================
+const getMyNotifications = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { user: req.user.id };
+    if (req.query.unread === 'true') query.isRead = false;
+    if (req.query.type) query.type = req.query.type;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .select('-deliveries')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.getUnreadCount(req.user.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      unreadCount,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Unread badge count
+// =============================================
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Mark one notification as read
+// =============================================
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!notification) {
+      return next(new AppError('Notification not found', 404));
+    }
+
+    await notification.markRead();
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Mark all notifications as read
+// =============================================
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const { modifiedCount } = await Notification.markAllRead(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `${modifiedCount} notification(s) marked as read`,
+      data: { updated: modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Delete a notification
+// =============================================
+const deleteNotification = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!notification) {
+      return next(new AppError('Notification not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Update channel preferences
+// =============================================
+const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const update = {};
+    for (const channel of ['email', 'sms', 'push']) {
+      if (req.body[channel] !== undefined) {
+        if (typeof req.body[channel] !== 'boolean') {
+          return next(new AppError(`${channel} must be true or false`, 400));
+        }
+        update[`preferences.notifications.${channel}`] = req.body[channel];
+      }
+    }
+
+    if (Object.keys(update).length === 0) {
+      return next(new AppError('Provide at least one of email, sms or push', 400));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: update },
+      { new: true }
+    ).select('preferences.notifications');
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: user.preferences.notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  updateNotificationPreferences
+};
@@ -1,8 +1,40 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const WaitlistEntry = require('../models/WaitlistEntry');
 const Attraction = require('../models/Attraction');
+const PromoCode = require('../models/PromoCode');
 const { AppError } = require('../middleware/errorHandler');
+const {
+  createBooking,
+  resizeBooking,
+  cancelBooking,
+  releaseBookingResources,
+  syncTripCapacity,
+  sanitizeCapacityUpdate
+} = require('../services/bookingService');
+const { syncBookingPayments } = require('../services/paymentService');
+const { requestRefund } = require('../services/refundService');
+const { quoteTrip, toPriceBreakdown, addAdjustments, setManualTotal } = require('../services/pricingService');
+const {
+  buildHotelOptions,
+  refreshOptionAvailability,
+  assignHotel,
+  holdsRooms,
+  dropHotel
+} = require('../services/hotelService');
+const {
+  generateDepartures,
+  updateDepartureCapacity,
+  cancelDeparture
+} = require('../services/departureService');
+const { promoteWaitlist } = require('../services/waitlistService');
+const { releaseRedemption } = require('../services/promoService');
+const { notify } = require('../services/notifications');
+const { submitForReview } = require('../services/verificationReviewService');
+const { storeImages, toImageFields, attachAssets, deleteAsset } = require('../services/imageService');
 
 // =============================================
 // ORGANISER PROFILE MANAGEMENT
@@ -62,32 +94,20 @@ const submitForVerification = async (req, res, next) => {
   try {
     const organiser = await User.findById(req.user.id);
 
-    if (organiser.organiserProfile.isVerified) {
-      return res.status(200).json({
-        success: true,
-        message: 'Your profile is already verified',
-        data: { isVerified: true }
-      });
-    }
-
     const { organiserProfile } = organiser;
     if (!organiserProfile.companyName || !organiserProfile.companyType || !organiserProfile.registrationNumber) {
       return next(new AppError('Required fields missing for verification', 400));
     }
 
-    // AUTO VERIFY FOR DEVELOPMENT/TESTING
-    organiser.organiserProfile.verificationStatus = 'verified';
-    organiser.organiserProfile.isVerified = true;
-    organiser.organiserProfile.verifiedAt = new Date();
-
-    await organiser.save();
+    const review = await submitForReview(organiser, { comment: req.body.comment });
 
     res.status(200).json({
       success: true,
-      message: 'Profile verified successfully!',
+      message: 'Profile submitted for verification. You will be notified once reviewed.',
       data: {
-        isVerified: true,
-        verificationStatus: 'verified'
+        verificationStatus: organiser.organiserProfile.verificationStatus,
+        reviewId: review._id,
+        submission: review.submission
       }
     });
   } catch (error) {
@@ -193,7 +213,7 @@ const createPackage = async (req, res, next) => {
 };
 
 // =============================================
-// TRIP MANAGEMENT (merged from tripController)
+// TRIP MANAGEMENT
 // =============================================
 
 const validateAttraction = async (attractionId) => {
@@ -220,7 +240,10 @@ const createTrip = async (req, res, next) => {
       startLocation,
       pricing, 
       capacity, 
-      difficulty 
+      difficulty,
+      isRecurring,
+      recurringSchedule,
+      amendmentPolicy
     } = req.body;
 
     // Validate required fields
@@ -265,6 +288,9 @@ const createTrip = async (req, res, next) => {
       },
       capacity,
       difficulty,
+      isRecurring: !!isRecurring,
+      recurringSchedule: isRecurring ? recurringSchedule : undefined,
+      amendmentPolicy,
       organiser: req.user.id,
       status: 'draft'
     };
@@ -355,8 +381,17 @@ const updateTrip = async (req, res, next) => {
       return next(new AppError('Trip not found', 404));
     }
 
+    // Status changes go through publish/cancel, which keep bookings, seats and
+    // the waitlist in step; hotel options are picked from registered hotels
+    if (req.body.status !== undefined) {
+      return next(new AppError('Trip status is changed via PUT /trips/:id/publish or PUT /trips/:id/cancel', 400));
+    }
+    if (req.body.hotelOptions !== undefined) {
+      return next(new AppError('Hotel options are added via POST /trips/:id/hotels', 400));
+    }
+
     // Don't allow updates to published trips (except certain fields)
-    const allowedFieldsForPublished = ['status', 'isActive', 'hotelOptions', 'images'];
+    const allowedFieldsForPublished = ['isActive', 'images', 'recurringSchedule', 'amendmentPolicy'];
     if (trip.status === 'published') {
       const updateKeys = Object.keys(req.body);
       const disallowedFields = updateKeys.filter(key => !allowedFieldsForPublished.includes(key));
@@ -371,14 +406,44 @@ const updateTrip = async (req, res, next) => {
       req.body.attraction = attraction._id;
     }
 
-    // Update the trip
-    const updatedTrip = await Trip.findByIdAndUpdate(
-      req.params.id,
+    // Seat counts are managed by the booking service
+    const capacityChanged = sanitizeCapacityUpdate(req.body, trip.capacity.currentBookings);
+
+    // Update the trip; a new maximum is checked again against the seats
+    // booked at the time of the write, not when the trip was read
+    const filter = { _id: trip._id };
+    if (req.body['capacity.maxPeople'] !== undefined) {
+      filter['capacity.currentBookings'] = { $lte: req.body['capacity.maxPeople'] };
+    }
+
+    let updatedTrip = await Trip.findOneAndUpdate(
+      filter,
       req.body,
       { new: true, runValidators: true }
-    )
-      .populate('attraction', 'name city category thumbnail entryFee')
-      .populate('guide', 'firstName lastName email phone');
+    );
+
+    if (!updatedTrip) {
+      return next(new AppError('Maximum capacity cannot be lower than the seats already booked', 409));
+    }
+
+    if (capacityChanged) {
+      updatedTrip = await syncTripCapacity(updatedTrip._id);
+
+      // Extra seats go to the waitlist first
+      if (await promoteWaitlist(updatedTrip._id)) {
+        updatedTrip = await Trip.findById(updatedTrip._id);
+      }
+    }
+
+    // Keep departures in line with an edited schedule
+    if (updatedTrip.isRecurring && updatedTrip.status === 'published') {
+      await generateDepartures(updatedTrip);
+    }
+
+    await updatedTrip.populate([
+      { path: 'attraction', select: 'name city category thumbnail entryFee' },
+      { path: 'guide', select: 'firstName lastName email phone' }
+    ]);
 
     res.status(200).json({
       success: true,
@@ -404,15 +469,32 @@ const deleteTrip = async (req, res, next) => {
       return next(new AppError('Trip not found', 404));
     }
 
-    // Don't allow deleting trips with confirmed bookings
-    const confirmedBookings = trip.bookings.filter(b => 
-      b.bookingStatus === 'confirmed' || b.bookingStatus === 'completed'
-    );
-    if (confirmedBookings.length > 0) {
-      return next(new AppError('Cannot delete trip with confirmed bookings. Cancel the trip instead.', 400));
+    // Trips with live or paid bookings are cancelled instead, so no one
+    // loses a booking or money
+    const heldBookings = await Booking.countDocuments({
+      trip: trip._id,
+      $or: [
+        { bookingStatus: { $in: [...Booking.ACTIVE_STATUSES, 'completed', 'no_show'] } },
+        { paidAmount: { $gt: 0 } }
+      ]
+    });
+    if (heldBookings > 0) {
+      return next(new AppError('Cannot delete a trip with active or paid bookings. Cancel the trip instead.', 400));
     }
 
-    await Trip.findByIdAndDelete(req.params.id);
+    // Booking history is kept: a trip that had bookings is only retired
+    const hasHistory = await Booking.exists({ trip: trip._id });
+    if (hasHistory) {
+      await Trip.updateOne({ _id: trip._id }, { $set: { status: 'cancelled', isActive: false } });
+      await Departure.updateMany(
+        { trip: trip._id, status: { $in: ['published', 'full'] } },
+        { $set: { status: 'cancelled' } }
+      );
+    } else {
+      await Trip.findByIdAndDelete(trip._id);
+      await Departure.deleteMany({ trip: trip._id });
+      await WaitlistEntry.deleteMany({ trip: trip._id });
+    }
 
     // Decrement organiser's package count
     await User.findByIdAndUpdate(req.user.id, { $inc: { 'organiserProfile.totalPackages': -1 } });
@@ -471,9 +553,18 @@ const publishTrip = async (req, res, next) => {
       return next(new AppError('Cannot publish a trip with a past start date', 400));
     }
 
+    if (trip.isRecurring && !trip.recurringSchedule?.frequency) {
+      return next(new AppError('Cannot publish: recurring trips need a schedule frequency', 400));
+    }
+
     trip.status = 'published';
     await trip.save();
 
+    // Materialise the first departures of a recurring trip
+    if (trip.isRecurring) {
+      await generateDepartures(trip);
+    }
+
     const populatedTrip = await Trip.findById(trip._id)
       .populate('attraction', 'name city category thumbnail entryFee');
 
@@ -526,18 +617,66 @@ const cancelTrip = async (req, res, next) => {
     }
 
     // Update all pending/confirmed bookings to cancelled
-    trip.bookings.forEach(booking => {
-      if (booking.bookingStatus === 'pending' || booking.bookingStatus === 'confirmed') {
-        booking.bookingStatus = 'cancelled';
-      }
-    });
+    const activeBookings = await Booking.find({
+      trip: trip._id,
+      bookingStatus: { $in: Booking.ACTIVE_STATUSES }
+    }).populate('departure', 'startDate');
+
+    // Everyone gets a full refund when the organiser cancels, no approval needed
+    const refunds = [];
+    for (const booking of activeBookings) {
+      const cancelReason = reason ? `Trip cancelled: ${reason}` : 'Trip cancelled by organiser';
+      booking.transitionTo('cancelled', {
+        actor: req.user,
+        reason: cancelReason
+      });
+      await booking.save();
+      await releaseBookingResources(booking);
+
+      const refund = await requestRefund(booking, {
+        reason: cancelReason,
+        source: 'trip_cancelled',
+        actor: req.user,
+        autoApprove: true
+      });
+      if (refund) refunds.push(refund);
+
+      notify(booking.user, 'trip_cancelled', {
+        tripTitle: trip.title,
+        startDate: booking.departure?.startDate || trip.startDate,
+        reason,
+        refundAmount: refund?.amount,
+        refs: { trip: trip._id, booking: booking._id }
+      });
+    }
+
+    trip.capacity.currentBookings = 0;
 
     await trip.save();
 
+    // Departures of a recurring trip go with it
+    await Departure.updateMany(
+      { trip: trip._id, status: { $in: ['published', 'full'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancellationReason: reason,
+          'capacity.currentBookings': 0,
+          'capacity.availableSlots': 0
+        }
+      }
+    );
+
     res.status(200).json({
       success: true,
       message: 'Trip cancelled successfully',
-      data: trip
+      data: trip,
+      refunds: {
+        total: refunds.length,
+        completed: refunds.filter(r => r.status === 'completed').length,
+        processing: refunds.filter(r => r.status === 'processing').length,
+        failed: refunds.filter(r => r.status === 'failed').length
+      }
     });
   } catch (error) {
     next(error);
@@ -629,6 +768,13 @@ const assignGuide = async (req, res, next) => {
 
     await trip.save();
 
+    notify(guide, 'guide_assigned', {
+      tripTitle: trip.title,
+      startDate: trip.startDate,
+      organiserName: req.user.fullName,
+      refs: { trip: trip._id }
+    });
+
     const populatedTrip = await Trip.findById(trip._id)
       .populate('attraction', 'name city category thumbnail')
       .populate('guide', 'firstName lastName email phone guideProfile');
@@ -661,6 +807,7 @@ const removeGuide = async (req, res, next) => {
       return next(new AppError('No guide assigned to this trip', 400));
     }
 
+    const removedGuide = trip.guide;
     trip.guide = null;
     trip.guideAssignment = {
       status: 'not_assigned',
@@ -671,6 +818,13 @@ const removeGuide = async (req, res, next) => {
 
     await trip.save();
 
+    notify(removedGuide, 'guide_removed', {
+      tripTitle: trip.title,
+      startDate: trip.startDate,
+      organiserName: req.user.fullName,
+      refs: { trip: trip._id }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Guide removed successfully',
@@ -681,6 +835,162 @@ const removeGuide = async (req, res, next) => {
   }
 };
 
+// =============================================
+// DEPARTURES (recurring trips)
+// =============================================
+
+// Load a departure of one of the organiser's trips
+const findOrganiserDeparture = async (req) => {
+  const trip = await Trip.findOne({
+    _id: req.params.id,
+    organiser: req.user.id
+  }).select('_id isRecurring');
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  const departure = await Departure.findOne({ _id: req.params.departureId, trip: trip._id });
+  if (!departure) {
+    throw new AppError('Departure not found', 404);
+  }
+
+  return departure;
+};
+
+const getTripDepartures = async (req, res, next) => {
+  try {
+    const trip = await Trip.findOne({
+      _id: req.params.id,
+      organiser: req.user.id
+    }).select('title isRecurring recurringSchedule');
+
+    if (!trip) {
+      return next(new AppError('Trip not found', 404));
+    }
+
+    const query = { trip: trip._id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      query.startDate = {};
+      if (req.query.from) query.startDate.$gte = new Date(req.query.from);
+      if (req.query.to) query.startDate.$lte = new Date(req.query.to);
+    }
+
+    const departures = await Departure.find(query)
+      .populate('guide', 'firstName lastName email phone')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: departures.length,
+      data: departures
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateDeparture = async (req, res, next) => {
+  try {
+    const departure = await findOrganiserDeparture(req);
+
+    if (['cancelled', 'completed', 'expired'].includes(departure.status)) {
+      return next(new AppError(`Cannot update a ${departure.status} departure`, 400));
+    }
+
+    const maxPeople = req.body.capacity?.maxPeople ?? req.body.maxPeople;
+    if (maxPeople === undefined) {
+      return next(new AppError('maxPeople is required', 400));
+    }
+
+    let updated = await updateDepartureCapacity(departure, maxPeople);
+
+    // Extra seats go to the waitlist first
+    if (await promoteWaitlist(departure.trip, departure._id)) {
+      updated = await Departure.findById(departure._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Departure updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancelTripDeparture = async (req, res, next) => {
+  try {
+    const departure = await findOrganiserDeparture(req);
+
+    const { refunds } = await cancelDeparture(departure, {
+      actor: req.user,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Departure cancelled successfully',
+      data: departure,
+      refunds: {
+        total: refunds.length,
+        completed: refunds.filter(r => r.status === 'completed').length,
+        processing: refunds.filter(r => r.status === 'processing').length,
+        failed: refunds.filter(r => r.status === 'failed').length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const assignDepartureGuide = async (req, res, next) => {
+  try {
+    const { guideId } = req.body;
+
+    if (!guideId) {
+      return next(new AppError('Guide ID is required', 400));
+    }
+
+    const departure = await findOrganiserDeparture(req);
+
+    // Verify the guide exists and is verified
+    const guide = await User.findOne({
+      _id: guideId,
+      role: 'guide',
+      isActive: true,
+      'guideProfile.isVerified': true
+    });
+
+    if (!guide) {
+      return next(new AppError('Guide not found or not verified', 404));
+    }
+
+    await departure.assignGuide(guideId);
+
+    const trip = await Trip.findById(departure.trip).select('title');
+    notify(guide, 'guide_assigned', {
+      tripTitle: trip?.title,
+      startDate: departure.startDate,
+      organiserName: req.user.fullName,
+      refs: { trip: departure.trip, departure: departure._id }
+    });
+
+    const populatedDeparture = await Departure.findById(departure._id)
+      .populate('guide', 'firstName lastName email phone guideProfile');
+
+    res.status(200).json({
+      success: true,
+      message: 'Guide assigned successfully. Awaiting guide acceptance.',
+      data: populatedDeparture
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // =============================================
 // ADD BOOKING
 // =============================================
@@ -707,18 +1017,28 @@ const addBooking = async (req, res, next) => {
       specialRequests,
       contactPhone,
       contactEmail,
-      emergencyContact
+      emergencyContact,
+      departureId
     } = req.body;
 
     // Validate required fields
-    if (!user || !numberOfPeople || !totalAmount) {
-      return next(new AppError('User, numberOfPeople, and totalAmount are required', 400));
+    if (!user || !numberOfPeople) {
+      return next(new AppError('User and numberOfPeople are required', 400));
     }
 
-    // Check capacity
-    const availableSlots = trip.capacity.maxPeople - trip.capacity.currentBookings;
-    if (numberOfPeople > availableSlots) {
-      return next(new AppError(`Only ${availableSlots} slots available`, 400));
+    // Priced like a tourist booking; a total the organiser sets is kept as an adjustment
+    const quote = quoteTrip(trip, { numberOfPeople, travelers });
+    const priceBreakdown = totalAmount != null
+      ? setManualTotal(toPriceBreakdown(quote), totalAmount)
+      : toPriceBreakdown(quote);
+
+    // Recurring trips are booked on a specific departure
+    let departure;
+    if (trip.isRecurring) {
+      departure = departureId && await Departure.findOne({ _id: departureId, trip: trip._id });
+      if (!departure) {
+        return next(new AppError('A valid departureId is required for recurring trips', 400));
+      }
     }
 
     // Verify the user exists
@@ -727,40 +1047,50 @@ const addBooking = async (req, res, next) => {
       return next(new AppError('User not found', 404));
     }
 
-    const booking = {
+    // Organiser-added bookings reserve seats without a hold expiry
+    const { booking, availableSlots } = await createBooking(trip, {
       user,
-      numberOfPeople,
-      totalAmount,
+      numberOfPeople: quote.numberOfPeople,
+      totalAmount: priceBreakdown.total,
+      priceBreakdown,
       travelers: travelers || [],
       specialRequests,
       contactPhone: contactPhone || touristUser.phone,
       contactEmail: contactEmail || touristUser.email,
       emergencyContact,
       bookingDate: new Date(),
-      bookingStatus: 'pending',
       paymentStatus: 'pending',
       paidAmount: 0
-    };
-
-    trip.bookings.push(booking);
-    trip.capacity.currentBookings += numberOfPeople;
-    trip.analytics.bookingsCount += 1;
+    }, {
+      actor: req.user,
+      holdSeats: false,
+      statuses: ['published', 'draft'],
+      departure
+    });
 
-    // Check if trip is now full
-    if (trip.capacity.currentBookings >= trip.capacity.maxPeople) {
-      trip.status = 'full';
-    }
+    notify(touristUser, 'booking_created', {
+      tripTitle: trip.title,
+      startDate: departure ? departure.startDate : trip.startDate,
+      numberOfPeople: booking.numberOfPeople,
+      totalAmount: booking.totalAmount,
+      refs: { trip: trip._id, booking: booking._id }
+    });
 
-    await trip.save();
-
-    const populatedTrip = await Trip.findById(trip._id)
-      .populate('attraction', 'name city category thumbnail')
-      .populate('bookings.user', 'firstName lastName email phone');
+    const populatedBooking = await Booking.findById(booking._id)
+      .populate('user', 'firstName lastName email phone');
 
     res.status(201).json({
       success: true,
       message: 'Booking added successfully',
-      data: populatedTrip
+      data: {
+        booking: populatedBooking,
+        trip: {
+          id: trip._id,
+          title: trip.title,
+          departureId: departure?._id,
+          availableSlots
+        }
+      }
     });
   } catch (error) {
     next(error);
@@ -770,29 +1100,102 @@ const addBooking = async (req, res, next) => {
 // =============================================
 // GET TRIP BOOKINGS
 // =============================================
+// Also returns the open waitlist (waiting and offered entries, in the
+// order seats are offered)
 const getTripBookings = async (req, res, next) => {
   try {
     const trip = await Trip.findOne({
       _id: req.params.id,
       organiser: req.user.id
-    })
-      .select('bookings title startDate')
-      .populate('bookings.user', 'firstName lastName email phone profilePicture');
+    }).select('title startDate');
 
     if (!trip) {
       return next(new AppError('Trip not found', 404));
     }
 
+    const waitlistQuery = { trip: trip._id, status: { $in: WaitlistEntry.OPEN_STATUSES } };
+    if (req.query.departure) waitlistQuery.departure = req.query.departure;
+
+    const [bookings, waitlist] = await Promise.all([
+      Booking.getByOrganiser(req.user.id, {
+        trip: trip._id,
+        status: req.query.status,
+        paymentStatus: req.query.paymentStatus,
+        departure: req.query.departure
+      }),
+      WaitlistEntry.find(waitlistQuery)
+        .populate('user', 'firstName lastName email phone')
+        .populate('departure', 'startDate')
+        .sort(WaitlistEntry.QUEUE_ORDER)
+    ]);
+
     res.status(200).json({
       success: true,
-      count: trip.bookings.length,
-      data: trip.bookings
+      count: bookings.length,
+      data: bookings,
+      waitlist: {
+        count: waitlist.length,
+        seatsWanted: waitlist.reduce((sum, entry) => sum + entry.numberOfPeople, 0),
+        entries: waitlist
+      }
     });
   } catch (error) {
     next(error);
   }
 };
 
+// =============================================
+// GET ALL BOOKINGS (across organiser's trips)
+// =============================================
+const getOrganiserBookings = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { organiser: req.user.id };
+    if (req.query.status) query.bookingStatus = req.query.status;
+    if (req.query.paymentStatus) query.paymentStatus = req.query.paymentStatus;
+    if (req.query.trip) query.trip = req.query.trip;
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(query)
+        .populate('trip', 'title slug startDate endDate status')
+        .populate('user', 'firstName lastName email phone profilePicture')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Booking.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: bookings.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: bookings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Tell a tourist the organiser cancelled their booking
+const notifyBookingCancelled = async (trip, booking, { reason, refund } = {}) => {
+  const departure = booking.departure
+    ? await Departure.findById(booking.departure).select('startDate')
+    : null;
+
+  notify(booking.user, 'booking_cancelled', {
+    tripTitle: trip.title,
+    startDate: departure ? departure.startDate : trip.startDate,
+    reason,
+    refundAmount: refund ? refund.amount : 0,
+    refs: { trip: trip._id, booking: booking._id }
+  });
+};
+
 // =============================================
 // UPDATE BOOKING
 // =============================================
@@ -809,53 +1212,122 @@ const updateBooking = async (req, res, next) => {
       return next(new AppError('Trip not found', 404));
     }
 
-    const booking = trip.bookings.id(bookingId);
+    const booking = await Booking.findOne({ _id: bookingId, trip: trip._id });
     if (!booking) {
       return next(new AppError('Booking not found', 404));
     }
 
     const {
       bookingStatus,
-      paymentStatus,
-      paidAmount,
       numberOfPeople,
-      totalAmount
+      travelers,
+      totalAmount,
+      hotelStatus,
+      reason
     } = req.body;
 
-    // Handle capacity changes if numberOfPeople is updated
-    if (numberOfPeople && numberOfPeople !== booking.numberOfPeople) {
-      const diff = numberOfPeople - booking.numberOfPeople;
-      const newCurrentBookings = trip.capacity.currentBookings + diff;
-      
-      if (newCurrentBookings > trip.capacity.maxPeople) {
-        return next(new AppError('Not enough capacity for this change', 400));
-      }
-      
-      trip.capacity.currentBookings = newCurrentBookings;
-      booking.numberOfPeople = numberOfPeople;
+    // Payment state comes from the ledger, not from hand edits
+    if (req.body.paymentStatus !== undefined || req.body.paidAmount !== undefined) {
+      return next(new AppError('Payments are tracked in the payment ledger. Record them via POST /trips/:tripId/bookings/:bookingId/payments', 400));
     }
 
-    // Update allowed fields
-    if (bookingStatus) booking.bookingStatus = bookingStatus;
-    if (paymentStatus) booking.paymentStatus = paymentStatus;
-    if (paidAmount !== undefined) booking.paidAmount = paidAmount;
-    if (totalAmount) booking.totalAmount = totalAmount;
+    // Validate the status change before touching capacity
+    if (bookingStatus && bookingStatus !== booking.bookingStatus && !booking.canTransitionTo(bookingStatus)) {
+      return next(new AppError(`Cannot change booking from '${booking.bookingStatus}' to '${bookingStatus}'`, 400));
+    }
 
-    // Update revenue tracking
-    if (paymentStatus === 'completed' && booking.paymentStatus !== 'completed') {
-      trip.analytics.revenue += booking.totalAmount - (booking.paidAmount || 0);
+    // Hotels are confirmed through assignHotel so rooms are always allocated
+    if (hotelStatus === 'confirmed') {
+      return next(new AppError('Hotels are confirmed via PUT /trips/:tripId/bookings/:bookingId/confirm-hotel', 400));
     }
 
-    await trip.save();
+    // Dropping the hotel gives its rooms back
+    if (hotelStatus && hotelStatus !== booking.hotelStatus) {
+      await dropHotel(booking, hotelStatus);
+    }
 
-    const populatedTrip = await Trip.findById(trip._id)
-      .populate('attraction', 'name city category thumbnail')
-      .populate('bookings.user', 'firstName lastName email phone');
+    const cancelling = bookingStatus === 'cancelled' && booking.bookingStatus !== 'cancelled';
+
+    // A changed party is priced again like the original booking (its promo
+    // code, early-bird as at the booking date); a price set by hand and
+    // amendment fees carry over as adjustments. A promo code the party no
+    // longer qualifies for is dropped.
+    const previousSize = booking.numberOfPeople;
+    const repriced = !cancelling && ((numberOfPeople && Number(numberOfPeople) !== previousSize) || travelers !== undefined);
+    let newSize = previousSize;
+    let promoDropped = false;
+    if (repriced) {
+      const promo = booking.promoCode ? await PromoCode.findById(booking.promoCode) : null;
+      const quote = quoteTrip(trip, {
+        numberOfPeople: numberOfPeople || previousSize,
+        travelers: travelers !== undefined ? travelers : booking.travelers
+      }, { now: booking.bookingDate, promo, dropUnqualifiedPromo: true });
+
+      newSize = quote.numberOfPeople;
+      promoDropped = Boolean(quote.promo?.dropped);
+      if (promoDropped) booking.promoCode = undefined;
+      booking.priceBreakdown = addAdjustments(toPriceBreakdown(quote), booking.toObject().priceBreakdown?.adjustments || []);
+      booking.totalAmount = booking.priceBreakdown.total;
+      if (travelers !== undefined) booking.travelers = travelers;
+    }
+
+    // A total set by hand is kept in the breakdown as an adjustment
+    const totalChanged = totalAmount && totalAmount !== booking.totalAmount;
+    if (totalChanged) {
+      booking.priceBreakdown = setManualTotal(booking.toObject().priceBreakdown, totalAmount);
+      booking.totalAmount = booking.priceBreakdown.total;
+    }
+
+    if (cancelling) {
+      // Cancelling releases seats, hotel rooms and the promo code use
+      await cancelBooking(booking, { actor: req.user, reason });
+      await promoteWaitlist(trip._id, booking.departure);
+      await notifyBookingCancelled(trip, booking, { reason });
+    } else {
+      // Status changes go through the booking lifecycle
+      if (bookingStatus && bookingStatus !== booking.bookingStatus) {
+        booking.transitionTo(bookingStatus, { actor: req.user, reason });
+      }
+
+      // Reserve or release the difference if numberOfPeople is updated
+      const resized = newSize !== previousSize;
+      if (resized) {
+        await resizeBooking(booking, newSize);
+      }
+
+      // A confirmed hotel needs rooms for the new party size
+      try {
+        if (resized && holdsRooms(booking)) {
+          await assignHotel(booking, trip, booking.selectedHotel);
+        } else {
+          await booking.save();
+        }
+      } catch (error) {
+        if (resized) await resizeBooking(booking, previousSize);
+        throw error;
+      }
+
+      if (resized && newSize < previousSize) {
+        await promoteWaitlist(trip._id, booking.departure);
+      }
+
+      if (promoDropped) {
+        await releaseRedemption(booking);
+      }
+    }
+
+    // A new total can move the booking between partial and completed
+    if (totalChanged || repriced) {
+      await syncBookingPayments(booking._id);
+    }
+
+    const populatedBooking = await Booking.findById(booking._id)
+      .populate('user', 'firstName lastName email phone');
 
     res.status(200).json({
       success: true,
       message: 'Booking updated successfully',
-      data: populatedTrip
+      data: populatedBooking
     });
   } catch (error) {
     next(error);
@@ -878,33 +1350,230 @@ const removeBooking = async (req, res, next) => {
       return next(new AppError('Trip not found', 404));
     }
 
-    const booking = trip.bookings.id(bookingId);
+    const booking = await Booking.findOne({ _id: bookingId, trip: trip._id });
     if (!booking) {
       return next(new AppError('Booking not found', 404));
     }
 
-    // Don't allow removing completed bookings
-    if (booking.bookingStatus === 'completed') {
-      return next(new AppError('Cannot remove completed bookings', 400));
+    // Only pending/confirmed bookings can be removed
+    if (!booking.canTransitionTo('cancelled')) {
+      return next(new AppError(`Cannot remove a ${booking.bookingStatus} booking`, 400));
+    }
+
+    const reason = req.body.reason || 'Removed by organiser';
+
+    // Mark as cancelled instead of deleting so the history is kept
+    await cancelBooking(booking, {
+      actor: req.user,
+      reason
+    });
+
+    // The freed seats go to the next people on the waitlist
+    await promoteWaitlist(trip._id, booking.departure);
+
+    // Organiser-initiated removals can refund everything paid straight away
+    const refund = req.body.refund
+      ? await requestRefund(booking, {
+        reason,
+        source: 'organiser',
+        actor: req.user,
+        autoApprove: true
+      })
+      : null;
+
+    await notifyBookingCancelled(trip, booking, { reason, refund });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking removed successfully',
+      data: {
+        refundAmount: refund ? refund.amount : 0,
+        refundStatus: refund ? refund.status : 'not_applicable'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// CHECK IN BOOKING
+// =============================================
+// Body: { checkedIn } - false undoes a check-in. Once anyone on a run is
+// checked in, confirmed bookings left unchecked become no-shows when it ends.
+const checkInBooking = async (req, res, next) => {
+  try {
+    const { tripId, bookingId } = req.params;
+    const checkedIn = req.body.checkedIn !== false;
+
+    const trip = await Trip.findOne({
+      _id: tripId,
+      organiser: req.user.id
+    });
+
+    if (!trip) {
+      return next(new AppError('Trip not found', 404));
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, trip: trip._id });
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    if (booking.bookingStatus !== 'confirmed') {
+      return next(new AppError(`Cannot check in a ${booking.bookingStatus} booking`, 400));
+    }
+
+    booking.checkedInAt = checkedIn ? new Date() : undefined;
+    booking.checkedInBy = checkedIn ? req.user._id : undefined;
+    await booking.save();
+
+    res.status(200).json({
+      success: true,
+      message: checkedIn ? 'Booking checked in' : 'Check-in undone',
+      data: booking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// WAITLIST PRIORITY
+// =============================================
+// Body: priority - higher is offered seats first; equal priorities keep
+// the order people joined in
+const updateWaitlistEntry = async (req, res, next) => {
+  try {
+    const { tripId, entryId } = req.params;
+
+    const trip = await Trip.findOne({
+      _id: tripId,
+      organiser: req.user.id
+    }).select('_id');
+
+    if (!trip) {
+      return next(new AppError('Trip not found', 404));
+    }
+
+    const entry = await WaitlistEntry.findOne({ _id: entryId, trip: trip._id });
+    if (!entry) {
+      return next(new AppError('Waitlist entry not found', 404));
+    }
+    if (entry.status !== 'waiting') {
+      return next(new AppError(`Cannot reorder a waitlist entry that is ${entry.status}`, 400));
+    }
+
+    const priority = Number(req.body.priority);
+    if (!Number.isInteger(priority)) {
+      return next(new AppError('priority must be a whole number', 400));
+    }
+
+    entry.priority = priority;
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist priority updated',
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// TRIP IMAGES
+// =============================================
+// Upload files (multipart field "images", optional caption for all of them)
+// or send { images: [{ url, caption }] } for pre-hosted images
+const addTripImages = async (req, res, next) => {
+  let assets = [];
+  let saved = false;
+
+  try {
+    const trip = await Trip.findOne({
+      _id: req.params.id,
+      organiser: req.user.id
+    });
+
+    if (!trip) {
+      return next(new AppError('Trip not found', 404));
+    }
+
+    let images = req.body.images;
+
+    if (req.files?.length) {
+      assets = await storeImages(req.files, {
+        ownerType: 'Trip',
+        owner: trip._id,
+        uploadedBy: req.user.id
+      });
+      images = assets.map(asset => ({ ...toImageFields(asset), caption: req.body.caption }));
     }
 
-    // Update capacity
-    trip.capacity.currentBookings -= booking.numberOfPeople;
-    trip.analytics.bookingsCount -= 1;
+    if (!Array.isArray(images) || images.length === 0) {
+      return next(new AppError('Upload at least one image or provide an images array', 400));
+    }
+
+    const hasMain = trip.images.some(image => image.isMain);
+    images.forEach((image, i) => {
+      trip.images.push({
+        ...image,
+        isMain: !hasMain && i === 0,
+        order: trip.images.length
+      });
+    });
+
+    await trip.save();
+    saved = true;
+    await attachAssets(assets);
 
-    // If trip was full, update status
-    if (trip.status === 'full') {
-      trip.status = 'published';
+    res.status(200).json({
+      success: true,
+      message: 'Images added successfully',
+      data: trip.images
+    });
+  } catch (error) {
+    if (!saved) await Promise.all(assets.map(deleteAsset));
+    next(error);
+  }
+};
+
+// Uploaded files are deleted along with the image
+const removeTripImage = async (req, res, next) => {
+  try {
+    const trip = await Trip.findOne({
+      _id: req.params.id,
+      organiser: req.user.id
+    });
+
+    if (!trip) {
+      return next(new AppError('Trip not found', 404));
     }
 
-    // Remove the booking
-    trip.bookings.pull(bookingId);
+    const image = trip.images.id(req.params.imageId);
+
+    if (!image) {
+      return next(new AppError('Image not found', 404));
+    }
+
+    const { asset, isMain } = image;
+    image.deleteOne();
+
+    if (isMain && trip.images.length) {
+      trip.images[0].isMain = true;
+    }
 
     await trip.save();
 
+    if (asset) {
+      await deleteAsset(asset);
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Booking removed successfully'
+      message: 'Image removed successfully'
     });
   } catch (error) {
     next(error);
@@ -914,6 +1583,7 @@ const removeBooking = async (req, res, next) => {
 // =============================================
 // ADD HOTEL OPTIONS
 // =============================================
+// Options are picked from registered hotels: { hotels: [{ hotelId, roomTypeId, isRecommended }] }
 const addHotelOptions = async (req, res, next) => {
   try {
     const trip = await Trip.findOne({
@@ -931,23 +1601,19 @@ const addHotelOptions = async (req, res, next) => {
       return next(new AppError('Hotels array is required', 400));
     }
 
-    // Validate each hotel option
-    const validatedHotels = hotels.map(hotel => ({
-      hotelName: hotel.hotelName,
-      hotelRating: hotel.hotelRating || 3,
-      roomType: hotel.roomType || 'Standard',
-      pricePerNight: hotel.pricePerNight || 0,
-      amenities: hotel.amenities || [],
-      images: hotel.images || [],
-      isRecommended: hotel.isRecommended || false,
-      availableRooms: hotel.availableRooms || 10
-    }));
+    const options = await buildHotelOptions(hotels, trip.hotelOptions);
 
     // Add new hotels to existing ones
-    trip.hotelOptions = [...(trip.hotelOptions || []), ...validatedHotels];
+    trip.hotelOptions = [...(trip.hotelOptions || []), ...options];
 
     await trip.save();
 
+    // Rooms may already be taken by other trips on the same nights
+    const added = trip.hotelOptions.slice(-options.length);
+    for (const option of added) {
+      option.availableRooms = await refreshOptionAvailability(trip._id, option._id) ?? option.availableRooms;
+    }
+
     res.status(200).json({
       success: true,
       message: 'Hotel options added successfully',
@@ -961,10 +1627,12 @@ const addHotelOptions = async (req, res, next) => {
 // =============================================
 // CONFIRM HOTEL FOR BOOKING
 // =============================================
+// Allocates the rooms the party needs for every night of the stay.
+// Body: { optionId } (an entry of trip.hotelOptions) or { hotelIndex }
 const confirmHotelForBooking = async (req, res, next) => {
   try {
     const { tripId, bookingId } = req.params;
-    const { hotelIndex } = req.body;
+    const { optionId, hotelIndex } = req.body;
 
     const trip = await Trip.findOne({
       _id: tripId,
@@ -975,28 +1643,25 @@ const confirmHotelForBooking = async (req, res, next) => {
       return next(new AppError('Trip not found', 404));
     }
 
-    const booking = trip.bookings.id(bookingId);
+    const booking = await Booking.findOne({ _id: bookingId, trip: trip._id });
     if (!booking) {
       return next(new AppError('Booking not found', 404));
     }
 
-    if (hotelIndex === undefined || hotelIndex < 0 || hotelIndex >= trip.hotelOptions.length) {
-      return next(new AppError('Invalid hotel index', 400));
+    const option = optionId ? trip.hotelOptions.id(optionId) : trip.hotelOptions[hotelIndex];
+    if (!option) {
+      return next(new AppError('Invalid hotel option', 400));
     }
 
-    const selectedHotel = trip.hotelOptions[hotelIndex];
-
-    booking.selectedHotel = selectedHotel._id;
-    booking.hotelStatus = 'confirmed';
-
-    await trip.save();
+    const { allocation } = await assignHotel(booking, trip, option._id);
 
     res.status(200).json({
       success: true,
       message: 'Hotel confirmed for booking',
       data: {
         booking,
-        hotel: selectedHotel
+        hotel: option,
+        allocation
       }
     });
   } catch (error) {
@@ -1051,12 +1716,10 @@ const getTripStats = async (req, res, next) => {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    const recentBookingsCount = await Trip.aggregate([
-      { $match: { organiser: new mongoose.Types.ObjectId(req.user.id) } },
-      { $unwind: '$bookings' },
-      { $match: { 'bookings.bookingDate': { $gte: thirtyDaysAgo } } },
-      { $count: 'count' }
-    ]);
+    const recentBookingsCount = await Booking.countDocuments({
+      organiser: req.user.id,
+      bookingDate: { $gte: thirtyDaysAgo }
+    });
 
     const result = stats[0] || {
       totalTrips: 0,
@@ -1076,7 +1739,7 @@ const getTripStats = async (req, res, next) => {
       data: {
         ...result,
         upcomingTrips,
-        recentBookings: recentBookingsCount[0]?.count || 0
+        recentBookings: recentBookingsCount
       }
     });
   } catch (error) {
@@ -1177,10 +1840,19 @@ module.exports = {
   getAvailableGuides,
   assignGuide,
   removeGuide,
+  getTripDepartures,
+  updateDeparture,
+  cancelTripDeparture,
+  assignDepartureGuide,
   addBooking,
   getTripBookings,
+  getOrganiserBookings,
   updateBooking,
   removeBooking,
+  checkInBooking,
+  updateWaitlistEntry,
+  addTripImages,
+  removeTripImage,
   addHotelOptions,
   confirmHotelForBooking,
   getTripStats,
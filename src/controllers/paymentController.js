@@ -0,0 +1,156 @@
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  initiatePayment,
+  recordManualPayment,
+  handleWebhook
+} = require('../services/paymentService');
+
+// Tourists see their own bookings, organisers their trips' bookings, admins everything
+const canViewBooking = (user, booking) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'organiser') return booking.organiser.toString() === user.id;
+  return booking.user.toString() === user.id;
+};
+
+// =============================================
+// PROTECTED: Pay for my booking
+// =============================================
+const payForBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    if (booking.user.toString() !== req.user.id) {
+      return next(new AppError('Not authorized to pay for this booking', 403));
+    }
+
+    const { payment, checkoutUrl } = await initiatePayment(booking, {
+      amount: req.body.amount,
+      method: req.body.method,
+      actor: req.user
+    });
+
+    const updatedBooking = await Booking.findById(booking._id)
+      .select('bookingStatus paymentStatus totalAmount paidAmount');
+
+    res.status(201).json({
+      success: true,
+      message: payment.status === 'succeeded' ? 'Payment successful' : 'Payment initiated',
+      data: {
+        payment,
+        checkoutUrl,
+        booking: updatedBooking
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Get payment ledger for a booking
+// =============================================
+const getBookingPayments = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId)
+      .select('user organiser totalAmount paidAmount paymentStatus');
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    if (!canViewBooking(req.user, booking)) {
+      return next(new AppError('Not authorized to view payments for this booking', 403));
+    }
+
+    const [payments, totals] = await Promise.all([
+      Payment.find({ booking: booking._id }).sort({ createdAt: -1 }),
+      Payment.getBookingTotals(booking._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      data: {
+        totalAmount: booking.totalAmount,
+        paidAmount: booking.paidAmount,
+        balanceDue: booking.balanceDue,
+        paymentStatus: booking.paymentStatus,
+        totals,
+        payments
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// ORGANISER: Record an offline payment
+// =============================================
+const recordBookingPayment = async (req, res, next) => {
+  try {
+    const { tripId, bookingId } = req.params;
+    const { amount, method, note } = req.body;
+
+    const trip = await Trip.findOne({ _id: tripId, organiser: req.user.id }).select('_id');
+    if (!trip) {
+      return next(new AppError('Trip not found', 404));
+    }
+
+    const booking = await Booking.findOne({ _id: bookingId, trip: trip._id });
+    if (!booking) {
+      return next(new AppError('Booking not found', 404));
+    }
+
+    const payment = await recordManualPayment(booking, {
+      amount,
+      method,
+      note,
+      actor: req.user
+    });
+
+    const updatedBooking = await Booking.findById(booking._id)
+      .populate('user', 'firstName lastName email phone');
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        payment,
+        booking: updatedBooking
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PUBLIC: Payment provider webhook
+// =============================================
+const paymentWebhook = async (req, res, next) => {
+  try {
+    const { handled } = await handleWebhook(req.params.provider, req);
+
+    // Always acknowledge verified events so the provider stops retrying
+    res.status(200).json({
+      success: true,
+      received: true,
+      handled
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  payForBooking,
+  getBookingPayments,
+  recordBookingPayment,
+  paymentWebhook
+};
@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { AppError } = require('../middleware/errorHandler');
+const { getCampaignReport } = require('../services/promoService');
+
+// Fields admins and organisers can set on a code
+const PROMO_FIELDS = [
+  'code', 'campaign', 'description', 'trips',
+  'discountType', 'discountValue', 'maxDiscount', 'minOrderValue', 'stacking',
+  'validFrom', 'validUntil', 'usageLimit', 'perUserLimit', 'isActive'
+];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Organisers manage the codes of their own trips, admins manage every code
+const canManagePromo = (user, promo) => user.role === 'admin' ||
+  (promo.organiser && promo.organiser.toString() === user._id.toString());
+
+// Load a code the current user may manage. Loaded inside the handler so
+// audited changes diff correctly.
+const findManageablePromo = async (req) => {
+  const promo = await PromoCode.findById(req.params.promoId);
+
+  if (!promo || !canManagePromo(req.user, promo)) {
+    throw new AppError('Promo code not found', 404);
+  }
+
+  return promo;
+};
+
+// The organiser owning all of the given trips. Organisers can only pick
+// their own trips; an admin's trip code belongs to the trips' organiser.
+const resolveTripOwner = async (user, tripIds) => {
+  if (!Array.isArray(tripIds) || tripIds.length === 0) {
+    throw new AppError('A trip code needs at least one trip', 400);
+  }
+  if (tripIds.some(id => !mongoose.isValidObjectId(id))) {
+    throw new AppError('Invalid trip id', 400);
+  }
+
+  const trips = await Trip.find({ _id: { $in: tripIds } }).select('organiser');
+  const organisers = [...new Set(trips.map(trip => trip.organiser.toString()))];
+
+  if (trips.length !== new Set(tripIds.map(String)).size) {
+    throw new AppError('Trip not found', 404);
+  }
+  if (user.role !== 'admin' && organisers.some(id => id !== user._id.toString())) {
+    throw new AppError('You can only create codes for your own trips', 403);
+  }
+  if (organisers.length > 1) {
+    throw new AppError('All trips of a code must belong to the same organiser', 400);
+  }
+
+  return organisers[0];
+};
+
+// =============================================
+// LIST & DETAILS
+// =============================================
+
+// @desc    Promo codes (organisers: their own)
+// @route   GET /api/admin/promo-codes, GET /api/organiser/promo-codes
+// @access  Private (Admin - manage_bookings, Organiser)
+// Query: scope, campaign, isActive, trip, organiser (admin), page, limit
+const getPromoCodes = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const { scope, campaign, isActive, trip, organiser } = req.query;
+    const query = {};
+
+    if (req.user.role === 'admin') {
+      if (organiser) query.organiser = organiser;
+    } else {
+      query.organiser = req.user._id;
+    }
+    if (scope) query.scope = scope;
+    if (campaign) query.campaign = campaign;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (trip) query.trips = trip;
+
+    const [promoCodes, total] = await Promise.all([
+      PromoCode.find(query)
+        .populate('trips', 'title slug')
+        .populate('organiser', 'firstName lastName organiserProfile.companyName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PromoCode.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promoCodes,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    A promo code with its redemption totals
+// @route   GET /api/admin/promo-codes/:promoId, GET /api/organiser/promo-codes/:promoId
+// @access  Private (Admin - manage_bookings, Organiser)
+const getPromoCodeById = async (req, res, next) => {
+  try {
+    const promo = await findManageablePromo(req);
+    await promo.populate('trips', 'title slug');
+
+    const [summary] = await PromoRedemption.aggregate([
+      { $match: { promoCode: promo._id, status: 'active' } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          discountTotal: { $sum: '$discountAmount' },
+          revenue: { $sum: '$totalAmount' }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promoCode: promo,
+        redemptions: summary
+          ? { count: summary.redemptions, discountTotal: summary.discountTotal, revenue: summary.revenue }
+          : { count: 0, discountTotal: 0, revenue: 0 }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Redemptions per campaign (organisers: on their trips)
+// @route   GET /api/admin/promo-codes/report, GET /api/organiser/promo-codes/report
+// @access  Private (Admin - manage_bookings, Organiser)
+// Query: from, to, organiser (admin)
+const getPromoReport = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const organiser = req.user.role === 'admin' ? req.query.organiser : req.user._id;
+
+    const campaigns = await getCampaignReport({ organiser, from, to });
+
+    res.status(200).json({
+      success: true,
+      data: { campaigns }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// MANAGE
+// =============================================
+
+// @desc    Create a promo code. Organisers create codes for their own trips;
+//          admins create platform-wide codes (or trip codes with scope 'trip').
+// @route   POST /api/admin/promo-codes, POST /api/organiser/promo-codes
+// @access  Private (Admin - manage_bookings, Organiser)
+const createPromoCode = async (req, res, next) => {
+  try {
+    const fields = pick(req.body, PROMO_FIELDS);
+    const scope = req.user.role === 'admin' ? (req.body.scope || 'platform') : 'trip';
+
+    if (!PromoCode.SCOPES.includes(scope)) {
+      return next(new AppError(`Scope must be one of: ${PromoCode.SCOPES.join(', ')}`, 400));
+    }
+
+    const organiser = scope === 'trip' ? await resolveTripOwner(req.user, fields.trips) : undefined;
+
+    if (await PromoCode.exists({ code: PromoCode.normalise(fields.code) })) {
+      return next(new AppError('A promo code with this code already exists', 400));
+    }
+
+    const promo = await PromoCode.create({
+      ...fields,
+      trips: scope === 'trip' ? fields.trips : [],
+      scope,
+      organiser,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created',
+      data: promo
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a promo code (the code itself only until it is first used)
+// @route   PUT /api/admin/promo-codes/:promoId, PUT /api/organiser/promo-codes/:promoId
+// @access  Private (Admin - manage_bookings, Organiser)
+const updatePromoCode = async (req, res, next) => {
+  try {
+    const promo = await findManageablePromo(req);
+    const fields = pick(req.body, PROMO_FIELDS);
+
+    if (fields.code !== undefined && PromoCode.normalise(fields.code) !== promo.code) {
+      if (promo.usedCount > 0 || await PromoRedemption.exists({ promoCode: promo._id })) {
+        return next(new AppError('The code of a promo that has been used cannot be changed', 400));
+      }
+      if (await PromoCode.exists({ code: PromoCode.normalise(fields.code), _id: { $ne: promo._id } })) {
+        return next(new AppError('A promo code with this code already exists', 400));
+      }
+    }
+
+    if (promo.scope === 'trip' && fields.trips !== undefined) {
+      const owner = await resolveTripOwner(req.user, fields.trips);
+      if (owner !== promo.organiser.toString()) {
+        return next(new AppError('All trips of a code must belong to the same organiser', 400));
+      }
+    } else {
+      delete fields.trips;
+    }
+
+    if (fields.usageLimit !== undefined && fields.usageLimit !== null && fields.usageLimit < promo.usedCount) {
+      return next(new AppError(`This code has already been used ${promo.usedCount} times`, 400));
+    }
+
+    promo.set(fields);
+    await promo.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code updated',
+      data: promo
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate a promo code (existing bookings keep their discount)
+// @route   DELETE /api/admin/promo-codes/:promoId, DELETE /api/organiser/promo-codes/:promoId
+// @access  Private (Admin - manage_bookings, Organiser)
+const deactivatePromoCode = async (req, res, next) => {
+  try {
+    const promo = await findManageablePromo(req);
+
+    promo.isActive = false;
+    await promo.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code deactivated'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  getPromoCodeById,
+  getPromoReport,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode
+};
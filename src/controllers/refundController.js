@@ -0,0 +1,203 @@
+const RefundRequest = require('../models/RefundRequest');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  approveRefund,
+  rejectRefund,
+  executeRefund
+} = require('../services/refundService');
+
+// Organisers review refunds on their own trips, admins review everything
+const canReviewRefund = (user, refund) => {
+  if (user.role === 'admin') return true;
+  return user.role === 'organiser' && refund.organiser.toString() === user.id;
+};
+
+// Load a refund the current user may review
+const findReviewableRefund = async (req) => {
+  const refund = await RefundRequest.findById(req.params.id);
+  if (!refund) {
+    throw new AppError('Refund not found', 404);
+  }
+  if (!canReviewRefund(req.user, refund)) {
+    throw new AppError('Not authorized to review this refund', 403);
+  }
+  return refund;
+};
+
+// =============================================
+// PROTECTED: Get my refund history
+// =============================================
+const getMyRefunds = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { user: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const [refunds, total] = await Promise.all([
+      RefundRequest.find(query)
+        .populate('trip', 'title slug startDate')
+        .populate('booking', 'numberOfPeople totalAmount paidAmount paymentStatus bookingStatus')
+        .populate('payments', 'amount status provider settledAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      RefundRequest.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: refunds
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// ORGANISER/ADMIN: List refunds to review
+// =============================================
+const getRefunds = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.user.role === 'organiser') query.organiser = req.user.id;
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.trip) query.trip = req.query.trip;
+
+    const [refunds, total] = await Promise.all([
+      RefundRequest.find(query)
+        .populate('trip', 'title slug startDate')
+        .populate('user', 'firstName lastName email phone')
+        .populate('booking', 'numberOfPeople totalAmount paidAmount paymentStatus bookingStatus')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      RefundRequest.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: refunds
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Get a single refund
+// =============================================
+const getRefundById = async (req, res, next) => {
+  try {
+    const refund = await RefundRequest.findById(req.params.id)
+      .populate('trip', 'title slug startDate')
+      .populate('booking', 'numberOfPeople totalAmount paidAmount paymentStatus bookingStatus')
+      .populate('payments', 'amount status provider providerReference settledAt failureReason');
+
+    if (!refund) {
+      return next(new AppError('Refund not found', 404));
+    }
+
+    if (refund.user.toString() !== req.user.id && !canReviewRefund(req.user, refund)) {
+      return next(new AppError('Not authorized to view this refund', 403));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: refund
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// ORGANISER/ADMIN: Approve a refund
+// =============================================
+const approveRefundRequest = async (req, res, next) => {
+  try {
+    const refund = await findReviewableRefund(req);
+
+    const updated = await approveRefund(refund, {
+      actor: req.user,
+      amount: req.body.amount,
+      note: req.body.note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: updated.status === 'completed' ? 'Refund completed' : `Refund ${updated.status}`,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// ORGANISER/ADMIN: Reject a refund
+// =============================================
+const rejectRefundRequest = async (req, res, next) => {
+  try {
+    const refund = await findReviewableRefund(req);
+
+    const updated = await rejectRefund(refund, {
+      actor: req.user,
+      note: req.body.note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund rejected',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// ORGANISER/ADMIN: Retry a failed refund
+// =============================================
+const retryRefund = async (req, res, next) => {
+  try {
+    const refund = await findReviewableRefund(req);
+
+    if (refund.status !== 'failed') {
+      return next(new AppError(`Only failed refunds can be retried (this one is ${refund.status})`, 400));
+    }
+
+    const updated = await executeRefund(refund._id);
+
+    res.status(200).json({
+      success: true,
+      message: updated.status === 'completed' ? 'Refund completed' : `Refund ${updated.status}`,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyRefunds,
+  getRefunds,
+  getRefundById,
+  approveRefundRequest,
+  rejectRefundRequest,
+  retryRefund
+};
@@ -0,0 +1,216 @@
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { createSession, markTwoFactorVerified } = require('../services/sessionService');
+const {
+  isTwoFactorRequired,
+  readChallenge,
+  checkSecondFactor,
+  startEnrolment,
+  confirmEnrolment,
+  disableTwoFactor: turnOffTwoFactor,
+  regenerateBackupCodes: replaceBackupCodes
+} = require('../services/twoFactorService');
+const {
+  assertIpAllowed,
+  assertAccountAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/loginProtectionService');
+const { getClientIp } = require('../utils/helpers');
+
+// Either a TOTP code or a backup code has to be sent
+const getSecondFactor = (body) => {
+  const { code, backupCode } = body;
+  if (!code && !backupCode) {
+    throw new AppError('Authentication code or backup code is required', 400);
+  }
+  return { code, backupCode };
+};
+
+// @desc    Finish a 2FA login with a code
+// @route   POST /api/auth/2fa/login
+// @access  Public (challenge token from /login)
+const completeTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken } = req.body;
+
+    if (!challengeToken) {
+      return next(new AppError('Challenge token is required', 400));
+    }
+
+    const userId = readChallenge(challengeToken);
+    const ip = getClientIp(req);
+
+    await assertIpAllowed(ip);
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return next(new AppError('Your account has been deactivated. Please contact support.', 401));
+    }
+    if (user.isBanned) {
+      return next(new AppError('Your account has been suspended. Please contact support.', 403));
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    assertAccountAllowed(user);
+
+    let result;
+    try {
+      result = await checkSecondFactor(userId, getSecondFactor(req.body));
+    } catch (error) {
+      if (error.statusCode === 401) await recordFailedLogin(user, ip);
+      throw error;
+    }
+    const { method, backupCodesRemaining } = result;
+
+    await recordSuccessfulLogin(user);
+
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    const { accessToken: token, refreshToken } = await createSession(user, req, { twoFactorVerified: true });
+
+    res.status(200).json({
+      success: true,
+      message: method === 'backup_code'
+        ? `Login successful. ${backupCodesRemaining} backup code(s) left.`
+        : 'Login successful',
+      data: {
+        user,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.backupCodes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactor?.enabled || false,
+        enabledAt: user.twoFactor?.enabledAt,
+        required: await isTwoFactorRequired(user),
+        backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0,
+        verifiedAt: req.authSession?.twoFactorVerifiedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start 2FA enrolment (returns secret and QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const { secret, otpauthUrl, qrCode } = await startEnrolment(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUrl, qrCode }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm enrolment with the first code
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    if (!req.body.code) {
+      return next(new AppError('Authentication code is required', 400));
+    }
+
+    const backupCodes = await confirmEnrolment(req.user.id, req.body.code);
+    await markTwoFactorVerified(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe - they will not be shown again.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn 2FA off (password and code required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    await turnOffTwoFactor(req.user, {
+      password: req.body.password,
+      ...getSecondFactor(req.body)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res, next) => {
+  try {
+    if (!req.body.code) {
+      return next(new AppError('Authentication code is required', 400));
+    }
+
+    const backupCodes = await replaceBackupCodes(req.user.id, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. The old ones no longer work.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Re-confirm 2FA on this session before a sensitive action
+// @route   POST /api/auth/2fa/verify-session
+// @access  Private
+const verifySession = async (req, res, next) => {
+  try {
+    await checkSecondFactor(req.user.id, getSecondFactor(req.body));
+    const session = await markTwoFactorVerified(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor check passed',
+      data: { verifiedAt: session.twoFactorVerifiedAt }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  completeTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifySession
+};
@@ -1,6 +1,7 @@
 const Attraction = require('../models/Attraction');
 const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
+const attractionReviews = require('../services/attractionReviewService');
 
 // =============================================
 // PUBLIC ENDPOINTS (No Auth Required)
@@ -72,6 +73,9 @@ const getAllAttractions = async (req, res, next) => {
       query['ratings.overall'] = { $gte: parseFloat(req.query.minRating) };
     }
 
+    // Filter by aspect scores (minCleanliness, minAccessibility, ...)
+    Object.assign(query, Attraction.aspectFilters(req.query));
+
     // Filter by best season
     if (req.query.season) {
       query['bestTimeToVisit.season'] = req.query.season;
@@ -118,12 +122,13 @@ const getAllAttractions = async (req, res, next) => {
         sortOption = { 'ratings.totalReviews': -1 };
         break;
       default:
-        sortOption = { 'analytics.popularityScore': -1 };
+        // Aspect scores: sortBy=accessibility, sortBy=cleanliness, ...
+        sortOption = Attraction.aspectSort(req.query.sortBy) || { 'analytics.popularityScore': -1 };
     }
 
     // Execute query
     const attractions = await Attraction.find(query)
-      .select('name slug shortDescription thumbnail location category ratings.overall ratings.totalReviews recommendedDuration isFreeEntry isUNESCOSite isFeatured isMustVisit tags bestTimeToVisit.season')
+      .select('name slug shortDescription thumbnail location category ratings.overall ratings.totalReviews ratings.aspects recommendedDuration isFreeEntry isUNESCOSite isFeatured isMustVisit tags bestTimeToVisit.season')
       .skip(skip)
       .limit(limit)
       .sort(sortOption)
@@ -143,6 +148,7 @@ const getAllAttractions = async (req, res, next) => {
       category: attr.category,
       rating: attr.ratings?.overall || 0,
       reviewCount: attr.ratings?.totalReviews || 0,
+      aspects: attr.ratings?.aspects,
       duration: attr.recommendedDuration?.ideal || 120,
       isFreeEntry: attr.isFreeEntry,
       isUNESCO: attr.isUNESCOSite,
@@ -819,9 +825,26 @@ const getAttractionReviews = async (req, res, next) => {
       return next(new AppError('Attraction not found', 404));
     }
 
-    // Sort reviews by newest first
+    const newest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    const sorters = {
+      recent: newest,
+      helpful: (a, b) => (b.helpfulCount || 0) - (a.helpfulCount || 0) || newest(a, b),
+      rating: (a, b) => b.rating - a.rating || newest(a, b),
+      rating_asc: (a, b) => a.rating - b.rating || newest(a, b)
+    };
+    // sortBy=<aspect> - reviews that scored it, best first
+    const aspect = Attraction.REVIEW_ASPECTS.includes(req.query.sortBy) ? req.query.sortBy : null;
+
+    // Visible reviews only, filtered by min<Aspect> scores, newest first by default
+    const minScores = Object.entries(Attraction.aspectMinimums(req.query));
+
     const sortedReviews = attraction.reviews
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      .filter(attractionReviews.isVisible)
+      .filter(review => !aspect || review.aspects?.[aspect])
+      .filter(review => minScores.every(([name, min]) => (review.aspects?.[name] || 0) >= min))
+      .sort(aspect
+        ? (a, b) => b.aspects[aspect] - a.aspects[aspect] || newest(a, b)
+        : sorters[req.query.sortBy] || sorters.recent);
 
     const paginatedReviews = sortedReviews.slice(skip, skip + limit);
 
@@ -829,27 +852,12 @@ const getAttractionReviews = async (req, res, next) => {
       success: true,
       data: {
         ratings: attraction.ratings,
-        reviews: paginatedReviews.map(review => ({
-          id: review._id,
-          user: {
-            name: `${review.user?.firstName || 'Anonymous'} ${review.user?.lastName?.[0] || ''}`.trim(),
-            avatar: review.user?.profilePicture
-          },
-          rating: review.rating,
-          title: review.title,
-          comment: review.comment,
-          photos: review.photos,
-          visitDate: review.visitDate,
-          visitType: review.visitType,
-          isVerified: review.isVerified,
-          helpfulCount: review.helpfulCount,
-          createdAt: review.createdAt
-        })),
+        reviews: paginatedReviews.map(review => attractionReviews.toPublicReview(review, req.user?._id)),
         pagination: {
           page,
           limit,
-          total: attraction.reviews.length,
-          pages: Math.ceil(attraction.reviews.length / limit)
+          total: sortedReviews.length,
+          pages: Math.ceil(sortedReviews.length / limit)
         }
       }
     });
@@ -978,12 +986,15 @@ const getWishlist = async (req, res, next) => {
 const addReview = async (req, res, next) => {
   try {
     const { slug } = req.params;
-    const { rating, title, comment, photos, visitDate, visitType } = req.body;
+    const { rating, title, comment, photos, visitDate, visitType, aspects = {} } = req.body;
 
     if (!rating || rating < 1 || rating > 5) {
       return next(new AppError('Please provide a rating between 1 and 5', 400));
     }
 
+    // Optional aspect scores (cleanliness, accessibility, valueForMoney, facilities, crowdManagement)
+    const { scores: aspectScores } = attractionReviews.parseAspectScores(aspects);
+
     const attraction = await Attraction.findOne({ slug, isActive: true });
     if (!attraction) {
       return next(new AppError('Attraction not found', 404));
@@ -997,16 +1008,22 @@ const addReview = async (req, res, next) => {
       return next(new AppError('You have already reviewed this attraction', 400));
     }
 
+    // Reviews that trip the profanity/spam checks wait for a moderator
+    const heldReasons = attractionReviews.screenReview({ title, comment });
+
     // Add review
     attraction.reviews.push({
       user: req.user.id,
       rating,
       title,
       comment,
+      aspects: aspectScores,
       photos: photos || [],
       visitDate,
       visitType,
-      isVerified: false
+      isVerified: false,
+      status: heldReasons.length ? 'held' : 'visible',
+      moderation: heldReasons.length ? { heldReasons } : undefined
     });
 
     // Recalculate ratings
@@ -1015,37 +1032,61 @@ const addReview = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      message: 'Review added successfully'
+      message: heldReasons.length
+        ? 'Review submitted and is awaiting moderation'
+        : 'Review added successfully',
+      data: {
+        status: heldReasons.length ? 'held' : 'visible'
+      }
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Mark review as helpful
+// @desc    Mark review as helpful - calling again takes the vote back
 // @route   POST /api/attractions/:slug/reviews/:reviewId/helpful
 // @access  Private
 const markReviewHelpful = async (req, res, next) => {
   try {
     const { slug, reviewId } = req.params;
 
-    const attraction = await Attraction.findOne({ slug });
+    const attraction = await Attraction.findOne({ slug, isActive: true });
     if (!attraction) {
       return next(new AppError('Attraction not found', 404));
     }
 
-    const review = attraction.reviews.id(reviewId);
-    if (!review) {
-      return next(new AppError('Review not found', 404));
+    const { helpful, helpfulCount } = await attractionReviews.toggleHelpfulVote(attraction, reviewId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: helpful ? 'Marked as helpful' : 'Helpful vote removed',
+      helpful,
+      helpfulCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report a review (reason: spam, offensive, fake, irrelevant, personal_info, other)
+// @route   POST /api/attractions/:slug/reviews/:reviewId/report
+// @access  Private
+const reportReview = async (req, res, next) => {
+  try {
+    const { slug, reviewId } = req.params;
+    const { reason, details } = req.body;
+
+    const attraction = await Attraction.findOne({ slug, isActive: true });
+    if (!attraction) {
+      return next(new AppError('Attraction not found', 404));
     }
 
-    review.helpfulCount += 1;
-    await attraction.save();
+    await attractionReviews.reportReview(attraction, reviewId, req.user._id, { reason, details });
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'Marked as helpful',
-      helpfulCount: review.helpfulCount
+      message: 'Thanks - the review has been reported to our moderators'
     });
   } catch (error) {
     next(error);
@@ -1191,5 +1232,6 @@ module.exports = {
   removeFromWishlist,
   getWishlist,
   addReview,
-  markReviewHelpful
+  markReviewHelpful,
+  reportReview
 };
\ No newline at end of file
@@ -1,7 +1,72 @@
 const mongoose = require('mongoose');
 const Trip = require('../models/Trip');
 const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const WaitlistEntry = require('../models/WaitlistEntry');
 const { AppError } = require('../middleware/errorHandler');
+const { createBooking, cancelBooking } = require('../services/bookingService');
+const { calculateRefund, requestRefund } = require('../services/refundService');
+const { addTripReview } = require('../services/tripReviewService');
+const { quoteTrip, toPriceBreakdown } = require('../services/pricingService');
+const { findPromoCode, redeemPromoCode, discardRedemption } = require('../services/promoService');
+const {
+  joinWaitlist,
+  waitlistPosition,
+  leaveWaitlist,
+  claimOffer,
+  restoreOffer,
+  linkClaimedBooking,
+  promoteWaitlist
+} = require('../services/waitlistService');
+const { planAmendment, amendBooking } = require('../services/amendmentService');
+const { notify } = require('../services/notifications');
+
+// Recurring trips are listed while any upcoming departure still has seats;
+// one-off trips by their own dates and capacity
+const bookableTripsFilter = async (from) => {
+  const now = new Date();
+  const after = from && from > now ? from : now;
+  const recurringTripIds = await Departure.distinct('trip', {
+    status: 'published',
+    startDate: { $gte: after }
+  });
+
+  return {
+    $or: [
+      {
+        isRecurring: { $ne: true },
+        startDate: { $gt: now, ...(from && { $gte: from }) },
+        $expr: { $lt: ['$capacity.currentBookings', '$capacity.maxPeople'] }
+      },
+      { isRecurring: true, _id: { $in: recurringTripIds } }
+    ]
+  };
+};
+
+// Add the next few open departures to each recurring trip in a list
+const attachUpcomingDepartures = async (trips, limit = 5) => {
+  const recurringIds = trips.filter(t => t.isRecurring).map(t => t._id);
+  const departures = recurringIds.length > 0 ? await Departure.getUpcoming(recurringIds) : [];
+
+  return trips.map(trip => {
+    const tripObj = trip.toObject();
+    if (trip.isRecurring) {
+      tripObj.upcomingDepartures = departures
+        .filter(d => d.trip.toString() === trip._id.toString())
+        .slice(0, limit);
+    }
+    return tripObj;
+  });
+};
+
+// Trip details with its upcoming departures if it is recurring
+const withDepartures = async (trip) => {
+  if (!trip.isRecurring) return trip;
+
+  const departures = await Departure.getUpcoming(trip._id, { statuses: ['published', 'full'] });
+  return { ...trip.toObject(), departures };
+};
 
 // =============================================
 // PUBLIC: Get trips for an attraction
@@ -19,14 +84,18 @@ const getTripsForAttraction = async (req, res, next) => {
     }
 
     const query = {
-      $or: [
-        { attraction: attractionId },
-        { 'attractions.attraction': attractionId }
+      $and: [
+        {
+          $or: [
+            { attraction: attractionId },
+            { 'attractions.attraction': attractionId }
+          ]
+        },
+        await bookableTripsFilter()
       ],
       status: 'published',
       isActive: true,
-      visibility: 'public',
-      startDate: { $gt: new Date() }
+      visibility: 'public'
     };
 
     const [trips, total] = await Promise.all([
@@ -46,7 +115,7 @@ const getTripsForAttraction = async (req, res, next) => {
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
-      data: trips
+      data: await attachUpcomingDepartures(trips)
     });
   } catch (error) {
     next(error);
@@ -66,8 +135,7 @@ const getAvailableTrips = async (req, res, next) => {
       status: 'published',
       isActive: true,
       visibility: 'public',
-      startDate: { $gt: new Date() },
-      $expr: { $lt: ['$capacity.currentBookings', '$capacity.maxPeople'] }
+      ...(await bookableTripsFilter(req.query.startDate ? new Date(req.query.startDate) : undefined))
     };
 
     // Filters
@@ -86,19 +154,36 @@ const getAvailableTrips = async (req, res, next) => {
         $lte: parseFloat(req.query.maxPrice) 
       };
     }
-    if (req.query.startDate) {
-      query.startDate = { $gte: new Date(req.query.startDate) };
-    }
     if (req.query.difficulty) {
       query.difficulty = req.query.difficulty;
     }
+    if (req.query.minRating) {
+      query['analytics.avgRating'] = { $gte: parseFloat(req.query.minRating) };
+    }
+
+    // Sort options
+    let sortOption = { startDate: 1 }; // Default: soonest first
+
+    switch (req.query.sortBy) {
+      case 'rating':
+        sortOption = { 'analytics.avgRating': -1, 'analytics.reviewsCount': -1 };
+        break;
+      case 'rating_asc':
+        sortOption = { 'analytics.avgRating': 1 };
+        break;
+      case 'reviews':
+        sortOption = { 'analytics.reviewsCount': -1 };
+        break;
+      default:
+        sortOption = { startDate: 1 };
+    }
 
     const [trips, total] = await Promise.all([
       Trip.find(query)
-        .populate('organiser', 'firstName lastName organiserProfile.companyName organiserProfile.logo organiserProfile.averageRating')
+        .populate('organiser', 'firstName lastName organiserProfile.companyName organiserProfile.logo organiserProfile.averageRating organiserProfile.totalReviews')
         .populate('attraction', 'name city category thumbnail')
         .select('-bookings -reviews')
-        .sort({ startDate: 1 })
+        .sort(sortOption)
         .skip(skip)
         .limit(limit),
       Trip.countDocuments(query)
@@ -110,7 +195,7 @@ const getAvailableTrips = async (req, res, next) => {
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
-      data: trips
+      data: await attachUpcomingDepartures(trips)
     });
   } catch (error) {
     next(error);
@@ -147,7 +232,41 @@ const getTripDetails = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: trip
+      data: await withDepartures(trip)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PUBLIC: Price a party before booking
+// =============================================
+// Body: numberOfPeople, travelers [{ name, age }], promoCode - the same
+// breakdown bookTrip charges. Per-user code limits are checked when signed in.
+const getTripQuote = async (req, res, next) => {
+  try {
+    const trip = await Trip.findOne({
+      _id: req.params.id,
+      status: { $in: ['published', 'full'] },
+      isActive: true
+    }).select('title pricing ageRestriction');
+
+    if (!trip) {
+      return next(new AppError('Trip not found or no longer available', 404));
+    }
+
+    const { numberOfPeople, travelers, promoCode } = req.body;
+    const promo = promoCode ? await findPromoCode(promoCode, { trip, user: req.user?._id }) : null;
+    const quote = quoteTrip(trip, { numberOfPeople, travelers }, { promo });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tripId: trip._id,
+        tripTitle: trip.title,
+        ...quote
+      }
     });
   } catch (error) {
     next(error);
@@ -157,6 +276,8 @@ const getTripDetails = async (req, res, next) => {
 // =============================================
 // PROTECTED: Book a trip (Tourist only)
 // =============================================
+// Pass waitlistEntryId to claim seats offered from the waitlist; those seats
+// are already held, so the trip or departure may show as full.
 const bookTrip = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -169,30 +290,36 @@ const bookTrip = async (req, res, next) => {
       contactPhone,
       contactEmail,
       emergencyContact,
-      selectedHotelIndex
+      selectedHotelIndex,
+      departureId,
+      promoCode,
+      waitlistEntryId
     } = req.body;
 
-    // Validate required fields
-    if (!numberOfPeople || numberOfPeople < 1) {
-      return next(new AppError('Number of people is required', 400));
-    }
-
     // Get the trip
     const trip = await Trip.findOne({
       _id: id,
-      status: { $in: ['published'] },
-      isActive: true,
-      startDate: { $gt: new Date() }
+      status: { $in: waitlistEntryId ? ['published', 'full'] : ['published'] },
+      isActive: true
     });
 
-    if (!trip) {
+    if (!trip || (!trip.isRecurring && trip.startDate <= new Date())) {
       return next(new AppError('Trip not found or no longer available', 404));
     }
 
-    // Check capacity
-    const availableSlots = trip.capacity.maxPeople - trip.capacity.currentBookings;
-    if (numberOfPeople > availableSlots) {
-      return next(new AppError(`Only ${availableSlots} slots available`, 400));
+    // Recurring trips are booked on a specific departure
+    let departure;
+    if (trip.isRecurring) {
+      if (!departureId) {
+        return next(new AppError('Please choose a departure date for this trip', 400));
+      }
+
+      departure = await Departure.findOne({ _id: departureId, trip: trip._id });
+      const bookable = departure && (departure.isBookable ||
+        (waitlistEntryId && departure.status === 'full' && departure.startDate > new Date()));
+      if (!bookable) {
+        return next(new AppError('Departure not found or no longer available', 404));
+      }
     }
 
     // Get user details
@@ -201,35 +328,26 @@ const bookTrip = async (req, res, next) => {
       return next(new AppError('User not found', 404));
     }
 
-    // Calculate total amount
-    let totalAmount = trip.pricing.pricePerPerson * numberOfPeople;
-    
-    // Apply group discount if applicable
-    if (trip.pricing.groupDiscount && numberOfPeople >= trip.pricing.groupDiscount.minPeople) {
-      const discount = totalAmount * (trip.pricing.groupDiscount.discountPercent / 100);
-      totalAmount -= discount;
-    }
-
-    // Apply early bird discount if applicable
-    if (trip.pricing.earlyBirdDiscount && trip.pricing.earlyBirdDiscount.deadline) {
-      if (new Date() < new Date(trip.pricing.earlyBirdDiscount.deadline)) {
-        const discount = totalAmount * (trip.pricing.earlyBirdDiscount.discountPercent / 100);
-        totalAmount -= discount;
-      }
-    }
+    // Price each traveller by age band, then apply discounts (same as the quote)
+    const promo = promoCode ? await findPromoCode(promoCode, { trip, user: userId }) : null;
+    const quote = quoteTrip(trip, { numberOfPeople, travelers }, { promo });
+    const totalAmount = quote.total;
+    const redeemed = promo && quote.promo.applied ? promo : null;
 
-    // Create booking
-    const booking = {
+    // Create booking (its id is chosen up front so the promo redemption can point at it)
+    const bookingData = {
+      _id: new mongoose.Types.ObjectId(),
       user: userId,
-      numberOfPeople,
+      numberOfPeople: quote.numberOfPeople,
       totalAmount,
+      priceBreakdown: toPriceBreakdown(quote),
+      promoCode: redeemed?._id,
       travelers: travelers || [],
       specialRequests,
       contactPhone: contactPhone || user.phone,
       contactEmail: contactEmail || user.email,
       emergencyContact,
       bookingDate: new Date(),
-      bookingStatus: 'pending',
       paymentStatus: 'pending',
       paidAmount: 0,
       hotelStatus: trip.hotelOptions.length > 0 ? 'pending' : 'not_required'
@@ -237,23 +355,61 @@ const bookTrip = async (req, res, next) => {
 
     // Set selected hotel if provided
     if (selectedHotelIndex !== undefined && trip.hotelOptions[selectedHotelIndex]) {
-      booking.selectedHotel = trip.hotelOptions[selectedHotelIndex]._id;
+      bookingData.selectedHotel = trip.hotelOptions[selectedHotelIndex]._id;
     }
 
-    // Add booking to trip
-    trip.bookings.push(booking);
-    trip.capacity.currentBookings += numberOfPeople;
-    trip.analytics.bookingsCount += 1;
+    // A waitlist offer is claimed before anything else, so it can't expire meanwhile
+    const offer = waitlistEntryId
+      ? await claimOffer(waitlistEntryId, { trip, departure, user: userId, numberOfPeople: quote.numberOfPeople })
+      : null;
+
+    // The code is redeemed next; if it or the seats can't be had, the
+    // redemption and the offer are handed back
+    let createdBooking;
+    let redemption = null;
+    try {
+      if (redeemed) {
+        redemption = await redeemPromoCode(redeemed, {
+          _id: bookingData._id,
+          user: userId,
+          trip: trip._id,
+          organiser: trip.organiser
+        }, quote);
+      }
 
-    // Check if trip is now full
-    if (trip.capacity.currentBookings >= trip.capacity.maxPeople) {
-      trip.status = 'full';
+      // Seats are reserved atomically and held until the booking is confirmed
+      ({ booking: createdBooking } = await createBooking(trip, bookingData, {
+        actor: req.user,
+        holdSeats: true,
+        departure,
+        seatsHeld: Boolean(offer)
+      }));
+    } catch (error) {
+      if (redemption) await discardRedemption(redemption);
+      if (offer) await restoreOffer(offer);
+      throw error;
     }
 
-    await trip.save();
+    if (offer) await linkClaimedBooking(offer, createdBooking);
 
-    // Get the created booking
-    const createdBooking = trip.bookings[trip.bookings.length - 1];
+    const startDate = departure ? departure.startDate : trip.startDate;
+    const refs = { trip: trip._id, booking: createdBooking._id };
+
+    notify(user, 'booking_created', {
+      tripTitle: trip.title,
+      startDate,
+      numberOfPeople: quote.numberOfPeople,
+      totalAmount,
+      holdExpiresAt: createdBooking.holdExpiresAt,
+      refs
+    });
+    notify(trip.organiser, 'new_booking', {
+      tripTitle: trip.title,
+      startDate,
+      numberOfPeople: quote.numberOfPeople,
+      touristName: user.fullName,
+      refs
+    });
 
     res.status(201).json({
       success: true,
@@ -262,11 +418,16 @@ const bookTrip = async (req, res, next) => {
         bookingId: createdBooking._id,
         tripId: trip._id,
         tripTitle: trip.title,
-        startDate: trip.startDate,
-        numberOfPeople,
+        departureId: departure?._id,
+        startDate,
+        numberOfPeople: quote.numberOfPeople,
         totalAmount,
+        priceBreakdown: createdBooking.priceBreakdown,
+        promo: quote.promo,
+        waitlistEntryId: offer?._id,
         bookingStatus: 'pending',
-        paymentStatus: 'pending'
+        paymentStatus: 'pending',
+        holdExpiresAt: createdBooking.holdExpiresAt
       }
     });
   } catch (error) {
@@ -283,51 +444,50 @@ const getMyBookings = async (req, res, next) => {
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
 
-    // Find all trips that have bookings by this user
-    const trips = await Trip.find({
-      'bookings.user': userId
-    })
-      .populate('organiser', 'firstName lastName organiserProfile.companyName organiserProfile.businessPhone')
-      .populate('attraction', 'name city category thumbnail')
-      .select('title slug startDate endDate startLocation pricing bookings status attraction organiser');
-
-    // Extract user's bookings from trips
-    const bookings = [];
-    trips.forEach(trip => {
-      trip.bookings.forEach(booking => {
-        if (booking.user.toString() === userId) {
-          bookings.push({
-            _id: booking._id,
-            tripId: trip._id,
-            tripTitle: trip.title,
-            tripSlug: trip.slug,
-            tripStatus: trip.status,
-            startDate: trip.startDate,
-            endDate: trip.endDate,
-            startLocation: trip.startLocation,
-            attraction: trip.attraction,
-            organiser: trip.organiser,
-            pricing: trip.pricing,
-            numberOfPeople: booking.numberOfPeople,
-            totalAmount: booking.totalAmount,
-            paidAmount: booking.paidAmount,
-            bookingStatus: booking.bookingStatus,
-            paymentStatus: booking.paymentStatus,
-            bookingDate: booking.bookingDate,
-            travelers: booking.travelers,
-            hotelStatus: booking.hotelStatus,
-            createdAt: booking.createdAt
-          });
-        }
-      });
-    });
+    const query = { user: userId };
+    if (req.query.status) {
+      query.bookingStatus = req.query.status;
+    }
 
-    // Sort by booking date (newest first)
-    bookings.sort((a, b) => new Date(b.bookingDate) - new Date(a.bookingDate));
+    const [userBookings, total] = await Promise.all([
+      Booking.find(query)
+        .populate({
+          path: 'trip',
+          select: 'title slug startDate endDate startLocation pricing status attraction',
+          populate: { path: 'attraction', select: 'name city category thumbnail' }
+        })
+        .populate('departure', 'startDate endDate status')
+        .populate('organiser', 'firstName lastName organiserProfile.companyName organiserProfile.businessPhone')
+        .sort({ bookingDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Booking.countDocuments(query)
+    ]);
 
-    // Paginate
-    const total = bookings.length;
-    const paginatedBookings = bookings.slice((page - 1) * limit, page * limit);
+    const paginatedBookings = userBookings.map(booking => ({
+      _id: booking._id,
+      tripId: booking.trip?._id,
+      tripTitle: booking.trip?.title,
+      tripSlug: booking.trip?.slug,
+      tripStatus: booking.departure?.status || booking.trip?.status,
+      departureId: booking.departure?._id,
+      startDate: booking.departure?.startDate || booking.trip?.startDate,
+      endDate: booking.departure?.endDate || booking.trip?.endDate,
+      startLocation: booking.trip?.startLocation,
+      attraction: booking.trip?.attraction,
+      organiser: booking.organiser,
+      pricing: booking.trip?.pricing,
+      numberOfPeople: booking.numberOfPeople,
+      totalAmount: booking.totalAmount,
+      paidAmount: booking.paidAmount,
+      bookingStatus: booking.bookingStatus,
+      paymentStatus: booking.paymentStatus,
+      bookingDate: booking.bookingDate,
+      travelers: booking.travelers,
+      hotelStatus: booking.hotelStatus,
+      statusHistory: booking.statusHistory,
+      createdAt: booking.createdAt
+    }));
 
     res.status(200).json({
       success: true,
@@ -355,7 +515,7 @@ const cancelMyBooking = async (req, res, next) => {
       return next(new AppError('Trip not found', 404));
     }
 
-    const booking = trip.bookings.id(bookingId);
+    const booking = await Booking.findOne({ _id: bookingId, trip: trip._id });
     if (!booking) {
       return next(new AppError('Booking not found', 404));
     }
@@ -369,54 +529,194 @@ const cancelMyBooking = async (req, res, next) => {
     if (booking.bookingStatus === 'cancelled') {
       return next(new AppError('Booking is already cancelled', 400));
     }
-    if (booking.bookingStatus === 'completed') {
-      return next(new AppError('Cannot cancel a completed booking', 400));
+    if (!booking.canTransitionTo('cancelled')) {
+      return next(new AppError(`Cannot cancel a ${booking.bookingStatus} booking`, 400));
     }
 
-    // Calculate refund based on cancellation policy
-    let refundAmount = 0;
-    const daysUntilTrip = Math.ceil((new Date(trip.startDate) - new Date()) / (1000 * 60 * 60 * 24));
+    // Calculate refund based on cancellation policy, counting days to the booked departure
+    const departure = booking.departure
+      ? await Departure.findById(booking.departure).select('startDate')
+      : null;
+    const policy = calculateRefund(trip, booking, { startDate: departure?.startDate });
+    const reason = req.body.reason || 'Cancelled by tourist';
+
+    // Cancel booking and give its seats back to the trip
+    await cancelBooking(booking, {
+      actor: req.user,
+      reason
+    });
 
-    if (trip.cancellationPolicy.refundRules && trip.cancellationPolicy.refundRules.length > 0) {
-      // Find applicable refund rule
-      const sortedRules = [...trip.cancellationPolicy.refundRules].sort((a, b) => b.daysBeforeTrip - a.daysBeforeTrip);
-      for (const rule of sortedRules) {
-        if (daysUntilTrip >= rule.daysBeforeTrip) {
-          refundAmount = (booking.paidAmount * rule.refundPercent) / 100;
-          break;
-        }
+    // The freed seats go to the next people on the waitlist
+    await promoteWaitlist(trip._id, booking.departure);
+
+    // The refund waits for the organiser or an admin to approve it
+    const refund = await requestRefund(booking, {
+      amount: policy.amount,
+      reason,
+      source: 'tourist_cancellation',
+      policy: {
+        daysBeforeTrip: policy.daysBeforeTrip,
+        refundPercent: policy.refundPercent,
+        paidAmount: policy.paidAmount
+      },
+      actor: req.user
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: {
+        bookingId: booking._id,
+        refundAmount: refund ? refund.amount : 0,
+        refundStatus: refund ? refund.status : 'not_applicable',
+        refundId: refund?._id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Trip and one of the current user's bookings on it
+const findMyBooking = async (req) => {
+  const trip = await Trip.findById(req.params.tripId);
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  const booking = await Booking.findOne({ _id: req.params.bookingId, trip: trip._id, user: req.user.id });
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  return { trip, booking };
+};
+
+// How amended fields are described to the organiser
+const AMENDMENT_LABELS = {
+  numberOfPeople: 'party size',
+  travelers: 'travellers',
+  departure: 'departure date',
+  promoCode: 'promo code dropped'
+};
+
+// =============================================
+// PROTECTED: Price a change to user's booking
+// =============================================
+// Body: numberOfPeople, travelers, departureId - anything left out stays as
+// booked. Nothing is changed; shows the new price, fee and balance or credit.
+const quoteBookingAmendment = async (req, res, next) => {
+  try {
+    const { trip, booking } = await findMyBooking(req);
+    const { numberOfPeople, travelers, departureId } = req.body;
+
+    const plan = await planAmendment(booking, trip, { numberOfPeople, travelers, departureId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        changes: plan.changes,
+        promo: plan.quote.promo,
+        departureId: plan.departure?._id,
+        startDate: plan.departure ? plan.departure.startDate : trip.startDate,
+        priceBreakdown: plan.priceBreakdown,
+        fee: plan.fee,
+        previousTotal: plan.previousTotal,
+        newTotal: plan.newTotal,
+        paidAmount: booking.paidAmount,
+        balanceDue: plan.balanceDue,
+        credit: plan.credit
       }
-    } else {
-      // Default cancellation policy
-      if (daysUntilTrip > 7) {
-        refundAmount = booking.paidAmount * 0.9; // 90% refund
-      } else if (daysUntilTrip > 3) {
-        refundAmount = booking.paidAmount * 0.5; // 50% refund
-      } else {
-        refundAmount = 0; // No refund
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Change user's booking
+// =============================================
+// Body: numberOfPeople, travelers, departureId, reason. A higher price is
+// added to the balance due; money paid beyond the new total is requested
+// back as a refund for the organiser to approve.
+const amendMyBooking = async (req, res, next) => {
+  try {
+    const { trip, booking } = await findMyBooking(req);
+    const { numberOfPeople, travelers, departureId, reason } = req.body;
+
+    const { booking: amended, amendment, refund } = await amendBooking(
+      booking,
+      trip,
+      { numberOfPeople, travelers, departureId },
+      { actor: req.user, reason }
+    );
+
+    const departure = amended.departure
+      ? await Departure.findById(amended.departure).select('startDate')
+      : null;
+
+    notify(trip.organiser, 'booking_amended', {
+      tripTitle: trip.title,
+      startDate: departure ? departure.startDate : trip.startDate,
+      numberOfPeople: amended.numberOfPeople,
+      touristName: req.user.fullName,
+      changes: amendment.changes.map(change => AMENDMENT_LABELS[change.field]),
+      newTotal: amended.totalAmount,
+      refs: { trip: trip._id, departure: amended.departure, booking: amended._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking updated successfully',
+      data: {
+        booking: amended,
+        amendment,
+        balanceDue: amended.balanceDue,
+        credit: amendment.credit,
+        refundId: refund?._id,
+        refundStatus: refund ? refund.status : 'not_applicable'
       }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Join the waitlist of a full trip
+// =============================================
+// Body: numberOfPeople, departureId (recurring trips), notes
+const joinTripWaitlist = async (req, res, next) => {
+  try {
+    const trip = await Trip.findOne({
+      _id: req.params.id,
+      status: { $in: ['published', 'full'] },
+      isActive: true
+    });
+
+    if (!trip) {
+      return next(new AppError('Trip not found or no longer available', 404));
     }
 
-    // Update booking
-    booking.bookingStatus = 'cancelled';
-    
-    // Update trip capacity
-    trip.capacity.currentBookings -= booking.numberOfPeople;
-    
-    // If trip was full, make it available again
-    if (trip.status === 'full') {
-      trip.status = 'published';
+    const { numberOfPeople, departureId, notes } = req.body;
+
+    let departure;
+    if (trip.isRecurring && departureId) {
+      departure = await Departure.findOne({ _id: departureId, trip: trip._id });
+      if (!departure) {
+        return next(new AppError('Departure not found', 404));
+      }
     }
 
-    await trip.save();
+    const entry = await joinWaitlist(trip, req.user, { numberOfPeople, departure, notes });
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'Booking cancelled successfully',
+      message: 'You have joined the waitlist. We will notify you when seats open up.',
       data: {
-        bookingId: booking._id,
-        refundAmount,
-        refundStatus: refundAmount > 0 ? 'processing' : 'not_applicable'
+        ...entry.toObject(),
+        position: await waitlistPosition(entry)
       }
     });
   } catch (error) {
@@ -424,6 +724,62 @@ const cancelMyBooking = async (req, res, next) => {
   }
 };
 
+// =============================================
+// PROTECTED: Get user's waitlist entries
+// =============================================
+const getMyWaitlist = async (req, res, next) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('trip', 'title slug startDate endDate status')
+      .populate('departure', 'startDate endDate status')
+      .sort({ createdAt: -1 });
+
+    const data = await Promise.all(entries.map(async (entry) => ({
+      ...entry.toObject(),
+      position: await waitlistPosition(entry)
+    })));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Leave a waitlist (or decline an offer)
+// =============================================
+const leaveMyWaitlist = async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.entryId, user: req.user.id });
+
+    if (!entry) {
+      return next(new AppError('Waitlist entry not found', 404));
+    }
+
+    const updated = await leaveWaitlist(entry, { reason: req.body.reason || 'Left by tourist' });
+    if (!updated) {
+      return next(new AppError(`Cannot leave a waitlist entry that is ${entry.status}`, 400));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You have left the waitlist',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // =============================================
 // PUBLIC: Get trip by slug
 // =============================================
@@ -450,7 +806,120 @@ const getTripBySlug = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: trip
+      data: await withDepartures(trip)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PUBLIC: Get trip reviews
+// =============================================
+// Query: page, limit, rating, sort (recent|rating_high|rating_low)
+const getTripReviews = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return next(new AppError('Invalid trip ID', 400));
+    }
+
+    // Completed trips stay reviewable and readable
+    const trip = await Trip.findOne({
+      _id: id,
+      status: { $in: ['published', 'full', 'completed'] },
+      isActive: true
+    })
+      .select('reviews analytics.avgRating analytics.reviewsCount')
+      .populate('reviews.user', 'firstName lastName profilePicture')
+      .lean();
+
+    if (!trip) {
+      return next(new AppError('Trip not found', 404));
+    }
+
+    const sorters = {
+      recent: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+      rating_high: (a, b) => b.rating - a.rating || new Date(b.createdAt) - new Date(a.createdAt),
+      rating_low: (a, b) => a.rating - b.rating || new Date(b.createdAt) - new Date(a.createdAt)
+    };
+
+    const rating = parseInt(req.query.rating, 10);
+    const reviews = trip.reviews
+      .filter(review => !rating || review.rating === rating)
+      .sort(sorters[req.query.sort] || sorters.recent);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        avgRating: trip.analytics?.avgRating || 0,
+        reviewsCount: trip.analytics?.reviewsCount || 0,
+        distribution: {
+          five: trip.reviews.filter(r => r.rating === 5).length,
+          four: trip.reviews.filter(r => r.rating === 4).length,
+          three: trip.reviews.filter(r => r.rating === 3).length,
+          two: trip.reviews.filter(r => r.rating === 2).length,
+          one: trip.reviews.filter(r => r.rating === 1).length
+        },
+        reviews: reviews.slice(skip, skip + limit).map(review => ({
+          id: review._id,
+          user: {
+            name: `${review.user?.firstName || 'Anonymous'} ${review.user?.lastName?.[0] || ''}`.trim(),
+            avatar: review.user?.profilePicture
+          },
+          rating: review.rating,
+          title: review.title,
+          comment: review.comment,
+          photos: review.photos,
+          isVerified: review.isVerified,
+          createdAt: review.createdAt
+        })),
+        pagination: {
+          page,
+          limit,
+          total: reviews.length,
+          pages: Math.ceil(reviews.length / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// =============================================
+// PROTECTED: Review a trip (completed booking required)
+// =============================================
+// Multipart with optional "photos" files (and "captions"), or plain JSON
+const addReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { rating, title, comment, captions } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return next(new AppError('Invalid trip ID', 400));
+    }
+
+    const trip = await Trip.findOne({ _id: id, isActive: true });
+    if (!trip) {
+      return next(new AppError('Trip not found', 404));
+    }
+
+    const user = await User.findById(req.user.id);
+    const review = await addTripReview(trip, user, { rating, title, comment, captions }, req.files);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      data: {
+        review,
+        avgRating: trip.analytics.avgRating,
+        reviewsCount: trip.analytics.reviewsCount
+      }
     });
   } catch (error) {
     next(error);
@@ -462,7 +931,15 @@ module.exports = {
   getAvailableTrips,
   getTripDetails,
   getTripBySlug,
+  getTripQuote,
   bookTrip,
   getMyBookings,
-  cancelMyBooking
+  cancelMyBooking,
+  quoteBookingAmendment,
+  amendMyBooking,
+  joinTripWaitlist,
+  getMyWaitlist,
+  leaveMyWaitlist,
+  getTripReviews,
+  addReview
 };
\ No newline at end of file
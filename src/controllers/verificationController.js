@@ -0,0 +1,253 @@
+const User = require('../models/User');
+const VerificationReview = require('../models/VerificationReview');
+const { AppError } = require('../middleware/errorHandler');
+const { getAdminAccess } = require('../services/adminAccessService');
+const { listDocuments } = require('../services/verificationDocumentService');
+const reviewService = require('../services/verificationReviewService');
+const { userScopeFilter, isUserInScope } = require('../utils/permissions');
+
+// ===================
+// APPLICANT (Guide / Organiser)
+// ===================
+
+// @desc    My verification status, checklist and reviewer comments
+// @route   GET /api/guide/me/verification, GET /api/organiser/me/verification
+// @access  Private (Guide, Organiser)
+const getMyVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: await reviewService.getApplicantView(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ===================
+// REVIEW QUEUE (Admin)
+// ===================
+
+// Param handler for :reviewId - district admins can only reach reviews of
+// applicants in their assigned districts
+const scopeReview = async (req, res, next, id) => {
+  try {
+    const { districts } = await getAdminAccess(req);
+    if (!districts) return next();
+
+    const review = await VerificationReview.findById(id).select('applicant');
+    if (!review) {
+      return next(new AppError('Verification review not found', 404));
+    }
+
+    const applicant = await User.findById(review.applicant)
+      .select('role address.city guideProfile.operatingDistricts organiserProfile.businessAddress.city');
+
+    if (!applicant || !isUserInScope(applicant, districts)) {
+      return next(new AppError('This applicant is outside your assigned districts', 403));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Loaded inside the handler (not the param handler) so audited changes diff correctly
+const findReview = async (id) => {
+  const review = await VerificationReview.findById(id);
+
+  if (!review) {
+    throw new AppError('Verification review not found', 404);
+  }
+
+  return review;
+};
+
+// @desc    Review queue (open reviews by default, oldest first)
+// @route   GET /api/admin/verification-reviews
+// @access  Private (Admin - verify_users)
+// Query: status (open|closed|<status>), role, assignedTo (me|unassigned|<adminId>)
+const getReviewQueue = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const { status = 'open', role, assignedTo } = req.query;
+    const query = {};
+
+    if (status === 'open') {
+      query.isOpen = true;
+    } else if (status === 'closed') {
+      query.isOpen = false;
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+
+    if (role) query.applicantRole = role;
+
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      query.assignedTo = { $exists: false };
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
+
+    const { districts } = await getAdminAccess(req);
+    if (districts) {
+      query.applicant = { $in: await User.find(userScopeFilter(districts)).distinct('_id') };
+    }
+
+    const [reviews, total] = await Promise.all([
+      VerificationReview.find(query)
+        .populate('applicant', 'firstName lastName email phone role guideProfile.operatingDistricts organiserProfile.companyName organiserProfile.businessAddress.city')
+        .populate('assignedTo', 'firstName lastName email')
+        .select('-history')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      VerificationReview.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Review details with the applicant's profile, document links and full history
+// @route   GET /api/admin/verification-reviews/:reviewId
+// @access  Private (Admin - verify_users)
+const getReviewById = async (req, res, next) => {
+  try {
+    const review = await findReview(req.params.reviewId);
+    await review.populate([
+      { path: 'assignedTo', select: 'firstName lastName email' },
+      { path: 'decidedBy', select: 'firstName lastName email' },
+      { path: 'history.by', select: 'firstName lastName role' }
+    ]);
+
+    const applicant = await User.findById(review.applicant)
+      .select('firstName lastName email phone role address guideProfile organiserProfile createdAt');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        review,
+        applicant,
+        documents: applicant ? await listDocuments(applicant) : {}
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Assign a review (to yourself by default); reviewerId null unassigns
+// @route   PUT /api/admin/verification-reviews/:reviewId/assign
+// @access  Private (Admin - verify_users)
+const assignReview = async (req, res, next) => {
+  try {
+    const reviewerId = req.body.reviewerId === undefined ? req.user.id : req.body.reviewerId;
+    const review = await reviewService.assignReview(await findReview(req.params.reviewId), reviewerId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: reviewerId ? 'Review assigned' : 'Review unassigned',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a checklist document verified or rejected
+// @route   PUT /api/admin/verification-reviews/:reviewId/checklist/:type
+// @access  Private (Admin - verify_users)
+const reviewChecklistItem = async (req, res, next) => {
+  try {
+    const { status, comment } = req.body;
+
+    const { applicant, isOpen } = await findReview(req.params.reviewId);
+    if (!isOpen) {
+      return next(new AppError('This review is already closed', 400));
+    }
+
+    const { review } = await reviewService.reviewDocument(
+      applicant,
+      req.params.type,
+      { status, rejectionReason: comment },
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Document ${status}`,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send the application back to the applicant for more information
+// @route   PUT /api/admin/verification-reviews/:reviewId/request-info
+// @access  Private (Admin - verify_users)
+const requestMoreInfo = async (req, res, next) => {
+  try {
+    const { message, documents } = req.body;
+    const review = await reviewService.requestMoreInfo(await findReview(req.params.reviewId), { message, documents }, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'More information requested from the applicant',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve or reject the application
+// @route   PUT /api/admin/verification-reviews/:reviewId/decision
+// @access  Private (Admin - verify_users)
+const decideReview = async (req, res, next) => {
+  try {
+    const { decision, reason } = req.body; // decision: 'verified' or 'rejected'
+    const { review } = await reviewService.decideReview(await findReview(req.params.reviewId), { decision, reason }, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: decision === 'verified' ? 'Applicant verified' : 'Application rejected',
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyVerification,
+  scopeReview,
+  getReviewQueue,
+  getReviewById,
+  assignReview,
+  reviewChecklistItem,
+  requestMoreInfo,
+  decideReview
+};
@@ -0,0 +1,49 @@
+const { createScheduler } = require('./scheduler');
+const {
+  closeEndedTrips,
+  releaseSeatHolds,
+  expireGuideAssignments,
+  reopenAttractions,
+  topUpDepartures
+} = require('./tripLifecycleJobs');
+const { collectOrphanedImages } = require('../services/imageService');
+const { processWaitlists } = require('../services/waitlistService');
+
+const MINUTE = 60 * 1000;
+
+// Multiplies every interval - e.g. 0.1 to run jobs ten times as often while testing
+const intervalScale = parseFloat(process.env.SCHEDULER_INTERVAL_SCALE) || 1;
+
+const every = (minutes) => Math.max(Math.round(minutes * MINUTE * intervalScale), 1000);
+
+// Default jobs, in the order runAll() executes them
+const jobs = [
+  { name: 'release-expired-holds', intervalMs: every(1), run: releaseSeatHolds },
+  { name: 'process-waitlists', intervalMs: every(1), run: processWaitlists },
+  { name: 'close-ended-trips', intervalMs: every(15), run: closeEndedTrips },
+  { name: 'expire-guide-assignments', intervalMs: every(30), run: expireGuideAssignments },
+  { name: 'reopen-attractions', intervalMs: every(60), run: reopenAttractions },
+  { name: 'generate-departures', intervalMs: every(6 * 60), run: topUpDepartures },
+  { name: 'collect-orphaned-images', intervalMs: every(60), run: (now) => collectOrphanedImages(now) }
+];
+
+/**
+ * Start the background scheduler unless SCHEDULER_ENABLED=false
+ * @param {object} options - { clock, logger } passed to createScheduler
+ * @returns {object|null} - Scheduler, or null if disabled
+ */
+const startScheduler = (options = {}) => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    return null;
+  }
+
+  const scheduler = createScheduler({ jobs, ...options });
+  scheduler.start();
+  return scheduler;
+};
+
+module.exports = {
+  jobs,
+  createScheduler,
+  startScheduler
+};
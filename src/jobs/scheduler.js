@@ -0,0 +1,108 @@
+// ============================================
+// JOB SCHEDULER
+// ============================================
+// Runs background jobs on fixed intervals inside the server process.
+// A job is { name, intervalMs, run(now) } where run returns a summary object
+// that is logged when it reports any changes. Jobs must be idempotent - a run
+// may be repeated, skipped or overlap with a run in another process.
+//
+// The clock is injectable so jobs can be run against a fixed time:
+//   const scheduler = createScheduler({ jobs, clock: () => new Date('2025-01-01') });
+//   await scheduler.runJob('close-ended-trips');
+
+// True if any numeric value in a job summary is non-zero
+const hasChanges = (summary) => {
+  if (!summary || typeof summary !== 'object') return false;
+  return Object.values(summary).some(value =>
+    typeof value === 'number' ? value > 0 : hasChanges(value)
+  );
+};
+
+/**
+ * Create a scheduler for a set of jobs
+ * @param {object} options - { jobs, clock: () => Date, logger }
+ * @returns {object} - { start, stop, runJob, runAll, isRunning }
+ */
+const createScheduler = ({ jobs = [], clock = () => new Date(), logger = console } = {}) => {
+  const timers = new Map();
+  const inFlight = new Set();
+
+  const findJob = (name) => {
+    const job = jobs.find(j => j.name === name);
+    if (!job) throw new Error(`Unknown job '${name}'`);
+    return job;
+  };
+
+  /**
+   * Run one job now. A job that is still running from its last tick is skipped.
+   * @param {string} name - Job name
+   * @returns {object|null} - Job summary, or null if skipped/failed
+   */
+  const runJob = async (name) => {
+    const job = findJob(name);
+
+    if (inFlight.has(name)) {
+      return null;
+    }
+
+    inFlight.add(name);
+    const startedAt = Date.now();
+
+    try {
+      const summary = await job.run(clock());
+      if (hasChanges(summary)) {
+        logger.log(`⏱️  [${name}] ${JSON.stringify(summary)} (${Date.now() - startedAt}ms)`);
+      }
+      return summary;
+    } catch (error) {
+      logger.error(`❌ [${name}] ${error.message}`);
+      return null;
+    } finally {
+      inFlight.delete(name);
+    }
+  };
+
+  /**
+   * Run every job once, in order
+   * @returns {object} - Summaries keyed by job name
+   */
+  const runAll = async () => {
+    const results = {};
+    for (const job of jobs) {
+      results[job.name] = await runJob(job.name);
+    }
+    return results;
+  };
+
+  const start = () => {
+    if (timers.size > 0) return;
+
+    for (const job of jobs) {
+      const timer = setInterval(() => runJob(job.name), job.intervalMs);
+      // Don't keep the process alive just for the scheduler
+      if (timer.unref) timer.unref();
+      timers.set(job.name, timer);
+    }
+
+    logger.log(`⏱️  Scheduler started: ${jobs.map(j => j.name).join(', ')}`);
+  };
+
+  const stop = () => {
+    for (const timer of timers.values()) {
+      clearInterval(timer);
+    }
+    timers.clear();
+  };
+
+  return {
+    start,
+    stop,
+    runJob,
+    runAll,
+    isRunning: () => timers.size > 0
+  };
+};
+
+module.exports = {
+  createScheduler
+};
@@ -0,0 +1,229 @@
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const Attraction = require('../models/Attraction');
+const User = require('../models/User');
+const { releaseExpiredHolds, cancelBooking } = require('../services/bookingService');
+const { generateAllDepartures } = require('../services/departureService');
+
+// How long a guide has to answer an assignment before it lapses
+const GUIDE_RESPONSE_HOURS = parseInt(process.env.GUIDE_RESPONSE_HOURS, 10) || 48;
+
+// Statuses of trips/departures that can still run
+const OPEN_TRIP_STATUSES = ['published', 'full'];
+// Trips that never went live just expire
+const UNPUBLISHED_TRIP_STATUSES = ['draft', 'pending_approval'];
+
+/**
+ * Close out the active bookings of a trip or departure that has ended.
+ *   confirmed, checked in          -> completed
+ *   confirmed, not checked in      -> no_show (only if the organiser checked anyone in;
+ *                                     without any check-ins attendance wasn't taken -> completed)
+ *   pending                        -> cancelled (never confirmed), giving back its hotel rooms and promo use
+ * @param {object} filter - Booking filter ({ trip } or { departure })
+ * @returns {object} - Counts per new status
+ */
+const settleEndedBookings = async (filter) => {
+  const bookings = await Booking.find({
+    ...filter,
+    bookingStatus: { $in: Booking.ACTIVE_STATUSES }
+  });
+
+  const attendanceTaken = bookings.some(booking => booking.checkedInAt);
+  const counts = { completed: 0, no_show: 0, cancelled: 0 };
+
+  for (const booking of bookings) {
+    if (booking.bookingStatus === 'pending') {
+      await cancelBooking(booking, { actorRole: 'system', reason: 'Trip ended before the booking was confirmed' });
+      counts.cancelled += 1;
+    } else if (attendanceTaken && !booking.checkedInAt) {
+      booking.transitionTo('no_show', { actorRole: 'system', reason: 'Trip ended without a check-in' });
+      await booking.save();
+      counts.no_show += 1;
+    } else {
+      booking.transitionTo('completed', { actorRole: 'system', reason: 'Trip ended' });
+      await booking.save();
+      counts.completed += 1;
+    }
+  }
+
+  return counts;
+};
+
+/**
+ * Credit the guide who accepted a trip/departure that just completed
+ * @param {object} run - Trip or departure (guide, guideAssignment selected)
+ * @returns {number} - 1 if a guide was credited
+ */
+const creditGuideTour = async (run) => {
+  if (!run.guide || run.guideAssignment?.status !== 'accepted') return 0;
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: run.guide, role: 'guide' },
+    { $inc: { 'guideProfile.completedTours': 1 } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Mark one-off trips and departures whose endDate has passed as completed
+ * (if anyone travelled) or expired, settling their bookings first.
+ * Each trip is updated conditionally on the status it was read with.
+ * @param {Date} now - Current time
+ * @returns {object} - Summary
+ */
+const closeEndedTrips = async (now) => {
+  const summary = { completed: 0, expired: 0, guideTours: 0, bookings: { completed: 0, no_show: 0, cancelled: 0 } };
+
+  const addBookingCounts = (counts) => {
+    for (const [status, count] of Object.entries(counts)) {
+      summary.bookings[status] += count;
+    }
+  };
+
+  // One-off trips - recurring parents end with their schedule (see Trip pre-save)
+  const trips = await Trip.find({
+    isRecurring: { $ne: true },
+    endDate: { $lt: now },
+    status: { $in: [...OPEN_TRIP_STATUSES, ...UNPUBLISHED_TRIP_STATUSES] }
+  }).select('_id status guide guideAssignment');
+
+  for (const trip of trips) {
+    addBookingCounts(await settleEndedBookings({ trip: trip._id }));
+
+    const travelled = await Booking.exists({ trip: trip._id, bookingStatus: 'completed' });
+    const status = OPEN_TRIP_STATUSES.includes(trip.status) && travelled ? 'completed' : 'expired';
+
+    const { modifiedCount } = await Trip.updateOne(
+      { _id: trip._id, status: trip.status },
+      { $set: { status } }
+    );
+    summary[status] += modifiedCount;
+    if (modifiedCount && status === 'completed') summary.guideTours += await creditGuideTour(trip);
+  }
+
+  // Departures of recurring trips
+  const departures = await Departure.find({
+    endDate: { $lt: now },
+    status: { $in: OPEN_TRIP_STATUSES }
+  }).select('_id status guide guideAssignment');
+
+  for (const departure of departures) {
+    addBookingCounts(await settleEndedBookings({ departure: departure._id }));
+
+    const travelled = await Booking.exists({ departure: departure._id, bookingStatus: 'completed' });
+    const status = travelled ? 'completed' : 'expired';
+
+    const { modifiedCount } = await Departure.updateOne(
+      { _id: departure._id, status: departure.status },
+      { $set: { status } }
+    );
+    summary[status] += modifiedCount;
+    if (modifiedCount && status === 'completed') summary.guideTours += await creditGuideTour(departure);
+  }
+
+  // Recurring trips whose schedule has run out and whose last departure is over.
+  // No guide credit here - each departure was credited as it completed.
+  const schedulesEnded = await Trip.find({
+    isRecurring: true,
+    'recurringSchedule.until': { $lt: now },
+    status: { $in: OPEN_TRIP_STATUSES }
+  }).select('_id status');
+
+  for (const trip of schedulesEnded) {
+    const stillRunning = await Departure.exists({ trip: trip._id, status: { $in: OPEN_TRIP_STATUSES } });
+    if (stillRunning) continue;
+
+    const travelled = await Departure.exists({ trip: trip._id, status: 'completed' });
+    const status = travelled ? 'completed' : 'expired';
+
+    const { modifiedCount } = await Trip.updateOne(
+      { _id: trip._id, status: trip.status },
+      { $set: { status } }
+    );
+    summary[status] += modifiedCount;
+  }
+
+  return summary;
+};
+
+/**
+ * Cancel pending bookings whose seat hold has run out
+ * @param {Date} now - Current time
+ * @returns {object} - Summary
+ */
+const releaseSeatHolds = async (now) => {
+  return { released: await releaseExpiredHolds({}, now) };
+};
+
+/**
+ * Drop guide assignments the guide never answered, either within
+ * GUIDE_RESPONSE_HOURS or before the trip started, so the organiser can reassign
+ * @param {Date} now - Current time
+ * @returns {object} - Summary
+ */
+const expireGuideAssignments = async (now) => {
+  const cutoff = new Date(now.getTime() - GUIDE_RESPONSE_HOURS * 60 * 60 * 1000);
+
+  const filter = {
+    'guideAssignment.status': 'pending',
+    $or: [
+      { 'guideAssignment.assignedAt': { $lte: cutoff } },
+      { startDate: { $lte: now } }
+    ]
+  };
+  const update = {
+    $set: {
+      guide: null,
+      'guideAssignment.status': 'expired',
+      'guideAssignment.rejectionReason': 'No response from guide'
+    }
+  };
+
+  const [trips, departures] = await Promise.all([
+    Trip.updateMany(filter, update),
+    Departure.updateMany(filter, update)
+  ]);
+
+  return { trips: trips.modifiedCount, departures: departures.modifiedCount };
+};
+
+/**
+ * Reopen attractions whose reopeningDate has passed
+ * @param {Date} now - Current time
+ * @returns {object} - Summary
+ */
+const reopenAttractions = async (now) => {
+  const { modifiedCount } = await Attraction.updateMany(
+    {
+      status: { $ne: 'open' },
+      reopeningDate: { $lte: now }
+    },
+    {
+      $set: { status: 'open' },
+      $unset: { closureReason: '', reopeningDate: '' }
+    }
+  );
+
+  return { reopened: modifiedCount };
+};
+
+/**
+ * Keep the departure horizon of recurring trips topped up
+ * @param {Date} now - Current time
+ * @returns {object} - Summary
+ */
+const topUpDepartures = async (now) => {
+  const { created, removed } = await generateAllDepartures(now);
+  return { created, removed };
+};
+
+module.exports = {
+  GUIDE_RESPONSE_HOURS,
+  settleEndedBookings,
+  closeEndedTrips,
+  releaseSeatHolds,
+  expireGuideAssignments,
+  reopenAttractions,
+  topUpDepartures
+};
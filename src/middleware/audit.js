@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { runWithAuditContext } = require('../utils/audit');
+const { recordAudit } = require('../services/auditService');
+
+// ============================================
+// REQUEST ID
+// ============================================
+// Every request gets an id (or keeps the one a proxy sent), echoed back
+// in the X-Request-Id header and stored with audit entries
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// ============================================
+// AUDIT
+// ============================================
+// Put after protect/permission checks and before the controller. Changes
+// the controller makes to audited models are collected while it runs and
+// written as one AuditLog entry once the response succeeds.
+// Usage: router.put('/users/:id/ban', requirePermission('manage_users'), audit('user.ban', 'User'), banUser)
+const audit = (action, targetType, options = {}) => {
+  const { idParam = 'id' } = options;
+
+  return (req, res, next) => {
+    const context = {
+      action,
+      targetType,
+      targetId: req.params[idParam],
+      changes: []
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode < 400) {
+        recordAudit(req, res, context);
+      }
+    });
+
+    runWithAuditContext(context, next);
+  };
+};
+
+module.exports = {
+  requestId,
+  audit
+};
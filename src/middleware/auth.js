@@ -1,6 +1,12 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
 const { AppError } = require('./errorHandler');
+const { findActiveSession } = require('../services/sessionService');
+const { getAdminAccess, hasAnyPermission } = require('../services/adminAccessService');
+
+// Reachable by users who still have to set up mandatory 2FA
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/2fa', '/api/auth/me', '/api/auth/logout', '/api/auth/sessions'];
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -31,7 +37,27 @@ const protect = async (req, res, next) => {
         return next(new AppError('Your account has been deactivated', 401));
       }
 
+      if (user.isBanned) {
+        return next(new AppError('Your account has been suspended', 403));
+      }
+
+      // Tokens of a revoked or expired session stop working immediately
+      const session = await findActiveSession(decoded.sid, user._id);
+      if (!session) {
+        return next(new AppError('Session expired. Please log in again.', 401));
+      }
+
+      // Roles that must use 2FA can only reach the setup endpoints until they enrol
+      if (!user.twoFactor?.enabled && !TWO_FACTOR_SETUP_PATHS.some(path => req.originalUrl.startsWith(path))) {
+        const policy = await SecurityPolicy.getPolicy();
+        if (policy.twoFactor.requiredRoles.includes(user.role)) {
+          return next(new AppError('Two-factor authentication is required for your account. Set it up via /api/auth/2fa/setup', 403));
+        }
+      }
+
       req.user = user;
+      req.sessionId = session._id.toString();
+      req.authSession = session;
       next();
     } catch (err) {
       return next(new AppError('Not authorized to access this route', 401));
@@ -100,27 +126,73 @@ const requireVerified = (req, res, next) => {
   next();
 };
 
-// Check admin permissions
-const requirePermission = (...permissions) => {
+// Require a verified phone number for the actions listed in REQUIRE_VERIFIED_PHONE
+// (comma-separated, e.g. "booking,organiser_verification")
+const requireVerifiedPhone = (action) => {
   return (req, res, next) => {
-    if (req.user.role !== 'admin') {
-      return next(new AppError('Admin access required', 403));
-    }
+    const actions = (process.env.REQUIRE_VERIFIED_PHONE || '').split(',').map(a => a.trim());
 
-    // Super admin has all permissions
-    if (req.user.adminProfile?.isSuperAdmin) {
-      return next();
+    if (actions.includes(action) && !req.user.isPhoneVerified) {
+      return next(new AppError('Please verify your phone number to perform this action', 403));
     }
 
-    // Check if user has required permissions
-    const userPermissions = req.user.adminProfile?.permissions || [];
-    const hasPermission = permissions.some(permission => userPermissions.includes(permission));
+    next();
+  };
+};
+
+// Error if the current session hasn't passed a 2FA check in the last `minutes`
+const checkRecentTwoFactor = (req, minutes) => {
+  if (!req.user.twoFactor?.enabled) {
+    return new AppError('This action requires two-factor authentication. Please enable it first.', 403);
+  }
+
+  const verifiedAt = req.authSession?.twoFactorVerifiedAt;
+  if (!verifiedAt || Date.now() - verifiedAt.getTime() > minutes * 60 * 1000) {
+    return new AppError('Please confirm this action with your two-factor code via /api/auth/2fa/verify-session', 403);
+  }
+
+  return null;
+};
 
-    if (!hasPermission) {
-      return next(new AppError('You do not have permission to perform this action', 403));
+// Require a 2FA check on this session within the policy's recentMinutes (or `minutes`)
+const requireRecentTwoFactor = (minutes) => {
+  return async (req, res, next) => {
+    try {
+      const policy = await SecurityPolicy.getPolicy();
+      next(checkRecentTwoFactor(req, minutes || policy.twoFactor.recentMinutes) || undefined);
+    } catch (error) {
+      next(error);
     }
+  };
+};
 
-    next();
+// Check admin permissions. Routes guarded by a step-up permission from the
+// security policy (financial_access by default) also need a recent 2FA check.
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (req.user.role !== 'admin') {
+        return next(new AppError('Admin access required', 403));
+      }
+
+      // Direct grants plus role permissions; super admins (full_access) have all
+      const access = await getAdminAccess(req);
+      if (!hasAnyPermission(access, permissions)) {
+        return next(new AppError('You do not have permission to perform this action', 403));
+      }
+
+      const policy = await SecurityPolicy.getPolicy();
+      const { stepUpPermissions, recentMinutes } = policy.twoFactor;
+
+      if (permissions.some(permission => stepUpPermissions.includes(permission))) {
+        const error = checkRecentTwoFactor(req, recentMinutes);
+        if (error) return next(error);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
@@ -137,8 +209,10 @@ const optionalAuth = async (req, res, next) => {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.id).select('-password');
-        if (user && user.isActive) {
+        const session = user && await findActiveSession(decoded.sid, user._id);
+        if (user && user.isActive && !user.isBanned && session) {
           req.user = user;
+          req.sessionId = session._id.toString();
         }
       } catch (err) {
         // Token invalid, but we continue without user
@@ -159,6 +233,8 @@ module.exports = {
   isOrganiser,
   isTourist,
   requireVerified,
+  requireVerifiedPhone,
+  requireRecentTwoFactor,
   requirePermission,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,124 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+
+// Verification documents: scans and photos only
+const DOCUMENT_TYPES = {
+  'application/pdf': { extension: 'pdf', signature: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+  'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  'image/webp': { extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46] } // RIFF
+};
+const DOCUMENT_MAX_SIZE_MB = parseInt(process.env.DOCUMENT_MAX_SIZE_MB, 10) || 5;
+
+// Attraction/trip photos
+const IMAGE_TYPES = {
+  'image/jpeg': DOCUMENT_TYPES['image/jpeg'],
+  'image/png': DOCUMENT_TYPES['image/png'],
+  'image/webp': DOCUMENT_TYPES['image/webp']
+};
+const IMAGE_MAX_SIZE_MB = parseInt(process.env.IMAGE_MAX_SIZE_MB, 10) || 10;
+const IMAGE_MAX_FILES = parseInt(process.env.IMAGE_MAX_FILES, 10) || 10;
+const REVIEW_PHOTO_MAX_FILES = parseInt(process.env.REVIEW_PHOTO_MAX_FILES, 10) || 5;
+
+// The declared type is only a claim - the first bytes have to match it
+const matchesSignature = (buffer, { signature }) => signature.every((byte, i) => buffer[i] === byte);
+
+/**
+ * Build upload middleware that keeps files in memory and checks their type
+ * @param {object} options - { types, maxSizeMb, field, maxCount, required, typeLabel }
+ * @returns {Function} - Express middleware; files end up in req.file / req.files
+ */
+const createUpload = ({ types, maxSizeMb, field, maxCount = 1, required = true, typeLabel }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxSizeMb * 1024 * 1024,
+      files: maxCount
+    },
+    fileFilter: (req, file, cb) => {
+      if (!types[file.mimetype]) {
+        return cb(new AppError(`Only ${typeLabel} files are allowed`, 400));
+      }
+      cb(null, true);
+    }
+  });
+  const handler = maxCount === 1 ? upload.single(field) : upload.array(field, maxCount);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message = {
+          LIMIT_FILE_SIZE: `File is too large (max ${maxSizeMb} MB)`,
+          LIMIT_FILE_COUNT: `Too many files (max ${maxCount})`,
+          LIMIT_UNEXPECTED_FILE: `Unexpected file field - use "${field}"`
+        }[error.code] || `Upload failed: ${error.message}`;
+        return next(new AppError(message, 400));
+      }
+      if (error) return next(error);
+
+      const files = req.files || (req.file ? [req.file] : []);
+
+      if (!files.length && required) {
+        return next(new AppError(`Please attach a file in the "${field}" field`, 400));
+      }
+
+      for (const file of files) {
+        if (!matchesSignature(file.buffer, types[file.mimetype])) {
+          return next(new AppError(`File content of ${file.originalname} does not match its type`, 400));
+        }
+        file.extension = types[file.mimetype].extension;
+      }
+
+      next();
+    });
+  };
+};
+
+// Accept one document in the "file" field of a multipart form
+const uploadDocument = createUpload({
+  types: DOCUMENT_TYPES,
+  maxSizeMb: DOCUMENT_MAX_SIZE_MB,
+  field: 'file',
+  typeLabel: 'PDF, JPEG, PNG or WebP'
+});
+
+// Optional image uploads - JSON requests with image URLs pass straight through
+const uploadImages = createUpload({
+  types: IMAGE_TYPES,
+  maxSizeMb: IMAGE_MAX_SIZE_MB,
+  field: 'images',
+  maxCount: IMAGE_MAX_FILES,
+  required: false,
+  typeLabel: 'JPEG, PNG or WebP'
+});
+
+const uploadImage = createUpload({
+  types: IMAGE_TYPES,
+  maxSizeMb: IMAGE_MAX_SIZE_MB,
+  field: 'image',
+  required: false,
+  typeLabel: 'JPEG, PNG or WebP'
+});
+
+// Photos attached to a review (optional)
+const uploadReviewPhotos = createUpload({
+  types: IMAGE_TYPES,
+  maxSizeMb: IMAGE_MAX_SIZE_MB,
+  field: 'photos',
+  maxCount: REVIEW_PHOTO_MAX_FILES,
+  required: false,
+  typeLabel: 'JPEG, PNG or WebP'
+});
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DOCUMENT_MAX_SIZE_MB,
+  IMAGE_TYPES,
+  IMAGE_MAX_SIZE_MB,
+  IMAGE_MAX_FILES,
+  REVIEW_PHOTO_MAX_FILES,
+  uploadDocument,
+  uploadImages,
+  uploadImage,
+  uploadReviewPhotos
+};
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { ADMIN_PERMISSIONS } = require('../utils/permissions');
+
+// ============================================
+// ADMIN ROLE
+// ============================================
+// Named set of permissions (e.g. "content_editor") that super admins
+// assign to admins through adminProfile.roles. An admin's permissions are
+// their direct grants plus those of all their roles.
+const adminRoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]{2,50}$/, 'Role name can only contain letters, numbers and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: ADMIN_PERMISSIONS
+    }],
+    validate: {
+      validator: (permissions) => permissions.length > 0,
+      message: 'A role needs at least one permission'
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// PLUGINS
+// ============================================
+adminRoleSchema.plugin(auditTrail);
+
+const AdminRole = mongoose.model('AdminRole', adminRoleSchema);
+
+module.exports = AdminRole;
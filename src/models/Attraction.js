@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// Aspects a reviewer can optionally score (1-5); averaged into ratings.aspects
+const REVIEW_ASPECTS = ['cleanliness', 'accessibility', 'valueForMoney', 'facilities', 'crowdManagement'];
 
 // Review Schema
 const reviewSchema = new mongoose.Schema({
@@ -17,6 +21,7 @@ const reviewSchema = new mongoose.Schema({
     type: String,
     maxlength: 100
   },
+  aspects: Object.fromEntries(REVIEW_ASPECTS.map(aspect => [aspect, { type: Number, min: 1, max: 5 }])),
   comment: {
     type: String,
     maxlength: 1000
@@ -37,6 +42,39 @@ const reviewSchema = new mongoose.Schema({
   helpfulCount: {
     type: Number,
     default: 0
+  },
+  // One vote per user - helpfulCount is kept equal to its length
+  helpfulVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // visible - counted in ratings and shown publicly
+  // held    - waiting for a moderator (tripped the screening heuristics or was reported repeatedly)
+  // hidden  - taken down by a moderator
+  status: {
+    type: String,
+    enum: ['visible', 'held', 'hidden'],
+    default: 'visible'
+  },
+  reports: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: {
+      type: String,
+      enum: ['spam', 'offensive', 'fake', 'irrelevant', 'personal_info', 'other'],
+      required: true
+    },
+    details: { type: String, maxlength: 500 },
+    // Set once a moderator has acted on the review
+    resolved: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  moderation: {
+    // Why the review was held automatically, e.g. ['profanity', 'link']
+    heldReasons: [String],
+    reason: String,
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    moderatedAt: Date
   }
 }, { timestamps: true });
 
@@ -100,6 +138,13 @@ const eventSchema = new mongoose.Schema({
   image: String
 }, { _id: false });
 
+// Resized copies of an uploaded image (see services/imageService)
+const imageVariantsSchema = new mongoose.Schema({
+  thumbnail: String,
+  card: String,
+  hero: String
+}, { _id: false });
+
 // Main Attraction Schema
 const attractionSchema = new mongoose.Schema({
   // =================== BASIC INFO ===================
@@ -210,18 +255,27 @@ const attractionSchema = new mongoose.Schema({
   },
 
   // =================== MEDIA ===================
+  // Uploaded images also keep their MediaAsset, dimensions and resized variants
   thumbnail: {
     url: {
       type: String,
       required: [true, 'Thumbnail is required']
     },
-    altText: String
+    altText: String,
+    asset: { type: mongoose.Schema.Types.ObjectId, ref: 'MediaAsset' },
+    width: Number,
+    height: Number,
+    variants: imageVariantsSchema
   },
   images: [{
     url: {
       type: String,
       required: true
     },
+    asset: { type: mongoose.Schema.Types.ObjectId, ref: 'MediaAsset' },
+    width: Number,
+    height: Number,
+    variants: imageVariantsSchema,
     caption: String,
     altText: String,
     category: {
@@ -718,6 +772,7 @@ attractionSchema.index({ 'analytics.popularityScore': -1 });
 attractionSchema.index({ isActive: 1, status: 1 });
 attractionSchema.index({ isFeatured: 1 });
 attractionSchema.index({ isPopular: 1 });
+attractionSchema.index({ 'reviews.status': 1 });
 attractionSchema.index({ 
   'location.coordinates.latitude': 1, 
   'location.coordinates.longitude': 1 
@@ -761,23 +816,34 @@ attractionSchema.pre('save', function(next) {
 
 attractionSchema.methods.calculateRatings = function() {
   try {
-    if (!this.reviews || this.reviews.length === 0) {
+    // Held and hidden reviews don't count
+    const reviews = (this.reviews || []).filter(r => r.status === 'visible');
+
+    // Aspect averages count only the reviews that scored that aspect
+    this.ratings.aspects = Object.fromEntries(REVIEW_ASPECTS.map(aspect => {
+      const scores = reviews.map(r => r.aspects?.[aspect]).filter(score => score);
+      const average = scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+      return [aspect, parseFloat(average.toFixed(1))];
+    }));
+
+    if (reviews.length === 0) {
       this.ratings.overall = 0;
       this.ratings.totalReviews = 0;
+      this.ratings.distribution = { five: 0, four: 0, three: 0, two: 0, one: 0 };
       return;
     }
     
-    const total = this.reviews.reduce((sum, review) => sum + review.rating, 0);
-    this.ratings.overall = (total / this.reviews.length).toFixed(1);
-    this.ratings.totalReviews = this.reviews.length;
+    const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+    this.ratings.overall = (total / reviews.length).toFixed(1);
+    this.ratings.totalReviews = reviews.length;
     
     // Calculate distribution
     this.ratings.distribution = {
-      five: this.reviews.filter(r => r.rating === 5).length,
-      four: this.reviews.filter(r => r.rating === 4).length,
-      three: this.reviews.filter(r => r.rating === 3).length,
-      two: this.reviews.filter(r => r.rating === 2).length,
-      one: this.reviews.filter(r => r.rating === 1).length
+      five: reviews.filter(r => r.rating === 5).length,
+      four: reviews.filter(r => r.rating === 4).length,
+      three: reviews.filter(r => r.rating === 3).length,
+      two: reviews.filter(r => r.rating === 2).length,
+      one: reviews.filter(r => r.rating === 1).length
     };
   } catch (error) {
     console.error('Error in calculateRatings method:', error);
@@ -829,6 +895,34 @@ attractionSchema.statics.getNearby = function(lat, lng, maxDistance = 10000) {
   });
 };
 
+attractionSchema.statics.REVIEW_ASPECTS = REVIEW_ASPECTS;
+
+// Minimum aspect scores from min<Aspect> query params, e.g. minAccessibility=4
+attractionSchema.statics.aspectMinimums = function(params = {}) {
+  const minimums = {};
+  REVIEW_ASPECTS.forEach(aspect => {
+    const min = parseFloat(params[`min${aspect[0].toUpperCase()}${aspect.slice(1)}`]);
+    if (min) minimums[aspect] = min;
+  });
+  return minimums;
+};
+
+// Listing filters for the min<Aspect> query params
+attractionSchema.statics.aspectFilters = function(params = {}) {
+  return Object.fromEntries(Object.entries(this.aspectMinimums(params))
+    .map(([aspect, min]) => [`ratings.aspects.${aspect}`, { $gte: min }]));
+};
+
+// Sort for sortBy=<aspect> (best first, ties by number of reviews), or null
+attractionSchema.statics.aspectSort = function(sortBy) {
+  return REVIEW_ASPECTS.includes(sortBy)
+    ? { [`ratings.aspects.${sortBy}`]: -1, 'ratings.totalReviews': -1 }
+    : null;
+};
+
+// =================== PLUGINS ===================
+attractionSchema.plugin(auditTrail);
+
 const Attraction = mongoose.model('Attraction', attractionSchema);
 
 module.exports = Attraction;
\ No newline at end of file
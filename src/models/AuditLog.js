@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// AUDIT LOG
+// ============================================
+// One admin or organiser action (one request). Written by the audit
+// middleware with the changes the auditTrail plugin saw; entries are
+// append-only and can't be edited or removed through the model.
+const changeSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    required: true
+  },
+  targetId: mongoose.Schema.Types.ObjectId,
+  operation: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  // [{ path, before, after }] - sensitive values are redacted
+  diff: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Copied so the entry still reads correctly if the actor changes or is deleted
+  actorEmail: String,
+  actorRole: String,
+
+  // e.g. 'user.ban', 'attraction.bulk_delete', 'booking.update'
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  targetType: String,
+  targetId: mongoose.Schema.Types.ObjectId,
+
+  changes: [changeSchema],
+
+  // Request
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  requestId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// ============================================
+// APPEND-ONLY GUARDS
+// ============================================
+const appendOnly = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, appendOnly);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { AppError } = require('../middleware/errorHandler');
+
+// ============================================
+// BOOKING LIFECYCLE
+// ============================================
+// pending -> confirmed -> completed
+//    |           |------> no_show
+//    |           |------> cancelled
+//    |------------------> cancelled
+const BOOKING_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'cancelled', 'no_show'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+// Statuses that still hold seats on the trip
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+// Status history entry - one per transition
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...Object.keys(BOOKING_TRANSITIONS), null]
+  },
+  to: {
+    type: String,
+    enum: Object.keys(BOOKING_TRANSITIONS),
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['tourist', 'guide', 'organiser', 'admin', 'system']
+  },
+  reason: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Amendment history entry - one per change to the party or departure
+const amendmentSchema = new mongoose.Schema({
+  // [{ field: 'numberOfPeople' | 'travelers' | 'departure', from, to }]
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  previousTotal: Number,
+  newTotal: Number,
+  fee: Number,
+  // What the tourist owes after the change, or is owed back
+  balanceDue: Number,
+  credit: Number,
+  refundRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefundRequest'
+  },
+  amendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['tourist', 'guide', 'organiser', 'admin', 'system']
+  },
+  reason: String,
+  amendedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Main Booking Schema
+const bookingSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip is required']
+  },
+  // Dated departure of a recurring trip; seats are taken from it instead of the trip
+  departure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Departure'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Denormalised from the trip so organiser queries don't need a join
+  organiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  bookingDate: {
+    type: Date,
+    default: Date.now
+  },
+  numberOfPeople: {
+    type: Number,
+    required: [true, 'Number of people is required'],
+    min: 1
+  },
+  travelers: [{
+    name: String,
+    age: Number,
+    gender: String,
+    idType: String,
+    idNumber: String
+  }],
+
+  // Payment
+  // Itemised price the total was calculated from (see services/pricingService)
+  priceBreakdown: {
+    currency: String,
+    lines: [{
+      _id: false,
+      band: String,
+      label: String,
+      count: Number,
+      unitPrice: Number,
+      amount: Number
+    }],
+    subtotal: Number,
+    discounts: [{
+      _id: false,
+      type: { type: String },
+      label: String,
+      percent: Number,
+      amount: Number
+    }],
+    // After discounts: an organiser-set price ('manual') and amendment fees
+    adjustments: [{
+      _id: false,
+      type: { type: String },
+      label: String,
+      amount: Number
+    }],
+    total: Number,
+    quotedAt: Date
+  },
+  // Promo code the booking was priced with (see PromoRedemption)
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode'
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'partial', 'completed', 'refunded', 'cancelled'],
+    default: 'pending'
+  },
+
+  // Lifecycle
+  bookingStatus: {
+    type: String,
+    enum: Object.keys(BOOKING_TRANSITIONS),
+    default: 'pending'
+  },
+  statusHistory: [statusHistorySchema],
+  amendments: [amendmentSchema],
+  // Pending bookings hold their seats until this time; cleared once confirmed
+  holdExpiresAt: Date,
+  confirmedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+  // Set when the organiser checks the party in at the start of the trip
+  checkedInAt: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Contact
+  specialRequests: String,
+  contactPhone: String,
+  contactEmail: String,
+  emergencyContact: {
+    name: String,
+    phone: String,
+    relation: String
+  },
+
+  // Hotel selection by user (id of an entry in trip.hotelOptions)
+  selectedHotel: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  hotelStatus: {
+    type: String,
+    enum: ['pending', 'confirmed', 'not_required'],
+    default: 'pending'
+  },
+  // Rooms taken from the hotel's nightly inventory when the hotel was
+  // confirmed (see services/hotelService); releasedAt is set once they are given back
+  hotelAllocation: {
+    hotel: { type: mongoose.Schema.Types.ObjectId, ref: 'Hotel' },
+    roomType: mongoose.Schema.Types.ObjectId,
+    rooms: Number,
+    checkIn: Date,
+    checkOut: Date,
+    allocatedAt: Date,
+    releasedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+bookingSchema.index({ trip: 1, bookingStatus: 1 });
+bookingSchema.index({ departure: 1, bookingStatus: 1 });
+bookingSchema.index({ user: 1, bookingDate: -1 });
+bookingSchema.index({ organiser: 1, bookingStatus: 1 });
+bookingSchema.index({ organiser: 1, createdAt: -1 });
+bookingSchema.index({ bookingStatus: 1, holdExpiresAt: 1 });
+bookingSchema.index({ 'hotelAllocation.hotel': 1, 'hotelAllocation.checkIn': 1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+bookingSchema.virtual('isActive').get(function() {
+  return ACTIVE_BOOKING_STATUSES.includes(this.bookingStatus);
+});
+
+bookingSchema.virtual('isHoldExpired').get(function() {
+  return this.bookingStatus === 'pending' && !!this.holdExpiresAt && this.holdExpiresAt <= new Date();
+});
+
+bookingSchema.virtual('balanceDue').get(function() {
+  return Math.max((this.totalAmount || 0) - (this.paidAmount || 0), 0);
+});
+
+// ============================================
+// PRE-SAVE MIDDLEWARE
+// ============================================
+bookingSchema.pre('save', function(next) {
+  // Record the initial state so the history is complete
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.bookingStatus,
+      changedBy: this.createdBy || this.user,
+      actorRole: this.createdBy && this.createdBy.toString() !== this.user.toString() ? 'organiser' : 'tourist',
+      reason: 'Booking created'
+    });
+  }
+  next();
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Check whether the booking may move to the given status
+bookingSchema.methods.canTransitionTo = function(status) {
+  const allowed = BOOKING_TRANSITIONS[this.bookingStatus] || [];
+  return allowed.includes(status);
+};
+
+// Move the booking to a new status, recording who did it and why.
+// Does not save - callers save once all related changes are applied.
+bookingSchema.methods.transitionTo = function(status, { actor, actorRole, reason } = {}) {
+  if (!BOOKING_TRANSITIONS[status]) {
+    throw new AppError(`Invalid booking status '${status}'`, 400);
+  }
+
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(`Cannot change booking from '${this.bookingStatus}' to '${status}'`, 400);
+  }
+
+  // Seats of an expired hold may already have gone to someone else
+  if (status === 'confirmed' && this.isHoldExpired) {
+    throw new AppError('The seat hold for this booking has expired. Please book again.', 409);
+  }
+
+  const now = new Date();
+
+  this.statusHistory.push({
+    from: this.bookingStatus,
+    to: status,
+    changedBy: actor?._id || actor,
+    actorRole: actorRole || actor?.role || 'system',
+    reason,
+    changedAt: now
+  });
+
+  this.bookingStatus = status;
+
+  if (status === 'confirmed') {
+    this.confirmedAt = now;
+    this.holdExpiresAt = undefined;
+  }
+  if (status === 'completed') this.completedAt = now;
+  if (status === 'cancelled') {
+    this.cancelledAt = now;
+    this.cancellationReason = reason;
+    this.holdExpiresAt = undefined;
+  }
+
+  return this;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Get bookings across all of an organiser's trips
+bookingSchema.statics.getByOrganiser = function(organiserId, options = {}) {
+  const query = { organiser: organiserId };
+  if (options.status) query.bookingStatus = options.status;
+  if (options.paymentStatus) query.paymentStatus = options.paymentStatus;
+  if (options.trip) query.trip = options.trip;
+  if (options.departure) query.departure = options.departure;
+
+  return this.find(query)
+    .populate('trip', 'title slug startDate endDate status')
+    .populate('departure', 'startDate endDate status')
+    .populate('user', 'firstName lastName email phone profilePicture')
+    .sort(options.sort || { createdAt: -1 });
+};
+
+bookingSchema.statics.TRANSITIONS = BOOKING_TRANSITIONS;
+bookingSchema.statics.ACTIVE_STATUSES = ACTIVE_BOOKING_STATUSES;
+
+// ============================================
+// PLUGINS
+// ============================================
+bookingSchema.plugin(auditTrail);
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
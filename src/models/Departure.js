@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// ============================================
+// DEPARTURE
+// ============================================
+// A dated run of a recurring trip. Itinerary, pricing, media and policies
+// live on the parent trip; each departure has its own dates, seats,
+// bookings, guide and status.
+const departureSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip is required']
+  },
+  // Denormalised from the trip so organiser queries don't need a join
+  organiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+
+  // Same shape as Trip.capacity so the seat reservation updates work on both
+  capacity: {
+    maxPeople: { type: Number, required: true, min: 1 },
+    currentBookings: { type: Number, default: 0 },
+    availableSlots: Number
+  },
+
+  // ============================================
+  // GUIDE ASSIGNMENT
+  // ============================================
+  guide: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guideAssignment: {
+    status: {
+      type: String,
+      enum: ['not_assigned', 'pending', 'accepted', 'rejected', 'expired'],
+      default: 'not_assigned'
+    },
+    assignedAt: Date,
+    respondedAt: Date,
+    rejectionReason: String
+  },
+
+  status: {
+    type: String,
+    enum: ['published', 'full', 'cancelled', 'completed', 'expired'],
+    default: 'published'
+  },
+  cancellationReason: String,
+
+  analytics: {
+    bookingsCount: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+departureSchema.index({ trip: 1, startDate: 1 }, { unique: true });
+departureSchema.index({ status: 1, startDate: 1 });
+departureSchema.index({ guide: 1, startDate: 1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+departureSchema.virtual('bookings', {
+  ref: 'Booking',
+  localField: '_id',
+  foreignField: 'departure'
+});
+
+departureSchema.virtual('isBookable').get(function() {
+  return this.status === 'published' && this.startDate > new Date();
+});
+
+// ============================================
+// PRE-SAVE MIDDLEWARE
+// ============================================
+departureSchema.pre('save', function(next) {
+  this.capacity.availableSlots = this.capacity.maxPeople - this.capacity.currentBookings;
+
+  if (this.capacity.currentBookings >= this.capacity.maxPeople && this.status === 'published') {
+    this.status = 'full';
+  } else if (this.capacity.currentBookings < this.capacity.maxPeople && this.status === 'full') {
+    this.status = 'published';
+  }
+
+  next();
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Assign guide to this departure
+departureSchema.methods.assignGuide = async function(guideId) {
+  this.guide = guideId;
+  this.guideAssignment = {
+    status: 'pending',
+    assignedAt: new Date()
+  };
+  return this.save();
+};
+
+// Respond to guide assignment
+departureSchema.methods.respondToGuideAssignment = async function(accept, reason) {
+  this.guideAssignment.status = accept ? 'accepted' : 'rejected';
+  this.guideAssignment.respondedAt = new Date();
+  if (!accept) {
+    this.guideAssignment.rejectionReason = reason;
+    this.guide = null;
+  }
+  return this.save();
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Upcoming departures still taking bookings
+departureSchema.statics.getUpcoming = function(tripIds, options = {}) {
+  const query = {
+    trip: Array.isArray(tripIds) ? { $in: tripIds } : tripIds,
+    status: { $in: options.statuses || ['published'] },
+    startDate: { $gt: options.from || new Date() }
+  };
+
+  return this.find(query)
+    .select('trip startDate endDate capacity status')
+    .sort({ startDate: 1 })
+    .limit(options.limit || 0);
+};
+
+// ============================================
+// PLUGINS
+// ============================================
+departureSchema.plugin(auditTrail);
+
+const Departure = mongoose.model('Departure', departureSchema);
+
+module.exports = Departure;
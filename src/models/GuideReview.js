@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// ============================================
+// GUIDE REVIEW
+// ============================================
+// A tourist's rating of the guide who led a trip they completed. One review
+// per completed booking; only published reviews count towards the guide's
+// averageRating/totalReviews.
+const REVIEW_STATUSES = ['published', 'hidden'];
+
+const guideReviewSchema = new mongoose.Schema({
+  guide: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Guide is required']
+  },
+  tourist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Tourist is required']
+  },
+  // The completed booking that makes the tourist eligible
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  departure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Departure'
+  },
+
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+
+  // ============================================
+  // MODERATION
+  // ============================================
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'published'
+  },
+  moderation: {
+    reason: String,
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    moderatedAt: Date
+  },
+
+  // ============================================
+  // GUIDE REPLY
+  // ============================================
+  reply: {
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters']
+    },
+    repliedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+guideReviewSchema.index({ booking: 1 }, { unique: true });
+guideReviewSchema.index({ guide: 1, status: 1, createdAt: -1 });
+guideReviewSchema.index({ tourist: 1, createdAt: -1 });
+guideReviewSchema.index({ status: 1, createdAt: -1 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Rating summary of a guide's published reviews
+guideReviewSchema.statics.summarize = async function(guideId) {
+  const [summary] = await this.aggregate([
+    { $match: { guide: new mongoose.Types.ObjectId(guideId), status: 'published' } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        total: { $sum: 1 },
+        five: { $sum: { $cond: [{ $eq: ['$rating', 5] }, 1, 0] } },
+        four: { $sum: { $cond: [{ $eq: ['$rating', 4] }, 1, 0] } },
+        three: { $sum: { $cond: [{ $eq: ['$rating', 3] }, 1, 0] } },
+        two: { $sum: { $cond: [{ $eq: ['$rating', 2] }, 1, 0] } },
+        one: { $sum: { $cond: [{ $eq: ['$rating', 1] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  if (!summary) {
+    return { averageRating: 0, totalReviews: 0, distribution: { five: 0, four: 0, three: 0, two: 0, one: 0 } };
+  }
+
+  const { average, total, five, four, three, two, one } = summary;
+  return {
+    averageRating: parseFloat(average.toFixed(1)),
+    totalReviews: total,
+    distribution: { five, four, three, two, one }
+  };
+};
+
+guideReviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+// ============================================
+// PLUGINS
+// ============================================
+guideReviewSchema.plugin(auditTrail);
+
+const GuideReview = mongoose.model('GuideReview', guideReviewSchema);
+
+module.exports = GuideReview;
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// ============================================
+// HOTEL
+// ============================================
+// A property organisers can offer as a stay on their trips (see
+// Trip.hotelOptions). Registered by an organiser or an admin; the owner
+// manages its room types, and nightly availability of each room type is
+// tracked in RoomInventory.
+const HOTEL_TYPES = ['hotel', 'resort', 'homestay', 'camp', 'heritage', 'dharamshala', 'guest_house', 'other'];
+
+// Resized copies of an uploaded image (see services/imageService)
+const imageVariantsSchema = new mongoose.Schema({
+  thumbnail: String,
+  card: String,
+  hero: String
+}, { _id: false });
+
+// A bookable kind of room. Trip hotel options and room allocations point at
+// a room type by its _id.
+const roomTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Room type name is required'],
+    trim: true,
+    maxlength: [100, 'Room type name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Guests per room - decides how many rooms a booking needs
+  capacity: {
+    type: Number,
+    default: 2,
+    min: [1, 'Room capacity must be at least 1']
+  },
+  pricePerNight: {
+    type: Number,
+    required: [true, 'Price per night is required'],
+    min: 0
+  },
+  // Rooms of this type available on a normal night
+  totalRooms: {
+    type: Number,
+    required: [true, 'Number of rooms is required'],
+    min: 0
+  },
+  amenities: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const hotelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Hotel name is required'],
+    trim: true,
+    maxlength: [150, 'Hotel name cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [3000, 'Description cannot exceed 3000 characters']
+  },
+  hotelType: {
+    type: String,
+    enum: HOTEL_TYPES,
+    default: 'hotel'
+  },
+  starRating: {
+    type: Number,
+    min: [1, 'Star rating must be between 1 and 5'],
+    max: [5, 'Star rating must be between 1 and 5']
+  },
+
+  // Organiser (or admin) who registered the hotel and manages it
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  location: {
+    address: {
+      type: String,
+      required: [true, 'Address is required']
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true
+    },
+    district: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    state: {
+      type: String,
+      default: 'Rajasthan'
+    },
+    pincode: String,
+    coordinates: {
+      lat: Number,
+      lng: Number
+    }
+  },
+  contact: {
+    phone: String,
+    email: String,
+    website: String
+  },
+  checkInTime: {
+    type: String,
+    default: '12:00'
+  },
+  checkOutTime: {
+    type: String,
+    default: '11:00'
+  },
+
+  amenities: [String],
+
+  // Images (uploaded ones also keep their MediaAsset, dimensions and resized variants)
+  images: [{
+    url: { type: String, required: true },
+    asset: { type: mongoose.Schema.Types.ObjectId, ref: 'MediaAsset' },
+    width: Number,
+    height: Number,
+    variants: imageVariantsSchema,
+    caption: String,
+    isMain: { type: Boolean, default: false }
+  }],
+
+  roomTypes: [roomTypeSchema],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+hotelSchema.index({ owner: 1, isActive: 1 });
+hotelSchema.index({ 'location.city': 1, isActive: 1 });
+hotelSchema.index({ 'location.district': 1 });
+hotelSchema.index({ name: 'text', 'location.city': 'text' });
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Can this user manage the hotel? Admins manage every hotel.
+hotelSchema.methods.isManagedBy = function(user) {
+  return user.role === 'admin' || this.owner.toString() === (user._id || user.id).toString();
+};
+
+// Main image URL, or the first one
+hotelSchema.methods.mainImageUrl = function() {
+  const image = this.images.find(candidate => candidate.isMain) || this.images[0];
+  return image?.url;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+hotelSchema.statics.TYPES = HOTEL_TYPES;
+
+// ============================================
+// PLUGINS
+// ============================================
+hotelSchema.plugin(auditTrail);
+
+const Hotel = mongoose.model('Hotel', hotelSchema);
+
+module.exports = Hotel;
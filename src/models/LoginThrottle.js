@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// LOGIN THROTTLE
+// ============================================
+// Failed sign-in counter per client IP over a sliding window. Documents
+// remove themselves once the window and any block have passed.
+const loginThrottleSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: Date,
+  blockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = LoginThrottle;
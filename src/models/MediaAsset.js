@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Sizes every uploaded image is rendered in
+const IMAGE_VARIANTS = ['thumbnail', 'card', 'hero'];
+
+// ============================================
+// MEDIA ASSET
+// ============================================
+// One uploaded image and its stored variants. Assets start out pending and
+// become attached once the attraction/trip referencing them is saved; the
+// media GC job deletes pending assets that were never attached and attached
+// ones whose owner no longer references them.
+const variantSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  size: Number
+}, { _id: false });
+
+const mediaAssetSchema = new mongoose.Schema({
+  ownerType: {
+    type: String,
+    enum: ['Attraction', 'Trip', 'Hotel'],
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'ownerType',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'attached'],
+    default: 'pending'
+  },
+
+  variants: {
+    thumbnail: variantSchema,
+    card: variantSchema,
+    hero: variantSchema
+  },
+  // Dimensions of the upload (after applying its EXIF orientation)
+  width: Number,
+  height: Number,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+
+  // Last time the GC job confirmed the owner still uses this asset
+  checkedAt: Date
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+mediaAssetSchema.index({ status: 1, createdAt: 1 });
+mediaAssetSchema.index({ status: 1, checkedAt: 1 });
+mediaAssetSchema.index({ ownerType: 1, owner: 1 });
+
+// ============================================
+// STATICS
+// ============================================
+mediaAssetSchema.statics.VARIANTS = IMAGE_VARIANTS;
+
+const MediaAsset = mongoose.model('MediaAsset', mediaAssetSchema);
+
+module.exports = MediaAsset;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const CHANNELS = ['in_app', 'email', 'sms'];
+
+// ============================================
+// NOTIFICATION
+// ============================================
+// One message to one user. Every notification is kept as an in-app inbox
+// entry; deliveries records what happened on the other channels.
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true
+  },
+  // Why a delivery was skipped or failed
+  reason: String,
+  sentAt: Date
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Frontend path the notification links to
+  link: String,
+  // Ids of the records the notification is about (trip, booking, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  deliveries: [deliverySchema],
+
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Mark as read
+notificationSchema.methods.markRead = async function() {
+  if (this.isRead) return this;
+  this.isRead = true;
+  this.readAt = new Date();
+  return this.save();
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Unread count for a user's inbox badge
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ user: userId, isRead: false });
+};
+
+// Mark every unread notification of a user as read
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { user: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+};
+
+notificationSchema.statics.CHANNELS = CHANNELS;
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// ============================================
+// PAYMENT LEDGER
+// ============================================
+// One entry per money movement against a booking. Entries are never edited
+// after they settle - a refund is a new entry, not a change to the charge.
+//   charge: money received from the tourist (full or partial)
+//   refund: money returned to the tourist
+const PAYMENT_TYPES = ['charge', 'refund'];
+
+// pending -> succeeded
+//    |-----> failed
+const PAYMENT_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const paymentSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  // Denormalised from the booking for per-trip and per-organiser reporting
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: PAYMENT_TYPES,
+    default: 'charge'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending'
+  },
+
+  // Gateway details
+  provider: {
+    type: String,
+    required: true
+  },
+  // Id of the charge/refund at the provider, used to match webhooks
+  providerReference: String,
+  // The charge a refund entry reverses
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // The refund request a refund entry pays out
+  refundRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefundRequest'
+  },
+  // Webhook event ids already applied to this entry
+  processedEvents: [String],
+
+  method: {
+    type: String,
+    enum: ['card', 'upi', 'netbanking', 'wallet', 'cash', 'bank_transfer', 'other'],
+    default: 'other'
+  },
+  note: String,
+  failureReason: String,
+  settledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+paymentSchema.index({ booking: 1, createdAt: -1 });
+paymentSchema.index({ trip: 1, status: 1 });
+paymentSchema.index({ organiser: 1, createdAt: -1 });
+paymentSchema.index({ provider: 1, providerReference: 1 }, { unique: true, sparse: true });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Net settled amount (charges minus refunds) for each matching group
+const settledTotalsPipeline = (match, groupBy) => [
+  { $match: { ...match, status: 'succeeded' } },
+  {
+    $group: {
+      _id: groupBy,
+      charged: { $sum: { $cond: [{ $eq: ['$type', 'charge'] }, '$amount', 0] } },
+      refunded: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } }
+    }
+  },
+  { $addFields: { net: { $subtract: ['$charged', '$refunded'] } } }
+];
+
+// Settled totals for a single booking
+paymentSchema.statics.getBookingTotals = async function(bookingId) {
+  const [totals] = await this.aggregate(
+    settledTotalsPipeline({ booking: new mongoose.Types.ObjectId(bookingId) }, '$booking')
+  );
+  return totals || { charged: 0, refunded: 0, net: 0 };
+};
+
+// Settled totals for a single trip
+paymentSchema.statics.getTripTotals = async function(tripId) {
+  const [totals] = await this.aggregate(
+    settledTotalsPipeline({ trip: new mongoose.Types.ObjectId(tripId) }, '$trip')
+  );
+  return totals || { charged: 0, refunded: 0, net: 0 };
+};
+
+// Settled totals per trip across an organiser's trips
+paymentSchema.statics.getRevenueByTrip = function(organiserId) {
+  return this.aggregate(
+    settledTotalsPipeline({ organiser: new mongoose.Types.ObjectId(organiserId) }, '$trip')
+  );
+};
+
+paymentSchema.statics.TYPES = PAYMENT_TYPES;
+paymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+
+// ============================================
+// PLUGINS
+// ============================================
+paymentSchema.plugin(auditTrail);
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
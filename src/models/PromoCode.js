@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// ============================================
+// PROMO CODE
+// ============================================
+// A discount code travellers enter when quoting or booking a trip.
+// Admins create platform-wide codes; organisers create codes for their own
+// trips. Codes sharing a campaign name are reported together (see
+// PromoRedemption).
+const PROMO_SCOPES = ['platform', 'trip'];
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+
+// How a code combines with the trip's group and early-bird discounts:
+//   stack     - applied after them, to what is left
+//   exclusive - not combined: applied to the subtotal instead of them when
+//               that gives the lower price (see services/pricingService)
+const STACKING_RULES = ['stack', 'exclusive'];
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  campaign: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Campaign name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  scope: {
+    type: String,
+    enum: PROMO_SCOPES,
+    required: true
+  },
+  // Trips a 'trip' code can be used on
+  trips: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  }],
+  // Organiser who owns a 'trip' code (platform codes have none)
+  organiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // ============================================
+  // DISCOUNT
+  // ============================================
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage discount cannot exceed 100'
+    }
+  },
+  // Largest amount a percentage code takes off
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Smallest subtotal (before any discount) the code can be used on
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  stacking: {
+    type: String,
+    enum: STACKING_RULES,
+    default: 'exclusive'
+  },
+
+  // ============================================
+  // VALIDITY & USAGE
+  // ============================================
+  validFrom: Date,
+  validUntil: Date,
+  // Uses across everyone (unlimited when not set)
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Active redemptions - a cancelled booking gives its use back
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+promoCodeSchema.index({ code: 1 }, { unique: true });
+promoCodeSchema.index({ organiser: 1, createdAt: -1 });
+promoCodeSchema.index({ campaign: 1 });
+
+// ============================================
+// VALIDATION
+// ============================================
+promoCodeSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  if (this.scope === 'trip' && this.trips.length === 0) {
+    this.invalidate('trips', 'A trip code needs at least one trip');
+  }
+  next();
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Within its validity window at the given time?
+promoCodeSchema.methods.isValidAt = function(now = new Date()) {
+  return (!this.validFrom || this.validFrom <= now) && (!this.validUntil || this.validUntil > now);
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// How codes are stored, so lookups ignore case and spacing
+promoCodeSchema.statics.normalise = function(code) {
+  return String(code || '').trim().toUpperCase();
+};
+
+promoCodeSchema.statics.SCOPES = PROMO_SCOPES;
+promoCodeSchema.statics.DISCOUNT_TYPES = DISCOUNT_TYPES;
+promoCodeSchema.statics.STACKING_RULES = STACKING_RULES;
+
+// ============================================
+// PLUGINS
+// ============================================
+promoCodeSchema.plugin(auditTrail);
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+module.exports = PromoCode;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// PROMO REDEMPTION
+// ============================================
+// One use of a promo code on a booking. Cancelled when the booking is, which
+// gives the use back to the code. Campaign and code are copied so reports
+// don't need the code to still exist.
+const REDEMPTION_STATUSES = ['active', 'cancelled'];
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  campaign: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  // Trip organiser, so organisers can report on platform codes used on their trips
+  organiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // Which of the user's perUserLimit uses of the code this is
+  userSlot: {
+    type: Number,
+    min: 1
+  },
+
+  // Subtotal before discounts, the code's discount and what was charged
+  orderValue: Number,
+  discountAmount: {
+    type: Number,
+    required: true
+  },
+  totalAmount: Number,
+
+  status: {
+    type: String,
+    enum: REDEMPTION_STATUSES,
+    default: 'active'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+promoRedemptionSchema.index({ booking: 1 }, { unique: true });
+promoRedemptionSchema.index({ promoCode: 1, user: 1, status: 1 });
+// Each of a user's uses of a code is held by one active redemption at a time
+promoRedemptionSchema.index(
+  { promoCode: 1, user: 1, userSlot: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+promoRedemptionSchema.index({ campaign: 1, createdAt: -1 });
+promoRedemptionSchema.index({ organiser: 1, createdAt: -1 });
+
+promoRedemptionSchema.statics.STATUSES = REDEMPTION_STATUSES;
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+module.exports = PromoRedemption;
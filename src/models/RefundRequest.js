@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// ============================================
+// REFUND LIFECYCLE
+// ============================================
+// pending_approval -> approved -> processing -> completed
+//        |                            |-------> failed -> processing (retry)
+//        |-----> rejected
+// Refunds for trips cancelled by the organiser, and for payments that
+// settle after their booking was cancelled, skip approval.
+const REFUND_STATUSES = ['pending_approval', 'approved', 'processing', 'completed', 'rejected', 'failed'];
+
+// Statuses that still count against the refundable balance of a booking
+const OPEN_REFUND_STATUSES = ['pending_approval', 'approved', 'processing', 'failed'];
+
+const refundRequestSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  // Denormalised from the booking for listing and authorisation
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be greater than zero']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  reason: String,
+  source: {
+    type: String,
+    enum: ['tourist_cancellation', 'trip_cancelled', 'amendment', 'late_payment', 'organiser', 'admin'],
+    required: true
+  },
+  // How the amount was worked out from the cancellation policy
+  policy: {
+    daysBeforeTrip: Number,
+    refundPercent: Number,
+    paidAmount: Number
+  },
+
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: 'pending_approval'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String,
+
+  // Ledger entries created to pay this refund out
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  failureReason: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+refundRequestSchema.index({ booking: 1, status: 1 });
+refundRequestSchema.index({ user: 1, createdAt: -1 });
+refundRequestSchema.index({ organiser: 1, status: 1, createdAt: -1 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Total of refunds on a booking that are not yet closed
+refundRequestSchema.statics.getOpenAmount = async function(bookingId) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        booking: new mongoose.Types.ObjectId(bookingId),
+        status: { $in: OPEN_REFUND_STATUSES }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+// Move a processing refund to completed/failed once its ledger entries settle
+refundRequestSchema.statics.syncFromLedger = async function(refundId) {
+  const refund = await this.findById(refundId).populate('payments', 'status failureReason');
+  if (!refund || refund.status !== 'processing') return refund;
+
+  const payments = refund.payments;
+  const failed = payments.find(p => p.status === 'failed');
+
+  if (failed) {
+    refund.status = 'failed';
+    refund.failureReason = failed.failureReason || 'Refund failed at the payment provider';
+  } else if (payments.length > 0 && payments.every(p => p.status === 'succeeded')) {
+    refund.status = 'completed';
+    refund.completedAt = new Date();
+    refund.failureReason = undefined;
+  } else {
+    return refund;
+  }
+
+  await refund.save();
+  return refund;
+};
+
+refundRequestSchema.statics.STATUSES = REFUND_STATUSES;
+refundRequestSchema.statics.OPEN_STATUSES = OPEN_REFUND_STATUSES;
+
+// ============================================
+// PLUGINS
+// ============================================
+refundRequestSchema.plugin(auditTrail);
+
+const RefundRequest = mongoose.model('RefundRequest', refundRequestSchema);
+
+module.exports = RefundRequest;
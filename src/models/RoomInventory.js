@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// ROOM INVENTORY
+// ============================================
+// Rooms of one hotel room type for one night. Rows are created the first
+// time a night is allocated or adjusted; a night without a row has the room
+// type's totalRooms free. Allocations use a conditional $inc so two bookings
+// can never take the same last room (see services/hotelService).
+const roomInventorySchema = new mongoose.Schema({
+  hotel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true
+  },
+  // _id of the room type in hotel.roomTypes
+  roomType: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // The night, as midnight UTC of the check-in date
+  date: {
+    type: Date,
+    required: true
+  },
+  // Rooms for sale this night when the owner changed it for this date;
+  // otherwise the room type's totalRooms applies
+  totalRooms: {
+    type: Number,
+    min: 0
+  },
+  allocated: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+roomInventorySchema.index({ hotel: 1, roomType: 1, date: 1 }, { unique: true });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Midnight UTC of the given date - the key of a night
+roomInventorySchema.statics.toNight = function(date) {
+  const night = new Date(date);
+  night.setUTCHours(0, 0, 0, 0);
+  return night;
+};
+
+// The nights from check-in up to (not including) check-out
+roomInventorySchema.statics.nightsBetween = function(checkIn, checkOut) {
+  const nights = [];
+  const last = this.toNight(checkOut);
+
+  for (let night = this.toNight(checkIn); night < last; night = new Date(night.getTime() + 24 * 60 * 60 * 1000)) {
+    nights.push(night);
+  }
+
+  return nights;
+};
+
+const RoomInventory = mongoose.model('RoomInventory', roomInventorySchema);
+
+module.exports = RoomInventory;
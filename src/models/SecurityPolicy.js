@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// ============================================
+// SECURITY POLICY
+// ============================================
+// Platform-wide security settings, edited by super admins. There is a single
+// document; use SecurityPolicy.getPolicy() to read it.
+const POLICY_KEY = 'global';
+// How long getPolicy() serves the cached copy
+const CACHE_MS = 60 * 1000;
+
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: POLICY_KEY,
+    unique: true
+  },
+
+  twoFactor: {
+    // Roles that must enrol in 2FA before using the API
+    requiredRoles: [{
+      type: String,
+      enum: ['tourist', 'guide', 'organiser', 'admin']
+    }],
+    // Admin permissions that need a 2FA check within recentMinutes
+    stepUpPermissions: {
+      type: [String],
+      default: ['financial_access']
+    },
+    recentMinutes: {
+      type: Number,
+      default: 15,
+      min: 1
+    }
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+let cached = null;
+let cachedAt = 0;
+
+// Current policy, created with defaults on first use
+securityPolicySchema.statics.getPolicy = async function() {
+  if (cached && Date.now() - cachedAt < CACHE_MS) {
+    return cached;
+  }
+
+  cached = await this.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $setOnInsert: { key: POLICY_KEY } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  cachedAt = Date.now();
+  return cached;
+};
+
+// Drop the cached copy after an update
+securityPolicySchema.statics.clearCache = function() {
+  cached = null;
+};
+
+// ============================================
+// PLUGINS
+// ============================================
+securityPolicySchema.plugin(auditTrail);
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+module.exports = SecurityPolicy;
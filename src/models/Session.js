@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// ============================================
+// SESSION
+// ============================================
+// One signed-in device. Access tokens carry the session id and are only
+// accepted while the session is active; the refresh token is rotated on
+// every use and only its hash is stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token this one replaced - presenting it again means the
+  // refresh token leaked, so the session is revoked
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+
+  // Device info, captured at sign-in and refreshed on use
+  userAgent: String,
+  device: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last time a 2FA code was checked on this session (sign-in or step-up)
+  twoFactorVerifiedAt: Date,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Drop sessions a while after they can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Filter for a user's sessions that can still be used
+sessionSchema.statics.activeFilter = function(userId) {
+  return { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 // Itinerary day schema
 const itineraryDaySchema = new mongoose.Schema({
@@ -43,66 +44,12 @@ const itineraryDaySchema = new mongoose.Schema({
   }
 }, { _id: false });
 
-// Booking schema for users who book this trip
-const bookingSchema = new mongoose.Schema({
-  user: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  bookingDate: {
-    type: Date,
-    default: Date.now
-  },
-  numberOfPeople: {
-    type: Number,
-    required: true,
-    min: 1
-  },
-  travelers: [{
-    name: String,
-    age: Number,
-    gender: String,
-    idType: String,
-    idNumber: String
-  }],
-  totalAmount: {
-    type: Number,
-    required: true
-  },
-  paidAmount: {
-    type: Number,
-    default: 0
-  },
-  paymentStatus: {
-    type: String,
-    enum: ['pending', 'partial', 'completed', 'refunded', 'cancelled'],
-    default: 'pending'
-  },
-  bookingStatus: {
-    type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no_show'],
-    default: 'pending'
-  },
-  specialRequests: String,
-  contactPhone: String,
-  contactEmail: String,
-  emergencyContact: {
-    name: String,
-    phone: String,
-    relation: String
-  },
-  // Hotel selection by user
-  selectedHotel: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Hotel'
-  },
-  hotelStatus: {
-    type: String,
-    enum: ['pending', 'confirmed', 'not_required'],
-    default: 'pending'
-  }
-}, { timestamps: true });
+// Resized copies of an uploaded image (see services/imageService)
+const imageVariantsSchema = new mongoose.Schema({
+  thumbnail: String,
+  card: String,
+  hero: String
+}, { _id: false });
 
 // Main Trip Schema
 const tripSchema = new mongoose.Schema({
@@ -234,7 +181,8 @@ const tripSchema = new mongoose.Schema({
   recurringSchedule: {
     frequency: { type: String, enum: ['daily', 'weekly', 'monthly', 'custom'] },
     daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
-    excludeDates: [Date]
+    excludeDates: [Date],
+    until: Date // last day departures may start; open-ended if not set
   },
 
   // Itinerary
@@ -316,9 +264,13 @@ const tripSchema = new mongoose.Schema({
     description: String
   }],
 
-  // Images
+  // Images (uploaded ones also keep their MediaAsset, dimensions and resized variants)
   images: [{
     url: { type: String, required: true },
+    asset: { type: mongoose.Schema.Types.ObjectId, ref: 'MediaAsset' },
+    width: Number,
+    height: Number,
+    variants: imageVariantsSchema,
     caption: String,
     isMain: { type: Boolean, default: false },
     order: Number
@@ -377,7 +329,7 @@ const tripSchema = new mongoose.Schema({
   guideAssignment: {
     status: {
       type: String,
-      enum: ['not_assigned', 'pending', 'accepted', 'rejected'],
+      enum: ['not_assigned', 'pending', 'accepted', 'rejected', 'expired'],
       default: 'not_assigned'
     },
     assignedAt: Date,
@@ -388,11 +340,13 @@ const tripSchema = new mongoose.Schema({
   // ============================================
   // HOTEL OPTIONS (for user selection)
   // ============================================
+  // Copied from a registered Hotel and one of its room types when added
   hotelOptions: [{
     hotel: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Hotel'
     },
+    roomTypeId: mongoose.Schema.Types.ObjectId, // _id in hotel.roomTypes
     hotelName: String,
     hotelRating: Number, // 1-5 stars
     roomType: String,
@@ -400,14 +354,9 @@ const tripSchema = new mongoose.Schema({
     amenities: [String],
     images: [String],
     isRecommended: { type: Boolean, default: false },
-    availableRooms: Number
+    availableRooms: Number // fewest rooms free on any night of the stay (one-off trips)
   }],
 
-  // ============================================
-  // BOOKINGS
-  // ============================================
-  bookings: [bookingSchema],
-
   // ============================================
   // STATUS & VISIBILITY
   // ============================================
@@ -443,6 +392,14 @@ const tripSchema = new mongoose.Schema({
       refundPercent: Number
     }]
   },
+  // Changes tourists can make to a booking themselves (see services/amendmentService)
+  amendmentPolicy: {
+    allowed: { type: Boolean, default: true },
+    // No amendments within this many days of the start date
+    deadlineDays: { type: Number, default: 3, min: 0 },
+    // Charged on every amendment, on top of any price difference
+    fee: { type: Number, default: 0, min: 0 }
+  },
   termsAndConditions: String,
 
   // Tags & SEO
@@ -460,16 +417,28 @@ const tripSchema = new mongoose.Schema({
     reviewsCount: { type: Number, default: 0 }
   },
 
-  // Reviews
+  // Reviews - only travellers with a completed booking can post one, so
+  // every review is isVerified; photos are uploaded MediaAssets
   reviews: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    rating: { type: Number, min: 1, max: 5 },
-    title: String,
-    comment: String,
-    photos: [String],
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    rating: { type: Number, min: 1, max: 5, required: true },
+    title: { type: String, trim: true, maxlength: 100 },
+    comment: { type: String, trim: true, maxlength: 2000 },
+    photos: [{
+      url: { type: String, required: true },
+      asset: { type: mongoose.Schema.Types.ObjectId, ref: 'MediaAsset' },
+      width: Number,
+      height: Number,
+      variants: imageVariantsSchema,
+      caption: String
+    }],
     isVerified: { type: Boolean, default: false },
     createdAt: { type: Date, default: Date.now }
   }]
@@ -493,6 +462,7 @@ tripSchema.index({ 'destinations.city': 1 });
 tripSchema.index({ 'destinations.district': 1 });
 tripSchema.index({ categories: 1 });
 tripSchema.index({ tags: 1 });
+tripSchema.index({ 'analytics.avgRating': -1, 'analytics.reviewsCount': -1 });
 
 // Text index for search
 tripSchema.index({
@@ -528,6 +498,19 @@ tripSchema.virtual('isTripEnded').get(function() {
   return new Date() > this.endDate;
 });
 
+// Bookings live in their own collection - populate('bookings') when needed
+tripSchema.virtual('bookings', {
+  ref: 'Booking',
+  localField: '_id',
+  foreignField: 'trip'
+});
+
+tripSchema.virtual('departures', {
+  ref: 'Departure',
+  localField: '_id',
+  foreignField: 'trip'
+});
+
 // ============================================
 // PRE-SAVE MIDDLEWARE
 // ============================================
@@ -556,8 +539,10 @@ tripSchema.pre('save', async function(next) {
     this.status = 'full';
   }
 
-  // Auto-expire past trips
-  if (this.endDate && new Date() > this.endDate && this.status !== 'completed' && this.status !== 'cancelled') {
+  // Auto-expire past trips. Recurring trips run until their schedule ends,
+  // their own dates are only the template for each departure.
+  const lastDate = this.isRecurring ? this.recurringSchedule?.until : this.endDate;
+  if (lastDate && new Date() > lastDate && this.status !== 'completed' && this.status !== 'cancelled') {
     this.status = 'expired';
   }
 
@@ -629,7 +614,7 @@ tripSchema.statics.getAvailable = function(filters = {}) {
 
   return this.find(query)
     .populate('attraction', 'name city thumbnail category')
-    .populate('organiser', 'name organiserProfile.companyName organiserProfile.logo organiserProfile.rating')
+    .populate('organiser', 'name organiserProfile.companyName organiserProfile.logo organiserProfile.averageRating organiserProfile.totalReviews')
     .sort({ startDate: 1 });
 };
 
@@ -637,38 +622,6 @@ tripSchema.statics.getAvailable = function(filters = {}) {
 // INSTANCE METHODS
 // ============================================
 
-// Add booking
-tripSchema.methods.addBooking = async function(bookingData) {
-  if (this.capacity.currentBookings >= this.capacity.maxPeople) {
-    throw new Error('Trip is fully booked');
-  }
-
-  this.bookings.push(bookingData);
-  this.capacity.currentBookings += bookingData.numberOfPeople;
-  this.analytics.bookingsCount += 1;
-  this.analytics.revenue += bookingData.totalAmount;
-
-  return this.save();
-};
-
-// Cancel booking
-tripSchema.methods.cancelBooking = async function(bookingId) {
-  const booking = this.bookings.id(bookingId);
-  if (!booking) {
-    throw new Error('Booking not found');
-  }
-
-  booking.bookingStatus = 'cancelled';
-  this.capacity.currentBookings -= booking.numberOfPeople;
-  
-  // Reset status if trip was full
-  if (this.status === 'full') {
-    this.status = 'published';
-  }
-
-  return this.save();
-};
-
 // Assign guide
 tripSchema.methods.assignGuide = async function(guideId) {
   this.guide = guideId;
@@ -696,6 +649,20 @@ tripSchema.methods.incrementViews = async function() {
   return this.save();
 };
 
+// Recalculate analytics.avgRating/reviewsCount from the reviews (call before save)
+tripSchema.methods.calculateRatings = function() {
+  const count = this.reviews.length;
+  const total = this.reviews.reduce((sum, review) => sum + review.rating, 0);
+
+  this.analytics.avgRating = count ? parseFloat((total / count).toFixed(1)) : 0;
+  this.analytics.reviewsCount = count;
+};
+
+// ============================================
+// PLUGINS
+// ============================================
+tripSchema.plugin(auditTrail);
+
 const Trip = mongoose.model('Trip', tripSchema);
 
 module.exports = Trip;
\ No newline at end of file
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ADMIN_PERMISSIONS, ADMIN_DISTRICTS } = require('../utils/permissions');
+
+// Guide/organiser verification. 'verified' is the only status that unlocks
+// verified-only features (see requireVerified); isVerified mirrors it.
+const VERIFICATION_STATUSES = ['pending', 'under_review', 'info_requested', 'verified', 'rejected'];
 
 // ===================
 // SUB-SCHEMAS FOR ROLES
@@ -33,6 +39,27 @@ const touristProfileSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Verification document (guides and organisers). Uploaded files live in
+// private storage under `key`; `url` is only set on older records.
+const verificationDocumentSchema = new mongoose.Schema({
+  url: String,
+  key: String,
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  uploadedAt: Date,
+  // Reviewer's decision on this document
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected'],
+    default: 'pending'
+  },
+  verified: { type: Boolean, default: false },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date,
+  rejectionReason: String
+}, { _id: false });
+
 // Guide-specific fields
 const guideProfileSchema = new mongoose.Schema({
   // Professional Info
@@ -86,17 +113,17 @@ const guideProfileSchema = new mongoose.Schema({
   isVerified: { type: Boolean, default: false },
   verificationStatus: {
     type: String,
-    enum: ['pending', 'under_review', 'approved', 'rejected'],
+    enum: VERIFICATION_STATUSES,
     default: 'pending'
   },
   verifiedAt: Date,
   verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   rejectionReason: String,
   documents: {
-    idProof: { url: String, verified: { type: Boolean, default: false } },
-    license: { url: String, verified: { type: Boolean, default: false } },
-    certificate: { url: String, verified: { type: Boolean, default: false } },
-    photo: { url: String, verified: { type: Boolean, default: false } }
+    idProof: verificationDocumentSchema,
+    license: verificationDocumentSchema,
+    certificate: verificationDocumentSchema,
+    photo: verificationDocumentSchema
   },
   
   // Ratings & Stats
@@ -158,17 +185,17 @@ const organiserProfileSchema = new mongoose.Schema({
   isVerified: { type: Boolean, default: false },
   verificationStatus: {
     type: String,
-    enum: ['pending', 'under_review', 'approved', 'rejected'],
+    enum: VERIFICATION_STATUSES,
     default: 'pending'
   },
   verifiedAt: Date,
   verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   rejectionReason: String,
   documents: {
-    registrationCertificate: { url: String, verified: { type: Boolean, default: false } },
-    gstCertificate: { url: String, verified: { type: Boolean, default: false } },
-    panCard: { url: String, verified: { type: Boolean, default: false } },
-    bankDetails: { url: String, verified: { type: Boolean, default: false } }
+    registrationCertificate: verificationDocumentSchema,
+    gstCertificate: verificationDocumentSchema,
+    panCard: verificationDocumentSchema,
+    bankDetails: verificationDocumentSchema
   },
   
   // Stats
@@ -190,25 +217,19 @@ const adminProfileSchema = new mongoose.Schema({
     type: String,
     enum: ['operations', 'support', 'marketing', 'technical', 'management', 'super_admin']
   },
+  // Granted directly; roles add more (see utils/permissions)
   permissions: [{
     type: String,
-    enum: [
-      'manage_users',
-      'manage_guides',
-      'manage_organisers',
-      'manage_attractions',
-      'manage_bookings',
-      'view_analytics',
-      'manage_content',
-      'manage_settings',
-      'verify_users',
-      'financial_access',
-      'full_access'
-    ]
+    enum: ADMIN_PERMISSIONS
+  }],
+  roles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminRole'
   }],
+  // Districts this admin manages; empty or 'all' means every district
   assignedDistricts: [{
     type: String,
-    enum: ['jaipur', 'udaipur', 'jodhpur', 'jaisalmer', 'pushkar', 'mount_abu', 'bikaner', 'ajmer', 'all']
+    enum: ADMIN_DISTRICTS
   }]
 }, { _id: false });
 
@@ -309,6 +330,29 @@ const userSchema = new mongoose.Schema({
     }]
   },
 
+  // Two-factor authentication (TOTP). Secrets are encrypted, backup codes hashed.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    // Secret being enrolled, until the first code confirms it
+    pendingSecret: { type: String, select: false },
+    backupCodes: { type: [String], select: false },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
+
+  // Failed sign-in tracking (see loginProtectionService)
+  loginSecurity: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    // Lockouts since the last successful login - each one doubles the lock time
+    lockCount: { type: Number, default: 0 },
+    unlockToken: { type: String, select: false },
+    unlockTokenExpire: { type: Date, select: false }
+  },
+
   // Account Status
   isEmailVerified: { type: Boolean, default: false },
   isPhoneVerified: { type: Boolean, default: false },
@@ -316,11 +360,14 @@ const userSchema = new mongoose.Schema({
   isBanned: { type: Boolean, default: false },
   banReason: String,
 
-  // Tokens
-  emailVerificationToken: String,
-  emailVerificationExpire: Date,
-  phoneVerificationOTP: String,
-  phoneVerificationExpire: Date,
+  // Tokens (verification tokens and OTPs are stored as SHA-256 hashes)
+  emailVerificationToken: { type: String, select: false },
+  emailVerificationExpire: { type: Date, select: false },
+  emailVerificationSentAt: { type: Date, select: false },
+  phoneVerificationOTP: { type: String, select: false },
+  phoneVerificationExpire: { type: Date, select: false },
+  phoneVerificationSentAt: { type: Date, select: false },
+  phoneVerificationAttempts: { type: Number, default: 0, select: false },
   passwordResetToken: String,
   passwordResetExpire: Date,
 
@@ -342,6 +389,10 @@ userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName || ''}`.trim();
 });
 
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.loginSecurity?.lockedUntil && this.loginSecurity.lockedUntil > new Date());
+});
+
 // ===================
 // INDEXES
 // ===================
@@ -354,6 +405,7 @@ userSchema.index({ createdAt: -1 });
 userSchema.index({ 'guideProfile.operatingDistricts': 1 });
 userSchema.index({ 'guideProfile.isVerified': 1 });
 userSchema.index({ 'organiserProfile.isVerified': 1 });
+userSchema.index({ 'loginSecurity.lockedUntil': 1 }, { sparse: true });
 
 // ===================
 // MIDDLEWARE
@@ -400,11 +452,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-userSchema.methods.generateAuthToken = function() {
+// Short-lived access token bound to a session (see sessionService)
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id, email: this.email, role: this.role },
+    { id: this._id, email: this.email, role: this.role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
@@ -418,13 +471,39 @@ userSchema.methods.generatePasswordResetToken = function() {
   return resetToken;
 };
 
-userSchema.methods.generateOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  this.phoneVerificationOTP = otp;
-  this.phoneVerificationExpire = Date.now() + 10 * 60 * 1000;
+userSchema.methods.generateEmailVerificationToken = function(expiresInMinutes = 24 * 60) {
+  const crypto = require('crypto');
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpire = Date.now() + expiresInMinutes * 60 * 1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return token;
+};
+
+userSchema.methods.generateOTP = function(expiresInMinutes = 10) {
+  const crypto = require('crypto');
+  const otp = crypto.randomInt(100000, 1000000).toString();
+
+  this.phoneVerificationOTP = crypto.createHash('sha256').update(otp).digest('hex');
+  this.phoneVerificationExpire = Date.now() + expiresInMinutes * 60 * 1000;
+  this.phoneVerificationSentAt = Date.now();
+  this.phoneVerificationAttempts = 0;
+
   return otp;
 };
 
+// Requires phoneVerificationOTP to be selected
+userSchema.methods.compareOTP = function(candidateOTP) {
+  const crypto = require('crypto');
+  if (!this.phoneVerificationOTP || !candidateOTP) return false;
+
+  const candidate = crypto.createHash('sha256').update(String(candidateOTP)).digest();
+  return crypto.timingSafeEqual(candidate, Buffer.from(this.phoneVerificationOTP, 'hex'));
+};
+
+// Direct grants only - role permissions are resolved by services/adminAccessService
 userSchema.methods.hasPermission = function(permission) {
   if (this.role !== 'admin') return false;
   if (this.adminProfile?.permissions?.includes('full_access')) return true;
@@ -435,6 +514,8 @@ userSchema.methods.hasPermission = function(permission) {
 // STATICS
 // ===================
 
+userSchema.statics.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
+
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email }).select('+password');
   if (!user) throw new Error('Invalid email or password');
@@ -445,6 +526,11 @@ userSchema.statics.findByCredentials = async function(email, password) {
   return user;
 };
 
+// ===================
+// PLUGINS
+// ===================
+userSchema.plugin(auditTrail);
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
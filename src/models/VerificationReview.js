@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// ============================================
+// VERIFICATION REVIEW LIFECYCLE
+// ============================================
+// One review per submission of a guide/organiser profile.
+//   under_review <-> info_requested      (reviewer asks, applicant answers)
+//   under_review  -> verified | rejected (final; a rejected applicant
+//                                          re-submits with a new review)
+// The applicant's profile verificationStatus always mirrors the latest review.
+const REVIEW_STATUSES = ['under_review', 'info_requested', 'verified', 'rejected'];
+const OPEN_REVIEW_STATUSES = ['under_review', 'info_requested'];
+
+const REVIEW_ACTIONS = [
+  'submitted', 'resubmitted', 'assigned', 'unassigned', 'document_reviewed',
+  'info_requested', 'info_provided', 'verified', 'rejected'
+];
+
+// One document on the reviewer's checklist
+const checklistItemSchema = new mongoose.Schema({
+  document: {
+    type: String,
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected'],
+    default: 'pending'
+  },
+  comment: String,
+  checkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  checkedAt: Date
+}, { _id: false });
+
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: REVIEW_ACTIONS,
+    required: true
+  },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  byRole: String,
+  // Shown to the applicant
+  comment: String,
+  // Documents the entry is about (document_reviewed, info_requested)
+  documents: [String],
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const verificationReviewSchema = new mongoose.Schema({
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Applicant is required']
+  },
+  applicantRole: {
+    type: String,
+    enum: ['guide', 'organiser'],
+    required: true
+  },
+  // 1 for the first submission, 2 for the first re-submission after rejection, ...
+  submission: {
+    type: Number,
+    default: 1
+  },
+
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'under_review'
+  },
+  // Set while the review is open - backs the one-open-review-per-applicant index
+  isOpen: {
+    type: Boolean,
+    default: true
+  },
+
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedAt: Date,
+
+  checklist: [checklistItemSchema],
+  history: [historyEntrySchema],
+
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: Date,
+  decisionReason: String
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+verificationReviewSchema.index(
+  { applicant: 1 },
+  { unique: true, partialFilterExpression: { isOpen: true } }
+);
+verificationReviewSchema.index({ applicant: 1, createdAt: -1 });
+verificationReviewSchema.index({ isOpen: 1, status: 1, createdAt: 1 });
+verificationReviewSchema.index({ assignedTo: 1, isOpen: 1 });
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+verificationReviewSchema.pre('save', function(next) {
+  this.isOpen = OPEN_REVIEW_STATUSES.includes(this.status);
+  next();
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Append a history entry
+verificationReviewSchema.methods.log = function(action, { by, byRole, comment, documents } = {}) {
+  this.history.push({ action, by, byRole, comment, documents, at: new Date() });
+  return this;
+};
+
+verificationReviewSchema.statics.STATUSES = REVIEW_STATUSES;
+verificationReviewSchema.statics.OPEN_STATUSES = OPEN_REVIEW_STATUSES;
+
+// ============================================
+// PLUGINS
+// ============================================
+verificationReviewSchema.plugin(auditTrail);
+
+const VerificationReview = mongoose.model('VerificationReview', verificationReviewSchema);
+
+module.exports = VerificationReview;
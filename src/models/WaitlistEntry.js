@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// ============================================
+// WAITLIST ENTRY
+// ============================================
+// A tourist waiting for seats on a full trip (or one departure of a
+// recurring trip). When seats free up the next entry that fits is offered
+// them: the seats are reserved for the entry until offer.expiresAt, and the
+// tourist claims them by booking with the entry (see services/waitlistService).
+//   waiting  -> offered -> claimed
+//                       -> expired (offer not claimed in time)
+//   waiting/offered -> left   (tourist left the waitlist or declined)
+//   waiting/offered -> closed (trip or departure no longer bookable)
+const WAITLIST_STATUSES = ['waiting', 'offered', 'claimed', 'expired', 'left', 'closed'];
+const OPEN_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+const waitlistEntrySchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  // Departure of a recurring trip the tourist is waiting for
+  departure: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Departure'
+  },
+  // Denormalised from the trip so organiser queries don't need a join
+  organiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  numberOfPeople: {
+    type: Number,
+    required: [true, 'Number of people is required'],
+    min: [1, 'At least 1 person is required']
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  // Higher goes first; entries with the same priority are served in the
+  // order they joined. Set by the organiser.
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: WAITLIST_STATUSES,
+    default: 'waiting'
+  },
+
+  // The current (or last) offer of seats
+  offer: {
+    seats: Number,
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  offerCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Booking made when the offer was claimed
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  closedAt: Date,
+  closedReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+waitlistEntrySchema.index({ trip: 1, departure: 1, status: 1, priority: -1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, createdAt: -1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+waitlistEntrySchema.virtual('isOpen').get(function() {
+  return OPEN_WAITLIST_STATUSES.includes(this.status);
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Order entries are served in
+waitlistEntrySchema.statics.QUEUE_ORDER = { priority: -1, createdAt: 1 };
+
+waitlistEntrySchema.statics.STATUSES = WAITLIST_STATUSES;
+waitlistEntrySchema.statics.OPEN_STATUSES = OPEN_WAITLIST_STATUSES;
+
+// ============================================
+// PLUGINS
+// ============================================
+waitlistEntrySchema.plugin(auditTrail);
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,97 @@
+const { getAuditContext, diffObjects } = require('../../utils/audit');
+
+// Query hooks that change documents
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+// Bulk queries only keep before/after for this many documents
+const MAX_TRACKED_DOCUMENTS = 200;
+
+const SNAPSHOT_OPTIONS = { depopulate: true, virtuals: false };
+
+const addChange = (context, { targetType, targetId, operation, before, after }) => {
+  const diff = diffObjects(before, after);
+  if (operation === 'update' && diff.length === 0) return;
+  context.changes.push({ targetType, targetId, operation, diff });
+};
+
+// ============================================
+// AUDIT TRAIL PLUGIN
+// ============================================
+// Records every create/update/delete made inside an audited request
+// (see middleware/audit.js). Outside one the hooks do nothing.
+const auditTrail = (schema) => {
+  // Keep what each loaded document looked like, to diff against on save
+  schema.post('init', function() {
+    if (getAuditContext()) {
+      this.$locals.auditSnapshot = this.toObject(SNAPSHOT_OPTIONS);
+    }
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditWasNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', function(doc) {
+    const context = getAuditContext();
+    if (!context) return;
+
+    const after = doc.toObject(SNAPSHOT_OPTIONS);
+    addChange(context, {
+      targetType: doc.constructor.modelName,
+      targetId: doc._id,
+      operation: doc.$locals.auditWasNew ? 'create' : 'update',
+      before: doc.$locals.auditWasNew ? null : doc.$locals.auditSnapshot,
+      after
+    });
+    doc.$locals.auditSnapshot = after;
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function(doc) {
+    const context = getAuditContext();
+    if (!context) return;
+
+    addChange(context, {
+      targetType: doc.constructor.modelName,
+      targetId: doc._id,
+      operation: 'delete',
+      before: doc.$locals.auditSnapshot || doc.toObject(SNAPSHOT_OPTIONS),
+      after: null
+    });
+  });
+
+  // Query updates/deletes don't load documents, so read them before and after
+  schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], async function() {
+    if (!getAuditContext()) return;
+
+    const limit = this.op.endsWith('Many') ? MAX_TRACKED_DOCUMENTS : 1;
+    this._auditBefore = await this.model.find(this.getFilter()).limit(limit).lean();
+  });
+
+  schema.post([...UPDATE_QUERIES, ...DELETE_QUERIES], async function() {
+    const context = getAuditContext();
+    if (!context || !this._auditBefore?.length) return;
+
+    const targetType = this.model.modelName;
+
+    if (DELETE_QUERIES.includes(this.op)) {
+      this._auditBefore.forEach((before) => addChange(context, {
+        targetType, targetId: before._id, operation: 'delete', before, after: null
+      }));
+      return;
+    }
+
+    const afterDocs = await this.model.find({ _id: { $in: this._auditBefore.map((doc) => doc._id) } }).lean();
+    const afterById = new Map(afterDocs.map((doc) => [doc._id.toString(), doc]));
+
+    this._auditBefore.forEach((before) => addChange(context, {
+      targetType,
+      targetId: before._id,
+      operation: 'update',
+      before,
+      after: afterById.get(before._id.toString()) || null
+    }));
+  });
+};
+
+module.exports = auditTrail;
@@ -2,11 +2,13 @@ const express = require('express');
 const router = express.Router();
 
 const {
+  scopeUser,
   getAllUsers,
   getUserById,
   updateUser,
   deleteUser,
   banUser,
+  unlockUser,
   getPendingVerifications,
   verifyGuide,
   verifyOrganiser,
@@ -16,10 +18,55 @@ const {
   getRecentActivity,
   searchUsers,
   exportUsers,
+  getSecurityPolicy,
+  updateSecurityPolicy,
   createAdmin
 } = require('../controllers/adminController');
 
+const {
+  getAuditLogs,
+  getAuditLogById,
+  exportAuditLogs
+} = require('../controllers/auditLogController');
+
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getAdminAccessById,
+  updateAdminAccess
+} = require('../controllers/adminRoleController');
+
+const { reviewDocument } = require('../controllers/documentController');
+
+const {
+  scopeReview,
+  getReviewQueue,
+  getReviewById,
+  assignReview,
+  reviewChecklistItem,
+  requestMoreInfo,
+  decideReview
+} = require('../controllers/verificationController');
+
+const {
+  scopeGuideReview,
+  getGuideReviewsForModeration,
+  moderateGuideReview
+} = require('../controllers/guideReviewController');
+
+const {
+  getPromoCodes,
+  getPromoCodeById,
+  getPromoReport,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode
+} = require('../controllers/promoCodeController');
+
 const { protect, isAdmin, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 // All admin routes require authentication and admin role
 router.use(protect);
@@ -35,17 +82,56 @@ router.get('/users', requirePermission('manage_users', 'view_analytics'), getAll
 router.get('/users/counts', requirePermission('view_analytics'), getUserCounts);
 router.get('/users/search', requirePermission('manage_users'), searchUsers);
 router.get('/users/export', requirePermission('manage_users', 'full_access'), exportUsers);
-router.get('/users/:id', requirePermission('manage_users'), getUserById);
-router.put('/users/:id', requirePermission('manage_users'), updateUser);
-router.delete('/users/:id', requirePermission('manage_users'), deleteUser);
-router.put('/users/:id/ban', requirePermission('manage_users'), banUser);
+router.get('/users/:id', requirePermission('manage_users'), scopeUser, getUserById);
+router.put('/users/:id', requirePermission('manage_users'), scopeUser, audit('user.update', 'User'), updateUser);
+router.delete('/users/:id', requirePermission('manage_users'), scopeUser, audit('user.delete', 'User'), deleteUser);
+router.put('/users/:id/ban', requirePermission('manage_users'), scopeUser, audit('user.ban', 'User'), banUser);
+router.put('/users/:id/unlock', requirePermission('manage_users'), scopeUser, audit('user.unlock', 'User'), unlockUser);
 
 // Verification Management
 router.get('/verifications/pending', requirePermission('verify_users', 'manage_guides', 'manage_organisers'), getPendingVerifications);
-router.put('/verify/guide/:id', requirePermission('verify_users', 'manage_guides'), verifyGuide);
-router.put('/verify/organiser/:id', requirePermission('verify_users', 'manage_organisers'), verifyOrganiser);
+router.put('/verify/guide/:id', requirePermission('verify_users', 'manage_guides'), scopeUser, audit('user.verify_guide', 'User'), verifyGuide);
+router.put('/verify/organiser/:id', requirePermission('verify_users', 'manage_organisers'), scopeUser, audit('user.verify_organiser', 'User'), verifyOrganiser);
+router.put('/users/:id/documents/:type/review', requirePermission('verify_users', 'manage_guides', 'manage_organisers'), scopeUser, audit('user.review_document', 'User'), reviewDocument);
+
+// Verification Reviews (queue, checklist, more-info requests, decisions)
+router.param('reviewId', scopeReview);
+router.get('/verification-reviews', requirePermission('verify_users', 'manage_guides', 'manage_organisers'), getReviewQueue);
+router.get('/verification-reviews/:reviewId', requirePermission('verify_users', 'manage_guides', 'manage_organisers'), getReviewById);
+router.put('/verification-reviews/:reviewId/assign', requirePermission('verify_users', 'manage_guides', 'manage_organisers'), audit('verification.assign', 'VerificationReview', { idParam: 'reviewId' }), assignReview);
+router.put('/verification-reviews/:reviewId/checklist/:type', requirePermission('verify_users', 'manage_guides', 'manage_organisers'), audit('verification.review_document', 'VerificationReview', { idParam: 'reviewId' }), reviewChecklistItem);
+router.put('/verification-reviews/:reviewId/request-info', requirePermission('verify_users', 'manage_guides', 'manage_organisers'), audit('verification.request_info', 'VerificationReview', { idParam: 'reviewId' }), requestMoreInfo);
+router.put('/verification-reviews/:reviewId/decision', requirePermission('verify_users', 'manage_guides', 'manage_organisers'), audit('verification.decide', 'VerificationReview', { idParam: 'reviewId' }), decideReview);
+
+// Guide Review Moderation
+router.param('guideReviewId', scopeGuideReview);
+router.get('/guide-reviews', requirePermission('manage_guides', 'manage_content'), getGuideReviewsForModeration);
+router.put('/guide-reviews/:guideReviewId/moderate', requirePermission('manage_guides', 'manage_content'), audit('guide_review.moderate', 'GuideReview', { idParam: 'guideReviewId' }), moderateGuideReview);
+
+// Promo Codes (report placed before :promoId)
+router.get('/promo-codes', requirePermission('manage_bookings'), getPromoCodes);
+router.get('/promo-codes/report', requirePermission('manage_bookings'), getPromoReport);
+router.post('/promo-codes', requirePermission('manage_bookings'), audit('promo_code.create', 'PromoCode'), createPromoCode);
+router.get('/promo-codes/:promoId', requirePermission('manage_bookings'), getPromoCodeById);
+router.put('/promo-codes/:promoId', requirePermission('manage_bookings'), audit('promo_code.update', 'PromoCode', { idParam: 'promoId' }), updatePromoCode);
+router.delete('/promo-codes/:promoId', requirePermission('manage_bookings'), audit('promo_code.deactivate', 'PromoCode', { idParam: 'promoId' }), deactivatePromoCode);
 
 // Admin Management (Super Admin only)
-router.post('/create-admin', requirePermission('full_access'), createAdmin);
+router.post('/create-admin', requirePermission('full_access'), audit('user.create_admin', 'User'), createAdmin);
+router.get('/security/policy', requirePermission('full_access'), getSecurityPolicy);
+router.put('/security/policy', requirePermission('full_access'), audit('security_policy.update', 'SecurityPolicy'), updateSecurityPolicy);
+
+// Roles & Admin Access (Super Admin only)
+router.get('/roles', requirePermission('full_access'), getRoles);
+router.post('/roles', requirePermission('full_access'), audit('admin_role.create', 'AdminRole'), createRole);
+router.put('/roles/:id', requirePermission('full_access'), audit('admin_role.update', 'AdminRole'), updateRole);
+router.delete('/roles/:id', requirePermission('full_access'), audit('admin_role.delete', 'AdminRole'), deleteRole);
+router.get('/users/:id/access', requirePermission('full_access'), getAdminAccessById);
+router.put('/users/:id/access', requirePermission('full_access'), audit('user.update_access', 'User'), updateAdminAccess);
+
+// Audit Log (export place before :id)
+router.get('/audit-logs', requirePermission('view_audit_logs'), getAuditLogs);
+router.get('/audit-logs/export', requirePermission('full_access'), audit('audit_log.export', 'AuditLog'), exportAuditLogs);
+router.get('/audit-logs/:id', requirePermission('view_audit_logs'), getAuditLogById);
 
 module.exports = router;
\ No newline at end of file
@@ -26,6 +26,12 @@ const {
   addEvent,
   removeEvent,
   
+  // Review Moderation
+  getReviewModerationQueue,
+  moderateReview,
+  updateReviewAspects,
+  deleteReview,
+  
   // Statistics
   getAttractionStats,
   getCitySummary,
@@ -40,10 +46,13 @@ const {
   getAttractionsByCity,
   getFeaturedAttractions,
   getAvailableCities,
-  getCategories
+  getCategories,
+  scopeAttraction
 } = require('../controllers/attractionController');
 
 const { protect, isAdmin, requirePermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { uploadImages, uploadImage } = require('../middleware/upload');
 
 // =============================================
 // PUBLIC ROUTES (No authentication required)
@@ -64,36 +73,47 @@ router.get('/public/:slug', getAttractionBySlug);
 router.use(protect);
 router.use(isAdmin);
 
+// District admins only reach attractions in their assigned districts
+router.param('id', scopeAttraction);
+
 // Statistics (place before :id routes)
 router.get('/stats', requirePermission('view_analytics', 'manage_attractions'), getAttractionStats);
 router.get('/cities-summary', requirePermission('view_analytics', 'manage_attractions'), getCitySummary);
 
+// Review moderation queue (place before :id routes)
+router.get('/reviews/moderation', requirePermission('manage_content', 'manage_attractions'), getReviewModerationQueue);
+
 // Bulk Operations
-router.put('/bulk-update', requirePermission('manage_attractions'), bulkUpdate);
-router.delete('/bulk-delete', requirePermission('manage_attractions', 'full_access'), bulkDelete);
+router.put('/bulk-update', requirePermission('manage_attractions'), audit('attraction.bulk_update', 'Attraction'), bulkUpdate);
+router.delete('/bulk-delete', requirePermission('manage_attractions', 'full_access'), audit('attraction.bulk_delete', 'Attraction'), bulkDelete);
 
 // CRUD Operations
-router.post('/', requirePermission('manage_attractions'), createAttraction);
+router.post('/', requirePermission('manage_attractions'), audit('attraction.create', 'Attraction'), createAttraction);
 router.get('/', requirePermission('manage_attractions', 'view_analytics'), getAllAttractions);
 router.get('/:id', requirePermission('manage_attractions'), getAttractionById);
-router.put('/:id', requirePermission('manage_attractions'), updateAttraction);
-router.delete('/:id', requirePermission('manage_attractions'), deleteAttraction);
+router.put('/:id', requirePermission('manage_attractions'), audit('attraction.update', 'Attraction'), updateAttraction);
+router.delete('/:id', requirePermission('manage_attractions'), audit('attraction.delete', 'Attraction'), deleteAttraction);
 
 // Status Management
-router.put('/:id/toggle-active', requirePermission('manage_attractions'), toggleActive);
-router.put('/:id/toggle-featured', requirePermission('manage_attractions'), toggleFeatured);
-router.put('/:id/status', requirePermission('manage_attractions'), updateStatus);
-router.put('/:id/verify', requirePermission('manage_attractions', 'verify_users'), verifyAttraction);
+router.put('/:id/toggle-active', requirePermission('manage_attractions'), audit('attraction.toggle_active', 'Attraction'), toggleActive);
+router.put('/:id/toggle-featured', requirePermission('manage_attractions'), audit('attraction.toggle_featured', 'Attraction'), toggleFeatured);
+router.put('/:id/status', requirePermission('manage_attractions'), audit('attraction.update_status', 'Attraction'), updateStatus);
+router.put('/:id/verify', requirePermission('manage_attractions', 'verify_users'), audit('attraction.verify', 'Attraction'), verifyAttraction);
 
 // Media Management
-router.post('/:id/images', requirePermission('manage_attractions'), addImages);
-router.delete('/:id/images/:imageIndex', requirePermission('manage_attractions'), removeImage);
-router.put('/:id/thumbnail', requirePermission('manage_attractions'), updateThumbnail);
+router.post('/:id/images', requirePermission('manage_attractions'), uploadImages, audit('attraction.add_images', 'Attraction'), addImages);
+router.delete('/:id/images/:imageIndex', requirePermission('manage_attractions'), audit('attraction.remove_image', 'Attraction'), removeImage);
+router.put('/:id/thumbnail', requirePermission('manage_attractions'), uploadImage, audit('attraction.update_thumbnail', 'Attraction'), updateThumbnail);
 
 // Details Management
-router.put('/:id/entry-fees', requirePermission('manage_attractions'), updateEntryFees);
-router.put('/:id/opening-hours', requirePermission('manage_attractions'), updateOpeningHours);
-router.post('/:id/events', requirePermission('manage_attractions'), addEvent);
-router.delete('/:id/events/:eventIndex', requirePermission('manage_attractions'), removeEvent);
+router.put('/:id/entry-fees', requirePermission('manage_attractions'), audit('attraction.update_entry_fees', 'Attraction'), updateEntryFees);
+router.put('/:id/opening-hours', requirePermission('manage_attractions'), audit('attraction.update_opening_hours', 'Attraction'), updateOpeningHours);
+router.post('/:id/events', requirePermission('manage_attractions'), audit('attraction.add_event', 'Attraction'), addEvent);
+router.delete('/:id/events/:eventIndex', requirePermission('manage_attractions'), audit('attraction.remove_event', 'Attraction'), removeEvent);
+
+// Review Moderation
+router.put('/:id/reviews/:reviewId/moderate', requirePermission('manage_content', 'manage_attractions'), audit('attraction.moderate_review', 'Attraction'), moderateReview);
+router.put('/:id/reviews/:reviewId/aspects', requirePermission('manage_content', 'manage_attractions'), audit('attraction.update_review_aspects', 'Attraction'), updateReviewAspects);
+router.delete('/:id/reviews/:reviewId', requirePermission('manage_content', 'manage_attractions'), audit('attraction.delete_review', 'Attraction'), deleteReview);
 
 module.exports = router;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
 const {
@@ -9,10 +10,29 @@ const {
   changePassword,
   forgotPassword,
   resetPassword,
+  unlockAccount,
+  requestEmailVerification,
+  verifyEmail,
+  requestPhoneVerification,
+  verifyPhone,
   deleteAccount,
-  logout
+  logout,
+  refreshAccessToken,
+  getSessions,
+  revokeMySession,
+  revokeMySessions
 } = require('../controllers/authController');
 
+const {
+  completeTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifySession
+} = require('../controllers/twoFactorController');
+
 const { protect } = require('../middleware/auth');
 
 const {
@@ -24,11 +44,27 @@ const {
   resetPasswordValidation
 } = require('../middleware/validators');
 
+// Reset emails are sent for any registered address, so keep them from being spammed
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many password reset requests, please try again later.'
+  }
+});
+
 // Public routes
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
-router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/refresh', refreshAccessToken);
+router.post('/2fa/login', completeTwoFactorLogin);
+router.post('/forgot-password', forgotPasswordLimiter, forgotPasswordValidation, forgotPassword);
 router.put('/reset-password/:token', resetPasswordValidation, resetPassword);
+router.post('/unlock/:token', unlockAccount);
+// Signed-in request route MUST be before /verify-email/:token
+router.post('/verify-email/request', protect, requestEmailVerification);
+router.post('/verify-email/:token', verifyEmail);
 
 // Protected routes
 router.use(protect); // All routes below this will require authentication
@@ -36,7 +72,20 @@ router.use(protect); // All routes below this will require authentication
 router.get('/me', getMe);
 router.put('/profile', updateProfileValidation, updateProfile);
 router.put('/change-password', changePasswordValidation, changePassword);
+router.post('/verify-phone/request', requestPhoneVerification);
+router.post('/verify-phone/confirm', verifyPhone);
 router.delete('/account', deleteAccount);
 router.post('/logout', logout);
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeMySessions);
+router.delete('/sessions/:id', revokeMySession);
+
+// Two-factor authentication
+router.get('/2fa', getTwoFactorStatus);
+router.post('/2fa/setup', setupTwoFactor);
+router.post('/2fa/enable', enableTwoFactor);
+router.post('/2fa/disable', disableTwoFactor);
+router.post('/2fa/backup-codes', regenerateBackupCodes);
+router.post('/2fa/verify-session', verifySession);
 
 module.exports = router;
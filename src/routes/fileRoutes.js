@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+
+const { downloadFile } = require('../controllers/documentController');
+
+// Signed links are the credential - no login needed, so they can be opened directly
+router.get('/download', downloadFile);
+
+module.exports = router;
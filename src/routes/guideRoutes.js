@@ -10,14 +10,37 @@ const {
   updateAvailability,
   getGuideDashboard,
   getMyAssignedTrips,
-  respondToAssignment
+  respondToAssignment,
+  getMyAssignedDepartures,
+  respondToDepartureAssignment
 } = require('../controllers/guideController');
 
-const { protect, isGuide, requireVerified } = require('../middleware/auth');
+const {
+  getMyDocuments,
+  uploadMyDocument,
+  deleteMyDocument
+} = require('../controllers/documentController');
+const { getMyVerification } = require('../controllers/verificationController');
+
+const {
+  getGuideReviews,
+  getReviewEligibility,
+  addGuideReview,
+  replyToReview
+} = require('../controllers/guideReviewController');
+
+const { protect, isGuide, isTourist, requireVerified } = require('../middleware/auth');
+const { uploadDocument } = require('../middleware/upload');
+const { audit } = require('../middleware/audit');
 
 // Public routes
 router.get('/all', getAllGuides);
 router.get('/:id', getGuideById);
+router.get('/:id/reviews', getGuideReviews);
+
+// Reviews by tourists who completed a trip with the guide
+router.get('/:id/reviews/eligibility', protect, isTourist, getReviewEligibility);
+router.post('/:id/reviews', protect, isTourist, addGuideReview);
 
 // Protected routes (Guide only)
 router.use(protect);
@@ -29,8 +52,19 @@ router.post('/me/submit-verification', submitForVerification);
 router.put('/me/availability', updateAvailability);
 router.get('/me/dashboard', getGuideDashboard);
 
+// Verification documents & review status
+router.get('/me/verification', getMyVerification);
+router.get('/me/documents', getMyDocuments);
+router.post('/me/documents/:type', uploadDocument, audit('guide.upload_document', 'User'), uploadMyDocument);
+router.delete('/me/documents/:type', audit('guide.delete_document', 'User'), deleteMyDocument);
+
+// Replies to reviews
+router.put('/me/reviews/:reviewId/reply', audit('guide.reply_review', 'GuideReview', { idParam: 'reviewId' }), replyToReview);
+
 // Trip Assignment routes
 router.get('/me/trips', getMyAssignedTrips);
 router.put('/trips/:id/respond', respondToAssignment);
+router.get('/me/departures', getMyAssignedDepartures);
+router.put('/departures/:id/respond', respondToDepartureAssignment);
 
 module.exports = router;
\ No newline at end of file
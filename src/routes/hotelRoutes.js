@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getHotels,
+  getHotelById,
+  createHotel,
+  updateHotel,
+  deactivateHotel,
+  addRoomType,
+  updateRoomType,
+  removeRoomType,
+  addHotelImages,
+  removeHotelImage,
+  getHotelInventory,
+  updateRoomInventory
+} = require('../controllers/hotelController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { uploadImages } = require('../middleware/upload');
+
+// Organisers manage the hotels they registered, admins manage all of them
+router.use(protect);
+router.use(authorize('organiser', 'admin'));
+
+// Hotels
+router.get('/', getHotels);
+router.post('/', audit('hotel.create', 'Hotel'), createHotel);
+router.get('/:id', getHotelById);
+router.put('/:id', audit('hotel.update', 'Hotel'), updateHotel);
+router.delete('/:id', audit('hotel.deactivate', 'Hotel'), deactivateHotel);
+
+// Room types
+router.post('/:id/room-types', audit('hotel.add_room_type', 'Hotel'), addRoomType);
+router.put('/:id/room-types/:roomTypeId', audit('hotel.update_room_type', 'Hotel'), updateRoomType);
+router.delete('/:id/room-types/:roomTypeId', audit('hotel.remove_room_type', 'Hotel'), removeRoomType);
+
+// Nightly room inventory
+router.get('/:id/inventory', getHotelInventory);
+router.put('/:id/room-types/:roomTypeId/inventory', audit('hotel.update_inventory', 'Hotel'), updateRoomInventory);
+
+// Images
+router.post('/:id/images', uploadImages, audit('hotel.add_images', 'Hotel'), addHotelImages);
+router.delete('/:id/images/:imageId', audit('hotel.remove_image', 'Hotel'), removeHotelImage);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMyNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  updateNotificationPreferences
+} = require('../controllers/notificationController');
+
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+// Static paths - MUST be before /:id routes
+router.get('/', getMyNotifications);
+router.get('/unread-count', getUnreadCount);
+router.put('/read-all', markAllNotificationsRead);
+router.put('/preferences', updateNotificationPreferences);
+
+router.put('/:id/read', markNotificationRead);
+router.delete('/:id', deleteNotification);
+
+module.exports = router;
@@ -21,18 +21,44 @@ const {
   getAvailableGuides,
   assignGuide,
   removeGuide,
+  getTripDepartures,
+  updateDeparture,
+  cancelTripDeparture,
+  assignDepartureGuide,
   addBooking,
   getTripBookings,
+  getOrganiserBookings,
   updateBooking,
   removeBooking,
+  checkInBooking,
+  updateWaitlistEntry,
+  addTripImages,
+  removeTripImage,
   addHotelOptions,
   confirmHotelForBooking,
   getTripStats,
   searchTourists,
   getAdminAttractions
 } = require('../controllers/organiserController');
+const { recordBookingPayment } = require('../controllers/paymentController');
+const {
+  getPromoCodes,
+  getPromoCodeById,
+  getPromoReport,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode
+} = require('../controllers/promoCodeController');
+const {
+  getMyDocuments,
+  uploadMyDocument,
+  deleteMyDocument
+} = require('../controllers/documentController');
+const { getMyVerification } = require('../controllers/verificationController');
 
-const { protect, isOrganiser } = require('../middleware/auth'); // Removed requireVerified for development
+const { protect, isOrganiser, requireVerifiedPhone } = require('../middleware/auth'); // Removed requireVerified for development
+const { audit } = require('../middleware/audit');
+const { uploadDocument, uploadImages } = require('../middleware/upload');
 
 // =============================================
 // PUBLIC ROUTES
@@ -50,10 +76,16 @@ router.use(isOrganiser);
 
 // Dashboard & Profile
 router.get('/me/profile', getOrganiserProfile);
-router.put('/me/profile', updateOrganiserProfile);
-router.post('/me/submit-verification', submitForVerification);
+router.put('/me/profile', audit('organiser.update_profile', 'User'), updateOrganiserProfile);
+router.post('/me/submit-verification', requireVerifiedPhone('organiser_verification'), audit('organiser.submit_verification', 'User'), submitForVerification);
 router.get('/me/dashboard', getOrganiserDashboard);
-router.post('/me/packages', createPackage); // You can add requireVerified back later
+
+// Verification documents & review status
+router.get('/me/verification', getMyVerification);
+router.get('/me/documents', getMyDocuments);
+router.post('/me/documents/:type', uploadDocument, audit('organiser.upload_document', 'User'), uploadMyDocument);
+router.delete('/me/documents/:type', audit('organiser.delete_document', 'User'), deleteMyDocument);
+router.post('/me/packages', audit('trip.create_package', 'Trip'), createPackage); // You can add requireVerified back later
 
 // Attractions for trip creation
 router.get('/attractions', getAdminAttractions);
@@ -63,28 +95,50 @@ router.get('/trips/stats', getTripStats);
 router.get('/search-tourists', searchTourists);
 
 // Trip CRUD & Management
-router.post('/trips', createTrip);                    // No requireVerified
+router.post('/trips', audit('trip.create', 'Trip'), createTrip);                    // No requireVerified
 router.get('/trips', getMyTrips);
 router.get('/trips/:id', getTripById);
-router.put('/trips/:id', updateTrip);                 // No requireVerified
-router.delete('/trips/:id', deleteTrip);              // No requireVerified
+router.put('/trips/:id', audit('trip.update', 'Trip'), updateTrip);                 // No requireVerified
+router.delete('/trips/:id', audit('trip.delete', 'Trip'), deleteTrip);              // No requireVerified
 
-router.put('/trips/:id/publish', publishTrip);        // No requireVerified
-router.put('/trips/:id/cancel', cancelTrip);          // No requireVerified
+router.put('/trips/:id/publish', audit('trip.publish', 'Trip'), publishTrip);        // No requireVerified
+router.put('/trips/:id/cancel', audit('trip.cancel', 'Trip'), cancelTrip);          // No requireVerified
 
 // Guide Management
 router.get('/trips/:id/available-guides', getAvailableGuides);
-router.put('/trips/:id/assign-guide', assignGuide);   // No requireVerified
-router.delete('/trips/:id/remove-guide', removeGuide); // No requireVerified
+router.put('/trips/:id/assign-guide', audit('trip.assign_guide', 'Trip'), assignGuide);   // No requireVerified
+router.delete('/trips/:id/remove-guide', audit('trip.remove_guide', 'Trip'), removeGuide); // No requireVerified
+
+// Departures (recurring trips)
+router.get('/trips/:id/departures', getTripDepartures);
+router.put('/trips/:id/departures/:departureId', audit('departure.update', 'Departure', { idParam: 'departureId' }), updateDeparture);
+router.put('/trips/:id/departures/:departureId/cancel', audit('departure.cancel', 'Departure', { idParam: 'departureId' }), cancelTripDeparture);
+router.put('/trips/:id/departures/:departureId/assign-guide', audit('departure.assign_guide', 'Departure', { idParam: 'departureId' }), assignDepartureGuide);
+
+// Images
+router.post('/trips/:id/images', uploadImages, audit('trip.add_images', 'Trip'), addTripImages);
+router.delete('/trips/:id/images/:imageId', audit('trip.remove_image', 'Trip'), removeTripImage);
 
 // Hotel Management
-router.post('/trips/:id/hotels', addHotelOptions);    // No requireVerified
-router.put('/trips/:tripId/bookings/:bookingId/confirm-hotel', confirmHotelForBooking); // No requireVerified
+router.post('/trips/:id/hotels', audit('trip.add_hotels', 'Trip'), addHotelOptions);    // No requireVerified
+router.put('/trips/:tripId/bookings/:bookingId/confirm-hotel', audit('booking.confirm_hotel', 'Booking', { idParam: 'bookingId' }), confirmHotelForBooking); // No requireVerified
 
 // Booking Management
-router.post('/trips/:id/bookings', addBooking);       // No requireVerified
+router.get('/bookings', getOrganiserBookings);
+router.post('/trips/:id/bookings', audit('booking.create', 'Booking', { idParam: 'bookingId' }), addBooking);       // No requireVerified
 router.get('/trips/:id/bookings', getTripBookings);
-router.put('/trips/:tripId/bookings/:bookingId', updateBooking); // No requireVerified
-router.delete('/trips/:tripId/bookings/:bookingId', removeBooking); // No requireVerified
+router.put('/trips/:tripId/bookings/:bookingId', audit('booking.update', 'Booking', { idParam: 'bookingId' }), updateBooking); // No requireVerified
+router.delete('/trips/:tripId/bookings/:bookingId', audit('booking.delete', 'Booking', { idParam: 'bookingId' }), removeBooking); // No requireVerified
+router.put('/trips/:tripId/bookings/:bookingId/check-in', audit('booking.check_in', 'Booking', { idParam: 'bookingId' }), checkInBooking); // No requireVerified
+router.post('/trips/:tripId/bookings/:bookingId/payments', audit('booking.record_payment', 'Booking', { idParam: 'bookingId' }), recordBookingPayment); // No requireVerified
+router.put('/trips/:tripId/waitlist/:entryId', audit('waitlist.update', 'WaitlistEntry', { idParam: 'entryId' }), updateWaitlistEntry);
+
+// Promo Codes (report placed before :promoId)
+router.get('/promo-codes', getPromoCodes);
+router.get('/promo-codes/report', getPromoReport);
+router.post('/promo-codes', audit('promo_code.create', 'PromoCode'), createPromoCode);
+router.get('/promo-codes/:promoId', getPromoCodeById);
+router.put('/promo-codes/:promoId', audit('promo_code.update', 'PromoCode', { idParam: 'promoId' }), updatePromoCode);
+router.delete('/promo-codes/:promoId', audit('promo_code.deactivate', 'PromoCode', { idParam: 'promoId' }), deactivatePromoCode);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  payForBooking,
+  getBookingPayments,
+  paymentWebhook
+} = require('../controllers/paymentController');
+
+const { protect } = require('../middleware/auth');
+
+// =============================================
+// PUBLIC ROUTES (verified by provider signature)
+// =============================================
+router.post('/webhooks/:provider', paymentWebhook);
+
+// =============================================
+// PROTECTED ROUTES
+// =============================================
+router.post('/bookings/:bookingId', protect, payForBooking);
+router.get('/bookings/:bookingId', protect, getBookingPayments);
+
+module.exports = router;
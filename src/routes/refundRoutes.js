@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMyRefunds,
+  getRefunds,
+  getRefundById,
+  approveRefundRequest,
+  rejectRefundRequest,
+  retryRefund
+} = require('../controllers/refundController');
+
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+
+router.use(protect);
+
+// Tourist refund history - MUST be before /:id routes
+router.get('/my', getMyRefunds);
+
+// Review queue for organisers (own trips) and admins (all)
+router.get('/', authorize('organiser', 'admin'), getRefunds);
+router.put('/:id/approve', authorize('organiser', 'admin'), audit('refund.approve', 'RefundRequest'), approveRefundRequest);
+router.put('/:id/reject', authorize('organiser', 'admin'), audit('refund.reject', 'RefundRequest'), rejectRefundRequest);
+router.put('/:id/retry', authorize('organiser', 'admin'), audit('refund.retry', 'RefundRequest'), retryRefund);
+
+router.get('/:id', getRefundById);
+
+module.exports = router;
@@ -23,7 +23,8 @@ const {
   removeFromWishlist,
   getWishlist,
   addReview,
-  markReviewHelpful
+  markReviewHelpful,
+  reportReview
 } = require('../controllers/userAttractionController');
 
 const { protect, optionalAuth } = require('../middleware/auth');
@@ -56,7 +57,7 @@ router.get('/districts', getDistricts);
 router.get('/city/:city', getAttractionsByCity);
 
 // Get attraction reviews
-router.get('/:slug/reviews', getAttractionReviews);
+router.get('/:slug/reviews', optionalAuth, getAttractionReviews);
 
 // Get single attraction by slug (must be after other routes with path params)
 router.get('/:slug', getAttractionBySlug);
@@ -76,5 +77,6 @@ router.delete('/:id/wishlist', protect, removeFromWishlist);
 // Reviews
 router.post('/:slug/reviews', protect, addReview);
 router.post('/:slug/reviews/:reviewId/helpful', protect, markReviewHelpful);
+router.post('/:slug/reviews/:reviewId/report', protect, reportReview);
 
 module.exports = router;
\ No newline at end of file
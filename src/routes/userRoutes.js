@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const { AppError } = require('../middleware/errorHandler');
+const { revokeAllSessions } = require('../services/sessionService');
 
 // All routes require authentication
 router.use(protect);
@@ -96,7 +98,7 @@ router.get('/:id', authorize('admin'), async (req, res, next) => {
 // @desc    Update user by ID
 // @route   PUT /api/users/:id
 // @access  Admin
-router.put('/:id', authorize('admin'), async (req, res, next) => {
+router.put('/:id', authorize('admin'), audit('user.update', 'User'), async (req, res, next) => {
   try {
     const { role, isActive, isVerified } = req.body;
 
@@ -110,6 +112,10 @@ router.put('/:id', authorize('admin'), async (req, res, next) => {
       return next(new AppError('User not found', 404));
     }
 
+    if (isActive === false) {
+      await revokeAllSessions(user._id, 'Account deactivated');
+    }
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -123,7 +129,7 @@ router.put('/:id', authorize('admin'), async (req, res, next) => {
 // @desc    Delete user by ID
 // @route   DELETE /api/users/:id
 // @access  Admin
-router.delete('/:id', authorize('admin'), async (req, res, next) => {
+router.delete('/:id', authorize('admin'), audit('user.delete', 'User'), async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -141,6 +147,8 @@ router.delete('/:id', authorize('admin'), async (req, res, next) => {
     user.email = `deleted_${Date.now()}_${user.email}`;
     await user.save({ validateBeforeSave: false });
 
+    await revokeAllSessions(user._id, 'Account deleted');
+
     res.status(200).json({
       success: true,
       message: 'User deleted successfully'
@@ -6,12 +6,21 @@ const {
   getAvailableTrips,
   getTripDetails,
   getTripBySlug,
+  getTripQuote,
   bookTrip,
   getMyBookings,
-  cancelMyBooking
+  cancelMyBooking,
+  quoteBookingAmendment,
+  amendMyBooking,
+  joinTripWaitlist,
+  getMyWaitlist,
+  leaveMyWaitlist,
+  getTripReviews,
+  addReview
 } = require('../controllers/userTripsController');
 
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth, requireVerifiedPhone } = require('../middleware/auth');
+const { uploadReviewPhotos } = require('../middleware/upload');
 
 // =============================================
 // PROTECTED ROUTES (Auth required) - Place first to avoid conflicts
@@ -23,6 +32,14 @@ router.get('/my/bookings', protect, getMyBookings);
 // Cancel my booking
 router.put('/:tripId/bookings/:bookingId/cancel', protect, cancelMyBooking);
 
+// Change my booking (party, travellers or departure) - price it first, then apply
+router.post('/:tripId/bookings/:bookingId/amend/quote', protect, quoteBookingAmendment);
+router.put('/:tripId/bookings/:bookingId/amend', protect, amendMyBooking);
+
+// My waitlist entries - MUST be before /:id routes
+router.get('/my/waitlist', protect, getMyWaitlist);
+router.delete('/my/waitlist/:entryId', protect, leaveMyWaitlist);
+
 // =============================================
 // PUBLIC ROUTES (No auth required)
 // =============================================
@@ -36,8 +53,18 @@ router.get('/attraction/:attractionId', getTripsForAttraction);
 // Get trip by slug (for SEO-friendly URLs)
 router.get('/slug/:slug', getTripBySlug);
 
+// Reviews (posting requires a completed booking on the trip)
+router.get('/:id/reviews', getTripReviews);
+router.post('/:id/reviews', protect, uploadReviewPhotos, addReview);
+
+// Price a party before booking (same breakdown the booking is charged)
+router.post('/:id/quote', optionalAuth, getTripQuote);
+
 // Book a trip (requires auth)
-router.post('/:id/book', protect, bookTrip);
+router.post('/:id/book', protect, requireVerifiedPhone('booking'), bookTrip);
+
+// Join the waitlist of a full trip (requires auth)
+router.post('/:id/waitlist', protect, requireVerifiedPhone('booking'), joinTripWaitlist);
 
 // Get trip details by ID - MUST be last since it's a catch-all pattern
 router.get('/:id([0-9a-fA-F]{24})', getTripDetails);
@@ -8,16 +8,32 @@ require('dotenv').config();
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { requestId } = require('./middleware/audit');
+const { startScheduler } = require('./jobs');
+const { validatePaymentConfig } = require('./services/payments');
+
+// Refuse to start with payments unconfigured (or on the mock gateway in production)
+try {
+  validatePaymentConfig();
+} catch (error) {
+  console.error(`❌ Payment Configuration Error: ${error.message}`);
+  process.exit(1);
+}
 
 const app = express();
 
 // ===================
 // DATABASE CONNECTION
 // ===================
+let scheduler = null;
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI);
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+
+    // Background jobs need the database
+    scheduler = startScheduler();
   } catch (error) {
     console.error(`❌ Database Connection Error: ${error.message}`);
     process.exit(1);
@@ -33,12 +49,16 @@ connectDB();
 // Security
 app.use(helmet());
 
+// Request id (X-Request-Id), used in audit entries
+app.use(requestId);
+
 // CORS
 app.use(cors({
   origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000', 'http://localhost:5173'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // Rate Limiting
@@ -52,8 +72,13 @@ const limiter = rateLimit({
 });
 app.use('/api', limiter);
 
-// Body Parser
-app.use(express.json({ limit: '10mb' }));
+// Body Parser (keeps the raw body for payment webhook signatures)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging (development only)
@@ -104,10 +129,14 @@ const userRoutes = safeLoadRoute('userRoutes', './routes/userRoutes');
 const guideRoutes = safeLoadRoute('guideRoutes', './routes/guideRoutes');
 const organiserRoutes = safeLoadRoute('organiserRoutes', './routes/organiserRoutes');
 const adminRoutes = safeLoadRoute('adminRoutes', './routes/adminRoutes');
-const tripRoutes = safeLoadRoute('tripRoutes', './routes/tripRoutes');
 const attractionRoutes = safeLoadRoute('attractionRoutes', './routes/attractionRoutes');
 const userAttractionRoutes = safeLoadRoute('userAttractionRoutes', './routes/userAttractionRoutes');
 const userTripsRoutes = safeLoadRoute('userTripsRoutes', './routes/userTripsRoutes');
+const paymentRoutes = safeLoadRoute('paymentRoutes', './routes/paymentRoutes');
+const refundRoutes = safeLoadRoute('refundRoutes', './routes/refundRoutes');
+const notificationRoutes = safeLoadRoute('notificationRoutes', './routes/notificationRoutes');
+const fileRoutes = safeLoadRoute('fileRoutes', './routes/fileRoutes');
+const hotelRoutes = safeLoadRoute('hotelRoutes', './routes/hotelRoutes');
 
 console.log('\n');
 
@@ -139,7 +168,12 @@ app.get('/api', (req, res) => {
       trips: '/api/organiser/trips',
       admin: '/api/admin',
       attractions: '/api/attractions',
-      adminAttractions: '/api/admin/attractions'
+      adminAttractions: '/api/admin/attractions',
+      payments: '/api/payments',
+      refunds: '/api/refunds',
+      notifications: '/api/notifications',
+      files: '/api/files',
+      hotels: '/api/hotels'
     },
     roles: ['tourist', 'guide', 'organiser', 'admin'],
     documentation: '/api/docs'
@@ -151,11 +185,15 @@ if (authRoutes) app.use('/api/auth', authRoutes);
 if (userRoutes) app.use('/api/users', userRoutes);
 if (guideRoutes) app.use('/api/guide', guideRoutes);
 if (organiserRoutes) app.use('/api/organiser', organiserRoutes);
-if (tripRoutes) app.use('/api/organiser', tripRoutes);
 if (adminRoutes) app.use('/api/admin', adminRoutes);
 if (attractionRoutes) app.use('/api/admin/attractions', attractionRoutes);
 if (userAttractionRoutes) app.use('/api/attractions', userAttractionRoutes);
 if (userTripsRoutes) app.use('/api/trips', userTripsRoutes);
+if (paymentRoutes) app.use('/api/payments', paymentRoutes);
+if (refundRoutes) app.use('/api/refunds', refundRoutes);
+if (notificationRoutes) app.use('/api/notifications', notificationRoutes);
+if (fileRoutes) app.use('/api/files', fileRoutes);
+if (hotelRoutes) app.use('/api/hotels', hotelRoutes);
 
 // ===================
 // ERROR HANDLING
@@ -191,9 +229,16 @@ const server = app.listen(PORT, () => {
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.error(`❌ Unhandled Rejection: ${err.message}`);
+  if (scheduler) scheduler.stop();
   server.close(() => process.exit(1));
 });
 
+// Stop background jobs before shutting down
+process.on('SIGTERM', () => {
+  if (scheduler) scheduler.stop();
+  server.close(() => mongoose.connection.close(false).then(() => process.exit(0)));
+});
+
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
   console.error(`❌ Uncaught Exception: ${err.message}`);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const AdminRole = require('../models/AdminRole');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Effective permissions and district scope of an admin
+ * @param {object} user - User document
+ * @returns {object} - { permissions: string[], roles: string[], isSuperAdmin, districts: string[]|null }
+ */
+const resolveAdminAccess = async (user) => {
+  if (user.role !== 'admin') {
+    return { permissions: [], roles: [], isSuperAdmin: false, districts: [] };
+  }
+
+  const roleIds = user.adminProfile?.roles || [];
+  const roles = roleIds.length
+    ? await AdminRole.find({ _id: { $in: roleIds } }).select('name permissions').lean()
+    : [];
+
+  const permissions = [...new Set([
+    ...(user.adminProfile?.permissions || []),
+    ...roles.flatMap(role => role.permissions)
+  ])];
+  const isSuperAdmin = permissions.includes('full_access');
+
+  // Super admins and admins without assigned districts see everything
+  const assigned = user.adminProfile?.assignedDistricts || [];
+  const districts = isSuperAdmin || assigned.length === 0 || assigned.includes('all') ? null : assigned;
+
+  return {
+    permissions,
+    roles: roles.map(role => role.name),
+    isSuperAdmin,
+    districts
+  };
+};
+
+/**
+ * Access of the signed-in admin, resolved once per request
+ * @param {object} req - Express request (after protect)
+ * @returns {object} - See resolveAdminAccess
+ */
+const getAdminAccess = async (req) => {
+  if (!req.adminAccess) {
+    req.adminAccess = await resolveAdminAccess(req.user);
+  }
+  return req.adminAccess;
+};
+
+/**
+ * Whether an admin holds any of the given permissions (full_access holds all)
+ * @param {object} access - From getAdminAccess
+ * @param {string[]} permissions - Accepted permissions
+ * @returns {boolean}
+ */
+const hasAnyPermission = (access, permissions) => access.isSuperAdmin
+  || permissions.some(permission => access.permissions.includes(permission));
+
+/**
+ * Check that role ids sent by a client all exist
+ * @param {string[]} roleIds - AdminRole ids
+ * @returns {string[]} - The same ids, de-duplicated
+ */
+const validateRoleIds = async (roleIds) => {
+  const ids = [...new Set([].concat(roleIds || []).map(String))];
+
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw new AppError('Invalid role id', 400);
+  }
+
+  const found = await AdminRole.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    throw new AppError('One or more roles do not exist', 400);
+  }
+
+  return ids;
+};
+
+module.exports = {
+  resolveAdminAccess,
+  getAdminAccess,
+  hasAnyPermission,
+  validateRoleIds
+};
@@ -0,0 +1,235 @@
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const PromoCode = require('../models/PromoCode');
+const { AppError } = require('../middleware/errorHandler');
+const { reserveSeats, releaseSeats } = require('./bookingService');
+const { quoteTrip, toPriceBreakdown, addAdjustments, roundAmount } = require('./pricingService');
+const { assignHotel, holdsRooms } = require('./hotelService');
+const { syncBookingPayments } = require('./paymentService');
+const { requestRefund } = require('./refundService');
+const { promoteWaitlist } = require('./waitlistService');
+const { releaseRedemption } = require('./promoService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Traveller fields kept in the amendment history
+const travellerSummary = (travelers = []) => travelers.map(({ name, age }) => ({ name, age }));
+
+/**
+ * Check a requested change against the trip's amendment policy and price it.
+ * The amended booking is priced like a new one (same age bands, the booking's
+ * promo code, early-bird as at the original booking date), plus the trip's
+ * amendment fee; a price the organiser set and fees of earlier amendments
+ * stay on as breakdown adjustments. A promo code the amended party no longer
+ * qualifies for (below its minOrderValue) is dropped and shown as a change.
+ * @param {object} booking - Booking document (active)
+ * @param {object} trip - Trip document
+ * @param {object} request - { numberOfPeople, travelers, departureId } - anything left out stays as booked
+ * @param {object} options - { now }
+ * @returns {object} - { changes, travelers, departure, moving, quote, promoDropped, priceBreakdown, fee, previousTotal, newTotal, balanceDue, credit }
+ */
+const planAmendment = async (booking, trip, request, options = {}) => {
+  const now = options.now || new Date();
+  const policy = trip.amendmentPolicy || {};
+
+  if (!booking.isActive) {
+    throw new AppError(`Cannot amend a ${booking.bookingStatus} booking`, 400);
+  }
+  if (booking.isHoldExpired) {
+    throw new AppError('The seat hold for this booking has expired. Please book again.', 409);
+  }
+  if (policy.allowed === false) {
+    throw new AppError('This trip does not allow bookings to be changed. Please contact the organiser.', 400);
+  }
+
+  const deadlineDays = policy.deadlineDays ?? 3;
+  const beforeDeadline = (startDate) => new Date(startDate).getTime() - now.getTime() >= deadlineDays * DAY_MS;
+
+  const current = booking.departure
+    ? await Departure.findById(booking.departure).select('startDate')
+    : null;
+  if (!beforeDeadline(current ? current.startDate : trip.startDate)) {
+    throw new AppError(`Bookings can only be changed up to ${deadlineDays} days before the trip`, 400);
+  }
+
+  const changes = [];
+
+  // Departure move (recurring trips only)
+  let departure = current;
+  const { departureId } = request;
+  const moving = Boolean(departureId) && departureId.toString() !== booking.departure?.toString();
+  if (moving) {
+    if (!trip.isRecurring) {
+      throw new AppError('Only bookings on recurring trips can move to another departure', 400);
+    }
+
+    departure = await Departure.findOne({ _id: departureId, trip: trip._id });
+    if (!departure || !departure.isBookable) {
+      throw new AppError('Departure not found or no longer available', 404);
+    }
+    if (!beforeDeadline(departure.startDate)) {
+      throw new AppError(`Bookings can only be moved to departures more than ${deadlineDays} days away`, 400);
+    }
+
+    changes.push({ field: 'departure', from: current?.startDate, to: departure.startDate });
+  }
+
+  // Party - travellers and size default to what was booked
+  const travelers = request.travelers !== undefined ? request.travelers : booking.travelers;
+  const numberOfPeople = request.numberOfPeople !== undefined ? request.numberOfPeople : booking.numberOfPeople;
+
+  const promo = booking.promoCode ? await PromoCode.findById(booking.promoCode) : null;
+  const quote = quoteTrip(trip, { numberOfPeople, travelers }, {
+    now: booking.bookingDate,
+    promo,
+    dropUnqualifiedPromo: true
+  });
+
+  if (quote.numberOfPeople !== booking.numberOfPeople) {
+    changes.push({ field: 'numberOfPeople', from: booking.numberOfPeople, to: quote.numberOfPeople });
+  }
+  if (request.travelers !== undefined &&
+    JSON.stringify(travellerSummary(request.travelers)) !== JSON.stringify(travellerSummary(booking.travelers))) {
+    changes.push({ field: 'travelers', from: travellerSummary(booking.travelers), to: travellerSummary(request.travelers) });
+  }
+
+  if (changes.length === 0) {
+    throw new AppError('Nothing to change on this booking', 400);
+  }
+
+  const promoDropped = Boolean(quote.promo?.dropped);
+  if (promoDropped) {
+    changes.push({ field: 'promoCode', from: quote.promo.code, to: null });
+  }
+
+  // A price the organiser set and earlier amendment fees carry over
+  const fee = policy.fee || 0;
+  const carried = booking.toObject().priceBreakdown?.adjustments || [];
+  const priceBreakdown = addAdjustments(toPriceBreakdown(quote), [
+    ...carried,
+    { type: 'amendment_fee', label: 'Amendment fee', amount: fee }
+  ]);
+  const newTotal = priceBreakdown.total;
+  const paid = booking.paidAmount || 0;
+
+  return {
+    changes,
+    travelers: request.travelers,
+    departure,
+    moving,
+    quote,
+    promoDropped,
+    priceBreakdown,
+    fee,
+    previousTotal: booking.totalAmount,
+    newTotal,
+    balanceDue: roundAmount(Math.max(newTotal - paid, 0)),
+    credit: roundAmount(Math.max(paid - newTotal, 0))
+  };
+};
+
+/**
+ * Amend a booking: move its seats (to the new departure, or by the change in
+ * party size), reprice it, re-allocate a confirmed hotel, and record the
+ * change. Seats are reserved before anything is saved and given back if the
+ * amendment fails; seats it frees go to the waitlist. What was paid beyond
+ * the new total becomes a refund request for the organiser to approve.
+ * @param {object} booking - Booking document
+ * @param {object} trip - Trip document
+ * @param {object} request - { numberOfPeople, travelers, departureId }
+ * @param {object} options - { actor, reason }
+ * @returns {object} - { booking, amendment, refund }
+ */
+const amendBooking = async (booking, trip, request, options = {}) => {
+  const { actor, reason } = options;
+  const plan = await planAmendment(booking, trip, request);
+
+  const fromDeparture = booking.departure;
+  const toDeparture = plan.moving ? plan.departure._id : fromDeparture;
+  const fromSeats = booking.numberOfPeople;
+  const toSeats = plan.quote.numberOfPeople;
+
+  // Seats to take now, and to give back once the amendment is saved
+  const take = plan.moving ? toSeats : Math.max(toSeats - fromSeats, 0);
+  const giveBack = plan.moving ? fromSeats : Math.max(fromSeats - toSeats, 0);
+
+  if (take > 0) {
+    const reserved = await reserveSeats(trip._id, take, { statuses: ['published'], departure: toDeparture });
+    if (!reserved) {
+      throw new AppError(`Not enough seats ${plan.moving ? 'on the new departure' : 'for this change'}`, 400);
+    }
+  }
+
+  booking.numberOfPeople = toSeats;
+  if (plan.travelers !== undefined) booking.travelers = plan.travelers;
+  if (plan.moving) booking.departure = toDeparture;
+  if (plan.promoDropped) booking.promoCode = undefined;
+  booking.totalAmount = plan.newTotal;
+  booking.priceBreakdown = plan.priceBreakdown;
+  booking.amendments.push({
+    changes: plan.changes,
+    previousTotal: plan.previousTotal,
+    newTotal: plan.newTotal,
+    fee: plan.fee,
+    balanceDue: plan.balanceDue,
+    credit: plan.credit,
+    amendedBy: actor?._id,
+    actorRole: actor?.role || 'system',
+    reason
+  });
+  const amendment = booking.amendments[booking.amendments.length - 1];
+
+  // A confirmed hotel needs rooms for the new party and dates
+  const hotelAffected = holdsRooms(booking) && (plan.moving || toSeats !== fromSeats);
+
+  try {
+    if (hotelAffected) {
+      await assignHotel(booking, trip, booking.selectedHotel);
+    } else {
+      await booking.save();
+    }
+  } catch (error) {
+    if (take > 0) await releaseSeats(trip._id, take, toDeparture);
+    throw error;
+  }
+
+  // A dropped promo code gives its use back
+  if (plan.promoDropped) {
+    await releaseRedemption(booking);
+  }
+
+  if (giveBack > 0) {
+    await releaseSeats(trip._id, giveBack, fromDeparture);
+    await promoteWaitlist(trip._id, fromDeparture);
+  }
+
+  // The new total can move the booking between partial and completed
+  const synced = await syncBookingPayments(booking._id);
+
+  let refund = null;
+  if (plan.credit > 0) {
+    refund = await requestRefund(synced, {
+      amount: plan.credit,
+      reason: reason ? `Booking amended: ${reason}` : 'Booking amended',
+      source: 'amendment',
+      actor
+    });
+    if (refund) {
+      await Booking.updateOne(
+        { _id: booking._id, 'amendments._id': amendment._id },
+        { $set: { 'amendments.$.refundRequest': refund._id } }
+      );
+    }
+  }
+
+  return {
+    booking: await Booking.findById(booking._id),
+    amendment,
+    refund
+  };
+};
+
+module.exports = {
+  planAmendment,
+  amendBooking
+};
@@ -0,0 +1,293 @@
+const Attraction = require('../models/Attraction');
+const { AppError } = require('../middleware/errorHandler');
+const { notify } = require('./notifications');
+
+// Reports needed to take a visible review down until a moderator looks at it
+const REVIEW_REPORT_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD, 10) || 3;
+
+const REPORT_REASONS = ['spam', 'offensive', 'fake', 'irrelevant', 'personal_info', 'other'];
+
+// Matched as whole words, after undoing common character swaps (f*ck, sh1t).
+// Extend with REVIEW_BLOCKED_WORDS (comma-separated).
+const BLOCKED_WORDS = [
+  'fuck', 'fucking', 'motherfucker', 'shit', 'bullshit', 'bitch', 'bastard', 'asshole',
+  'dick', 'cunt', 'whore', 'slut', 'chutiya', 'madarchod', 'behenchod', 'bhenchod', 'gandu',
+  ...(process.env.REVIEW_BLOCKED_WORDS || '').split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+];
+
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '*': 'u' };
+
+// Spam heuristics - each one that matches becomes a held reason
+const SPAM_CHECKS = {
+  link: /(https?:\/\/|www\.)\S+|\b[\w-]+\.(com|net|org|info|xyz|in)(\/\S*)?(?=[\s,.!?)]|$)/,
+  contact_details: /(\+?91[\s-]?)?\b[6-9]\d{9}\b|[\w.+-]+@[\w-]+\.[\w.]+/,
+  repeated_characters: /(\S)\1{5,}/,
+  repeated_words: /\b(\w+)\b(?:\W+\1\b){3,}/i
+};
+
+/**
+ * Screen review text for profanity and spam
+ * @param {object} review - { title, comment }
+ * @returns {string[]} - Reasons to hold the review (empty if it looks fine)
+ */
+const screenReview = ({ title, comment }) => {
+  const text = [title, comment].filter(Boolean).join('\n');
+  if (!text) return [];
+
+  const reasons = [];
+
+  const words = text.toLowerCase()
+    .replace(/[0-9@$*]/g, char => LEET[char] || char)
+    .split(/[^a-z]+/);
+  if (words.some(word => BLOCKED_WORDS.includes(word))) {
+    reasons.push('profanity');
+  }
+
+  for (const [reason, pattern] of Object.entries(SPAM_CHECKS)) {
+    if (pattern.test(text)) reasons.push(reason);
+  }
+
+  // Mostly capitals over a decent length of text
+  const letters = text.replace(/[^a-zA-Z]/g, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    reasons.push('shouting');
+  }
+
+  return reasons;
+};
+
+// Find a review on an attraction or fail with 404
+const findReview = (attraction, reviewId) => {
+  const review = attraction.reviews.id(reviewId);
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+  return review;
+};
+
+/**
+ * Validate optional aspect scores. Unknown aspects are ignored; null or an
+ * empty string marks an aspect as cleared.
+ * @param {object} input - e.g. { cleanliness: 4, accessibility: null }
+ * @returns {object} - { scores: { aspect: 1-5 }, cleared: [aspect] }
+ */
+const parseAspectScores = (input = {}) => {
+  const scores = {};
+  const cleared = [];
+
+  for (const aspect of Attraction.REVIEW_ASPECTS) {
+    const value = input?.[aspect];
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      cleared.push(aspect);
+      continue;
+    }
+
+    const score = Number(value);
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      throw new AppError(`${aspect} must be a whole number between 1 and 5`, 400);
+    }
+    scores[aspect] = score;
+  }
+
+  return { scores, cleared };
+};
+
+/**
+ * Correct the aspect scores of a review and recalculate the ratings
+ * @param {object} attraction - Attraction (document)
+ * @param {string} reviewId - Review
+ * @param {object} input - Aspect scores (null clears one)
+ * @returns {object} - Review
+ */
+const updateAspectScores = async (attraction, reviewId, input) => {
+  const { scores, cleared } = parseAspectScores(input);
+  if (!Object.keys(scores).length && !cleared.length) {
+    throw new AppError(`Provide at least one of: ${Attraction.REVIEW_ASPECTS.join(', ')}`, 400);
+  }
+
+  const review = findReview(attraction, reviewId);
+  Object.entries(scores).forEach(([aspect, score]) => review.set(`aspects.${aspect}`, score));
+  cleared.forEach(aspect => review.set(`aspects.${aspect}`, undefined));
+
+  attraction.calculateRatings();
+  await attraction.save();
+
+  return review;
+};
+
+/**
+ * Vote a review helpful, or take the vote back if the user already voted
+ * @param {object} attraction - Attraction (document)
+ * @param {string} reviewId - Review
+ * @param {string} userId - Voting user
+ * @returns {object} - { helpful, helpfulCount }
+ */
+const toggleHelpfulVote = async (attraction, reviewId, userId) => {
+  const review = findReview(attraction, reviewId);
+
+  if (review.status !== 'visible') {
+    throw new AppError('Review not found', 404);
+  }
+  if (review.user.toString() === userId.toString()) {
+    throw new AppError('You cannot vote on your own review', 400);
+  }
+
+  const voted = review.helpfulVotes.some(id => id.toString() === userId.toString());
+  if (voted) {
+    review.helpfulVotes.pull(userId);
+  } else {
+    review.helpfulVotes.push(userId);
+  }
+  review.helpfulCount = review.helpfulVotes.length;
+
+  await attraction.save();
+
+  return { helpful: !voted, helpfulCount: review.helpfulCount };
+};
+
+/**
+ * Report a review. Once REVIEW_REPORT_THRESHOLD open reports pile up the
+ * review is held until a moderator decides.
+ * @param {object} attraction - Attraction (document)
+ * @param {string} reviewId - Review
+ * @param {string} userId - Reporting user
+ * @param {object} report - { reason, details }
+ * @returns {object} - Review
+ */
+const reportReview = async (attraction, reviewId, userId, { reason, details }) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new AppError(`Reason must be one of: ${REPORT_REASONS.join(', ')}`, 400);
+  }
+
+  const review = findReview(attraction, reviewId);
+
+  if (review.status === 'hidden') {
+    throw new AppError('Review not found', 404);
+  }
+  if (review.user.toString() === userId.toString()) {
+    throw new AppError('You cannot report your own review', 400);
+  }
+  if (review.reports.some(report => report.user.toString() === userId.toString() && !report.resolved)) {
+    throw new AppError('You have already reported this review', 400);
+  }
+
+  review.reports.push({ user: userId, reason, details });
+
+  const open = review.reports.filter(report => !report.resolved).length;
+  if (review.status === 'visible' && open >= REVIEW_REPORT_THRESHOLD) {
+    review.status = 'held';
+    review.moderation = { heldReasons: ['reported'] };
+    attraction.calculateRatings();
+  }
+
+  await attraction.save();
+
+  return review;
+};
+
+/**
+ * Hide a review (a reason is required) or restore a held/hidden one. Open
+ * reports are resolved either way.
+ * @param {object} attraction - Attraction (document)
+ * @param {string} reviewId - Review
+ * @param {object} decision - { action: 'hide'|'restore', reason }
+ * @param {object} actor - Admin
+ * @returns {object} - Review
+ */
+const moderateReview = async (attraction, reviewId, { action, reason }, actor) => {
+  if (!['hide', 'restore'].includes(action)) {
+    throw new AppError('Action must be "hide" or "restore"', 400);
+  }
+
+  const review = findReview(attraction, reviewId);
+  const status = action === 'hide' ? 'hidden' : 'visible';
+
+  if (review.status === status) {
+    throw new AppError(`Review is already ${status}`, 400);
+  }
+  if (action === 'hide' && !reason) {
+    throw new AppError('A reason is required when hiding a review', 400);
+  }
+
+  review.status = status;
+  review.moderation.reason = reason;
+  review.moderation.moderatedBy = actor._id;
+  review.moderation.moderatedAt = new Date();
+  review.reports.forEach(report => { report.resolved = true; });
+
+  attraction.calculateRatings();
+  await attraction.save();
+
+  if (action === 'hide') {
+    notify(review.user, 'review_moderated', { attractionName: attraction.name, action: 'hidden', reason });
+  }
+
+  return review;
+};
+
+/**
+ * Delete a review for good (a reason is required; the author is told why)
+ * @param {object} attraction - Attraction (document)
+ * @param {string} reviewId - Review
+ * @param {string} reason - Why it was removed
+ * @returns {object} - The removed review
+ */
+const deleteReview = async (attraction, reviewId, reason) => {
+  if (!reason) {
+    throw new AppError('A reason is required when deleting a review', 400);
+  }
+
+  const review = findReview(attraction, reviewId);
+  const author = review.user;
+
+  attraction.reviews.pull(review._id);
+  attraction.calculateRatings();
+  await attraction.save();
+
+  notify(author, 'review_moderated', { attractionName: attraction.name, action: 'removed', reason });
+
+  return review;
+};
+
+/**
+ * Public shape of a review - votes, reports and moderation notes stay private
+ * @param {object} review - Review (document or lean)
+ * @param {string} [userId] - Viewer, to flag their own helpful vote
+ * @returns {object}
+ */
+const toPublicReview = (review, userId) => ({
+  id: review._id,
+  user: {
+    name: `${review.user?.firstName || 'Anonymous'} ${review.user?.lastName?.[0] || ''}`.trim(),
+    avatar: review.user?.profilePicture
+  },
+  rating: review.rating,
+  aspects: review.aspects,
+  title: review.title,
+  comment: review.comment,
+  photos: review.photos,
+  visitDate: review.visitDate,
+  visitType: review.visitType,
+  isVerified: review.isVerified,
+  helpfulCount: review.helpfulCount,
+  votedHelpful: userId ? (review.helpfulVotes || []).some(id => id.toString() === userId.toString()) : undefined,
+  createdAt: review.createdAt
+});
+
+// Legacy reviews have no status and count as visible
+const isVisible = (review) => (review.status || 'visible') === 'visible';
+
+module.exports = {
+  REPORT_REASONS,
+  REVIEW_REPORT_THRESHOLD,
+  screenReview,
+  parseAspectScores,
+  updateAspectScores,
+  toggleHelpfulVote,
+  reportReview,
+  moderateReview,
+  deleteReview,
+  toPublicReview,
+  isVisible
+};
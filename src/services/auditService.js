@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('../utils/helpers');
+
+/**
+ * Write the audit entry for a finished request. Never throws - a failed
+ * write is logged and the request it describes is not affected.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} context - { action, targetType, targetId, changes }
+ * @returns {object|null} - AuditLog entry
+ */
+const recordAudit = async (req, res, context) => {
+  try {
+    const { action, changes } = context;
+    // Fall back to the first change when the route has no id param (create, bulk)
+    const primary = changes.find((change) => !context.targetType || change.targetType === context.targetType) || changes[0];
+    const targetId = mongoose.isValidObjectId(context.targetId) ? context.targetId : primary?.targetId;
+
+    return await AuditLog.create({
+      actor: req.user?._id,
+      actorEmail: req.user?.email,
+      actorRole: req.user?.role,
+      action,
+      targetType: context.targetType || primary?.targetType,
+      targetId,
+      changes,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error(`❌ Audit log write failed (${context.action}): ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Mongo filter for the admin audit log query
+ * @param {object} query - Request query (actor, action, targetType, targetId, startDate, endDate)
+ * @returns {object} - Filter
+ */
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.actor && mongoose.isValidObjectId(query.actor)) {
+    filter.actor = query.actor;
+  }
+  if (query.action) {
+    // 'user' matches every user.* action
+    filter.action = query.action.includes('.') ? query.action : new RegExp(`^${query.action.replace(/\W/g, '')}\\.`);
+  }
+  if (query.targetType) {
+    filter.targetType = query.targetType;
+  }
+  if (query.targetId && mongoose.isValidObjectId(query.targetId)) {
+    filter.$or = [{ targetId: query.targetId }, { 'changes.targetId': query.targetId }];
+  }
+  if (query.startDate || query.endDate) {
+    filter.createdAt = {};
+    if (query.startDate) filter.createdAt.$gte = new Date(query.startDate);
+    if (query.endDate) filter.createdAt.$lte = new Date(query.endDate);
+  }
+
+  return filter;
+};
+
+module.exports = {
+  recordAudit,
+  buildAuditFilter
+};
@@ -0,0 +1,359 @@
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const { AppError } = require('../middleware/errorHandler');
+const { releaseRooms } = require('./hotelService');
+const { releaseRedemption } = require('./promoService');
+
+// How long a tourist's pending booking holds its seats before they are released
+const SEAT_HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MINUTES, 10) || 15;
+
+// Recompute availableSlots and flip status between 'published' and 'full'.
+// Runs as the second stage of an update pipeline, after currentBookings has changed.
+const capacitySyncStage = {
+  $set: {
+    'capacity.availableSlots': {
+      $subtract: ['$capacity.maxPeople', '$capacity.currentBookings']
+    },
+    status: {
+      $switch: {
+        branches: [
+          {
+            case: {
+              $and: [
+                { $eq: ['$status', 'published'] },
+                { $gte: ['$capacity.currentBookings', '$capacity.maxPeople'] }
+              ]
+            },
+            then: 'full'
+          },
+          {
+            case: {
+              $and: [
+                { $eq: ['$status', 'full'] },
+                { $lt: ['$capacity.currentBookings', '$capacity.maxPeople'] }
+              ]
+            },
+            then: 'published'
+          }
+        ],
+        default: '$status'
+      }
+    }
+  }
+};
+
+/**
+ * Atomically reserve seats on a trip, or on one departure of a recurring trip.
+ * The capacity check and the increment happen in a single update, so two
+ * concurrent requests can never both take the last seats.
+ * @param {string} tripId - Trip ID
+ * @param {number} seats - Number of seats to reserve
+ * @param {object} options - { statuses: statuses that accept bookings, newBooking: count towards analytics, departure: departure ID }
+ * @returns {object|null} - Updated trip/departure, or null if not enough seats
+ */
+const reserveSeats = async (tripId, seats, options = {}) => {
+  const statuses = options.statuses || ['published'];
+  const Model = options.departure ? Departure : Trip;
+  const filter = options.departure ? { _id: options.departure, trip: tripId } : { _id: tripId };
+
+  const updated = await Model.findOneAndUpdate(
+    {
+      ...filter,
+      status: { $in: statuses },
+      $expr: {
+        $lte: [{ $add: ['$capacity.currentBookings', seats] }, '$capacity.maxPeople']
+      }
+    },
+    [
+      {
+        $set: {
+          'capacity.currentBookings': { $add: ['$capacity.currentBookings', seats] },
+          'analytics.bookingsCount': {
+            $add: [{ $ifNull: ['$analytics.bookingsCount', 0] }, options.newBooking ? 1 : 0]
+          }
+        }
+      },
+      capacitySyncStage
+    ],
+    { new: true }
+  );
+
+  // Departure bookings still count towards the parent trip's totals
+  if (updated && options.departure && options.newBooking) {
+    await Trip.updateOne({ _id: tripId }, { $inc: { 'analytics.bookingsCount': 1 } });
+  }
+
+  return updated;
+};
+
+/**
+ * Atomically give seats back to a trip or departure
+ * @param {string} tripId - Trip ID
+ * @param {number} seats - Number of seats to release
+ * @param {string} departureId - Departure ID, for bookings on a recurring trip
+ * @returns {object|null} - Updated trip/departure
+ */
+const releaseSeats = async (tripId, seats, departureId) => {
+  const Model = departureId ? Departure : Trip;
+
+  return Model.findOneAndUpdate(
+    { _id: departureId || tripId },
+    [
+      {
+        $set: {
+          'capacity.currentBookings': {
+            $max: [{ $subtract: ['$capacity.currentBookings', seats] }, 0]
+          }
+        }
+      },
+      capacitySyncStage
+    ],
+    { new: true }
+  );
+};
+
+/**
+ * Recompute availableSlots and full/published status after maxPeople changes
+ * @param {string} tripId - Trip ID
+ * @returns {object|null} - Updated trip
+ */
+const syncTripCapacity = async (tripId) => {
+  return Trip.findOneAndUpdate({ _id: tripId }, [capacitySyncStage], { new: true });
+};
+
+/**
+ * Restrict a trip update body to the editable capacity limits.
+ * currentBookings and availableSlots are only ever changed by this service,
+ * so a `capacity` object is rewritten into dotted paths for maxPeople/minPeople.
+ * @param {object} update - Trip update body (modified in place)
+ * @param {number} currentBookings - Seats currently taken on the trip
+ * @returns {boolean} - Whether the capacity limits are being changed
+ */
+const sanitizeCapacityUpdate = (update, currentBookings) => {
+  const capacity = update.capacity;
+  delete update.capacity;
+  delete update['capacity.currentBookings'];
+  delete update['capacity.availableSlots'];
+
+  if (!capacity) {
+    return update['capacity.maxPeople'] !== undefined;
+  }
+
+  if (capacity.maxPeople !== undefined) {
+    if (capacity.maxPeople < currentBookings) {
+      throw new AppError(`Maximum capacity cannot be lower than the ${currentBookings} seats already booked`, 400);
+    }
+    update['capacity.maxPeople'] = capacity.maxPeople;
+  }
+  if (capacity.minPeople !== undefined) {
+    update['capacity.minPeople'] = capacity.minPeople;
+  }
+
+  return capacity.maxPeople !== undefined;
+};
+
+/**
+ * Give back what a cancelled booking held besides its seats: the hotel rooms
+ * allocated to it and the use of its promo code. Safe to call more than once.
+ * @param {object|string} bookingOrId - Booking document or id
+ */
+const releaseBookingResources = async (bookingOrId) => {
+  await releaseRooms(bookingOrId);
+  await releaseRedemption(bookingOrId);
+};
+
+/**
+ * Cancel pending bookings whose seat hold has run out and release their seats.
+ * Each booking is claimed with a conditional update so a hold is only ever
+ * released once, even if several sweeps run at the same time. Bookings with
+ * money paid are left for the payment sync to confirm.
+ * @param {object} filter - Extra booking filter (e.g. { trip: tripId })
+ * @param {Date} now - Current time
+ * @returns {number} - Number of holds released
+ */
+const releaseExpiredHolds = async (filter = {}, now = new Date()) => {
+  const expired = await Booking.find({
+    ...filter,
+    bookingStatus: 'pending',
+    holdExpiresAt: { $lte: now },
+    paidAmount: { $not: { $gt: 0 } }
+  }).select('_id trip departure numberOfPeople');
+
+  let released = 0;
+
+  for (const candidate of expired) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id: candidate._id, bookingStatus: 'pending', holdExpiresAt: { $lte: now }, paidAmount: { $not: { $gt: 0 } } },
+      {
+        $set: {
+          bookingStatus: 'cancelled',
+          cancelledAt: now,
+          cancellationReason: 'Seat hold expired'
+        },
+        $unset: { holdExpiresAt: '' },
+        $push: {
+          statusHistory: {
+            from: 'pending',
+            to: 'cancelled',
+            actorRole: 'system',
+            reason: 'Seat hold expired',
+            changedAt: now
+          }
+        }
+      }
+    );
+
+    if (booking) {
+      await releaseSeats(booking.trip, booking.numberOfPeople, booking.departure);
+      await releaseBookingResources(booking._id);
+      released += 1;
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Create a booking, reserving its seats first.
+ * Both tourist self-service and organiser-added bookings go through here.
+ * @param {object} trip - Trip document
+ * @param {object} bookingData - Booking fields (user, numberOfPeople, totalAmount, ...)
+ * @param {object} options - { actor: user creating the booking, holdSeats: expire if not confirmed, statuses, departure: departure document, seatsHeld: seats already reserved by a waitlist offer }
+ * @returns {object} - { booking, trip, departure, availableSlots } after the reservation
+ */
+const createBooking = async (trip, bookingData, options = {}) => {
+  const { actor, holdSeats = true, statuses, departure, seatsHeld = false } = options;
+  const seats = bookingData.numberOfPeople;
+  const departureId = departure?._id;
+  const Model = departureId ? Departure : Trip;
+
+  if (trip.isRecurring && !departureId) {
+    throw new AppError('Please choose a departure date for this trip', 400);
+  }
+
+  let updated;
+  if (seatsHeld) {
+    // The seats were reserved when the offer was made - only count the booking
+    updated = await Model.findByIdAndUpdate(
+      departureId || trip._id,
+      { $inc: { 'analytics.bookingsCount': 1 } },
+      { new: true }
+    );
+    if (departureId) {
+      await Trip.updateOne({ _id: trip._id }, { $inc: { 'analytics.bookingsCount': 1 } });
+    }
+  } else {
+    // Free up anything whose hold already ran out and offer free seats to
+    // the waitlist first - a direct booking only gets what is left
+    await releaseExpiredHolds({ trip: trip._id });
+    // Required here: waitlistService depends on this module
+    const { promoteWaitlist } = require('./waitlistService');
+    await promoteWaitlist(trip._id, departureId);
+
+    updated = await reserveSeats(trip._id, seats, {
+      statuses: departureId ? ['published'] : statuses,
+      newBooking: true,
+      departure: departureId
+    });
+
+    if (!updated) {
+      const current = await Model.findById(departureId || trip._id).select('capacity status');
+      const available = current ? current.capacity.maxPeople - current.capacity.currentBookings : 0;
+      throw new AppError(`Only ${Math.max(available, 0)} slots available`, 400);
+    }
+  }
+
+  let booking;
+  try {
+    booking = await Booking.create({
+      ...bookingData,
+      trip: trip._id,
+      departure: departureId,
+      organiser: trip.organiser,
+      createdBy: actor?._id || bookingData.user,
+      bookingStatus: 'pending',
+      holdExpiresAt: holdSeats ? new Date(Date.now() + SEAT_HOLD_MINUTES * 60 * 1000) : undefined
+    });
+  } catch (error) {
+    // Give the seats back if the booking could not be stored (held seats stay with the offer)
+    if (!seatsHeld) await releaseSeats(trip._id, seats, departureId);
+    throw error;
+  }
+
+  await User.findByIdAndUpdate(bookingData.user, {
+    $push: { 'touristProfile.bookingHistory': booking._id }
+  });
+
+  return {
+    booking,
+    trip: departureId ? trip : updated,
+    departure: departureId ? updated : undefined,
+    availableSlots: updated.capacity.availableSlots
+  };
+};
+
+/**
+ * Change the party size of an active booking, reserving or releasing the difference
+ * @param {object} booking - Booking document
+ * @param {number} numberOfPeople - New party size
+ * @returns {object} - Updated trip/departure
+ */
+const resizeBooking = async (booking, numberOfPeople) => {
+  if (!booking.isActive) {
+    throw new AppError(`Cannot change party size of a ${booking.bookingStatus} booking`, 400);
+  }
+
+  const diff = numberOfPeople - booking.numberOfPeople;
+  let updatedTrip;
+
+  if (diff > 0) {
+    updatedTrip = await reserveSeats(booking.trip, diff, {
+      statuses: ['published', 'draft'],
+      departure: booking.departure
+    });
+    if (!updatedTrip) {
+      throw new AppError('Not enough capacity for this change', 400);
+    }
+  } else {
+    updatedTrip = await releaseSeats(booking.trip, -diff, booking.departure);
+  }
+
+  booking.numberOfPeople = numberOfPeople;
+  return updatedTrip;
+};
+
+/**
+ * Cancel a booking and release its seats, hotel rooms and promo code use
+ * @param {object} booking - Booking document
+ * @param {object} transition - { actor, actorRole, reason }
+ * @returns {object} - Saved booking
+ */
+const cancelBooking = async (booking, transition = {}) => {
+  const wasActive = booking.isActive;
+
+  booking.transitionTo('cancelled', transition);
+  await booking.save();
+
+  if (wasActive) {
+    await releaseSeats(booking.trip, booking.numberOfPeople, booking.departure);
+  }
+  await releaseBookingResources(booking);
+
+  return booking;
+};
+
+module.exports = {
+  SEAT_HOLD_MINUTES,
+  capacitySyncStage,
+  reserveSeats,
+  releaseSeats,
+  releaseBookingResources,
+  syncTripCapacity,
+  sanitizeCapacityUpdate,
+  releaseExpiredHolds,
+  createBooking,
+  resizeBooking,
+  cancelBooking
+};
@@ -0,0 +1,219 @@
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const { AppError } = require('../middleware/errorHandler');
+const { requestRefund } = require('./refundService');
+const { capacitySyncStage, releaseBookingResources } = require('./bookingService');
+const { notify } = require('./notifications');
+
+// How far ahead departures are materialised
+const DEPARTURE_HORIZON_DAYS = parseInt(process.env.DEPARTURE_HORIZON_DAYS, 10) || 90;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Calendar day key used to compare dates regardless of time
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Work out the start dates a recurring schedule produces in a window.
+ * Each date keeps the time of day of the trip's own startDate.
+ *   daily:          every day
+ *   weekly/custom:  on daysOfWeek (defaults to the trip's start weekday)
+ *   monthly:        on the trip's start day of the month
+ * @param {object} trip - Trip document
+ * @param {Date} from - Window start
+ * @param {Date} until - Window end
+ * @returns {Date[]} - Start dates
+ */
+const getScheduleDates = (trip, from, until) => {
+  const schedule = trip.recurringSchedule || {};
+  const template = new Date(trip.startDate);
+  const excluded = new Set((schedule.excludeDates || []).map(dayKey));
+  const daysOfWeek = schedule.daysOfWeek && schedule.daysOfWeek.length > 0
+    ? schedule.daysOfWeek
+    : [template.getUTCDay()];
+
+  // Never before the template date, never after the schedule ends
+  const windowStart = new Date(Math.max(from, template));
+  const windowEnd = schedule.until ? new Date(Math.min(until, schedule.until)) : until;
+
+  const dates = [];
+  const cursor = new Date(windowStart);
+  cursor.setUTCHours(template.getUTCHours(), template.getUTCMinutes(), template.getUTCSeconds(), 0);
+  if (cursor < windowStart) cursor.setTime(cursor.getTime() + DAY_MS);
+
+  for (; cursor <= windowEnd; cursor.setTime(cursor.getTime() + DAY_MS)) {
+    let matches;
+    switch (schedule.frequency) {
+      case 'daily':
+        matches = true;
+        break;
+      case 'monthly':
+        matches = cursor.getUTCDate() === template.getUTCDate();
+        break;
+      default:
+        matches = daysOfWeek.includes(cursor.getUTCDay());
+    }
+
+    if (matches && !excluded.has(dayKey(cursor))) {
+      dates.push(new Date(cursor));
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Create missing departures of a recurring trip up to the horizon, and drop
+ * unbooked future departures the schedule no longer produces.
+ * Safe to run repeatedly - existing departures are left as they are.
+ * @param {object} trip - Trip document
+ * @param {object} options - { now, horizonDays }
+ * @returns {object} - { created, removed }
+ */
+const generateDepartures = async (trip, options = {}) => {
+  if (!trip.isRecurring) {
+    return { created: 0, removed: 0 };
+  }
+
+  const now = options.now || new Date();
+  const horizon = new Date(now.getTime() + (options.horizonDays || DEPARTURE_HORIZON_DAYS) * DAY_MS);
+  const durationMs = new Date(trip.endDate) - new Date(trip.startDate);
+
+  const dates = getScheduleDates(trip, now, horizon);
+  let created = 0;
+
+  for (const startDate of dates) {
+    const result = await Departure.updateOne(
+      { trip: trip._id, startDate },
+      {
+        $setOnInsert: {
+          organiser: trip.organiser,
+          endDate: new Date(startDate.getTime() + durationMs),
+          capacity: {
+            maxPeople: trip.capacity.maxPeople,
+            currentBookings: 0,
+            availableSlots: trip.capacity.maxPeople
+          },
+          status: 'published'
+        }
+      },
+      { upsert: true }
+    );
+    created += result.upsertedCount || 0;
+  }
+
+  const { deletedCount } = await Departure.deleteMany({
+    trip: trip._id,
+    startDate: { $gt: now, $nin: dates },
+    'capacity.currentBookings': 0,
+    status: { $in: ['published', 'full'] }
+  });
+
+  return { created, removed: deletedCount };
+};
+
+/**
+ * Top up departures for every published recurring trip
+ * @param {Date} now - Current time
+ * @returns {object} - { trips, created, removed }
+ */
+const generateAllDepartures = async (now = new Date()) => {
+  const trips = await Trip.find({ isRecurring: true, status: 'published', isActive: true });
+  const totals = { trips: trips.length, created: 0, removed: 0 };
+
+  for (const trip of trips) {
+    const { created, removed } = await generateDepartures(trip, { now });
+    totals.created += created;
+    totals.removed += removed;
+  }
+
+  return totals;
+};
+
+/**
+ * Change the seat limit of a single departure.
+ * Done as one conditional update so it can't undercut seats booked meanwhile.
+ * @param {object} departure - Departure document
+ * @param {number} maxPeople - New seat limit
+ * @returns {object} - Updated departure
+ */
+const updateDepartureCapacity = async (departure, maxPeople) => {
+  if (!(maxPeople >= 1)) {
+    throw new AppError('Maximum capacity must be at least 1', 400);
+  }
+
+  const updated = await Departure.findOneAndUpdate(
+    { _id: departure._id, 'capacity.currentBookings': { $lte: maxPeople } },
+    [{ $set: { 'capacity.maxPeople': maxPeople } }, capacitySyncStage],
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Maximum capacity cannot be lower than the seats already booked', 400);
+  }
+
+  return updated;
+};
+
+/**
+ * Cancel a departure, cancelling its active bookings with full refunds
+ * @param {object} departure - Departure document
+ * @param {object} options - { actor, reason }
+ * @returns {object} - { departure, refunds }
+ */
+const cancelDeparture = async (departure, options = {}) => {
+  const { actor } = options;
+
+  if (['cancelled', 'completed'].includes(departure.status)) {
+    throw new AppError(`Cannot cancel a ${departure.status} departure`, 400);
+  }
+
+  const reason = options.reason ? `Departure cancelled: ${options.reason}` : 'Departure cancelled by organiser';
+
+  const activeBookings = await Booking.find({
+    departure: departure._id,
+    bookingStatus: { $in: Booking.ACTIVE_STATUSES }
+  });
+
+  const trip = await Trip.findById(departure.trip).select('title');
+
+  const refunds = [];
+  for (const booking of activeBookings) {
+    booking.transitionTo('cancelled', { actor, reason });
+    await booking.save();
+    await releaseBookingResources(booking);
+
+    const refund = await requestRefund(booking, {
+      reason,
+      source: 'trip_cancelled',
+      actor,
+      autoApprove: true
+    });
+    if (refund) refunds.push(refund);
+
+    notify(booking.user, 'trip_cancelled', {
+      tripTitle: trip?.title,
+      startDate: departure.startDate,
+      reason: options.reason,
+      refundAmount: refund?.amount,
+      refs: { trip: departure.trip, departure: departure._id, booking: booking._id }
+    });
+  }
+
+  departure.status = 'cancelled';
+  departure.cancellationReason = options.reason;
+  departure.capacity.currentBookings = 0;
+  await departure.save();
+
+  return { departure, refunds };
+};
+
+module.exports = {
+  DEPARTURE_HORIZON_DAYS,
+  getScheduleDates,
+  generateDepartures,
+  generateAllDepartures,
+  updateDepartureCapacity,
+  cancelDeparture
+};
@@ -0,0 +1,166 @@
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const GuideReview = require('../models/GuideReview');
+const { AppError } = require('../middleware/errorHandler');
+const { notify } = require('./notifications');
+
+// Did this guide lead the trip/departure the booking was for?
+const ledBy = (booking, guideId) => {
+  const run = booking.departure || booking.trip;
+  return !!run?.guide &&
+    run.guide.toString() === guideId.toString() &&
+    run.guideAssignment?.status === 'accepted';
+};
+
+/**
+ * Completed bookings of a tourist on trips the guide led that have not been
+ * reviewed yet, most recent first
+ * @param {string} touristId - Tourist
+ * @param {string} guideId - Guide
+ * @returns {Array} - Bookings (trip/departure populated)
+ */
+const findReviewableBookings = async (touristId, guideId) => {
+  const [bookings, reviewed] = await Promise.all([
+    Booking.find({ user: touristId, bookingStatus: 'completed' })
+      .populate('trip', 'title slug guide guideAssignment')
+      .populate('departure', 'startDate guide guideAssignment')
+      .sort({ completedAt: -1 }),
+    GuideReview.distinct('booking', { tourist: touristId })
+  ]);
+
+  const reviewedIds = reviewed.map(id => id.toString());
+  return bookings.filter(booking => ledBy(booking, guideId) && !reviewedIds.includes(booking._id.toString()));
+};
+
+/**
+ * Store a guide's averageRating/totalReviews from their published reviews
+ * @param {string} guideId - Guide
+ * @returns {object} - Rating summary
+ */
+const recalculateGuideRating = async (guideId) => {
+  const summary = await GuideReview.summarize(guideId);
+
+  await User.updateOne(
+    { _id: guideId, role: 'guide' },
+    {
+      $set: {
+        'guideProfile.averageRating': summary.averageRating,
+        'guideProfile.totalReviews': summary.totalReviews
+      }
+    }
+  );
+
+  return summary;
+};
+
+/**
+ * Review the guide of a trip the tourist completed. Uses the given booking,
+ * or the most recent completed booking with this guide not reviewed yet.
+ * @param {object} tourist - Reviewing user
+ * @param {string} guideId - Guide
+ * @param {object} input - { bookingId, rating, title, comment }
+ * @returns {object} - GuideReview
+ */
+const createReview = async (tourist, guideId, { bookingId, rating, title, comment }) => {
+  const guide = await User.findOne({ _id: guideId, role: 'guide', isActive: true }).select('_id');
+  if (!guide) {
+    throw new AppError('Guide not found', 404);
+  }
+
+  const reviewable = await findReviewableBookings(tourist._id, guideId);
+  const booking = bookingId
+    ? reviewable.find(candidate => candidate._id.toString() === bookingId.toString())
+    : reviewable[0];
+
+  if (!booking) {
+    if (bookingId && await GuideReview.exists({ booking: bookingId, tourist: tourist._id })) {
+      throw new AppError('You have already reviewed this guide for this booking', 400);
+    }
+    throw new AppError('You can only review a guide who led a trip you have completed', 403);
+  }
+
+  const review = await GuideReview.create({
+    guide: guideId,
+    tourist: tourist._id,
+    booking: booking._id,
+    trip: booking.trip._id,
+    departure: booking.departure?._id,
+    rating,
+    title,
+    comment
+  });
+
+  await recalculateGuideRating(guideId);
+
+  notify(guideId, 'guide_review_received', {
+    tripTitle: booking.trip.title,
+    rating,
+    touristName: tourist.firstName
+  });
+
+  return review;
+};
+
+/**
+ * Add or update the guide's public reply to a review of them
+ * @param {object} review - GuideReview
+ * @param {string} guideId - Replying guide
+ * @param {string} comment - Reply text
+ * @returns {object} - GuideReview
+ */
+const replyToReview = async (review, guideId, comment) => {
+  if (review.guide.toString() !== guideId.toString()) {
+    throw new AppError('You can only reply to reviews of yourself', 403);
+  }
+  if (review.status !== 'published') {
+    throw new AppError('This review has been hidden by a moderator', 400);
+  }
+  if (!comment || !comment.trim()) {
+    throw new AppError('Reply cannot be empty', 400);
+  }
+
+  review.reply = { comment, repliedAt: new Date() };
+  return review.save();
+};
+
+/**
+ * Hide a review (a reason is required) or restore a hidden one, and
+ * recalculate the guide's rating
+ * @param {object} review - GuideReview
+ * @param {object} decision - { action: 'hide'|'restore', reason }
+ * @param {object} actor - Admin
+ * @returns {object} - GuideReview
+ */
+const moderateReview = async (review, { action, reason }, actor) => {
+  if (!['hide', 'restore'].includes(action)) {
+    throw new AppError('Action must be "hide" or "restore"', 400);
+  }
+
+  const status = action === 'hide' ? 'hidden' : 'published';
+  if (review.status === status) {
+    throw new AppError(`Review is already ${status}`, 400);
+  }
+  if (action === 'hide' && !reason) {
+    throw new AppError('A reason is required when hiding a review', 400);
+  }
+
+  review.status = status;
+  review.moderation = {
+    reason,
+    moderatedBy: actor._id,
+    moderatedAt: new Date()
+  };
+  await review.save();
+
+  await recalculateGuideRating(review.guide);
+
+  return review;
+};
+
+module.exports = {
+  findReviewableBookings,
+  recalculateGuideRating,
+  createReview,
+  replyToReview,
+  moderateReview
+};
@@ -0,0 +1,433 @@
+const mongoose = require('mongoose');
+const Hotel = require('../models/Hotel');
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const Departure = require('../models/Departure');
+const RoomInventory = require('../models/RoomInventory');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Find an active room type of a hotel
+ * @param {object} hotel - Hotel document
+ * @param {string} roomTypeId - Room type _id
+ * @returns {object} - Room type subdocument
+ */
+const findRoomType = (hotel, roomTypeId) => {
+  const roomType = roomTypeId && hotel.roomTypes.id(roomTypeId);
+
+  if (!roomType || !roomType.isActive) {
+    throw new AppError('Room type not found', 404);
+  }
+
+  return roomType;
+};
+
+/**
+ * Rooms of a room type a party needs
+ * @param {number} numberOfPeople - Party size
+ * @param {object} roomType - Room type (capacity)
+ * @returns {number}
+ */
+const roomsNeeded = (numberOfPeople, roomType) => Math.ceil(numberOfPeople / (roomType.capacity || 1));
+
+/**
+ * Check-in and check-out of a trip's stay: the departure's (or trip's) start
+ * date for trip.duration.nights nights, or up to the end date if the trip
+ * has no night count
+ * @param {object} trip - Trip (startDate, endDate, duration)
+ * @param {object} departure - Departure of a recurring trip (startDate, endDate)
+ * @returns {object} - { checkIn, checkOut, nights: [Date] }
+ */
+const stayDates = (trip, departure) => {
+  const start = departure?.startDate || trip.startDate;
+  const end = departure?.endDate || trip.endDate;
+
+  const checkIn = RoomInventory.toNight(start);
+  const checkOut = trip.duration?.nights > 0
+    ? new Date(checkIn.getTime() + trip.duration.nights * 24 * 60 * 60 * 1000)
+    : RoomInventory.toNight(end);
+
+  return { checkIn, checkOut, nights: RoomInventory.nightsBetween(checkIn, checkOut) };
+};
+
+// Create the inventory row of a night if it doesn't exist yet. A parallel
+// insert of the same night just loses the race on the unique index.
+const ensureNight = async (hotelId, roomTypeId, night) => {
+  try {
+    await RoomInventory.updateOne(
+      { hotel: hotelId, roomType: roomTypeId, date: night },
+      { $setOnInsert: { allocated: 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Give rooms back on the given nights
+ * @param {string} hotelId - Hotel
+ * @param {string} roomTypeId - Room type
+ * @param {Date[]} nights - Nights
+ * @param {number} rooms - Rooms per night
+ */
+const releaseNights = async (hotelId, roomTypeId, nights, rooms) => {
+  if (!rooms || !nights.length) return;
+
+  await RoomInventory.updateMany(
+    { hotel: hotelId, roomType: roomTypeId, date: { $in: nights }, allocated: { $gte: rooms } },
+    { $inc: { allocated: -rooms } }
+  );
+};
+
+/**
+ * Take rooms on every night of a stay. Each night is claimed with a
+ * conditional $inc, so it only succeeds while enough rooms are free; if any
+ * night is full the nights already taken are given back.
+ * @param {object} hotel - Hotel document
+ * @param {object} roomType - Room type subdocument
+ * @param {Date[]} nights - Nights
+ * @param {number} rooms - Rooms per night
+ */
+const allocateNights = async (hotel, roomType, nights, rooms) => {
+  const taken = [];
+
+  for (const night of nights) {
+    await ensureNight(hotel._id, roomType._id, night);
+
+    const updated = await RoomInventory.findOneAndUpdate(
+      {
+        hotel: hotel._id,
+        roomType: roomType._id,
+        date: night,
+        $expr: { $lte: [{ $add: ['$allocated', rooms] }, { $ifNull: ['$totalRooms', roomType.totalRooms] }] }
+      },
+      { $inc: { allocated: rooms } },
+      { new: true }
+    );
+
+    if (!updated) {
+      await releaseNights(hotel._id, roomType._id, taken, rooms);
+      throw new AppError(
+        `Not enough ${roomType.name} rooms at ${hotel.name} on ${night.toISOString().slice(0, 10)} (${rooms} needed)`,
+        409
+      );
+    }
+
+    taken.push(night);
+  }
+};
+
+/**
+ * Nightly availability of a hotel's room types
+ * @param {object} hotel - Hotel document
+ * @param {Date[]} nights - Nights
+ * @param {object} options - { roomType: limit to one room type id }
+ * @returns {Array} - [{ roomType, name, nights: [{ date, totalRooms, allocated, available }] }]
+ */
+const getAvailability = async (hotel, nights, { roomType } = {}) => {
+  const roomTypes = hotel.roomTypes.filter(type => !roomType || type._id.toString() === roomType.toString());
+
+  const rows = await RoomInventory.find({
+    hotel: hotel._id,
+    roomType: { $in: roomTypes.map(type => type._id) },
+    date: { $in: nights }
+  }).lean();
+
+  const byKey = new Map(rows.map(row => [`${row.roomType}:${row.date.getTime()}`, row]));
+
+  return roomTypes.map(type => ({
+    roomType: type._id,
+    name: type.name,
+    isActive: type.isActive,
+    nights: nights.map(date => {
+      const row = byKey.get(`${type._id}:${date.getTime()}`);
+      const totalRooms = row?.totalRooms ?? type.totalRooms;
+      const allocated = row?.allocated || 0;
+      return { date, totalRooms, allocated, available: Math.max(totalRooms - allocated, 0) };
+    })
+  }));
+};
+
+/**
+ * Change how many rooms of a type are for sale on some nights (e.g. rooms
+ * blocked for maintenance). Nights that already have more rooms allocated
+ * than the new total are left unchanged and reported.
+ * @param {object} hotel - Hotel document
+ * @param {string} roomTypeId - Room type
+ * @param {Date[]} nights - Nights
+ * @param {number|null} totalRooms - Rooms for sale, or null to go back to the room type's totalRooms
+ * @returns {object} - { updated, conflicts: [{ date, allocated }] }
+ */
+const setNightlyRooms = async (hotel, roomTypeId, nights, totalRooms) => {
+  const roomType = findRoomType(hotel, roomTypeId);
+  const limit = totalRooms === null ? roomType.totalRooms : totalRooms;
+
+  let updated = 0;
+  const conflicts = [];
+
+  for (const night of nights) {
+    await ensureNight(hotel._id, roomType._id, night);
+
+    const change = totalRooms === null ? { $unset: { totalRooms: '' } } : { $set: { totalRooms } };
+    const result = await RoomInventory.findOneAndUpdate(
+      { hotel: hotel._id, roomType: roomType._id, date: night, allocated: { $lte: limit } },
+      change,
+      { new: true }
+    );
+
+    if (result) {
+      updated += 1;
+    } else {
+      const row = await RoomInventory.findOne({ hotel: hotel._id, roomType: roomType._id, date: night }).select('allocated');
+      conflicts.push({ date: night, allocated: row?.allocated });
+    }
+  }
+
+  return { updated, conflicts };
+};
+
+/**
+ * Trip hotel options for registered hotels. The hotel's name, stars,
+ * amenities and images and the room type's price are copied onto the option.
+ * @param {Array} selections - [{ hotelId, roomTypeId, isRecommended }]
+ * @param {Array} existing - Options the trip already has (a room type is offered once)
+ * @returns {Array} - hotelOptions entries
+ */
+const buildHotelOptions = async (selections, existing = []) => {
+  if (selections.some(selection => !mongoose.isValidObjectId(selection?.hotelId))) {
+    throw new AppError('Each hotel option needs the hotelId of a registered hotel', 400);
+  }
+
+  const hotels = await Hotel.find({
+    _id: { $in: selections.map(selection => selection.hotelId) },
+    isActive: true
+  });
+
+  const offered = new Set(existing
+    .filter(option => option.roomTypeId)
+    .map(option => option.roomTypeId.toString()));
+
+  return selections.map(selection => {
+    const hotel = hotels.find(candidate => candidate._id.toString() === selection.hotelId.toString());
+    if (!hotel) {
+      throw new AppError(`Hotel ${selection.hotelId} not found`, 404);
+    }
+
+    const roomType = findRoomType(hotel, selection.roomTypeId);
+    if (offered.has(roomType._id.toString())) {
+      throw new AppError(`${hotel.name} (${roomType.name}) is already offered on this trip`, 400);
+    }
+    offered.add(roomType._id.toString());
+
+    return {
+      hotel: hotel._id,
+      roomTypeId: roomType._id,
+      hotelName: hotel.name,
+      hotelRating: hotel.starRating,
+      roomType: roomType.name,
+      pricePerNight: roomType.pricePerNight,
+      amenities: [...new Set([...hotel.amenities, ...roomType.amenities])],
+      images: hotel.images.map(image => image.url),
+      isRecommended: !!selection.isRecommended,
+      availableRooms: roomType.totalRooms
+    };
+  });
+};
+
+/**
+ * Store the rooms left for a trip's hotel option (the fewest free on any
+ * night of the stay). Recurring trips have a different stay per departure,
+ * so their options keep whatever the organiser set.
+ * @param {string} tripId - Trip
+ * @param {string} optionId - _id of the entry in trip.hotelOptions
+ * @returns {number|undefined} - Rooms left
+ */
+const refreshOptionAvailability = async (tripId, optionId) => {
+  const trip = await Trip.findById(tripId).select('isRecurring startDate endDate duration hotelOptions');
+  const option = trip?.hotelOptions.id(optionId);
+  if (!option?.hotel || !option.roomTypeId || trip.isRecurring) return undefined;
+
+  const hotel = await Hotel.findById(option.hotel).select('roomTypes');
+  if (!hotel?.roomTypes.id(option.roomTypeId)) return undefined;
+
+  const [availability] = await getAvailability(hotel, stayDates(trip).nights, { roomType: option.roomTypeId });
+  const availableRooms = availability.nights.length
+    ? Math.min(...availability.nights.map(night => night.available))
+    : 0;
+
+  await Trip.updateOne(
+    { _id: trip._id, 'hotelOptions._id': option._id },
+    { $set: { 'hotelOptions.$.availableRooms': availableRooms } }
+  );
+
+  return availableRooms;
+};
+
+/**
+ * Confirm one of the trip's hotel options for a booking, allocating rooms
+ * for every night of the stay. A room allocation the booking already had is
+ * given back once the new one is saved.
+ * @param {object} booking - Booking document
+ * @param {object} trip - Trip document
+ * @param {string} optionId - _id of the entry in trip.hotelOptions
+ * @returns {object} - { booking, option, allocation }
+ */
+const assignHotel = async (booking, trip, optionId) => {
+  if (!booking.isActive) {
+    throw new AppError(`Cannot confirm a hotel for a ${booking.bookingStatus} booking`, 400);
+  }
+
+  const option = optionId && trip.hotelOptions.id(optionId);
+  if (!option) {
+    throw new AppError('Hotel option not found on this trip', 404);
+  }
+  if (!option.hotel || !option.roomTypeId) {
+    throw new AppError('This hotel option is not linked to a registered hotel. Please re-add it from your hotels.', 400);
+  }
+
+  const hotel = await Hotel.findOne({ _id: option.hotel, isActive: true });
+  if (!hotel) {
+    throw new AppError('This hotel is no longer available', 400);
+  }
+  const roomType = findRoomType(hotel, option.roomTypeId);
+
+  const departure = booking.departure
+    ? await Departure.findById(booking.departure._id || booking.departure).select('startDate endDate')
+    : undefined;
+  const { checkIn, checkOut, nights } = stayDates(trip, departure);
+  if (!nights.length) {
+    throw new AppError('This trip has no overnight stay', 400);
+  }
+
+  const rooms = roomsNeeded(booking.numberOfPeople, roomType);
+  const previous = booking.hotelAllocation?.rooms && !booking.hotelAllocation.releasedAt
+    ? booking.hotelAllocation.toObject()
+    : null;
+
+  const unchanged = previous &&
+    previous.hotel.toString() === hotel._id.toString() &&
+    previous.roomType.toString() === roomType._id.toString() &&
+    previous.rooms === rooms &&
+    previous.checkIn.getTime() === checkIn.getTime() &&
+    previous.checkOut.getTime() === checkOut.getTime();
+
+  if (!unchanged) {
+    await allocateNights(hotel, roomType, nights, rooms);
+  }
+
+  booking.selectedHotel = option._id;
+  booking.hotelStatus = 'confirmed';
+  if (!unchanged) {
+    booking.hotelAllocation = {
+      hotel: hotel._id,
+      roomType: roomType._id,
+      rooms,
+      checkIn,
+      checkOut,
+      allocatedAt: new Date()
+    };
+  }
+
+  try {
+    await booking.save();
+  } catch (error) {
+    if (!unchanged) await releaseNights(hotel._id, roomType._id, nights, rooms);
+    throw error;
+  }
+
+  if (previous && !unchanged) {
+    await releaseNights(
+      previous.hotel,
+      previous.roomType,
+      RoomInventory.nightsBetween(previous.checkIn, previous.checkOut),
+      previous.rooms
+    );
+  }
+
+  await refreshOptionAvailability(trip._id, option._id);
+
+  return { booking, option, allocation: booking.hotelAllocation };
+};
+
+/**
+ * Give back the rooms allocated to a booking (on cancellation). The
+ * allocation is claimed with a conditional update so its rooms are only
+ * ever released once.
+ * @param {object|string} bookingOrId - Booking document or id
+ * @returns {boolean} - Whether rooms were released
+ */
+const releaseRooms = async (bookingOrId) => {
+  const bookingId = bookingOrId?._id || bookingOrId;
+  const releasedAt = new Date();
+
+  const booking = await Booking.findOneAndUpdate(
+    {
+      _id: bookingId,
+      'hotelAllocation.rooms': { $gt: 0 },
+      'hotelAllocation.releasedAt': { $exists: false }
+    },
+    { $set: { 'hotelAllocation.releasedAt': releasedAt } }
+  ).select('trip selectedHotel hotelAllocation');
+
+  if (!booking) return false;
+
+  const { hotel, roomType, rooms, checkIn, checkOut } = booking.hotelAllocation;
+  await releaseNights(hotel, roomType, RoomInventory.nightsBetween(checkIn, checkOut), rooms);
+
+  // Keep an in-memory document in step so a later save doesn't undo the claim
+  if (bookingOrId?.hotelAllocation) {
+    bookingOrId.hotelAllocation.releasedAt = releasedAt;
+  }
+
+  if (booking.selectedHotel) {
+    await refreshOptionAvailability(booking.trip, booking.selectedHotel);
+  }
+
+  return true;
+};
+
+/**
+ * Whether a booking has a confirmed hotel with rooms still allocated
+ * @param {object} booking - Booking document
+ * @returns {boolean}
+ */
+const holdsRooms = (booking) => Boolean(
+  booking.hotelStatus === 'confirmed' && booking.selectedHotel &&
+  booking.hotelAllocation?.rooms && !booking.hotelAllocation.releasedAt
+);
+
+/**
+ * Drop a booking's hotel, giving back any rooms allocated to it. The caller
+ * saves the booking.
+ * @param {object} booking - Booking document
+ * @param {string} hotelStatus - 'pending' (a hotel is still to be picked) or 'not_required'
+ * @returns {object} - Booking
+ */
+const dropHotel = async (booking, hotelStatus) => {
+  if (!['pending', 'not_required'].includes(hotelStatus)) {
+    throw new AppError('Hotels are confirmed via PUT /trips/:tripId/bookings/:bookingId/confirm-hotel', 400);
+  }
+
+  await releaseRooms(booking);
+  booking.hotelStatus = hotelStatus;
+  booking.selectedHotel = undefined;
+
+  return booking;
+};
+
+module.exports = {
+  findRoomType,
+  roomsNeeded,
+  stayDates,
+  allocateNights,
+  releaseNights,
+  getAvailability,
+  setNightlyRooms,
+  buildHotelOptions,
+  refreshOptionAvailability,
+  assignHotel,
+  releaseRooms,
+  holdsRooms,
+  dropHotel
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const MediaAsset = require('../models/MediaAsset');
+const { AppError } = require('../middleware/errorHandler');
+const { getStorage } = require('./storage');
+
+// Rendered sizes. thumbnail/card are cropped to fill, hero keeps the aspect ratio.
+const VARIANT_SIZES = {
+  thumbnail: { width: 320, height: 240, fit: 'cover' },
+  card: { width: 800, height: 600, fit: 'cover' },
+  hero: { width: 1920, height: 1080, fit: 'inside' }
+};
+
+// Pending uploads older than this were never attached and get collected
+const IMAGE_ORPHAN_HOURS = parseInt(process.env.IMAGE_ORPHAN_HOURS, 10) || 24;
+
+// Reject decompression bombs before they reach the resizer
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+/**
+ * Render the variants of an image. Output is WebP without any metadata,
+ * so EXIF (including GPS location) never leaves the server; the EXIF
+ * orientation is applied to the pixels first.
+ * @param {Buffer} buffer - Uploaded image
+ * @returns {object} - { width, height, variants: { [name]: { buffer, width, height, size } } }
+ */
+const renderVariants = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new AppError('File is not a readable image', 400);
+  }
+
+  // Orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const variants = {};
+
+  for (const [name, size] of Object.entries(VARIANT_SIZES)) {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ ...size, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = { buffer: data, width: info.width, height: info.height, size: info.size };
+  }
+
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    variants
+  };
+};
+
+/**
+ * Process and store an uploaded image for an attraction, trip or hotel.
+ * The asset stays pending until attachAssets() is called after the owner is saved.
+ * @param {object} file - Multer file (buffer, originalname, mimetype, size)
+ * @param {object} owner - { ownerType: 'Attraction'|'Trip'|'Hotel', owner: id, uploadedBy: userId }
+ * @returns {object} - MediaAsset
+ */
+const storeImage = async (file, { ownerType, owner, uploadedBy }) => {
+  const { width, height, variants } = await renderVariants(file.buffer);
+  const storage = getStorage('public');
+  const prefix = `images/${ownerType.toLowerCase()}/${owner}/${crypto.randomBytes(8).toString('hex')}`;
+
+  const stored = {};
+  try {
+    for (const [name, variant] of Object.entries(variants)) {
+      const key = `${prefix}-${name}.webp`;
+      await storage.put(key, variant.buffer, { contentType: 'image/webp' });
+      stored[name] = {
+        key,
+        url: storage.getPublicUrl(key),
+        width: variant.width,
+        height: variant.height,
+        size: variant.size
+      };
+    }
+
+    return await MediaAsset.create({
+      ownerType,
+      owner,
+      uploadedBy,
+      variants: stored,
+      width,
+      height,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    });
+  } catch (error) {
+    await Promise.all(Object.values(stored).map(({ key }) => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+};
+
+/**
+ * Process and store several uploads
+ * @param {Array} files - Multer files
+ * @param {object} owner - See storeImage()
+ * @returns {Array} - MediaAssets
+ */
+const storeImages = async (files = [], owner) => {
+  const assets = [];
+
+  try {
+    for (const file of files) {
+      assets.push(await storeImage(file, owner));
+    }
+  } catch (error) {
+    await Promise.all(assets.map(deleteAsset));
+    throw error;
+  }
+
+  return assets;
+};
+
+/**
+ * Image fields for an attraction/trip/hotel images entry (or thumbnail)
+ * @param {object} asset - MediaAsset
+ * @returns {object} - { url, asset, width, height, variants }
+ */
+const toImageFields = (asset) => ({
+  url: asset.variants.hero.url,
+  asset: asset._id,
+  width: asset.width,
+  height: asset.height,
+  variants: {
+    thumbnail: asset.variants.thumbnail.url,
+    card: asset.variants.card.url,
+    hero: asset.variants.hero.url
+  }
+});
+
+/**
+ * Mark assets as attached once their owner has been saved
+ * @param {Array} assets - MediaAssets (or ids)
+ */
+const attachAssets = async (assets) => {
+  if (!assets.length) return;
+
+  await MediaAsset.updateMany(
+    { _id: { $in: assets.map(asset => asset._id || asset) } },
+    { $set: { status: 'attached', checkedAt: new Date() } }
+  );
+};
+
+/**
+ * Delete an asset and its stored files. Never throws - whatever is left
+ * behind is picked up by the GC job.
+ * @param {object|string} assetOrId - MediaAsset or id
+ */
+const deleteAsset = async (assetOrId) => {
+  try {
+    const asset = assetOrId?.variants ? assetOrId : await MediaAsset.findById(assetOrId);
+    if (!asset) return;
+
+    const storage = getStorage('public');
+    await Promise.all(MediaAsset.VARIANTS
+      .filter(name => asset.variants?.[name]?.key)
+      .map(name => storage.remove(asset.variants[name].key)));
+
+    await MediaAsset.deleteOne({ _id: asset._id });
+  } catch (error) {
+    console.error(`❌ Could not delete media asset ${assetOrId?._id || assetOrId}: ${error.message}`);
+  }
+};
+
+/**
+ * Ids of the assets an attraction/trip/hotel still references (images, thumbnail
+ * and review photos)
+ * @param {object} owner - Attraction, Trip or Hotel (document or lean)
+ * @returns {Set<string>}
+ */
+const referencedAssetIds = (owner) => new Set(
+  [...(owner.images || []), owner.thumbnail, ...(owner.reviews || []).flatMap(review => review.photos || [])]
+    .filter(image => image?.asset)
+    .map(image => image.asset.toString())
+);
+
+/**
+ * Garbage-collect uploaded images nobody uses:
+ *   - pending assets older than IMAGE_ORPHAN_HOURS (upload never attached)
+ *   - attached assets whose owner was deleted or no longer references them
+ * Each candidate is checked against its owner first, so an asset that is in
+ * use is kept (and marked attached) whatever its status says. Attached
+ * assets are re-checked at most once a day, oldest check first.
+ * @param {Date} now - Current time
+ * @param {object} options - { batchSize }
+ * @returns {object} - { checked, deleted }
+ */
+const collectOrphanedImages = async (now = new Date(), { batchSize = 500 } = {}) => {
+  const pendingCutoff = new Date(now.getTime() - IMAGE_ORPHAN_HOURS * 60 * 60 * 1000);
+  const checkCutoff = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+  const candidates = await MediaAsset.find({
+    $or: [
+      { status: 'pending', createdAt: { $lt: pendingCutoff } },
+      { status: 'attached', checkedAt: { $lt: checkCutoff } },
+      { status: 'attached', checkedAt: { $exists: false } }
+    ]
+  })
+    .sort({ checkedAt: 1 })
+    .limit(batchSize);
+
+  const ownerIdsByType = {};
+  candidates.forEach(asset => {
+    (ownerIdsByType[asset.ownerType] = ownerIdsByType[asset.ownerType] || new Set()).add(asset.owner.toString());
+  });
+
+  const references = new Map();
+  for (const [ownerType, ids] of Object.entries(ownerIdsByType)) {
+    const owners = await MediaAsset.db.model(ownerType)
+      .find({ _id: { $in: [...ids] } })
+      .select('images thumbnail reviews.photos')
+      .lean();
+    owners.forEach(owner => references.set(owner._id.toString(), referencedAssetIds(owner)));
+  }
+
+  let deleted = 0;
+  const inUse = [];
+  for (const asset of candidates) {
+    if (references.get(asset.owner.toString())?.has(asset._id.toString())) {
+      inUse.push(asset._id);
+    } else {
+      await deleteAsset(asset);
+      deleted += 1;
+    }
+  }
+
+  if (inUse.length) {
+    await MediaAsset.updateMany({ _id: { $in: inUse } }, { $set: { status: 'attached', checkedAt: now } });
+  }
+
+  return { checked: candidates.length, deleted };
+};
+
+module.exports = {
+  VARIANT_SIZES,
+  IMAGE_ORPHAN_HOURS,
+  renderVariants,
+  storeImage,
+  storeImages,
+  toImageFields,
+  attachAssets,
+  deleteAsset,
+  collectOrphanedImages
+};
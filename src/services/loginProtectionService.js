@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const { AppError } = require('../middleware/errorHandler');
+const { notify } = require('./notifications');
+
+// Failed attempts on one account before it is locked
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+// Attempts allowed back to back; after that each one waits 1s, 2s, 4s...
+const LOGIN_FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 2;
+// First lockout length; doubles with every lockout until a successful login
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const LOGIN_MAX_LOCK_MINUTES = 24 * 60;
+// Failed attempts from one IP, across all accounts, before it is blocked
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20;
+const LOGIN_IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+// How long the unlock link in the lockout email works
+const UNLOCK_LINK_HOURS = 24;
+
+const MINUTE_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const waitMessage = (until) => {
+  const minutes = Math.ceil((until - Date.now()) / MINUTE_MS);
+  return minutes > 1 ? `${minutes} minutes` : `${Math.max(Math.ceil((until - Date.now()) / 1000), 1)} seconds`;
+};
+
+/**
+ * Refuse sign-in attempts from an IP that failed too often recently
+ * @param {string} ip - Client IP
+ */
+const assertIpAllowed = async (ip) => {
+  const throttle = await LoginThrottle.findOne({ ip });
+
+  if (throttle?.blockedUntil && throttle.blockedUntil > new Date()) {
+    throw new AppError(`Too many failed sign-in attempts. Try again in ${waitMessage(throttle.blockedUntil)}.`, 429);
+  }
+};
+
+/**
+ * Refuse sign-in attempts on a locked account, or sooner than the progressive delay allows
+ * @param {object} user - User document
+ */
+const assertAccountAllowed = (user) => {
+  const { failedAttempts = 0, lastFailedAt, lockedUntil } = user.loginSecurity || {};
+
+  if (lockedUntil && lockedUntil > new Date()) {
+    throw new AppError(
+      `Account temporarily locked after too many failed sign-in attempts. Try again in ${waitMessage(lockedUntil)} or use the unlock link we emailed you.`,
+      429
+    );
+  }
+
+  if (failedAttempts > LOGIN_FREE_ATTEMPTS && lastFailedAt) {
+    const nextAllowedAt = new Date(lastFailedAt.getTime() + 2 ** (failedAttempts - LOGIN_FREE_ATTEMPTS - 1) * 1000);
+    if (nextAllowedAt > new Date()) {
+      throw new AppError(`Too many failed sign-in attempts. Try again in ${waitMessage(nextAllowedAt)}.`, 429);
+    }
+  }
+};
+
+// Count a failure against an IP, starting a new window when the last one is over
+const recordIpFailure = async (ip, now) => {
+  const windowStart = new Date(now.getTime() - LOGIN_IP_WINDOW_MINUTES * MINUTE_MS);
+  const windowExpired = { $lt: [{ $ifNull: ['$windowStartedAt', new Date(0)] }, windowStart] };
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { ip },
+    [{
+      $set: {
+        failures: { $cond: [windowExpired, 1, { $add: [{ $ifNull: ['$failures', 0] }, 1] }] },
+        windowStartedAt: { $cond: [windowExpired, now, '$windowStartedAt'] },
+        expiresAt: new Date(now.getTime() + 2 * LOGIN_IP_WINDOW_MINUTES * MINUTE_MS)
+      }
+    }],
+    { upsert: true, new: true }
+  );
+
+  if (throttle.failures >= LOGIN_IP_MAX_ATTEMPTS) {
+    const blockedUntil = new Date(now.getTime() + LOGIN_IP_WINDOW_MINUTES * MINUTE_MS);
+    await LoginThrottle.updateOne(
+      { _id: throttle._id },
+      { $set: { blockedUntil, failures: 0, windowStartedAt: now, expiresAt: blockedUntil } }
+    );
+  }
+};
+
+// Lock an account that reached LOGIN_MAX_ATTEMPTS and email an unlock link
+const lockAccount = async (user, now) => {
+  const lockCount = user.loginSecurity?.lockCount || 0;
+  const minutes = Math.min(LOGIN_LOCK_MINUTES * 2 ** lockCount, LOGIN_MAX_LOCK_MINUTES);
+  const lockedUntil = new Date(now.getTime() + minutes * MINUTE_MS);
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockedUntil': lockedUntil,
+        'loginSecurity.unlockToken': hashToken(unlockToken),
+        'loginSecurity.unlockTokenExpire': new Date(now.getTime() + UNLOCK_LINK_HOURS * 60 * MINUTE_MS)
+      },
+      $inc: { 'loginSecurity.lockCount': 1 }
+    }
+  );
+
+  notify(user, 'account_locked', {
+    unlockUrl: `${process.env.FRONTEND_URL}/unlock-account/${unlockToken}`,
+    lockedUntil,
+    expiresInHours: UNLOCK_LINK_HOURS
+  });
+};
+
+/**
+ * Record a failed sign-in (wrong password or 2FA code)
+ * @param {object|null} user - User document, or null if the email is unknown
+ * @param {string} ip - Client IP
+ */
+const recordFailedLogin = async (user, ip) => {
+  const now = new Date();
+  await recordIpFailure(ip, now);
+
+  if (!user) return;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': now }
+    },
+    { new: true }
+  );
+
+  if (updated.loginSecurity.failedAttempts >= LOGIN_MAX_ATTEMPTS) {
+    await lockAccount(updated, now);
+  }
+};
+
+/**
+ * Clear an account's failure count after a successful sign-in
+ * @param {object} user - User document
+ */
+const recordSuccessfulLogin = async (user) => {
+  if (!user.loginSecurity?.failedAttempts && !user.loginSecurity?.lockCount && !user.loginSecurity?.lockedUntil) {
+    return;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockCount': 0 },
+      $unset: {
+        'loginSecurity.lastFailedAt': '',
+        'loginSecurity.lockedUntil': '',
+        'loginSecurity.unlockToken': '',
+        'loginSecurity.unlockTokenExpire': ''
+      }
+    }
+  );
+};
+
+// Update that lifts a lock (lockCount is kept so repeat offenders still lock longer)
+const unlockUpdate = () => ({
+  $set: { 'loginSecurity.failedAttempts': 0 },
+  $unset: {
+    'loginSecurity.lastFailedAt': '',
+    'loginSecurity.lockedUntil': '',
+    'loginSecurity.unlockToken': '',
+    'loginSecurity.unlockTokenExpire': ''
+  }
+});
+
+/**
+ * Unlock an account with the link from the lockout email
+ * @param {string} token - Token from the link
+ * @returns {object} - User
+ */
+const unlockWithToken = async (token) => {
+  const user = await User.findOneAndUpdate(
+    {
+      'loginSecurity.unlockToken': hashToken(token),
+      'loginSecurity.unlockTokenExpire': { $gt: new Date() }
+    },
+    unlockUpdate(),
+    { new: true }
+  );
+
+  if (!user) {
+    throw new AppError('Invalid or expired unlock link', 400);
+  }
+
+  return user;
+};
+
+/**
+ * Unlock an account (admin)
+ * @param {string} userId - User ID
+ * @returns {object} - User
+ */
+const unlockAccount = async (userId) => {
+  const user = await User.findByIdAndUpdate(userId, unlockUpdate(), { new: true });
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+module.exports = {
+  LOGIN_MAX_ATTEMPTS,
+  assertIpAllowed,
+  assertAccountAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockWithToken,
+  unlockAccount
+};
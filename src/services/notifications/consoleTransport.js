@@ -0,0 +1,38 @@
+const fs = require('fs');
+
+// ============================================
+// CONSOLE TRANSPORT
+// ============================================
+// Local development transport for any channel. Messages are printed, or
+// appended as JSON lines to NOTIFICATION_LOG_FILE when it is set.
+
+const ICONS = { email: '📧', sms: '📱' };
+
+/**
+ * Create a console transport for a channel
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {object} - Transport
+ */
+const createConsoleTransport = (channel) => ({
+  name: 'console',
+  channel,
+
+  /**
+   * @param {object} message - { to, subject, text }
+   */
+  send: async ({ to, subject, text }) => {
+    const logFile = process.env.NOTIFICATION_LOG_FILE;
+
+    if (logFile) {
+      const line = JSON.stringify({ channel, to, subject, text, sentAt: new Date() });
+      await fs.promises.appendFile(logFile, `${line}\n`);
+      return;
+    }
+
+    console.log(`${ICONS[channel] || '🔔'} [${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${text}`);
+  }
+});
+
+module.exports = {
+  createConsoleTransport
+};
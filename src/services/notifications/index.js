@@ -0,0 +1,120 @@
+const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+const { render } = require('./templates');
+const { createConsoleTransport } = require('./consoleTransport');
+const smtpTransport = require('./smtpTransport');
+
+// ============================================
+// NOTIFICATION TRANSPORTS
+// ============================================
+// Every transport exports the same shape:
+//   name                          - transport id used in EMAIL_TRANSPORT / SMS_TRANSPORT
+//   channel                       - 'email' or 'sms'
+//   send({ to, subject, text })   - resolves once handed over, throws on failure
+//
+// To add a provider (e.g. an SMS gateway), implement the module and register it below.
+const transports = {
+  email: {
+    console: createConsoleTransport('email'),
+    [smtpTransport.name]: smtpTransport
+  },
+  sms: {
+    console: createConsoleTransport('sms')
+  }
+};
+
+/**
+ * Get the configured transport for a channel
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {object} - Transport
+ */
+const getTransport = (channel) => {
+  const name = process.env[`${channel.toUpperCase()}_TRANSPORT`] || 'console';
+  const transport = transports[channel][name];
+
+  if (!transport) {
+    throw new Error(`Unknown ${channel} transport '${name}'`);
+  }
+
+  return transport;
+};
+
+/**
+ * Deliver a rendered notification on one channel, honouring the user's preferences
+ * @param {string} channel - 'email' or 'sms'
+ * @param {object} user - User document
+ * @param {object} rendered - Rendered template
+ * @returns {object} - Delivery record
+ */
+const deliver = async (channel, user, rendered) => {
+  const to = channel === 'email' ? user.email : user.phone;
+  const enabled = user.preferences?.notifications?.[channel] !== false;
+
+  if (!to) {
+    return { channel, status: 'skipped', reason: `No ${channel === 'email' ? 'email address' : 'phone number'}` };
+  }
+  if (!enabled && !rendered.required) {
+    return { channel, status: 'skipped', reason: 'Disabled in preferences' };
+  }
+
+  try {
+    await getTransport(channel).send({
+      to,
+      subject: channel === 'email' ? rendered.title : undefined,
+      text: channel === 'email' ? rendered.message : rendered.sms
+    });
+    return { channel, status: 'sent', sentAt: new Date() };
+  } catch (error) {
+    console.error(`❌ ${channel} notification to ${to} failed: ${error.message}`);
+    return { channel, status: 'failed', reason: error.message };
+  }
+};
+
+/**
+ * Send a notification to a user on every channel the template and the
+ * user's preferences allow, and record it in their in-app inbox.
+ * Never throws, so callers can fire and forget.
+ * @param {object|string} userOrId - User document or ID
+ * @param {string} type - Template name (see templates.js)
+ * @param {object} data - Template data; ids in data.refs are stored on the inbox entry
+ * @returns {object|null} - { notification, deliveries }, or null if nothing was sent
+ */
+const notify = async (userOrId, type, data = {}) => {
+  try {
+    const user = userOrId && userOrId.email !== undefined
+      ? userOrId
+      : await User.findById(userOrId).select('email phone firstName preferences isActive');
+
+    if (!user || user.isActive === false) {
+      return null;
+    }
+
+    const rendered = render(type, data);
+
+    const channels = rendered.channels || (rendered.sms ? ['email', 'sms'] : ['email']);
+    const deliveries = await Promise.all(channels.map(channel => deliver(channel, user, rendered)));
+
+    let notification = null;
+    if (rendered.inApp) {
+      notification = await Notification.create({
+        user: user._id,
+        type,
+        title: rendered.title,
+        message: rendered.message,
+        link: rendered.link,
+        data: data.refs || {},
+        deliveries: [{ channel: 'in_app', status: 'sent', sentAt: new Date() }, ...deliveries]
+      });
+    }
+
+    return { notification, deliveries };
+  } catch (error) {
+    console.error(`❌ Notification '${type}' failed: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  getTransport,
+  notify
+};
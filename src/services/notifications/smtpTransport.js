@@ -0,0 +1,44 @@
+const nodemailer = require('nodemailer');
+
+// ============================================
+// SMTP TRANSPORT
+// ============================================
+// Sends email through any SMTP server configured with SMTP_* variables.
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return transporter;
+};
+
+module.exports = {
+  name: 'smtp',
+  channel: 'email',
+
+  /**
+   * @param {object} message - { to, subject, text }
+   */
+  send: async ({ to, subject, text }) => {
+    await getTransporter().sendMail({
+      from: process.env.EMAIL_FROM || 'Tourship <no-reply@tourship.in>',
+      to,
+      subject,
+      text
+    });
+  }
+};
@@ -0,0 +1,208 @@
+// ============================================
+// NOTIFICATION TEMPLATES
+// ============================================
+// Each template turns the data passed to notify() into:
+//   title, message          - inbox entry, also the email subject/body
+//   link                    - frontend path (optional)
+//   sms                     - short SMS text (optional, no SMS without it)
+//   required                - security messages that ignore preferences
+//   inApp                   - false to skip the inbox entry
+//   channels                - restrict delivery, e.g. ['sms'] (default: email, plus SMS if sms is set)
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+  : 'TBA');
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', {
+  day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Kolkata'
+});
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const templates = {
+  // ----- Bookings -----
+  booking_created: ({ tripTitle, startDate, numberOfPeople, totalAmount, holdExpiresAt }) => ({
+    title: 'Booking received',
+    message: `Your booking for ${tripTitle} on ${formatDate(startDate)} for ${numberOfPeople} ` +
+      `${numberOfPeople === 1 ? 'person' : 'people'} (${formatAmount(totalAmount)}) has been received.` +
+      (holdExpiresAt ? ` Your seats are held until ${new Date(holdExpiresAt).toLocaleTimeString('en-IN')} - complete payment to confirm.` : ''),
+    link: '/my-bookings',
+    sms: `Tourship: booking for ${tripTitle} on ${formatDate(startDate)} received. Pay ${formatAmount(totalAmount)} to confirm.`
+  }),
+
+  new_booking: ({ tripTitle, startDate, numberOfPeople, touristName }) => ({
+    title: 'New booking',
+    message: `${touristName || 'A traveller'} booked ${numberOfPeople} ` +
+      `${numberOfPeople === 1 ? 'seat' : 'seats'} on ${tripTitle} (${formatDate(startDate)}).`,
+    link: '/organiser/bookings'
+  }),
+
+  booking_amended: ({ tripTitle, startDate, numberOfPeople, touristName, changes = [], newTotal }) => ({
+    title: 'Booking changed',
+    message: `${touristName || 'A traveller'} changed their booking on ${tripTitle} (${changes.join(', ')}). ` +
+      `It is now ${numberOfPeople} ${numberOfPeople === 1 ? 'seat' : 'seats'} on ${formatDate(startDate)} for ${formatAmount(newTotal)}.`,
+    link: '/organiser/bookings'
+  }),
+
+  booking_cancelled: ({ tripTitle, startDate, reason, refundAmount }) => ({
+    title: 'Booking cancelled',
+    message: `Your booking for ${tripTitle} on ${formatDate(startDate)} has been cancelled by the organiser.` +
+      (reason ? ` Reason: ${reason}.` : '') +
+      (refundAmount > 0 ? ` A refund of ${formatAmount(refundAmount)} has been initiated.` : ''),
+    link: '/my-bookings',
+    sms: `Tourship: your booking for ${tripTitle} on ${formatDate(startDate)} was cancelled by the organiser.` +
+      (refundAmount > 0 ? ` Refund of ${formatAmount(refundAmount)} initiated.` : '')
+  }),
+
+  // ----- Waitlist -----
+  waitlist_offer: ({ tripTitle, startDate, numberOfPeople, expiresAt }) => ({
+    title: 'Seats available',
+    message: `${numberOfPeople} ${numberOfPeople === 1 ? 'seat has' : 'seats have'} opened up on ${tripTitle} ` +
+      `(${formatDate(startDate)}) and ${numberOfPeople === 1 ? 'is' : 'are'} being held for you until ${formatDateTime(expiresAt)}. ` +
+      'Book now to claim them - after that they go to the next person on the waitlist.',
+    link: '/my-waitlist',
+    sms: `Tourship: seats on ${tripTitle} are held for you until ${formatDateTime(expiresAt)}. Book in the app to claim them.`
+  }),
+
+  waitlist_offer_expired: ({ tripTitle }) => ({
+    title: 'Waitlist offer expired',
+    message: `The seats held for you on ${tripTitle} were not claimed in time and have been offered to the next person on the waitlist.`,
+    link: '/my-waitlist'
+  }),
+
+  // ----- Trips -----
+  trip_cancelled: ({ tripTitle, startDate, reason, refundAmount }) => ({
+    title: 'Trip cancelled',
+    message: `${tripTitle} on ${formatDate(startDate)} has been cancelled by the organiser.` +
+      (reason ? ` Reason: ${reason}.` : '') +
+      (refundAmount > 0 ? ` A full refund of ${formatAmount(refundAmount)} has been initiated.` : ''),
+    link: '/my-bookings',
+    sms: `Tourship: ${tripTitle} on ${formatDate(startDate)} was cancelled.` +
+      (refundAmount > 0 ? ` Refund of ${formatAmount(refundAmount)} initiated.` : '')
+  }),
+
+  // ----- Guide assignments -----
+  guide_assigned: ({ tripTitle, startDate, organiserName }) => ({
+    title: 'New trip assignment',
+    message: `${organiserName || 'An organiser'} has assigned you to ${tripTitle} on ${formatDate(startDate)}. ` +
+      'Please accept or reject the assignment.',
+    link: '/guide/assignments',
+    sms: `Tourship: you've been assigned to ${tripTitle} on ${formatDate(startDate)}. Please respond in the app.`
+  }),
+
+  guide_assignment_accepted: ({ tripTitle, startDate, guideName }) => ({
+    title: 'Guide accepted assignment',
+    message: `${guideName || 'Your guide'} accepted the assignment for ${tripTitle} on ${formatDate(startDate)}.`,
+    link: '/organiser/trips'
+  }),
+
+  guide_assignment_rejected: ({ tripTitle, startDate, guideName, reason }) => ({
+    title: 'Guide rejected assignment',
+    message: `${guideName || 'Your guide'} rejected the assignment for ${tripTitle} on ${formatDate(startDate)}.` +
+      (reason ? ` Reason: ${reason}.` : '') + ' Please assign another guide.',
+    link: '/organiser/trips'
+  }),
+
+  guide_removed: ({ tripTitle, startDate, organiserName }) => ({
+    title: 'Removed from trip',
+    message: `${organiserName || 'The organiser'} has removed you from ${tripTitle} on ${formatDate(startDate)}.`,
+    link: '/guide/assignments',
+    sms: `Tourship: you've been removed from ${tripTitle} on ${formatDate(startDate)}.`
+  }),
+
+  // ----- Reviews -----
+  guide_review_received: ({ tripTitle, rating, touristName }) => ({
+    title: 'New review',
+    message: `${touristName || 'A traveller'} rated you ${rating}/5 for ${tripTitle}. You can reply to the review from your profile.`,
+    link: '/guide/reviews'
+  }),
+
+  review_moderated: ({ attractionName, action, reason }) => ({
+    title: action === 'removed' ? 'Review removed' : 'Review hidden',
+    message: `Your review of ${attractionName} has been ${action} by a moderator.` +
+      (reason ? ` Reason: ${reason}.` : ''),
+    link: '/my-reviews'
+  }),
+
+  // ----- Verification -----
+  verification_approved: ({ role }) => ({
+    title: 'Profile verified',
+    message: `Your ${role} profile has been verified. You now have full access to ${role} features.`,
+    link: `/${role}/profile`,
+    sms: `Tourship: your ${role} profile has been verified.`
+  }),
+
+  verification_rejected: ({ role, reason }) => ({
+    title: 'Verification unsuccessful',
+    message: `Your ${role} profile could not be verified.` +
+      (reason ? ` Reason: ${reason}.` : '') + ' Please update your profile and resubmit.',
+    link: `/${role}/profile`
+  }),
+
+  verification_info_requested: ({ role, message, documents = [] }) => ({
+    title: 'More information needed',
+    message: `The reviewer needs more information to verify your ${role} profile: ${message}` +
+      (documents.length ? ` Documents to update: ${documents.join(', ')}.` : '') +
+      ' Update your profile and submit it again.',
+    link: `/${role}/verification`,
+    sms: `Tourship: more information is needed to verify your ${role} profile. Check your email.`
+  }),
+
+  // ----- Account -----
+  password_reset: ({ resetUrl, expiresInMinutes }) => ({
+    title: 'Reset your password',
+    message: `We received a request to reset your Tourship password. Open this link to choose a new one:\n\n${resetUrl}\n\n` +
+      `The link expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email.`,
+    required: true,
+    inApp: false
+  }),
+
+  email_verification: ({ verifyUrl, expiresInHours }) => ({
+    title: 'Verify your email address',
+    message: `Please confirm your email address for Tourship by opening this link:\n\n${verifyUrl}\n\n` +
+      `The link expires in ${expiresInHours} hours.`,
+    required: true,
+    inApp: false,
+    channels: ['email']
+  }),
+
+  account_locked: ({ unlockUrl, lockedUntil, expiresInHours }) => ({
+    title: 'Your account has been temporarily locked',
+    message: `There were too many failed sign-in attempts on your Tourship account, so it is locked until ${formatDateTime(lockedUntil)}.\n\n` +
+      `If this was you, open this link to unlock it now:\n\n${unlockUrl}\n\n` +
+      `The link expires in ${expiresInHours} hours. If it wasn't you, we recommend changing your password once you're back in.`,
+    required: true,
+    inApp: false,
+    channels: ['email']
+  }),
+
+  phone_otp: ({ otp, expiresInMinutes }) => ({
+    title: 'Phone verification code',
+    message: 'A verification code was sent to your phone.',
+    sms: `${otp} is your Tourship verification code. It expires in ${expiresInMinutes} minutes. Do not share it with anyone.`,
+    required: true,
+    inApp: false,
+    channels: ['sms']
+  })
+};
+
+/**
+ * Render a notification template
+ * @param {string} type - Template name
+ * @param {object} data - Template data
+ * @returns {object} - { title, message, link, sms, required, inApp }
+ */
+const render = (type, data = {}) => {
+  const template = templates[type];
+
+  if (!template) {
+    throw new Error(`Unknown notification type '${type}'`);
+  }
+
+  return { inApp: true, required: false, ...template(data) };
+};
+
+module.exports = {
+  TYPES: Object.keys(templates),
+  render
+};
@@ -0,0 +1,303 @@
+const Trip = require('../models/Trip');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const RefundRequest = require('../models/RefundRequest');
+const { AppError } = require('../middleware/errorHandler');
+const { getGateway } = require('./payments');
+const { SEAT_HOLD_MINUTES } = require('./bookingService');
+
+// Ledger entries recorded by an organiser by hand (cash, bank transfer, ...)
+const MANUAL_PROVIDER = 'manual';
+
+/**
+ * Work out a booking's payment status from its settled ledger totals
+ * @param {object} booking - Booking document
+ * @param {object} totals - { charged, refunded, net } from Payment.getBookingTotals
+ * @returns {string} - Payment status
+ */
+const derivePaymentStatus = (booking, totals) => {
+  // A cancelled booking is settled once its refund has gone out, even if
+  // the cancellation policy kept part of the money
+  if (totals.refunded > 0 && (totals.net <= 0 || booking.bookingStatus === 'cancelled')) {
+    return 'refunded';
+  }
+  if (totals.net <= 0) {
+    return booking.paymentStatus === 'cancelled' ? 'cancelled' : 'pending';
+  }
+  if (totals.net >= booking.totalAmount) return 'completed';
+  return 'partial';
+};
+
+/**
+ * Recompute paidAmount and paymentStatus of a booking from the ledger.
+ * The first settled payment on a pending booking confirms it - even if the
+ * hold ran out while the charge was settling, as long as the hold sweep has
+ * not released the seats yet. The hold is claimed with a conditional update
+ * so the sweep and the confirmation can't both win.
+ * @param {string} bookingId - Booking ID
+ * @returns {object|null} - Updated booking
+ */
+const syncBookingPayments = async (bookingId) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) return null;
+
+  const totals = await Payment.getBookingTotals(booking._id);
+
+  booking.paidAmount = totals.net;
+  booking.paymentStatus = derivePaymentStatus(booking, totals);
+
+  if (booking.bookingStatus === 'pending' && totals.net > 0) {
+    const { modifiedCount } = await Booking.updateOne(
+      { _id: booking._id, bookingStatus: 'pending' },
+      { $unset: { holdExpiresAt: '' } }
+    );
+    if (modifiedCount) {
+      booking.holdExpiresAt = undefined;
+      booking.transitionTo('confirmed', { actorRole: 'system', reason: 'Payment received' });
+    }
+  }
+
+  await booking.save();
+  return booking;
+};
+
+/**
+ * Recompute trip revenue from settled ledger entries
+ * @param {string} tripId - Trip ID
+ * @returns {number} - Net revenue
+ */
+const syncTripRevenue = async (tripId) => {
+  const totals = await Payment.getTripTotals(tripId);
+  await Trip.updateOne({ _id: tripId }, { $set: { 'analytics.revenue': totals.net } });
+  return totals.net;
+};
+
+/**
+ * Bring the booking and trip in line with the ledger after an entry settles
+ * @param {object} payment - Payment document
+ */
+const applySettlement = async (payment) => {
+  const booking = await syncBookingPayments(payment.booking);
+  await syncTripRevenue(payment.trip);
+
+  if (payment.refundRequest) {
+    await RefundRequest.syncFromLedger(payment.refundRequest);
+  }
+
+  // A charge that settles after the booking was cancelled (e.g. its hold
+  // lapsed during checkout) is paid straight back
+  const current = booking && await Booking.findById(booking._id);
+  if (payment.type === 'charge' && current && ['cancelled', 'no_show'].includes(current.bookingStatus)) {
+    // Required here: refundService depends on this module
+    const { requestRefund } = require('./refundService');
+    await requestRefund(current, {
+      amount: payment.amount,
+      reason: `Payment received after the booking was ${current.bookingStatus === 'cancelled' ? 'cancelled' : 'closed'}`,
+      source: 'late_payment',
+      autoApprove: true
+    });
+  }
+};
+
+/**
+ * Mark a pending ledger entry as succeeded.
+ * Claimed with a conditional update so a duplicate webhook is a no-op.
+ * @param {string} paymentId - Payment ID
+ * @returns {object|null} - Settled payment, or null if it was not pending
+ */
+const settlePayment = async (paymentId) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: 'pending' },
+    { $set: { status: 'succeeded', settledAt: new Date() } },
+    { new: true }
+  );
+
+  if (payment) {
+    await applySettlement(payment);
+  }
+
+  return payment;
+};
+
+/**
+ * Mark a pending ledger entry as failed
+ * @param {string} paymentId - Payment ID
+ * @param {string} reason - Failure reason from the provider
+ * @returns {object|null} - Failed payment, or null if it was not pending
+ */
+const failPayment = async (paymentId, reason) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: 'pending' },
+    { $set: { status: 'failed', failureReason: reason || 'Payment failed' } },
+    { new: true }
+  );
+
+  if (payment && payment.refundRequest) {
+    await RefundRequest.syncFromLedger(payment.refundRequest);
+  }
+
+  return payment;
+};
+
+/**
+ * Start a gateway charge against a booking
+ * @param {object} booking - Booking document
+ * @param {object} options - { amount (defaults to balance due), method, actor }
+ * @returns {object} - { payment, checkoutUrl }
+ */
+const initiatePayment = async (booking, options = {}) => {
+  const { method, actor } = options;
+
+  if (!booking.isActive) {
+    throw new AppError(`Cannot pay for a ${booking.bookingStatus} booking`, 400);
+  }
+  if (booking.isHoldExpired) {
+    throw new AppError('The seat hold for this booking has expired. Please book again.', 409);
+  }
+
+  const amount = options.amount !== undefined ? Number(options.amount) : booking.balanceDue;
+  if (!(amount > 0)) {
+    throw new AppError('Nothing left to pay on this booking', 400);
+  }
+  if (amount > booking.balanceDue) {
+    throw new AppError(`Amount exceeds the balance due of ${booking.balanceDue}`, 400);
+  }
+
+  const gateway = getGateway();
+
+  // The hold is renewed for the checkout, so it doesn't lapse mid-payment
+  if (booking.bookingStatus === 'pending' && booking.holdExpiresAt) {
+    const holdUntil = new Date(Date.now() + SEAT_HOLD_MINUTES * 60 * 1000);
+    const { modifiedCount } = await Booking.updateOne(
+      { _id: booking._id, bookingStatus: 'pending', holdExpiresAt: { $gt: new Date(), $lt: holdUntil } },
+      { $set: { holdExpiresAt: holdUntil } }
+    );
+    if (modifiedCount) booking.holdExpiresAt = holdUntil;
+  }
+
+  const trip = await Trip.findById(booking.trip).select('pricing.currency');
+  const currency = trip?.pricing?.currency || 'INR';
+
+  const payment = await Payment.create({
+    booking: booking._id,
+    trip: booking.trip,
+    user: booking.user,
+    organiser: booking.organiser,
+    type: 'charge',
+    amount,
+    currency,
+    provider: gateway.name,
+    method,
+    createdBy: actor?._id
+  });
+
+  let result;
+  try {
+    result = await gateway.createCharge({
+      amount,
+      currency,
+      metadata: { paymentId: payment._id.toString(), bookingId: booking._id.toString() }
+    });
+  } catch (error) {
+    await failPayment(payment._id, error.message);
+    throw error.isOperational ? error : new AppError('Payment provider is unavailable. Please try again.', 502);
+  }
+
+  payment.providerReference = result.providerReference;
+  await payment.save();
+
+  if (result.status === 'succeeded') {
+    await settlePayment(payment._id);
+  } else if (result.status === 'failed') {
+    await failPayment(payment._id, result.failureReason);
+  }
+
+  return {
+    payment: await Payment.findById(payment._id),
+    checkoutUrl: result.checkoutUrl
+  };
+};
+
+/**
+ * Record a payment taken outside the gateway (cash, bank transfer, ...)
+ * @param {object} booking - Booking document
+ * @param {object} options - { amount, method, note, actor }
+ * @returns {object} - Settled payment
+ */
+const recordManualPayment = async (booking, options = {}) => {
+  const { method, note, actor } = options;
+  const amount = Number(options.amount);
+
+  if (!(amount > 0)) {
+    throw new AppError('Amount must be greater than zero', 400);
+  }
+  if (['cancelled', 'no_show'].includes(booking.bookingStatus)) {
+    throw new AppError(`Cannot record a payment on a ${booking.bookingStatus} booking`, 400);
+  }
+  if (amount > booking.balanceDue) {
+    throw new AppError(`Amount exceeds the balance due of ${booking.balanceDue}`, 400);
+  }
+
+  const payment = await Payment.create({
+    booking: booking._id,
+    trip: booking.trip,
+    user: booking.user,
+    organiser: booking.organiser,
+    type: 'charge',
+    amount,
+    provider: MANUAL_PROVIDER,
+    method: method || 'cash',
+    note,
+    createdBy: actor?._id
+  });
+
+  return settlePayment(payment._id);
+};
+
+/**
+ * Apply a verified provider webhook to the ledger
+ * @param {string} providerName - Provider the webhook came from
+ * @param {object} req - Express request
+ * @returns {object} - { handled, payment }
+ */
+const handleWebhook = async (providerName, req) => {
+  const gateway = getGateway(providerName);
+  const event = gateway.parseWebhook(req);
+
+  const payment = await Payment.findOne({
+    provider: gateway.name,
+    providerReference: event.providerReference
+  });
+
+  // Unknown reference or an event we have already applied
+  if (!payment || (event.id && payment.processedEvents.includes(event.id))) {
+    return { handled: false, payment };
+  }
+
+  const [, outcome] = (event.type || '').split('.');
+  let updated = null;
+
+  if (outcome === 'succeeded') {
+    updated = await settlePayment(payment._id);
+  } else if (outcome === 'failed') {
+    updated = await failPayment(payment._id, event.failureReason);
+  }
+
+  if (event.id) {
+    await Payment.updateOne({ _id: payment._id }, { $addToSet: { processedEvents: event.id } });
+  }
+
+  return { handled: !!updated, payment: updated || payment };
+};
+
+module.exports = {
+  MANUAL_PROVIDER,
+  derivePaymentStatus,
+  syncBookingPayments,
+  syncTripRevenue,
+  settlePayment,
+  failPayment,
+  initiatePayment,
+  recordManualPayment,
+  handleWebhook
+};
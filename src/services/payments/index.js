@@ -0,0 +1,68 @@
+const { AppError } = require('../../middleware/errorHandler');
+const mockGateway = require('./mockGateway');
+
+// ============================================
+// PAYMENT GATEWAY ADAPTERS
+// ============================================
+// Every gateway module exports the same shape:
+//   name                                    - provider id stored on ledger entries
+//   createCharge({ amount, currency, metadata })
+//     -> { providerReference, status: 'pending'|'succeeded'|'failed', checkoutUrl?, failureReason? }
+//   createRefund({ chargeReference, amount, currency, metadata })
+//     -> { providerReference, status, failureReason? }
+//   parseWebhook(req)
+//     -> { id, type: 'charge.succeeded'|'charge.failed'|'refund.succeeded'|'refund.failed',
+//          providerReference, failureReason? }
+//     Must verify the request signature and throw AppError(400) if it is invalid.
+//
+// To add a real provider, implement the module and register it below.
+const gateways = {
+  [mockGateway.name]: mockGateway
+};
+
+/**
+ * Check the payment configuration; called once at startup.
+ * A provider and webhook secret must be set explicitly, and the mock gateway
+ * (which settles charges without moving money) is refused in production.
+ * @throws {Error} - When the configuration is missing or unsafe
+ */
+const validatePaymentConfig = () => {
+  const provider = process.env.PAYMENT_PROVIDER;
+
+  if (!provider) {
+    throw new Error('PAYMENT_PROVIDER is not set');
+  }
+  if (!gateways[provider]) {
+    throw new Error(`Unknown payment provider '${provider}'`);
+  }
+  if (provider === mockGateway.name && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment gateway cannot be used in production');
+  }
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+};
+
+/**
+ * Get a gateway by name, or the configured default (PAYMENT_PROVIDER)
+ * @param {string} name - Provider name
+ * @returns {object} - Gateway adapter
+ */
+const getGateway = (name) => {
+  const provider = name || process.env.PAYMENT_PROVIDER;
+  const gateway = gateways[provider];
+
+  if (!gateway) {
+    throw new AppError(provider ? `Unknown payment provider '${provider}'` : 'Payments are not configured', provider ? 400 : 500);
+  }
+  if (gateway === mockGateway && process.env.NODE_ENV === 'production') {
+    throw new AppError('The mock payment gateway is disabled in production', 500);
+  }
+
+  return gateway;
+};
+
+module.exports = {
+  validatePaymentConfig,
+  getGateway
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { AppError } = require('../../middleware/errorHandler');
+
+// ============================================
+// MOCK PAYMENT GATEWAY
+// ============================================
+// Local provider for development and tests. No money moves, so it is refused
+// when NODE_ENV=production.
+//   MOCK_PAYMENT_MODE=instant  charges/refunds settle in the create call (default)
+//   MOCK_PAYMENT_MODE=webhook  they stay pending until a signed webhook arrives
+// Webhooks are signed with PAYMENT_WEBHOOK_SECRET (HMAC-SHA256 of the raw body)
+// and sent in the `x-mock-signature` header. Use buildWebhook() to produce one.
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const getSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new AppError('PAYMENT_WEBHOOK_SECRET is not set', 500);
+  }
+  return secret;
+};
+
+const isInstant = () => (process.env.MOCK_PAYMENT_MODE || 'instant') === 'instant';
+
+const sign = (payload) => {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+};
+
+const reference = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Start a charge
+ * @param {object} params - { amount, currency, metadata }
+ * @returns {object} - { providerReference, status, checkoutUrl }
+ */
+const createCharge = async ({ amount, currency }) => {
+  if (!(amount > 0)) {
+    throw new AppError('Charge amount must be greater than zero', 400);
+  }
+
+  const providerReference = reference('mock_ch');
+
+  return {
+    providerReference,
+    status: isInstant() ? 'succeeded' : 'pending',
+    checkoutUrl: isInstant() ? undefined : `mock://checkout/${providerReference}?amount=${amount}&currency=${currency}`
+  };
+};
+
+/**
+ * Refund all or part of a settled charge
+ * @param {object} params - { chargeReference, amount, currency }
+ * @returns {object} - { providerReference, status }
+ */
+const createRefund = async ({ chargeReference, amount }) => {
+  if (!chargeReference) {
+    throw new AppError('Charge reference is required for a refund', 400);
+  }
+  if (!(amount > 0)) {
+    throw new AppError('Refund amount must be greater than zero', 400);
+  }
+
+  return {
+    providerReference: reference('mock_re'),
+    status: isInstant() ? 'succeeded' : 'pending'
+  };
+};
+
+/**
+ * Verify a webhook request and normalise its event
+ * @param {object} req - Express request (needs req.rawBody)
+ * @returns {object} - { id, type, providerReference, failureReason }
+ */
+const parseWebhook = (req) => {
+  const signature = req.headers[SIGNATURE_HEADER];
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+
+  const expected = sign(rawBody);
+  const valid = typeof signature === 'string' &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  if (!valid) {
+    throw new AppError('Invalid webhook signature', 400);
+  }
+
+  const event = JSON.parse(rawBody);
+  return {
+    id: event.id,
+    type: event.type,
+    providerReference: event.data?.reference,
+    failureReason: event.data?.failureReason
+  };
+};
+
+/**
+ * Build a signed webhook for a charge or refund (dev tooling and tests)
+ * @param {string} type - charge.succeeded | charge.failed | refund.succeeded | refund.failed
+ * @param {string} providerReference - Reference returned by createCharge/createRefund
+ * @param {object} data - Extra event data (e.g. { failureReason })
+ * @returns {object} - { body, headers }
+ */
+const buildWebhook = (type, providerReference, data = {}) => {
+  const body = JSON.stringify({
+    id: reference('mock_evt'),
+    type,
+    data: { reference: providerReference, ...data }
+  });
+
+  return {
+    body,
+    headers: {
+      'content-type': 'application/json',
+      [SIGNATURE_HEADER]: sign(body)
+    }
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  createCharge,
+  createRefund,
+  parseWebhook,
+  buildWebhook
+};
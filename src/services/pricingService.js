@@ -0,0 +1,303 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Age bands, youngest first. A traveller is priced by the first band their
+// age fits; a band without a price on the trip falls back to pricePerPerson.
+// Travellers without an age are priced as adults, which is only allowed on
+// trips whose price and eligibility don't depend on age (see needsAges).
+const AGE_BANDS = [
+  { band: 'infant', label: 'Infant (under 5)', maxAge: 4, priceField: 'infantPrice' },
+  { band: 'child', label: 'Child (5-12)', maxAge: 12, priceField: 'childPrice' },
+  { band: 'adult', label: 'Adult', maxAge: 59, priceField: 'pricePerPerson' },
+  { band: 'senior', label: 'Senior (60+)', maxAge: Infinity, priceField: 'seniorPrice' }
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Age band of a traveller
+ * @param {number} age - Age in years (undefined when not given)
+ * @returns {object} - Entry of AGE_BANDS
+ */
+const ageBandFor = (age) => {
+  if (age === undefined || age === null) {
+    return AGE_BANDS.find(band => band.band === 'adult');
+  }
+  return AGE_BANDS.find(band => age <= band.maxAge);
+};
+
+/**
+ * Amount a promo code takes off an amount
+ * @param {object} promo - PromoCode (discountType, discountValue, maxDiscount)
+ * @param {number} amount - Amount the code applies to
+ * @returns {number}
+ */
+const promoDiscountOn = (promo, amount) => {
+  let discount = promo.discountType === 'percentage'
+    ? amount * promo.discountValue / 100
+    : promo.discountValue;
+
+  if (promo.discountType === 'percentage' && promo.maxDiscount) {
+    discount = Math.min(discount, promo.maxDiscount);
+  }
+
+  return roundAmount(Math.min(discount, amount));
+};
+
+// Discount line of a promo code
+const promoEntry = (promo, amount) => ({
+  type: 'promo',
+  label: promo.code,
+  percent: promo.discountType === 'percentage' ? promo.discountValue : undefined,
+  amount
+});
+
+/**
+ * Whether a trip needs every traveller's age: it has an age limit or prices
+ * an age band differently
+ * @param {object} trip - Trip (ageRestriction, pricing)
+ * @returns {boolean}
+ */
+const needsAges = (trip) => {
+  const { minAge = 0, maxAge = 100 } = trip.ageRestriction || {};
+  const pricing = trip.pricing || {};
+
+  return minAge > 0 || maxAge < 100 ||
+    AGE_BANDS.some(({ priceField }) => priceField !== 'pricePerPerson' && pricing[priceField] != null);
+};
+
+/**
+ * Check the party and return one entry per person. Named travellers come
+ * first; anyone in numberOfPeople without a traveller entry is an adult
+ * without an age. Ages outside the trip's ageRestriction are rejected, and
+ * so is a party with anyone's age missing when the trip needs ages.
+ * @param {object} trip - Trip (ageRestriction)
+ * @param {object} party - { numberOfPeople, travelers }
+ * @returns {Array} - [{ name, age }]
+ */
+const normaliseParty = (trip, { numberOfPeople, travelers = [] }) => {
+  if (!Array.isArray(travelers)) {
+    throw new AppError('travelers must be an array', 400);
+  }
+
+  const size = numberOfPeople === undefined || numberOfPeople === null || numberOfPeople === ''
+    ? travelers.length
+    : parseInt(numberOfPeople, 10);
+
+  if (!Number.isInteger(size) || size < 1) {
+    throw new AppError('Number of people is required', 400);
+  }
+  if (travelers.length > size) {
+    throw new AppError(`${travelers.length} travellers given for a party of ${size}`, 400);
+  }
+
+  const { minAge = 0, maxAge = 100 } = trip.ageRestriction || {};
+
+  const people = travelers.map((traveler, index) => {
+    const given = traveler?.age;
+    const age = given === undefined || given === null || given === '' ? undefined : Number(given);
+
+    if (age !== undefined && (!Number.isInteger(age) || age < 0 || age > 120)) {
+      throw new AppError(`Traveller ${index + 1} has an invalid age`, 400);
+    }
+    if (age !== undefined && (age < minAge || age > maxAge)) {
+      throw new AppError(
+        `${traveler.name || `Traveller ${index + 1}`} (${age}) is outside this trip's age limit of ${minAge}-${maxAge}`,
+        400
+      );
+    }
+
+    return { name: traveler.name, age };
+  });
+
+  while (people.length < size) {
+    people.push({ name: undefined, age: undefined });
+  }
+
+  const withoutAge = people.filter(person => person.age === undefined).length;
+  if (withoutAge && needsAges(trip)) {
+    throw new AppError(
+      `This trip is priced or limited by age - give the age of every traveller (${withoutAge} of ${size} missing)`,
+      400
+    );
+  }
+
+  return people;
+};
+
+/**
+ * Price a party for a trip. Each traveller is priced by age band, then
+ * discounts apply in this order, each on what is left after the previous one:
+ *   1. group discount     - party of pricing.groupDiscount.minPeople or more
+ *   2. early-bird discount - booked before pricing.earlyBirdDiscount.deadline
+ *   3. promo code         - a 'stack' code; an 'exclusive' code replaces 1 and 2
+ *                           (applied to the subtotal) only if that is cheaper
+ * Used for both the public quote and the booking total, so they always agree.
+ * @param {object} trip - Trip document
+ * @param {object} party - { numberOfPeople, travelers: [{ name, age }] }
+ * @param {object} options - { now: booking time, promo: PromoCode already checked for this trip/user,
+ *                            dropUnqualifiedPromo: leave out a promo below its minOrderValue (repricing
+ *                            an existing booking) instead of rejecting the quote }
+ * @returns {object} - { currency, numberOfPeople, travellers, lines, subtotal, discounts, discountTotal, total, promo }
+ */
+const quoteTrip = (trip, party, options = {}) => {
+  const now = options.now || new Date();
+  const pricing = trip.pricing || {};
+  const people = normaliseParty(trip, party);
+
+  const travellers = people.map((person, index) => {
+    const band = ageBandFor(person.age);
+    const unitPrice = pricing[band.priceField] ?? pricing.pricePerPerson;
+    return { index, name: person.name, age: person.age, band: band.band, unitPrice };
+  });
+
+  // One line per age band, in band order
+  const lines = [];
+  AGE_BANDS.forEach(({ band, label }) => {
+    const inBand = travellers.filter(traveller => traveller.band === band);
+    if (!inBand.length) return;
+
+    const unitPrice = inBand[0].unitPrice;
+    lines.push({ band, label, count: inBand.length, unitPrice, amount: roundAmount(unitPrice * inBand.length) });
+  });
+
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  let discounts = [];
+  let running = subtotal;
+
+  const group = pricing.groupDiscount;
+  if (group?.minPeople && group.discountPercent > 0 && people.length >= group.minPeople) {
+    const amount = roundAmount(running * group.discountPercent / 100);
+    discounts.push({ type: 'group', label: `Group of ${group.minPeople}+`, percent: group.discountPercent, amount });
+    running = roundAmount(running - amount);
+  }
+
+  const earlyBird = pricing.earlyBirdDiscount;
+  if (earlyBird?.deadline && earlyBird.discountPercent > 0 && now < new Date(earlyBird.deadline)) {
+    const amount = roundAmount(running * earlyBird.discountPercent / 100);
+    discounts.push({ type: 'early_bird', label: 'Early bird', percent: earlyBird.discountPercent, amount });
+    running = roundAmount(running - amount);
+  }
+
+  let promo;
+  if (options.promo) {
+    const code = options.promo;
+
+    if (subtotal < (code.minOrderValue || 0)) {
+      if (!options.dropUnqualifiedPromo) {
+        throw new AppError(`Code ${code.code} needs an order of at least ${code.minOrderValue}`, 400);
+      }
+
+      promo = {
+        code: code.code,
+        campaign: code.campaign,
+        stacking: code.stacking,
+        applied: false,
+        dropped: true,
+        note: `Code ${code.code} needs an order of at least ${code.minOrderValue}, so it no longer applies`
+      };
+    } else {
+      promo = { code: code.code, campaign: code.campaign, stacking: code.stacking, applied: true };
+
+      if (code.stacking === 'stack') {
+        const amount = promoDiscountOn(code, running);
+        discounts.push(promoEntry(code, amount));
+        running = roundAmount(running - amount);
+      } else {
+        const amount = promoDiscountOn(code, subtotal);
+        if (roundAmount(subtotal - amount) < running) {
+          discounts = [promoEntry(code, amount)];
+          running = roundAmount(subtotal - amount);
+        } else {
+          promo.applied = false;
+          promo.note = 'This code cannot be combined with the trip\'s discounts, which already give a lower price';
+        }
+      }
+    }
+  }
+
+  return {
+    currency: pricing.currency || 'INR',
+    numberOfPeople: people.length,
+    travellers,
+    lines,
+    subtotal,
+    discounts,
+    discountTotal: roundAmount(subtotal - running),
+    total: Math.max(running, 0),
+    promo
+  };
+};
+
+/**
+ * The parts of a quote stored on a booking
+ * @param {object} quote - Result of quoteTrip()
+ * @returns {object} - Booking.priceBreakdown
+ */
+const toPriceBreakdown = (quote) => ({
+  currency: quote.currency,
+  lines: quote.lines,
+  subtotal: quote.subtotal,
+  discounts: quote.discounts,
+  total: quote.total,
+  quotedAt: new Date()
+});
+
+const sumAdjustments = (adjustments = []) => roundAmount(
+  adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0)
+);
+
+/**
+ * Add adjustments to a stored breakdown, after its discounts, and total it
+ * again. A 'manual' adjustment replaces the booking's earlier one; one of
+ * zero just removes it.
+ * @param {object} breakdown - Booking.priceBreakdown (plain object)
+ * @param {Array} adjustments - [{ type, label, amount }] - negative amounts lower the price
+ * @returns {object} - Booking.priceBreakdown
+ */
+const addAdjustments = (breakdown, adjustments) => {
+  const current = { ...(breakdown || {}) };
+  const replacesManual = adjustments.some(adjustment => adjustment.type === 'manual');
+  const kept = (current.adjustments || []).filter(adjustment => !(replacesManual && adjustment.type === 'manual'));
+  const base = roundAmount((current.total || 0) - sumAdjustments(current.adjustments));
+
+  current.adjustments = [...kept, ...adjustments.filter(adjustment => adjustment.amount !== 0)];
+  current.total = Math.max(roundAmount(base + sumAdjustments(current.adjustments)), 0);
+
+  return current;
+};
+
+/**
+ * Set a booking's price by hand (organiser override). The difference from
+ * the price without any earlier override is kept as a 'manual' adjustment,
+ * so the breakdown still adds up to the total and survives repricing.
+ * @param {object} breakdown - Booking.priceBreakdown (plain object; bookings from before itemised pricing have none)
+ * @param {number} total - Total the organiser set
+ * @returns {object} - Booking.priceBreakdown
+ */
+const setManualTotal = (breakdown, total) => {
+  const current = { ...(breakdown || {}) };
+  if (current.total === undefined) current.total = total;
+
+  const manual = (current.adjustments || []).filter(adjustment => adjustment.type === 'manual');
+  const withoutManual = roundAmount(current.total - sumAdjustments(manual));
+
+  return addAdjustments(current, [{
+    type: 'manual',
+    label: 'Price set by organiser',
+    amount: roundAmount(total - withoutManual)
+  }]);
+};
+
+module.exports = {
+  AGE_BANDS,
+  roundAmount,
+  ageBandFor,
+  promoDiscountOn,
+  needsAges,
+  normaliseParty,
+  quoteTrip,
+  toPriceBreakdown,
+  addAdjustments,
+  setManualTotal
+};
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Look up a promo code a traveller entered and check it can be used on the
+ * trip: active, within its validity window, for this trip (trip codes),
+ * and with uses left overall and for the user. The minimum order value is
+ * checked when the quote is priced (see pricingService.quoteTrip). Both
+ * usage limits are enforced again atomically by redeemPromoCode.
+ * @param {string} code - Code as entered
+ * @param {object} context - { trip, user: user id (optional for anonymous quotes), now }
+ * @returns {object} - PromoCode
+ */
+const findPromoCode = async (code, { trip, user, now = new Date() }) => {
+  const promo = await PromoCode.findOne({ code: PromoCode.normalise(code) });
+
+  if (!promo || !promo.isActive) {
+    throw new AppError('Promo code not found', 404);
+  }
+  if (!promo.isValidAt(now)) {
+    throw new AppError(`Code ${promo.code} is not valid at the moment`, 400);
+  }
+  if (promo.scope === 'trip' && !promo.trips.some(id => id.toString() === trip._id.toString())) {
+    throw new AppError(`Code ${promo.code} cannot be used on this trip`, 400);
+  }
+  if (promo.usageLimit && promo.usedCount >= promo.usageLimit) {
+    throw new AppError(`Code ${promo.code} has been fully redeemed`, 400);
+  }
+
+  if (user) {
+    const used = await PromoRedemption.countDocuments({ promoCode: promo._id, user, status: 'active' });
+    if (used >= promo.perUserLimit) {
+      throw new AppError(`You have already used code ${promo.code}`, 400);
+    }
+  }
+
+  return promo;
+};
+
+/**
+ * Take one use of a code. Claimed with a conditional $inc so the global
+ * usage cap holds when several bookings use the last redemption at once.
+ * @param {object} promo - PromoCode
+ */
+const claimPromoUse = async (promo) => {
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      isActive: true,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new AppError(`Code ${promo.code} has been fully redeemed`, 409);
+  }
+};
+
+/**
+ * Give a use back to a code
+ * @param {string} promoId - PromoCode
+ */
+const releasePromoUse = async (promoId) => {
+  await PromoCode.updateOne({ _id: promoId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+/**
+ * Record a code's use by a user. The redemption takes the first of the
+ * user's perUserLimit slots that is free; a unique index on active
+ * redemptions holds each slot to one booking, so two concurrent bookings
+ * can't both take the user's last use.
+ * @param {object} promo - PromoCode (use already claimed)
+ * @param {object} booking - Booking, or { _id, user, trip, organiser } before it is created
+ * @param {object} quote - Quote the booking was priced with
+ * @returns {object} - PromoRedemption
+ */
+const recordRedemption = async (promo, booking, quote) => {
+  const active = await PromoRedemption.find({ promoCode: promo._id, user: booking.user, status: 'active' })
+    .select('userSlot');
+  const taken = new Set(active.map(redemption => redemption.userSlot));
+
+  for (let slot = 1; slot <= (promo.perUserLimit || 1); slot += 1) {
+    if (taken.has(slot)) continue;
+
+    try {
+      return await PromoRedemption.create({
+        promoCode: promo._id,
+        code: promo.code,
+        campaign: promo.campaign,
+        user: booking.user,
+        trip: booking.trip,
+        organiser: booking.organiser,
+        booking: booking._id,
+        userSlot: slot,
+        orderValue: quote.subtotal,
+        discountAmount: quote.discounts.find(discount => discount.type === 'promo')?.amount || 0,
+        totalAmount: quote.total
+      });
+    } catch (error) {
+      // Taken by a concurrent booking - try the next slot
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new AppError(`You have already used code ${promo.code}`, 400);
+};
+
+/**
+ * Redeem a code for a booking about to be created: take one of the code's
+ * uses and one of the user's, and record the redemption. Undo it with
+ * discardRedemption if the booking can't be created.
+ * @param {object} promo - PromoCode
+ * @param {object} booking - { _id: id the booking will get, user, trip, organiser }
+ * @param {object} quote - Quote the booking is priced with
+ * @returns {object} - PromoRedemption
+ */
+const redeemPromoCode = async (promo, booking, quote) => {
+  await claimPromoUse(promo);
+
+  try {
+    return await recordRedemption(promo, booking, quote);
+  } catch (error) {
+    await releasePromoUse(promo._id);
+    throw error;
+  }
+};
+
+/**
+ * Remove a redemption whose booking was never created and give the use back
+ * @param {object} redemption - PromoRedemption
+ */
+const discardRedemption = async (redemption) => {
+  const deleted = await PromoRedemption.findOneAndDelete({ _id: redemption._id, status: 'active' });
+  if (deleted) await releasePromoUse(deleted.promoCode);
+};
+
+/**
+ * Cancel the redemption of a cancelled booking and give the use back to the
+ * code. Claimed with a conditional update so a use is only returned once.
+ * @param {object|string} bookingOrId - Booking or id
+ * @returns {boolean} - Whether a redemption was cancelled
+ */
+const releaseRedemption = async (bookingOrId) => {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { booking: bookingOrId?._id || bookingOrId, status: 'active' },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } }
+  );
+
+  if (!redemption) return false;
+
+  await releasePromoUse(redemption.promoCode);
+  return true;
+};
+
+/**
+ * Redemptions grouped by campaign (codes without a campaign are their own).
+ * Organisers see redemptions on their own trips - their codes and platform ones.
+ * @param {object} filter - { organiser, from, to }
+ * @returns {Array} - [{ campaign, codes, redemptions, cancelled, discountTotal, orderValueTotal, revenue, firstRedeemedAt, lastRedeemedAt }]
+ */
+const getCampaignReport = async ({ organiser, from, to } = {}) => {
+  const match = {};
+
+  if (organiser) match.organiser = new mongoose.Types.ObjectId(organiser);
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const isActive = { $eq: ['$status', 'active'] };
+
+  return PromoRedemption.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: ['$campaign', '$code'] },
+        codes: { $addToSet: '$code' },
+        redemptions: { $sum: { $cond: [isActive, 1, 0] } },
+        cancelled: { $sum: { $cond: [isActive, 0, 1] } },
+        discountTotal: { $sum: { $cond: [isActive, '$discountAmount', 0] } },
+        orderValueTotal: { $sum: { $cond: [isActive, '$orderValue', 0] } },
+        revenue: { $sum: { $cond: [isActive, '$totalAmount', 0] } },
+        firstRedeemedAt: { $min: '$createdAt' },
+        lastRedeemedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { redemptions: -1, _id: 1 } },
+    { $project: { _id: 0, campaign: '$_id', codes: 1, redemptions: 1, cancelled: 1, discountTotal: 1, orderValueTotal: 1, revenue: 1, firstRedeemedAt: 1, lastRedeemedAt: 1 } }
+  ]);
+};
+
+module.exports = {
+  findPromoCode,
+  claimPromoUse,
+  releasePromoUse,
+  recordRedemption,
+  redeemPromoCode,
+  discardRedemption,
+  releaseRedemption,
+  getCampaignReport
+};
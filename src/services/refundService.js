@@ -0,0 +1,277 @@
+const Payment = require('../models/Payment');
+const RefundRequest = require('../models/RefundRequest');
+const { AppError } = require('../middleware/errorHandler');
+const { getGateway } = require('./payments');
+const { MANUAL_PROVIDER, settlePayment, failPayment } = require('./paymentService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Used when a trip has no refundRules of its own
+const DEFAULT_REFUND_RULES = [
+  { daysBeforeTrip: 8, refundPercent: 90 },
+  { daysBeforeTrip: 4, refundPercent: 50 },
+  { daysBeforeTrip: 0, refundPercent: 0 }
+];
+
+/**
+ * Work out how much of a booking's payments the cancellation policy returns
+ * @param {object} trip - Trip document
+ * @param {object} booking - Booking document
+ * @param {object} options - { now: cancellation time, startDate: departure start for recurring trips }
+ * @returns {object} - { amount, refundPercent, daysBeforeTrip, paidAmount }
+ */
+const calculateRefund = (trip, booking, options = {}) => {
+  const now = options.now || new Date();
+  const startDate = options.startDate || trip.startDate;
+  const paidAmount = booking.paidAmount || 0;
+  const daysBeforeTrip = Math.ceil((new Date(startDate) - now) / DAY_MS);
+
+  const rules = trip.cancellationPolicy?.refundRules?.length > 0
+    ? trip.cancellationPolicy.refundRules
+    : DEFAULT_REFUND_RULES;
+
+  // Most generous rule the cancellation still qualifies for
+  const rule = [...rules]
+    .sort((a, b) => b.daysBeforeTrip - a.daysBeforeTrip)
+    .find(r => daysBeforeTrip >= r.daysBeforeTrip);
+
+  const refundPercent = rule ? rule.refundPercent : 0;
+  const amount = Math.round(paidAmount * refundPercent) / 100;
+
+  return { amount, refundPercent, daysBeforeTrip, paidAmount };
+};
+
+/**
+ * Settled charges on a booking with what is still refundable on each
+ * @param {string} bookingId - Booking ID
+ * @returns {Array} - [{ charge, refundable }] newest first
+ */
+const getRefundableCharges = async (bookingId) => {
+  const [charges, refunds] = await Promise.all([
+    Payment.find({ booking: bookingId, type: 'charge', status: 'succeeded' }).sort({ settledAt: -1 }),
+    Payment.find({ booking: bookingId, type: 'refund', status: { $in: ['pending', 'succeeded'] } })
+  ]);
+
+  return charges.map(charge => {
+    const alreadyRefunded = refunds
+      .filter(r => r.refundOf && r.refundOf.toString() === charge._id.toString())
+      .reduce((sum, r) => sum + r.amount, 0);
+    return { charge, refundable: charge.amount - alreadyRefunded };
+  }).filter(c => c.refundable > 0);
+};
+
+/**
+ * Pay out an approved refund through the payment layer.
+ * The amount is split across the booking's settled charges, each refunded
+ * through the provider that took it. Manual charges are refunded offline by
+ * the organiser, so their refund entries settle straight away.
+ * @param {string} refundId - RefundRequest ID
+ * @returns {object} - Updated refund request
+ */
+const executeRefund = async (refundId) => {
+  // Claim the refund so two requests can't pay it out twice
+  const refund = await RefundRequest.findOneAndUpdate(
+    { _id: refundId, status: { $in: ['approved', 'failed'] } },
+    { $set: { status: 'processing', failureReason: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!refund) {
+    throw new AppError('Refund is not ready to be processed', 400);
+  }
+
+  try {
+    // Entries from an earlier failed attempt stay in the ledger but not on the request
+    const previous = await Payment.find({ _id: { $in: refund.payments } }).select('status');
+    refund.payments = previous.filter(p => p.status !== 'failed').map(p => p._id);
+
+    const alreadyPaid = await Payment.aggregate([
+      { $match: { _id: { $in: refund.payments } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    let remaining = refund.amount - (alreadyPaid[0]?.total || 0);
+
+    const charges = await getRefundableCharges(refund.booking);
+    const refundable = charges.reduce((sum, c) => sum + c.refundable, 0);
+    if (remaining > refundable) {
+      throw new AppError(`Only ${refundable} of this booking's payments can still be refunded`, 400);
+    }
+
+    // [{ entry, status, failureReason }] for each ledger entry created below
+    const created = [];
+    for (const { charge, refundable: available } of charges) {
+      if (remaining <= 0) break;
+      const amount = Math.min(available, remaining);
+
+      const entry = await Payment.create({
+        booking: charge.booking,
+        trip: charge.trip,
+        user: charge.user,
+        organiser: charge.organiser,
+        type: 'refund',
+        amount,
+        currency: charge.currency,
+        provider: charge.provider,
+        method: charge.method,
+        refundOf: charge._id,
+        refundRequest: refund._id,
+        note: refund.reason
+      });
+      refund.payments.push(entry._id);
+      remaining -= amount;
+
+      if (charge.provider === MANUAL_PROVIDER) {
+        created.push({ entry, status: 'succeeded' });
+        continue;
+      }
+
+      const result = await getGateway(charge.provider).createRefund({
+        chargeReference: charge.providerReference,
+        amount,
+        currency: charge.currency,
+        metadata: { paymentId: entry._id.toString(), refundRequestId: refund._id.toString() }
+      });
+
+      entry.providerReference = result.providerReference;
+      await entry.save();
+      created.push({ entry, status: result.status, failureReason: result.failureReason });
+    }
+
+    await refund.save();
+
+    // Settle after the request has its ledger entries so completion is detected
+    for (const { entry, status, failureReason } of created) {
+      if (status === 'succeeded') {
+        await settlePayment(entry._id);
+      } else if (status === 'failed') {
+        await failPayment(entry._id, failureReason);
+      }
+    }
+
+    return RefundRequest.syncFromLedger(refund._id);
+  } catch (error) {
+    // Entries the provider never accepted can't settle - close them so a retry starts clean
+    await Payment.updateMany(
+      {
+        _id: { $in: refund.payments },
+        status: 'pending',
+        provider: { $ne: MANUAL_PROVIDER },
+        providerReference: { $exists: false }
+      },
+      { $set: { status: 'failed', failureReason: error.message } }
+    );
+
+    await RefundRequest.updateOne(
+      { _id: refund._id },
+      {
+        $set: {
+          status: 'failed',
+          failureReason: error.message,
+          payments: refund.payments
+        }
+      }
+    );
+    return RefundRequest.findById(refund._id);
+  }
+};
+
+/**
+ * Record a refund request against a booking.
+ * The amount is capped at what has been paid and not already claimed.
+ * @param {object} booking - Booking document
+ * @param {object} options - { amount, reason, source, policy, actor, autoApprove }
+ * @returns {object|null} - Refund request, or null if there is nothing to refund
+ */
+const requestRefund = async (booking, options = {}) => {
+  const { reason, source, policy, actor, autoApprove = false } = options;
+
+  const openAmount = await RefundRequest.getOpenAmount(booking._id);
+  const refundable = Math.max((booking.paidAmount || 0) - openAmount, 0);
+  const amount = Math.min(options.amount !== undefined ? Number(options.amount) : refundable, refundable);
+
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  const refund = await RefundRequest.create({
+    booking: booking._id,
+    trip: booking.trip,
+    user: booking.user,
+    organiser: booking.organiser,
+    amount,
+    reason,
+    source,
+    policy,
+    status: autoApprove ? 'approved' : 'pending_approval',
+    requestedBy: actor?._id,
+    reviewedBy: autoApprove ? actor?._id : undefined,
+    reviewedAt: autoApprove ? new Date() : undefined
+  });
+
+  if (autoApprove) {
+    return executeRefund(refund._id);
+  }
+
+  return refund;
+};
+
+/**
+ * Approve a pending refund and pay it out
+ * @param {object} refund - RefundRequest document
+ * @param {object} options - { actor, amount (optional override), note }
+ * @returns {object} - Updated refund request
+ */
+const approveRefund = async (refund, options = {}) => {
+  const { actor, note } = options;
+
+  if (refund.status !== 'pending_approval') {
+    throw new AppError(`Cannot approve a refund that is ${refund.status}`, 400);
+  }
+
+  if (options.amount !== undefined) {
+    const amount = Number(options.amount);
+    if (!(amount > 0) || amount > refund.amount) {
+      throw new AppError(`Approved amount must be between 0 and ${refund.amount}`, 400);
+    }
+    refund.amount = amount;
+  }
+
+  refund.status = 'approved';
+  refund.reviewedBy = actor?._id;
+  refund.reviewedAt = new Date();
+  refund.reviewNote = note;
+  await refund.save();
+
+  return executeRefund(refund._id);
+};
+
+/**
+ * Reject a pending refund
+ * @param {object} refund - RefundRequest document
+ * @param {object} options - { actor, note }
+ * @returns {object} - Updated refund request
+ */
+const rejectRefund = async (refund, options = {}) => {
+  const { actor, note } = options;
+
+  if (refund.status !== 'pending_approval') {
+    throw new AppError(`Cannot reject a refund that is ${refund.status}`, 400);
+  }
+
+  refund.status = 'rejected';
+  refund.reviewedBy = actor?._id;
+  refund.reviewedAt = new Date();
+  refund.reviewNote = note;
+  await refund.save();
+
+  return refund;
+};
+
+module.exports = {
+  DEFAULT_REFUND_RULES,
+  calculateRefund,
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+  executeRefund
+};
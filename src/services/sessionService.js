@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { AppError } = require('../middleware/errorHandler');
+const { getClientIp } = require('../utils/helpers');
+
+// How long a session survives without being refreshed
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+// lastUsedAt is only written this often to keep authenticated requests cheap
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Short human-readable device name from a user agent, e.g. "Chrome on Android"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - Device description
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [['Edg', 'Edge'], ['OPR', 'Opera'], ['Chrome', 'Chrome'], ['Firefox', 'Firefox'], ['Safari', 'Safari']];
+  const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([token]) => userAgent.includes(token));
+  const system = systems.find(([token]) => userAgent.includes(token));
+
+  if (!browser && !system) return userAgent ? 'Unknown device' : 'API client';
+  return [browser?.[1], system?.[1]].filter(Boolean).join(' on ');
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so a session is found without scanning hashes
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+  return { sessionId, secretHash: hashToken(secret) };
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Start a session for a user who has just authenticated
+ * @param {object} user - User document
+ * @param {object} req - Express request (for device and IP)
+ * @param {object} options - { twoFactorVerified: a 2FA code was checked for this sign-in }
+ * @returns {object} - { session, accessToken, refreshToken }
+ */
+const createSession = async (user, req, options = {}) => {
+  const sessionId = new Session()._id;
+  const { token: refreshToken, hash } = buildRefreshToken(sessionId);
+  const userAgent = req.headers['user-agent'];
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash: hash,
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: getClientIp(req),
+    expiresAt: refreshExpiry(),
+    twoFactorVerifiedAt: options.twoFactorVerified ? new Date() : undefined
+  });
+
+  return {
+    session,
+    accessToken: user.generateAuthToken(session._id),
+    refreshToken
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working; using it again revokes the session.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {object} req - Express request
+ * @returns {object} - { session, accessToken, refreshToken }
+ */
+const refreshSession = async (refreshToken, req) => {
+  const { sessionId, secretHash } = parseRefreshToken(refreshToken);
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+
+  if (!session || !session.isActive) {
+    throw new AppError('Session expired. Please log in again.', 401);
+  }
+
+  if (session.previousTokenHash === secretHash) {
+    await Session.revokeAll(session.user, 'Refresh token reuse detected');
+    throw new AppError('Session expired. Please log in again.', 401);
+  }
+
+  if (session.refreshTokenHash !== secretHash) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive || user.isBanned) {
+    await Session.revokeAll(session.user, 'Account no longer active');
+    throw new AppError('Your account has been deactivated', 401);
+  }
+
+  // Rotate conditionally so two concurrent refreshes can't both succeed
+  const { token: nextToken, hash: nextHash } = buildRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: secretHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: nextHash,
+        previousTokenHash: secretHash,
+        lastUsedAt: new Date(),
+        ip: getClientIp(req),
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  return {
+    session: rotated,
+    accessToken: user.generateAuthToken(rotated._id),
+    refreshToken: nextToken
+  };
+};
+
+/**
+ * Look up the active session an access token belongs to
+ * @param {string} sessionId - Session id from the token
+ * @param {string} userId - User id from the token
+ * @returns {object|null} - Session, or null if revoked/expired
+ */
+const findActiveSession = async (sessionId, userId) => {
+  if (!sessionId) return null;
+
+  const session = await Session.findOne({ _id: sessionId, ...Session.activeFilter(userId) });
+
+  if (session && Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+  }
+
+  return session;
+};
+
+/**
+ * Record a successful 2FA check on a session (step-up for sensitive actions)
+ * @param {string} sessionId - Session ID
+ * @returns {object} - Updated session
+ */
+const markTwoFactorVerified = (sessionId) => Session.findByIdAndUpdate(
+  sessionId,
+  { $set: { twoFactorVerifiedAt: new Date() } },
+  { new: true }
+);
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId - Owner
+ * @param {string} sessionId - Session to revoke
+ * @param {string} reason - Why
+ * @returns {object} - Revoked session
+ */
+const revokeSession = async (userId, sessionId, reason) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  return session;
+};
+
+/**
+ * Revoke every session of a user, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} reason - Why
+ * @param {string} exceptSessionId - Session to keep (e.g. the current one)
+ * @returns {number} - Sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const { modifiedCount } = await Session.revokeAll(userId, reason, exceptSessionId);
+  return modifiedCount;
+};
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  describeDevice,
+  createSession,
+  refreshSession,
+  findActiveSession,
+  markTwoFactorVerified,
+  revokeSession,
+  revokeAllSessions
+};
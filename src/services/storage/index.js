@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { AppError } = require('../../middleware/errorHandler');
+const localStorage = require('./localStorage');
+
+// ============================================
+// FILE STORAGE ADAPTERS
+// ============================================
+// A driver module exports { name, createBucket(bucket) }. Buckets are
+//   private - verification documents; only reachable through signed links
+//   public  - attraction/trip images; served directly
+// Every bucket adapter has the same shape:
+//   name                          - driver id (STORAGE_DRIVER)
+//   put(key, body, { contentType }) -> { key, size }
+//   getStream(key)                -> readable stream; AppError(404) if missing
+//   remove(key)                   - no error if the file is already gone
+//   getPublicUrl(key)             - public bucket only: URL the file is served at
+//   getSignedUrl(key, options)    - optional; drivers that can sign their own
+//                                   links (e.g. S3 presigned URLs) return one,
+//                                   otherwise links go through /api/files/download
+//
+// Keys are relative paths like "verification/<userId>/license-<random>.pdf".
+// To add an S3-compatible driver, implement the module and register it below.
+const drivers = {
+  [localStorage.name]: localStorage
+};
+
+const buckets = new Map();
+
+// Default lifetime of a download link
+const DOWNLOAD_LINK_MINUTES = parseInt(process.env.DOWNLOAD_LINK_MINUTES, 10) || 15;
+
+const getSigningSecret = () => process.env.FILE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (key, expires, filename) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(`${key}\n${expires}\n${filename}`)
+  .digest('hex');
+
+/**
+ * Get a bucket of the configured storage driver (STORAGE_DRIVER, default local)
+ * @param {string} bucket - 'private' (default) or 'public'
+ * @returns {object} - Storage adapter
+ */
+const getStorage = (bucket = 'private') => {
+  const driver = process.env.STORAGE_DRIVER || localStorage.name;
+
+  if (!drivers[driver]) {
+    throw new AppError(`Unknown storage driver '${driver}'`, 500);
+  }
+
+  const cacheKey = `${driver}:${bucket}`;
+  if (!buckets.has(cacheKey)) {
+    buckets.set(cacheKey, drivers[driver].createBucket(bucket));
+  }
+
+  return buckets.get(cacheKey);
+};
+
+/**
+ * Time-limited download link for a stored file
+ * @param {string} key - File key
+ * @param {object} options - { filename, expiresInMinutes }
+ * @returns {object} - { url, expiresAt }
+ */
+const createDownloadUrl = async (key, { filename = '', expiresInMinutes = DOWNLOAD_LINK_MINUTES } = {}) => {
+  const storage = getStorage();
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  if (storage.getSignedUrl) {
+    return { url: await storage.getSignedUrl(key, { filename, expiresAt }), expiresAt };
+  }
+
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  const params = new URLSearchParams({ key, expires, name: filename, signature: sign(key, expires, filename) });
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+  return { url: `${baseUrl}/api/files/download?${params}`, expiresAt };
+};
+
+/**
+ * Check a download link's signature and expiry
+ * @param {object} query - { key, expires, name, signature } from the link
+ * @returns {object} - { key, filename }
+ */
+const verifyDownloadUrl = ({ key, expires, name = '', signature } = {}) => {
+  if (!key || !expires || !signature) {
+    throw new AppError('Invalid download link', 400);
+  }
+
+  const expected = Buffer.from(sign(key, expires, name), 'hex');
+  const given = Buffer.from(String(signature), 'hex');
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new AppError('Invalid download link', 403);
+  }
+
+  if (Number(expires) * 1000 < Date.now()) {
+    throw new AppError('Download link has expired', 410);
+  }
+
+  return { key, filename: name };
+};
+
+module.exports = {
+  DOWNLOAD_LINK_MINUTES,
+  getStorage,
+  createDownloadUrl,
+  verifyDownloadUrl
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { AppError } = require('../../middleware/errorHandler');
+
+// ============================================
+// LOCAL DISK STORAGE
+// ============================================
+// private bucket: STORAGE_LOCAL_DIR (default storage/private), outside public/
+//   and never served statically - only reachable through signed download links.
+// public bucket: STORAGE_PUBLIC_DIR (default public/uploads), served by
+//   express.static at /uploads.
+
+const BUCKET_ROOTS = {
+  private: () => process.env.STORAGE_LOCAL_DIR || path.join('storage', 'private'),
+  public: () => process.env.STORAGE_PUBLIC_DIR || path.join('public', 'uploads')
+};
+
+const getBaseUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+/**
+ * Storage adapter for one bucket on local disk
+ * @param {string} bucket - 'private' or 'public'
+ * @returns {object} - Storage adapter
+ */
+const createBucket = (bucket) => {
+  if (!BUCKET_ROOTS[bucket]) {
+    throw new AppError(`Unknown storage bucket '${bucket}'`, 500);
+  }
+
+  const getRoot = () => path.resolve(BUCKET_ROOTS[bucket]());
+
+  // Keys are relative paths; refuse anything that would escape the root
+  const resolveKey = (key) => {
+    const root = getRoot();
+    const fullPath = path.resolve(root, key);
+
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new AppError('Invalid file key', 400);
+    }
+
+    return fullPath;
+  };
+
+  /**
+   * Store a file
+   * @param {string} key - Relative key, e.g. "verification/<userId>/license-ab12.pdf"
+   * @param {Buffer} body - File contents
+   * @returns {object} - { key, size }
+   */
+  const put = async (key, body) => {
+    const fullPath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, body, { mode: bucket === 'public' ? 0o644 : 0o600 });
+    return { key, size: body.length };
+  };
+
+  /**
+   * Read a file as a stream
+   * @param {string} key - File key
+   * @returns {stream.Readable}
+   */
+  const getStream = async (key) => {
+    const fullPath = resolveKey(key);
+
+    try {
+      await fs.promises.access(fullPath);
+    } catch (error) {
+      throw new AppError('File not found', 404);
+    }
+
+    return fs.createReadStream(fullPath);
+  };
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {string} key - File key
+   */
+  const remove = async (key) => {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  };
+
+  const adapter = { name: 'local', bucket, put, getStream, remove };
+
+  if (bucket === 'public') {
+    adapter.getPublicUrl = (key) => `${getBaseUrl()}/uploads/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  return adapter;
+};
+
+module.exports = {
+  name: 'local',
+  createBucket
+};
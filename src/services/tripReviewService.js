@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const { AppError } = require('../middleware/errorHandler');
+const { storeImages, toImageFields, attachAssets, deleteAsset } = require('./imageService');
+
+/**
+ * Store an organiser's averageRating/totalReviews from the reviews on all of
+ * their trips (each review counts once, whichever trip it is on)
+ * @param {string} organiserId - Organiser
+ * @returns {object} - { averageRating, totalReviews }
+ */
+const rollUpOrganiserRating = async (organiserId) => {
+  const [summary] = await Trip.aggregate([
+    { $match: { organiser: new mongoose.Types.ObjectId(organiserId) } },
+    { $unwind: '$reviews' },
+    { $group: { _id: null, average: { $avg: '$reviews.rating' }, total: { $sum: 1 } } }
+  ]);
+
+  const rating = {
+    averageRating: summary ? parseFloat(summary.average.toFixed(1)) : 0,
+    totalReviews: summary ? summary.total : 0
+  };
+
+  await User.updateOne(
+    { _id: organiserId, role: 'organiser' },
+    {
+      $set: {
+        'organiserProfile.averageRating': rating.averageRating,
+        'organiserProfile.totalReviews': rating.totalReviews
+      }
+    }
+  );
+
+  return rating;
+};
+
+/**
+ * Add a traveller's review to a trip. Only users with a completed booking on
+ * the trip can review it (so every review is verified), once per trip.
+ * Uploaded photos are stored as MediaAssets of the trip.
+ * @param {object} trip - Trip (document)
+ * @param {object} user - Reviewing user
+ * @param {object} input - { rating, title, comment, captions }
+ * @param {Array} files - Multer photo uploads
+ * @returns {object} - The new review
+ */
+const addTripReview = async (trip, user, { rating, title, comment, captions }, files = []) => {
+  const score = parseInt(rating, 10);
+  if (!score || score < 1 || score > 5) {
+    throw new AppError('Please provide a rating between 1 and 5', 400);
+  }
+
+  const booking = await Booking.findOne({ trip: trip._id, user: user._id, bookingStatus: 'completed' })
+    .sort({ completedAt: -1 })
+    .select('_id');
+  if (!booking) {
+    throw new AppError('Only travellers who completed this trip can review it', 403);
+  }
+
+  if (trip.reviews.some(review => review.user?.toString() === user._id.toString())) {
+    throw new AppError('You have already reviewed this trip', 400);
+  }
+
+  const assets = await storeImages(files, { ownerType: 'Trip', owner: trip._id, uploadedBy: user._id });
+  const captionList = [].concat(captions || []);
+
+  let saved = false;
+  try {
+    trip.reviews.push({
+      user: user._id,
+      booking: booking._id,
+      rating: score,
+      title,
+      comment,
+      photos: assets.map((asset, index) => ({ ...toImageFields(asset), caption: captionList[index] })),
+      isVerified: true
+    });
+    trip.calculateRatings();
+    await trip.save();
+    saved = true;
+  } finally {
+    if (!saved) await Promise.all(assets.map(deleteAsset));
+  }
+
+  await attachAssets(assets);
+  await rollUpOrganiserRating(trip.organiser);
+
+  return trip.reviews[trip.reviews.length - 1];
+};
+
+module.exports = {
+  rollUpOrganiserRating,
+  addTripReview
+};
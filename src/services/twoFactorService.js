@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpAuthUrl,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+
+const BACKUP_CODE_COUNT = 10;
+// How long the login challenge token is valid
+const CHALLENGE_MINUTES = 5;
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+// Backup codes are shown as xxxx-xxxx and compared without the dash
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(4).toString('hex');
+  return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+});
+
+/**
+ * Whether the security policy makes 2FA mandatory for a user's role
+ * @param {object} user - User document
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = async (user) => {
+  const policy = await SecurityPolicy.getPolicy();
+  return policy.twoFactor.requiredRoles.includes(user.role);
+};
+
+/**
+ * Short-lived token proving the password step of a 2FA login passed
+ * @param {object} user - User document
+ * @returns {string} - Challenge token
+ */
+const createChallenge = (user) => jwt.sign(
+  { id: user._id, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: `${CHALLENGE_MINUTES}m` }
+);
+
+/**
+ * Read a challenge token
+ * @param {string} token - Challenge token
+ * @returns {string} - User ID
+ */
+const readChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== CHALLENGE_PURPOSE) throw new Error('Wrong token purpose');
+    return decoded.id;
+  } catch (error) {
+    throw new AppError('Login challenge expired. Please log in again.', 401);
+  }
+};
+
+/**
+ * Check a TOTP code or a backup code for a user with 2FA enabled.
+ * Accepted TOTP steps and used backup codes can't be used again.
+ * @param {string} userId - User ID
+ * @param {object} input - { code } or { backupCode }
+ * @returns {object} - { method: 'totp'|'backup_code', backupCodesRemaining }
+ */
+const checkSecondFactor = async (userId, { code, backupCode } = {}) => {
+  const user = await User.findById(userId)
+    .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+  if (!user || !user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } },
+      { new: true }
+    ).select('+twoFactor.backupCodes');
+
+    if (!updated) {
+      throw new AppError('Invalid backup code', 401);
+    }
+    return { method: 'backup_code', backupCodesRemaining: updated.twoFactor.backupCodes.length };
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+  if (step === null) {
+    throw new AppError('Invalid authentication code', 401);
+  }
+
+  // Record the step only if it's newer than the last one used
+  const accepted = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  if (accepted.modifiedCount === 0) {
+    throw new AppError('This code has already been used. Wait for the next one.', 401);
+  }
+
+  return { method: 'totp', backupCodesRemaining: user.twoFactor.backupCodes.length };
+};
+
+/**
+ * Start enrolment: create a secret the user adds to their authenticator app
+ * @param {string} userId - User ID
+ * @returns {object} - { secret, otpauthUrl, qrCode (data URL) }
+ */
+const startEnrolment = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = generateSecret();
+  user.set('twoFactor.pendingSecret', encryptSecret(secret));
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUrl = buildOtpAuthUrl(secret, user.email);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+/**
+ * Finish enrolment with the first code from the app
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {string[]} - Backup codes, shown to the user once
+ */
+const confirmEnrolment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+
+  const backupCodes = generateBackupCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.backupCodes': backupCodes.map(hashBackupCode),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    }
+  );
+
+  return backupCodes;
+};
+
+/**
+ * Turn 2FA off after re-checking the password and a second factor
+ * @param {object} user - User document
+ * @param {object} input - { password, code | backupCode }
+ */
+const disableTwoFactor = async (user, { password, code, backupCode } = {}) => {
+  if (await isTwoFactorRequired(user)) {
+    throw new AppError('Two-factor authentication is required for your role and cannot be turned off', 400);
+  }
+
+  const withPassword = await User.findById(user._id).select('+password');
+  if (!password || !(await withPassword.comparePassword(password))) {
+    throw new AppError('Password is incorrect', 401);
+  }
+
+  await checkSecondFactor(user._id, { code, backupCode });
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.backupCodes': '',
+        'twoFactor.lastUsedStep': '',
+        'twoFactor.enabledAt': ''
+      }
+    }
+  );
+};
+
+/**
+ * Replace all backup codes after checking a TOTP code
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {string[]} - New backup codes
+ */
+const regenerateBackupCodes = async (userId, code) => {
+  await checkSecondFactor(userId, { code });
+
+  const backupCodes = generateBackupCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.backupCodes': backupCodes.map(hashBackupCode) } }
+  );
+
+  return backupCodes;
+};
+
+module.exports = {
+  BACKUP_CODE_COUNT,
+  isTwoFactorRequired,
+  createChallenge,
+  readChallenge,
+  checkSecondFactor,
+  startEnrolment,
+  confirmEnrolment,
+  disableTwoFactor,
+  regenerateBackupCodes
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { getStorage, createDownloadUrl } = require('./storage');
+
+// Documents each role can upload, and the profile they belong to
+const DOCUMENT_KINDS = {
+  guide: {
+    profile: 'guideProfile',
+    types: ['idProof', 'license', 'certificate', 'photo']
+  },
+  organiser: {
+    profile: 'organiserProfile',
+    types: ['registrationCertificate', 'gstCertificate', 'panCard', 'bankDetails']
+  }
+};
+
+const getKind = (user, type) => {
+  const kind = DOCUMENT_KINDS[user.role];
+
+  if (!kind) {
+    throw new AppError('Only guides and organisers have verification documents', 400);
+  }
+  if (type && !kind.types.includes(type)) {
+    throw new AppError(`Unknown document type '${type}'. Use one of: ${kind.types.join(', ')}`, 400);
+  }
+
+  return kind;
+};
+
+/**
+ * Documents of a guide/organiser, each with a short-lived download link
+ * @param {object} user - Guide or organiser
+ * @returns {object} - { [type]: { ...document, downloadUrl, downloadUrlExpiresAt } }
+ */
+const listDocuments = async (user) => {
+  const kind = getKind(user);
+  const documents = user[kind.profile]?.documents || {};
+
+  const entries = await Promise.all(kind.types.map(async (type) => {
+    const document = documents[type];
+    if (!document?.key && !document?.url) return [type, null];
+
+    const data = typeof document.toObject === 'function' ? document.toObject() : { ...document };
+    if (!data.key) return [type, { ...data, downloadUrl: data.url }];
+
+    const { url, expiresAt } = await createDownloadUrl(data.key, {
+      filename: `${type}.${data.key.split('.').pop()}`
+    });
+    return [type, { ...data, downloadUrl: url, downloadUrlExpiresAt: expiresAt }];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Store an uploaded verification document, replacing any earlier one
+ * @param {object} user - Guide or organiser (document)
+ * @param {string} type - Document type, e.g. 'license'
+ * @param {object} file - Multer file (buffer, mimetype, originalname, size, extension)
+ * @returns {object} - Saved document entry
+ */
+const uploadDocument = async (user, type, file) => {
+  const kind = getKind(user, type);
+  const profile = user[kind.profile];
+
+  if (profile?.verificationStatus === 'under_review') {
+    throw new AppError('Documents cannot be changed while your profile is under review', 400);
+  }
+
+  const key = `verification/${user._id}/${type}-${crypto.randomBytes(8).toString('hex')}.${file.extension}`;
+  const storage = getStorage();
+  await storage.put(key, file.buffer, { contentType: file.mimetype });
+
+  const previousKey = profile?.documents?.[type]?.key;
+
+  user.set(`${kind.profile}.documents.${type}`, {
+    key,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedAt: new Date(),
+    status: 'pending',
+    verified: false
+  });
+
+  try {
+    await user.save({ validateBeforeSave: false });
+  } catch (error) {
+    await storage.remove(key);
+    throw error;
+  }
+
+  if (previousKey) {
+    storage.remove(previousKey).catch(err => console.error(`❌ Could not delete replaced document ${previousKey}: ${err.message}`));
+  }
+
+  return user[kind.profile].documents[type];
+};
+
+/**
+ * Delete a verification document
+ * @param {object} user - Guide or organiser (document)
+ * @param {string} type - Document type
+ */
+const removeDocument = async (user, type) => {
+  const kind = getKind(user, type);
+  const profile = user[kind.profile];
+  const document = profile?.documents?.[type];
+
+  if (!document?.key && !document?.url) {
+    throw new AppError('Document not found', 404);
+  }
+  if (profile.verificationStatus === 'under_review') {
+    throw new AppError('Documents cannot be changed while your profile is under review', 400);
+  }
+
+  user.set(`${kind.profile}.documents.${type}`, undefined);
+  await user.save({ validateBeforeSave: false });
+
+  if (document.key) {
+    await getStorage().remove(document.key);
+  }
+};
+
+/**
+ * Record a reviewer's decision on one document
+ * @param {string} userId - Guide or organiser
+ * @param {string} type - Document type
+ * @param {object} decision - { status: 'verified'|'rejected', rejectionReason }
+ * @param {string} reviewerId - Admin
+ * @returns {object} - Updated document entry
+ */
+const reviewDocument = async (userId, type, { status, rejectionReason }, reviewerId) => {
+  if (!['verified', 'rejected'].includes(status)) {
+    throw new AppError('Status must be "verified" or "rejected"', 400);
+  }
+  if (status === 'rejected' && !rejectionReason) {
+    throw new AppError('A reason is required when rejecting a document', 400);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const kind = getKind(user, type);
+  const path = `${kind.profile}.documents.${type}`;
+
+  if (!user.get(`${path}.key`) && !user.get(`${path}.url`)) {
+    throw new AppError('Document not found', 404);
+  }
+
+  user.set(`${path}.status`, status);
+  user.set(`${path}.verified`, status === 'verified');
+  user.set(`${path}.reviewedBy`, reviewerId);
+  user.set(`${path}.reviewedAt`, new Date());
+  user.set(`${path}.rejectionReason`, status === 'rejected' ? rejectionReason : undefined);
+  await user.save({ validateBeforeSave: false });
+
+  return user.get(path);
+};
+
+module.exports = {
+  DOCUMENT_KINDS,
+  listDocuments,
+  uploadDocument,
+  removeDocument,
+  reviewDocument
+};
@@ -0,0 +1,340 @@
+const User = require('../models/User');
+const VerificationReview = require('../models/VerificationReview');
+const { AppError } = require('../middleware/errorHandler');
+const { notify } = require('./notifications');
+const documentService = require('./verificationDocumentService');
+
+// Documents that have to be uploaded before submitting, and verified before approval
+const REQUIRED_DOCUMENTS = {
+  guide: ['idProof', 'license'],
+  organiser: ['registrationCertificate', 'panCard']
+};
+
+const profileKey = (role) => documentService.DOCUMENT_KINDS[role].profile;
+
+// Keep the profile's status fields in step with the review
+const setProfileStatus = (user, status, { by, reason } = {}) => {
+  const key = profileKey(user.role);
+
+  user.set(`${key}.verificationStatus`, status);
+  user.set(`${key}.isVerified`, status === 'verified');
+
+  if (status === 'verified') {
+    user.set(`${key}.verifiedAt`, new Date());
+    user.set(`${key}.verifiedBy`, by);
+    user.set(`${key}.rejectionReason`, undefined);
+  } else if (status === 'rejected') {
+    user.set(`${key}.rejectionReason`, reason);
+  } else if (status === 'under_review') {
+    user.set(`${key}.rejectionReason`, undefined);
+  }
+};
+
+// Checklist entries from the applicant's current documents
+const buildChecklist = (user) => {
+  const { profile, types } = documentService.DOCUMENT_KINDS[user.role];
+  const required = REQUIRED_DOCUMENTS[user.role];
+
+  return types
+    .filter(type => required.includes(type) || user.get(`${profile}.documents.${type}.key`) || user.get(`${profile}.documents.${type}.url`))
+    .map(type => {
+      const document = user.get(`${profile}.documents.${type}`) || {};
+      return {
+        document: type,
+        required: required.includes(type),
+        status: document.status || 'pending',
+        comment: document.rejectionReason,
+        checkedBy: document.reviewedBy,
+        checkedAt: document.reviewedAt
+      };
+    });
+};
+
+/**
+ * Submit (or re-submit) a guide/organiser profile for review. Answers an
+ * open "more info" request, or starts a new review after a rejection.
+ * @param {object} user - Applicant (document)
+ * @param {object} options - { comment }
+ * @returns {object} - VerificationReview
+ */
+const submitForReview = async (user, { comment } = {}) => {
+  const key = profileKey(user.role);
+  const status = user.get(`${key}.verificationStatus`);
+
+  if (status === 'verified') {
+    throw new AppError('Your profile is already verified', 400);
+  }
+  if (status === 'under_review') {
+    throw new AppError('Your profile is already under review', 400);
+  }
+
+  const missing = REQUIRED_DOCUMENTS[user.role]
+    .filter(type => !user.get(`${key}.documents.${type}.key`) && !user.get(`${key}.documents.${type}.url`));
+  if (missing.length) {
+    throw new AppError(`Please upload these documents first: ${missing.join(', ')}`, 400);
+  }
+
+  let review = await VerificationReview.findOne({ applicant: user._id, isOpen: true });
+
+  if (review) {
+    review.status = 'under_review';
+    review.log('info_provided', { by: user._id, byRole: user.role, comment });
+  } else {
+    const previous = await VerificationReview.countDocuments({ applicant: user._id });
+    review = new VerificationReview({
+      applicant: user._id,
+      applicantRole: user.role,
+      submission: previous + 1
+    });
+    review.log(previous ? 'resubmitted' : 'submitted', { by: user._id, byRole: user.role, comment });
+  }
+  review.checklist = buildChecklist(user);
+
+  await review.save();
+
+  setProfileStatus(user, 'under_review');
+  await user.save({ validateBeforeSave: false });
+
+  return review;
+};
+
+/**
+ * Open review of an applicant. Profiles that were put under review before
+ * reviews existed get one created on first access.
+ * @param {object} user - Applicant (document)
+ * @returns {object|null} - VerificationReview
+ */
+const findOpenReview = async (user) => {
+  const review = await VerificationReview.findOne({ applicant: user._id, isOpen: true });
+  if (review || !documentService.DOCUMENT_KINDS[user.role]) return review;
+
+  if (user.get(`${profileKey(user.role)}.verificationStatus`) !== 'under_review') return null;
+
+  const legacy = new VerificationReview({
+    applicant: user._id,
+    applicantRole: user.role,
+    submission: await VerificationReview.countDocuments({ applicant: user._id }) + 1,
+    checklist: buildChecklist(user)
+  });
+  legacy.log('submitted', { by: user._id, byRole: user.role });
+  return legacy.save();
+};
+
+const assertOpen = (review) => {
+  if (!review.isOpen) {
+    throw new AppError(`This review is already closed (${review.status})`, 400);
+  }
+};
+
+/**
+ * Assign a review to a reviewer, or unassign it
+ * @param {object} review - VerificationReview
+ * @param {string|null} reviewerId - Admin to assign, null to unassign
+ * @param {object} actor - Admin making the change
+ * @returns {object} - VerificationReview
+ */
+const assignReview = async (review, reviewerId, actor) => {
+  assertOpen(review);
+
+  if (reviewerId) {
+    const reviewer = await User.exists({ _id: reviewerId, role: 'admin', isActive: true });
+    if (!reviewer) {
+      throw new AppError('Reviewer must be an active admin', 400);
+    }
+    review.assignedTo = reviewerId;
+    review.assignedAt = new Date();
+    review.log('assigned', { by: actor._id, byRole: actor.role });
+  } else {
+    review.assignedTo = undefined;
+    review.assignedAt = undefined;
+    review.log('unassigned', { by: actor._id, byRole: actor.role });
+  }
+
+  return review.save();
+};
+
+/**
+ * Record a decision on one document, on the profile and on the open review's checklist
+ * @param {string} userId - Applicant
+ * @param {string} type - Document type
+ * @param {object} decision - { status: 'verified'|'rejected', rejectionReason }
+ * @param {object} actor - Admin
+ * @returns {object} - { document, review }
+ */
+const reviewDocument = async (userId, type, { status, rejectionReason }, actor) => {
+  const document = await documentService.reviewDocument(userId, type, { status, rejectionReason }, actor._id);
+
+  const review = await VerificationReview.findOne({ applicant: userId, isOpen: true });
+  if (review) {
+    let item = review.checklist.find(entry => entry.document === type);
+    if (!item) {
+      review.checklist.push({ document: type });
+      item = review.checklist[review.checklist.length - 1];
+    }
+    item.status = status;
+    item.comment = status === 'rejected' ? rejectionReason : undefined;
+    item.checkedBy = actor._id;
+    item.checkedAt = new Date();
+
+    review.log('document_reviewed', {
+      by: actor._id,
+      byRole: actor.role,
+      comment: status === 'rejected' ? `${type} rejected: ${rejectionReason}` : `${type} verified`,
+      documents: [type]
+    });
+    await review.save();
+  }
+
+  return { document, review };
+};
+
+/**
+ * Send a review back to the applicant for more information
+ * @param {object} review - VerificationReview (under_review)
+ * @param {object} request - { message, documents: [types to re-upload] }
+ * @param {object} actor - Admin
+ * @returns {object} - VerificationReview
+ */
+const requestMoreInfo = async (review, { message, documents = [] }, actor) => {
+  if (review.status !== 'under_review') {
+    throw new AppError('Only reviews that are under review can be sent back for more information', 400);
+  }
+  if (!message) {
+    throw new AppError('Please describe what information is needed', 400);
+  }
+
+  const applicant = await User.findById(review.applicant);
+  if (!applicant) {
+    throw new AppError('Applicant not found', 404);
+  }
+
+  const { types } = documentService.DOCUMENT_KINDS[review.applicantRole];
+  const unknown = documents.filter(type => !types.includes(type));
+  if (unknown.length) {
+    throw new AppError(`Unknown document type(s): ${unknown.join(', ')}`, 400);
+  }
+
+  review.status = 'info_requested';
+  review.log('info_requested', { by: actor._id, byRole: actor.role, comment: message, documents });
+  await review.save();
+
+  setProfileStatus(applicant, 'info_requested');
+  await applicant.save({ validateBeforeSave: false });
+
+  notify(applicant, 'verification_info_requested', {
+    role: review.applicantRole,
+    message,
+    documents
+  });
+
+  return review;
+};
+
+/**
+ * Approve or reject a review. Approval needs every required document verified
+ * and none rejected.
+ * @param {object} review - VerificationReview (open)
+ * @param {object} decision - { decision: 'verified'|'rejected', reason }
+ * @param {object} actor - Admin
+ * @returns {object} - { review, applicant }
+ */
+const decideReview = async (review, { decision, reason }, actor) => {
+  assertOpen(review);
+
+  if (!['verified', 'rejected'].includes(decision)) {
+    throw new AppError('Decision must be "verified" or "rejected"', 400);
+  }
+
+  const applicant = await User.findById(review.applicant);
+  if (!applicant) {
+    throw new AppError('Applicant not found', 404);
+  }
+
+  if (decision === 'verified') {
+    if (review.status !== 'under_review') {
+      throw new AppError('The applicant has not answered the request for more information yet', 400);
+    }
+
+    const required = REQUIRED_DOCUMENTS[review.applicantRole];
+    const unverified = required.filter(type => review.checklist.find(item => item.document === type)?.status !== 'verified');
+    const rejected = review.checklist.filter(item => item.status === 'rejected').map(item => item.document);
+
+    if (unverified.length || rejected.length) {
+      throw new AppError(
+        `All required documents must be verified and none rejected before approval (pending: ${unverified.join(', ') || 'none'}; rejected: ${rejected.join(', ') || 'none'})`,
+        400
+      );
+    }
+  } else if (!reason) {
+    throw new AppError('A reason is required when rejecting', 400);
+  }
+
+  review.status = decision;
+  review.decidedBy = actor._id;
+  review.decidedAt = new Date();
+  review.decisionReason = reason;
+  review.log(decision, { by: actor._id, byRole: actor.role, comment: reason });
+  await review.save();
+
+  setProfileStatus(applicant, decision, { by: actor._id, reason });
+  await applicant.save({ validateBeforeSave: false });
+
+  notify(applicant, decision === 'verified' ? 'verification_approved' : 'verification_rejected', {
+    role: review.applicantRole,
+    reason
+  });
+
+  return { review, applicant };
+};
+
+/**
+ * What an applicant sees of their verification: status, checklist and the
+ * review history with reviewer comments (reviewer identities are left out)
+ * @param {object} user - Applicant (document)
+ * @returns {object}
+ */
+const getApplicantView = async (user) => {
+  const key = profileKey(user.role);
+  const reviews = await VerificationReview.find({ applicant: user._id })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const status = user.get(`${key}.verificationStatus`);
+
+  return {
+    verificationStatus: status,
+    isVerified: status === 'verified',
+    rejectionReason: user.get(`${key}.rejectionReason`),
+    requiredDocuments: REQUIRED_DOCUMENTS[user.role],
+    canSubmit: ['pending', 'info_requested', 'rejected'].includes(status),
+    reviews: reviews.map(review => ({
+      _id: review._id,
+      submission: review.submission,
+      status: review.status,
+      submittedAt: review.createdAt,
+      decidedAt: review.decidedAt,
+      decisionReason: review.decisionReason,
+      checklist: review.checklist.map(({ document, required, status: itemStatus, comment }) => ({
+        document, required, status: itemStatus, comment
+      })),
+      history: review.history.map(({ action, byRole, comment, documents, at }) => ({
+        action,
+        by: byRole === 'admin' ? 'reviewer' : 'you',
+        comment,
+        documents,
+        at
+      }))
+    }))
+  };
+};
+
+module.exports = {
+  REQUIRED_DOCUMENTS,
+  submitForReview,
+  findOpenReview,
+  assignReview,
+  reviewDocument,
+  requestMoreInfo,
+  decideReview,
+  getApplicantView
+};
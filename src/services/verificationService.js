@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { notify } = require('./notifications');
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS, 10) || 24;
+// How long an SMS code stays valid
+const OTP_EXPIRY_MINUTES = parseInt(process.env.OTP_EXPIRY_MINUTES, 10) || 10;
+// Wrong guesses allowed per code before a new one has to be requested
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+// Minimum wait between two links/codes to the same user
+const VERIFICATION_RESEND_SECONDS = parseInt(process.env.VERIFICATION_RESEND_SECONDS, 10) || 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Refuse to send another link/code too soon after the last one
+ * @param {Date} sentAt - When the last one was sent
+ */
+const assertCanResend = (sentAt) => {
+  if (!sentAt) return;
+
+  const waitSeconds = Math.ceil((new Date(sentAt).getTime() + VERIFICATION_RESEND_SECONDS * 1000 - Date.now()) / 1000);
+  if (waitSeconds > 0) {
+    throw new AppError(`Please wait ${waitSeconds} seconds before requesting another code`, 429);
+  }
+};
+
+// Treat a delivery that didn't go out as an error so the user can retry
+const assertDelivered = (result, channel) => {
+  const delivery = result?.deliveries.find(d => d.channel === channel);
+  if (!delivery || delivery.status !== 'sent') {
+    throw new AppError(`Could not send the verification ${channel === 'sms' ? 'code' : 'email'}. Please try again later.`, 502);
+  }
+};
+
+/**
+ * Email a verification link to a user
+ * @param {string} userId - User ID
+ * @returns {object} - { token, verifyUrl } (for development responses only)
+ */
+const sendEmailVerification = async (userId) => {
+  const user = await User.findById(userId).select('+emailVerificationSentAt');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  if (user.isEmailVerified) {
+    throw new AppError('Email is already verified', 400);
+  }
+
+  assertCanResend(user.emailVerificationSentAt);
+
+  const token = user.generateEmailVerificationToken(EMAIL_VERIFICATION_HOURS * 60);
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${token}`;
+  const result = await notify(user, 'email_verification', {
+    verifyUrl,
+    expiresInHours: EMAIL_VERIFICATION_HOURS
+  });
+  assertDelivered(result, 'email');
+
+  return { token, verifyUrl };
+};
+
+/**
+ * Confirm an email verification link
+ * @param {string} token - Token from the link
+ * @returns {object} - Verified user
+ */
+const confirmEmailVerification = async (token) => {
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpire: { $gt: new Date() }
+    },
+    {
+      $set: { isEmailVerified: true },
+      $unset: { emailVerificationToken: '', emailVerificationExpire: '', emailVerificationSentAt: '' }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new AppError('Invalid or expired verification link', 400);
+  }
+
+  return user;
+};
+
+/**
+ * Text a one-time code to the user's phone
+ * @param {string} userId - User ID
+ * @returns {object} - { otp } (for development responses only)
+ */
+const sendPhoneOTP = async (userId) => {
+  const user = await User.findById(userId).select('+phoneVerificationSentAt');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  if (user.isPhoneVerified) {
+    throw new AppError('Phone number is already verified', 400);
+  }
+
+  assertCanResend(user.phoneVerificationSentAt);
+
+  const otp = user.generateOTP(OTP_EXPIRY_MINUTES);
+  await user.save({ validateBeforeSave: false });
+
+  const result = await notify(user, 'phone_otp', {
+    otp,
+    expiresInMinutes: OTP_EXPIRY_MINUTES
+  });
+  assertDelivered(result, 'sms');
+
+  return { otp };
+};
+
+/**
+ * Check a one-time code. Each guess uses up an attempt; once they run out
+ * the code is discarded and a new one has to be requested.
+ * @param {string} userId - User ID
+ * @param {string} otp - Code entered by the user
+ * @returns {object} - Verified user
+ */
+const confirmPhoneOTP = async (userId, otp) => {
+  // Count the attempt before checking it so parallel guesses can't exceed the limit
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      phoneVerificationOTP: { $exists: true },
+      phoneVerificationAttempts: { $lt: OTP_MAX_ATTEMPTS }
+    },
+    { $inc: { phoneVerificationAttempts: 1 } },
+    { new: true }
+  ).select('+phoneVerificationOTP +phoneVerificationExpire +phoneVerificationAttempts');
+
+  if (!user) {
+    throw new AppError('No active verification code. Please request a new one.', 400);
+  }
+
+  if (!user.phoneVerificationExpire || user.phoneVerificationExpire < new Date()) {
+    throw new AppError('Verification code has expired. Please request a new one.', 400);
+  }
+
+  if (!user.compareOTP(otp)) {
+    const remaining = OTP_MAX_ATTEMPTS - user.phoneVerificationAttempts;
+
+    if (remaining <= 0) {
+      await User.updateOne(
+        { _id: user._id },
+        { $unset: { phoneVerificationOTP: '', phoneVerificationExpire: '' } }
+      );
+      throw new AppError('Too many incorrect attempts. Please request a new code.', 429);
+    }
+
+    throw new AppError(`Incorrect verification code. ${remaining} attempt(s) left.`, 400);
+  }
+
+  return User.findByIdAndUpdate(
+    user._id,
+    {
+      $set: { isPhoneVerified: true, phoneVerificationAttempts: 0 },
+      $unset: { phoneVerificationOTP: '', phoneVerificationExpire: '', phoneVerificationSentAt: '' }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_HOURS,
+  OTP_EXPIRY_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  VERIFICATION_RESEND_SECONDS,
+  sendEmailVerification,
+  confirmEmailVerification,
+  sendPhoneOTP,
+  confirmPhoneOTP
+};
@@ -0,0 +1,368 @@
+const Trip = require('../models/Trip');
+const Departure = require('../models/Departure');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { AppError } = require('../middleware/errorHandler');
+const { reserveSeats, releaseSeats, releaseExpiredHolds } = require('./bookingService');
+const { notify } = require('./notifications');
+
+// How long a waitlisted tourist has to claim offered seats before they pass on
+const WAITLIST_OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS, 10) || 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The trip, or departure of a recurring trip, a waitlist is for
+const findRun = (tripId, departureId) => (departureId
+  ? Departure.findOne({ _id: departureId, trip: tripId })
+  : Trip.findById(tripId));
+
+// Can seats on the run still be booked?
+const isRunOpen = (trip, run, now) => trip.isActive &&
+  ['published', 'full'].includes(run.status) &&
+  run.startDate > now;
+
+/**
+ * Put a tourist on the waitlist of a trip (or one of its departures).
+ * Only when the party does not fit in the seats left - otherwise they
+ * should simply book.
+ * @param {object} trip - Trip document
+ * @param {object} user - Tourist
+ * @param {object} request - { numberOfPeople, departure: departure document, notes }
+ * @returns {object} - WaitlistEntry
+ */
+const joinWaitlist = async (trip, user, { numberOfPeople, departure, notes }) => {
+  const now = new Date();
+  const seats = parseInt(numberOfPeople, 10);
+
+  if (!Number.isInteger(seats) || seats < 1) {
+    throw new AppError('Number of people is required', 400);
+  }
+  if (trip.isRecurring && !departure) {
+    throw new AppError('Please choose a departure date for this trip', 400);
+  }
+
+  const run = departure || trip;
+  if (!isRunOpen(trip, run, now)) {
+    throw new AppError('This trip is no longer taking bookings', 400);
+  }
+  if (seats > run.capacity.maxPeople) {
+    throw new AppError(`This trip takes at most ${run.capacity.maxPeople} people`, 400);
+  }
+  if (run.status === 'published' && run.capacity.maxPeople - run.capacity.currentBookings >= seats) {
+    throw new AppError('Seats are available - please book the trip instead', 400);
+  }
+
+  const existing = await WaitlistEntry.exists({
+    trip: trip._id,
+    departure: departure?._id || null,
+    user: user._id,
+    status: { $in: WaitlistEntry.OPEN_STATUSES }
+  });
+  if (existing) {
+    throw new AppError('You are already on the waitlist for this trip', 400);
+  }
+
+  return WaitlistEntry.create({
+    trip: trip._id,
+    departure: departure?._id,
+    organiser: trip.organiser,
+    user: user._id,
+    numberOfPeople: seats,
+    notes
+  });
+};
+
+/**
+ * Place of a waiting entry in the queue (1 = next to be offered seats)
+ * @param {object} entry - WaitlistEntry
+ * @returns {number|null} - Position, or null when the entry is not waiting
+ */
+const waitlistPosition = async (entry) => {
+  if (entry.status !== 'waiting') return null;
+
+  const ahead = await WaitlistEntry.countDocuments({
+    trip: entry.trip,
+    departure: entry.departure || null,
+    status: 'waiting',
+    $or: [
+      { priority: { $gt: entry.priority } },
+      { priority: entry.priority, createdAt: { $lt: entry.createdAt } }
+    ]
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * Offer free seats on a trip or departure to its waitlist. Entries are
+ * served in priority order; an entry whose party doesn't fit in the seats
+ * left is passed over (keeping its place) for the next one that does. The
+ * offered seats are reserved for the entry until the offer expires.
+ * Call after anything frees seats: a cancellation, an expired hold or offer,
+ * or a capacity increase.
+ * @param {string} tripId - Trip ID
+ * @param {string} departureId - Departure ID, for recurring trips
+ * @param {Date} now - Current time
+ * @returns {number} - Offers made
+ */
+const offerFreedSeats = async (tripId, departureId, now = new Date()) => {
+  const waiting = await WaitlistEntry.find({
+    trip: tripId,
+    departure: departureId || null,
+    status: 'waiting'
+  }).sort(WaitlistEntry.QUEUE_ORDER);
+
+  if (waiting.length === 0) return 0;
+
+  // Lapsed seat holds count as free seats
+  await releaseExpiredHolds({ trip: tripId }, now);
+
+  const trip = await Trip.findById(tripId).select('title isActive status startDate capacity');
+  const run = departureId ? await findRun(tripId, departureId) : trip;
+  if (!trip || !run || !isRunOpen(trip, run, now)) return 0;
+
+  let available = run.capacity.maxPeople - run.capacity.currentBookings;
+  const expiresAt = new Date(Math.min(now.getTime() + WAITLIST_OFFER_HOURS * HOUR_MS, run.startDate.getTime()));
+  let offered = 0;
+
+  for (const entry of waiting) {
+    if (available <= 0) break;
+    if (entry.numberOfPeople > available) continue;
+
+    const reserved = await reserveSeats(tripId, entry.numberOfPeople, {
+      statuses: ['published'],
+      departure: departureId
+    });
+    if (!reserved) break;
+
+    // The tourist may have left the waitlist meanwhile
+    const offeredEntry = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        $set: {
+          status: 'offered',
+          offer: { seats: entry.numberOfPeople, offeredAt: now, expiresAt }
+        },
+        $inc: { offerCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!offeredEntry) {
+      await releaseSeats(tripId, entry.numberOfPeople, departureId);
+      continue;
+    }
+
+    available = reserved.capacity.maxPeople - reserved.capacity.currentBookings;
+    offered += 1;
+
+    notify(entry.user, 'waitlist_offer', {
+      tripTitle: trip.title,
+      startDate: run.startDate,
+      numberOfPeople: entry.numberOfPeople,
+      expiresAt,
+      refs: { trip: tripId, departure: departureId, waitlistEntry: entry._id }
+    });
+  }
+
+  return offered;
+};
+
+/**
+ * offerFreedSeats for request handlers. Never throws, so a failed offer
+ * doesn't fail the cancellation or update that freed the seats - the
+ * process-waitlists job offers anything missed.
+ * @param {string} tripId - Trip ID
+ * @param {string} departureId - Departure ID, for recurring trips
+ * @returns {number} - Offers made
+ */
+const promoteWaitlist = async (tripId, departureId) => {
+  try {
+    return await offerFreedSeats(tripId, departureId);
+  } catch (error) {
+    console.error(`❌ Waitlist offers for trip ${tripId} failed: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Take back the seats of offers that were not claimed in time.
+ * Each entry is claimed with a conditional update so its seats are only
+ * released once.
+ * @param {object} filter - Extra entry filter (e.g. { trip: tripId })
+ * @param {Date} now - Current time
+ * @returns {Array} - Expired entries
+ */
+const expireOffers = async (filter = {}, now = new Date()) => {
+  const lapsed = await WaitlistEntry.find({
+    ...filter,
+    status: 'offered',
+    'offer.expiresAt': { $lte: now }
+  }).select('_id');
+
+  const expired = [];
+
+  for (const candidate of lapsed) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: candidate._id, status: 'offered', 'offer.expiresAt': { $lte: now } },
+      { $set: { status: 'expired', closedAt: now, closedReason: 'Offer not claimed in time' } },
+      { new: true }
+    ).populate('trip', 'title');
+
+    if (!entry) continue;
+
+    await releaseSeats(entry.trip._id, entry.offer.seats, entry.departure);
+    expired.push(entry);
+
+    notify(entry.user, 'waitlist_offer_expired', {
+      tripTitle: entry.trip.title,
+      refs: { trip: entry.trip._id, departure: entry.departure, waitlistEntry: entry._id }
+    });
+  }
+
+  return expired;
+};
+
+/**
+ * Take an entry off the waitlist. Seats of an open offer are given back
+ * and offered to the next in line.
+ * @param {object} entry - WaitlistEntry
+ * @param {object} options - { status: 'left' or 'closed', reason }
+ * @returns {object|null} - Updated entry, or null if it was no longer open
+ */
+const leaveWaitlist = async (entry, { status = 'left', reason } = {}) => {
+  // The entry as it was, to know whether it held an offer
+  const closed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: { $in: WaitlistEntry.OPEN_STATUSES } },
+    { $set: { status, closedAt: new Date(), closedReason: reason } }
+  );
+
+  if (!closed) return null;
+
+  if (closed.status === 'offered') {
+    await releaseSeats(closed.trip, closed.offer.seats, closed.departure);
+    if (status === 'left') await promoteWaitlist(closed.trip, closed.departure);
+  }
+
+  return WaitlistEntry.findById(entry._id);
+};
+
+/**
+ * Claim the seats offered to a tourist so they can be booked. Done with a
+ * conditional update, so an offer can't be both claimed and expired.
+ * Pass the result to createBooking with seatsHeld, then linkClaimedBooking;
+ * if the booking fails, hand the offer back with restoreOffer.
+ * @param {string} entryId - WaitlistEntry ID
+ * @param {object} context - { trip, departure, user: user id, numberOfPeople }
+ * @returns {object} - Claimed entry
+ */
+const claimOffer = async (entryId, { trip, departure, user, numberOfPeople }) => {
+  const entry = await WaitlistEntry.findOne({ _id: entryId, trip: trip._id, user });
+
+  if (!entry) {
+    throw new AppError('Waitlist entry not found', 404);
+  }
+  if (entry.status !== 'offered') {
+    throw new AppError('There is no open offer on this waitlist entry', 400);
+  }
+  if (String(entry.departure || '') !== String(departure?._id || '')) {
+    throw new AppError('The offered seats are on a different departure', 400);
+  }
+  if (numberOfPeople > entry.offer.seats) {
+    throw new AppError(`${entry.offer.seats} seats were offered - join the waitlist again for a larger party`, 400);
+  }
+
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'offer.expiresAt': { $gt: new Date() } },
+    { $set: { status: 'claimed' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new AppError('This offer has expired', 409);
+  }
+
+  return claimed;
+};
+
+/**
+ * Hand a claimed offer back when its booking could not be created
+ * @param {object} entry - Claimed WaitlistEntry
+ */
+const restoreOffer = async (entry) => {
+  await WaitlistEntry.updateOne(
+    { _id: entry._id, status: 'claimed', booking: { $exists: false } },
+    { $set: { status: 'offered' } }
+  );
+};
+
+/**
+ * Record the booking made from a claimed offer. Offered seats the booking
+ * doesn't use are given back and offered on.
+ * @param {object} entry - Claimed WaitlistEntry
+ * @param {object} booking - Booking
+ */
+const linkClaimedBooking = async (entry, booking) => {
+  await WaitlistEntry.updateOne(
+    { _id: entry._id },
+    { $set: { booking: booking._id, closedAt: new Date() } }
+  );
+
+  const unused = entry.offer.seats - booking.numberOfPeople;
+  if (unused > 0) {
+    await releaseSeats(entry.trip, unused, entry.departure);
+    await promoteWaitlist(entry.trip, entry.departure);
+  }
+};
+
+/**
+ * Background pass over every open waitlist: expire lapsed offers, close
+ * waitlists of trips/departures that can no longer be booked, and offer any
+ * free seats.
+ * @param {Date} now - Current time
+ * @returns {object} - { expired, closed, offered }
+ */
+const processWaitlists = async (now = new Date()) => {
+  const summary = { expired: (await expireOffers({}, now)).length, closed: 0, offered: 0 };
+
+  const runs = await WaitlistEntry.aggregate([
+    { $match: { status: { $in: WaitlistEntry.OPEN_STATUSES } } },
+    { $group: { _id: { trip: '$trip', departure: '$departure' } } }
+  ]);
+
+  for (const { _id: { trip: tripId, departure: departureId } } of runs) {
+    const trip = await Trip.findById(tripId).select('isActive status startDate');
+    const run = departureId ? await findRun(tripId, departureId) : trip;
+
+    if (!trip || !run || !isRunOpen(trip, run, now)) {
+      const open = await WaitlistEntry.find({
+        trip: tripId,
+        departure: departureId || null,
+        status: { $in: WaitlistEntry.OPEN_STATUSES }
+      });
+      for (const entry of open) {
+        if (await leaveWaitlist(entry, { status: 'closed', reason: 'Trip is no longer taking bookings' })) {
+          summary.closed += 1;
+        }
+      }
+      continue;
+    }
+
+    summary.offered += await offerFreedSeats(tripId, departureId, now);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  WAITLIST_OFFER_HOURS,
+  joinWaitlist,
+  waitlistPosition,
+  offerFreedSeats,
+  promoteWaitlist,
+  expireOffers,
+  leaveWaitlist,
+  claimOffer,
+  restoreOffer,
+  linkClaimedBooking,
+  processWaitlists
+};
@@ -0,0 +1,86 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ============================================
+// AUDIT CONTEXT
+// ============================================
+// The audit middleware opens a context for the request; model hooks add
+// the changes they see to it while the controller runs.
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside an audit context
+ * @param {object} context - { action, changes: [] }
+ * @param {function} fn - Function to run
+ */
+const runWithAuditContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Current audit context, or undefined outside an audited request
+ * @returns {object|undefined}
+ */
+const getAuditContext = () => storage.getStore();
+
+// ============================================
+// DIFFS
+// ============================================
+
+// Values that are never written to the audit log
+const SENSITIVE_KEY = /password|token|secret|otp|backupcodes/i;
+// Bookkeeping fields that change on every save
+const IGNORED_PATHS = new Set(['__v', 'updatedAt', 'createdAt']);
+const REDACTED = '[REDACTED]';
+
+const isPlainObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !value._bsontype;
+
+// ObjectIds, Dates and arrays of them compared and stored as plain JSON values
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// { a: { b: 1 } } -> { 'a.b': 1 }; arrays are kept whole
+const flatten = (object, prefix = '', out = {}) => {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+  return out;
+};
+
+/**
+ * Field-level differences between two versions of a document
+ * @param {object|null} before - Old version (null when created)
+ * @param {object|null} after - New version (null when deleted)
+ * @returns {object[]} - [{ path, before, after }]
+ */
+const diffObjects = (before, after) => {
+  const old = flatten(before);
+  const current = flatten(after);
+  const paths = new Set([...Object.keys(old), ...Object.keys(current)]);
+
+  const diff = [];
+  paths.forEach((path) => {
+    if (IGNORED_PATHS.has(path.split('.').pop())) return;
+
+    const from = normalize(old[path]);
+    const to = normalize(current[path]);
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    diff.push(SENSITIVE_KEY.test(path)
+      ? { path, before: from === null ? null : REDACTED, after: to === null ? null : REDACTED }
+      : { path, before: from, after: to });
+  });
+
+  return diff;
+};
+
+module.exports = {
+  runWithAuditContext,
+  getAuditContext,
+  diffObjects
+};
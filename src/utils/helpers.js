@@ -137,6 +137,16 @@ const isValidIndianPhone = (phone) => {
   return /^[6-9]\d{9}$/.test(phone);
 };
 
+/**
+ * Client IP of a request, honouring X-Forwarded-For from a proxy
+ * @param {object} req - Express request
+ * @returns {string} - IP address
+ */
+const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.ip;
+};
+
 module.exports = {
   generateToken,
   hashString,
@@ -147,5 +157,6 @@ module.exports = {
   getPagination,
   slugify,
   isValidPincode,
-  isValidIndianPhone
+  isValidIndianPhone,
+  getClientIp
 };
@@ -0,0 +1,98 @@
+// ============================================
+// ADMIN PERMISSIONS
+// ============================================
+// Granted to admins directly (adminProfile.permissions) or through roles
+// (AdminRole). full_access is the super admin permission and implies all
+// others.
+const ADMIN_PERMISSIONS = [
+  'manage_users',
+  'manage_guides',
+  'manage_organisers',
+  'manage_attractions',
+  'manage_bookings',
+  'view_analytics',
+  'manage_content',
+  'manage_settings',
+  'verify_users',
+  'financial_access',
+  'view_audit_logs',
+  'full_access'
+];
+
+// Districts an admin can be scoped to; 'all' (or none) means no restriction
+const ADMIN_DISTRICTS = ['jaipur', 'udaipur', 'jodhpur', 'jaisalmer', 'pushkar', 'mount_abu', 'bikaner', 'ajmer', 'all'];
+
+// ============================================
+// DISTRICT SCOPING
+// ============================================
+// `districts` is the admin's scope: null when unrestricted, otherwise a
+// list of district slugs.
+
+// 'mount_abu' matches the free-text city "Mount Abu"
+const cityPattern = (districts) => new RegExp(
+  `^(${districts.map(d => d.replace(/_/g, '[ _-]?')).join('|')})$`,
+  'i'
+);
+
+/**
+ * Mongo filter limiting attractions to a scope
+ * @param {string[]|null} districts - Admin scope
+ * @returns {object} - Filter ({} when unrestricted)
+ */
+const attractionScopeFilter = (districts) => (districts
+  ? { 'location.district': { $in: districts } }
+  : {});
+
+/**
+ * Mongo filter limiting users to a scope. Guides match on the districts
+ * they operate in, everyone else on their city. Other admins are never in
+ * a district admin's scope.
+ * @param {string[]|null} districts - Admin scope
+ * @returns {object} - Filter ({} when unrestricted)
+ */
+const userScopeFilter = (districts) => {
+  if (!districts) return {};
+
+  const city = cityPattern(districts);
+  return {
+    role: { $ne: 'admin' },
+    $or: [
+      { 'guideProfile.operatingDistricts': { $in: districts } },
+      { 'organiserProfile.businessAddress.city': city },
+      { 'address.city': city }
+    ]
+  };
+};
+
+/**
+ * Whether an attraction's district is inside a scope
+ * @param {string} district - Attraction district
+ * @param {string[]|null} districts - Admin scope
+ * @returns {boolean}
+ */
+const isDistrictInScope = (district, districts) => !districts || districts.includes(district);
+
+/**
+ * Whether a user is inside a scope (same rules as userScopeFilter)
+ * @param {object} user - User document
+ * @param {string[]|null} districts - Admin scope
+ * @returns {boolean}
+ */
+const isUserInScope = (user, districts) => {
+  if (!districts) return true;
+  if (user.role === 'admin') return false;
+
+  const city = cityPattern(districts);
+  return (user.guideProfile?.operatingDistricts || []).some(d => districts.includes(d))
+    || city.test(user.organiserProfile?.businessAddress?.city || '')
+    || city.test(user.address?.city || '');
+};
+
+module.exports = {
+  ADMIN_PERMISSIONS,
+  ADMIN_DISTRICTS,
+  attractionScopeFilter,
+  userScopeFilter,
+  isDistrictInScope,
+  isUserInScope
+};
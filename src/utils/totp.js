@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// ============================================
+// TOTP (RFC 6238)
+// ============================================
+// Time-based one-time passwords as used by Google Authenticator, Authy etc.
+// 30-second steps, 6 digits, HMAC-SHA1. Secrets are base32 for the apps and
+// encrypted with AES-256-GCM before they are stored.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now that are still accepted (clock drift)
+const WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new base32 TOTP secret (160 bits)
+ * @returns {string} - Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a moment falls into
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number} - Step counter
+ */
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Code for a secret at a given step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against a secret, allowing WINDOW steps of drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number|null} - The matching step (to block replays), or null
+ */
+const verifyCode = (secret, code, time = Date.now()) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const current = getStep(time);
+  for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI authenticator apps read from the QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label (email)
+ * @param {string} issuer - App name
+ * @returns {string} - URI
+ */
+const buildOtpAuthUrl = (secret, account, issuer = 'Tourship') => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+// ----- Encryption at rest -----
+
+const getKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} - iv:tag:ciphertext (hex)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Output of encryptSecret
+ * @returns {string} - Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  STEP_SECONDS,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  getStep,
+  buildOtpAuthUrl,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,183 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+
+const Trip = require('../src/models/Trip');
+const Booking = require('../src/models/Booking');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const AuditLog = require('../src/models/AuditLog');
+const RoomInventory = require('../src/models/RoomInventory');
+const Payment = require('../src/models/Payment');
+const organiserRoutes = require('../src/routes/organiserRoutes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+// No database here: anything not stubbed below fails straight away
+mongoose.set('bufferCommands', false);
+
+// A stand-in for a mongoose query that resolves to value
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('PUT /api/organiser/trips/:tripId/bookings/:bookingId', () => {
+  let server;
+  let baseUrl;
+
+  const organiser = {
+    _id: id(),
+    email: 'organiser@example.com',
+    role: 'organiser',
+    isActive: true,
+    isBanned: false,
+    twoFactor: { enabled: true }
+  };
+  const sessionId = id();
+  const token = jwt.sign({ id: organiser._id.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET);
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/organiser', organiserRoutes);
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+  afterEach(() => mock.restoreAll());
+
+  // An organiser's trip with a confirmed booking holding one room for two nights
+  const setup = () => {
+    const trip = new Trip({ _id: id(), title: 'Jaipur Heritage Walk', organiser: organiser._id });
+    const allocation = {
+      hotel: id(),
+      roomType: id(),
+      rooms: 1,
+      checkIn: new Date('2026-12-01T00:00:00Z'),
+      checkOut: new Date('2026-12-03T00:00:00Z'),
+      allocatedAt: new Date()
+    };
+    const booking = new Booking({
+      _id: id(),
+      trip: trip._id,
+      user: id(),
+      organiser: organiser._id,
+      numberOfPeople: 2,
+      totalAmount: 10000,
+      bookingStatus: 'confirmed',
+      hotelStatus: 'confirmed',
+      selectedHotel: id(),
+      hotelAllocation: allocation
+    });
+
+    mock.method(User, 'findById', () => query(organiser));
+    mock.method(Session, 'findOne', () => query({ _id: sessionId, lastUsedAt: new Date() }));
+    mock.method(AuditLog, 'create', async () => ({}));
+    mock.method(Trip, 'findOne', () => query(trip));
+    mock.method(Trip, 'findById', () => query(null));
+    mock.method(Booking, 'findOne', () => query(booking));
+    mock.method(Booking, 'findById', () => query(booking));
+    mock.method(booking, 'save', async () => booking);
+
+    // releaseRooms claims the allocation, then gives its nights back
+    const claim = mock.method(Booking, 'findOneAndUpdate', () => query({
+      _id: booking._id,
+      trip: trip._id,
+      selectedHotel: booking.selectedHotel,
+      hotelAllocation: allocation
+    }));
+    const inventory = mock.method(RoomInventory, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    return { trip, booking, allocation, claim, inventory };
+  };
+
+  const updateBooking = (trip, booking, body) => fetch(`${baseUrl}/api/organiser/trips/${trip._id}/bookings/${booking._id}`, {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+
+  it('drops the hotel and gives its rooms back', async () => {
+    const { trip, booking, allocation, claim, inventory } = setup();
+
+    const res = await updateBooking(trip, booking, { hotelStatus: 'not_required' });
+    const body = await res.json();
+
+    assert.equal(res.status, 200, body.message);
+    assert.equal(body.data.hotelStatus, 'not_required');
+    assert.equal(body.data.selectedHotel, undefined);
+
+    assert.equal(claim.mock.callCount(), 1);
+    assert.equal(inventory.mock.callCount(), 1);
+    const [filter, update] = inventory.mock.calls[0].arguments;
+    assert.equal(filter.hotel, allocation.hotel);
+    assert.equal(filter.date.$in.length, 2);
+    assert.deepEqual(update, { $inc: { allocated: -1 } });
+  });
+
+  it('refuses to confirm a hotel without allocating rooms', async () => {
+    const { trip, booking, inventory } = setup();
+
+    const res = await updateBooking(trip, booking, { hotelStatus: 'confirmed' });
+
+    assert.equal(res.status, 400);
+    assert.equal(inventory.mock.callCount(), 0);
+  });
+
+  it('prices a resized party again and keeps the organiser\'s adjustment', async () => {
+    const { trip, booking } = setup();
+    trip.pricing = { pricePerPerson: 5000, currency: 'INR' };
+    trip.capacity = { maxPeople: 10, currentBookings: 2 };
+    booking.hotelStatus = 'not_required';
+    booking.selectedHotel = undefined;
+    booking.hotelAllocation = undefined;
+    booking.priceBreakdown = {
+      currency: 'INR',
+      lines: [{ band: 'adult', label: 'Adult', count: 2, unitPrice: 5000, amount: 10000 }],
+      subtotal: 10000,
+      discounts: [],
+      adjustments: [{ type: 'manual', label: 'Price set by organiser', amount: -500 }],
+      total: 9500
+    };
+    booking.totalAmount = 9500;
+
+    const seats = mock.method(Trip, 'findOneAndUpdate', () => query(trip));
+    mock.method(Payment, 'getBookingTotals', async () => ({ charged: 0, refunded: 0, net: 0 }));
+
+    const res = await updateBooking(trip, booking, { numberOfPeople: 3 });
+    const body = await res.json();
+
+    assert.equal(res.status, 200, body.message);
+    assert.equal(seats.mock.callCount(), 1);
+    assert.equal(body.data.numberOfPeople, 3);
+    assert.equal(body.data.priceBreakdown.subtotal, 15000);
+    assert.equal(body.data.priceBreakdown.adjustments.length, 1);
+    assert.equal(body.data.totalAmount, 14500);
+  });
+
+  it('refuses a party without ages on a trip priced by age', async () => {
+    const { trip, booking } = setup();
+    trip.pricing = { pricePerPerson: 5000, childPrice: 3000, currency: 'INR' };
+    const seats = mock.method(Trip, 'findOneAndUpdate', () => query(trip));
+
+    const res = await updateBooking(trip, booking, { numberOfPeople: 3 });
+
+    assert.equal(res.status, 400);
+    assert.equal(seats.mock.callCount(), 0);
+  });
+});